@@ -1,5 +1,31 @@
-import { useEffect, useState } from "react";
-import { sendChat, fetchState, resetState, healthCheck } from "./api";
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+import {
+  sendChat,
+  fetchState,
+  fetchMessages,
+  resetState,
+  updateTask,
+  activateGoal,
+  downloadPlanCalendar,
+  healthCheck,
+  getAuthToken,
+  setAuthToken,
+  clearAuthToken,
+  onAuthChange,
+  RateLimitError,
+} from "./api";
+import PlanView from "./PlanView";
+import Markdown from "./Markdown";
+import FlashcardReview from "./FlashcardReview";
+import AvailabilityEditor from "./AvailabilityEditor";
+import ProfileEditor from "./ProfileEditor";
+import HabitCharts from "./HabitCharts";
+import DataTransfer from "./DataTransfer";
+import PlanHistory from "./PlanHistory";
+import FocusTimer from "./FocusTimer";
+import Notifications from "./Notifications";
+import MaterialsPanel from "./MaterialsPanel";
+import QuotaMeter from "./QuotaMeter";
 import "./index.css";
 
 function formatTimestamp(ts) {
@@ -8,6 +34,22 @@ function formatTimestamp(ts) {
   return d.toLocaleString();
 }
 
+// "planned / actual" minutes for a history row. Timed focus minutes win over the minutes
+// reported on tasks, since they were measured.
+function formatMinutes(session) {
+  const planned = session.completion?.plannedMinutes ?? session.plan?.totalMinutes;
+  const actual = session.focusTotals?.sessions
+    ? session.focusTotals.actualMinutes
+    : session.completion?.actualMinutes || null;
+  if (!planned && !actual) return "—";
+  return `${planned ?? "?"} / ${actual === null ? "—" : Math.round(actual)}${session.focusTotals?.sessions ? " ⏱" : ""}`;
+}
+
+// Transcript entries from `/api/messages` in the shape the chat window renders.
+function toChatMessage(m) {
+  return { id: m.id, role: m.role, text: m.content, action: m.action };
+}
+
 function App() {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
@@ -15,6 +57,32 @@ function App() {
   const [backendState, setBackendState] = useState(null);
   const [health, setHealth] = useState(null);
   const [error, setError] = useState(null);
+  const [token, setToken] = useState(getAuthToken());
+  const [tokenInput, setTokenInput] = useState("");
+  const [cardsVersion, setCardsVersion] = useState(0);
+  const [quotaVersion, setQuotaVersion] = useState(0);
+  // Set after a 429: sending stays off until the limit resets.
+  const [limitedUntil, setLimitedUntil] = useState(null);
+
+  // Id to load the previous page of the transcript from (null when it's all loaded).
+  const [olderBefore, setOlderBefore] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const chatWindowRef = useRef(null);
+  // Scroll fix-up for the next render: "bottom", or the distance from the bottom to keep
+  // while older messages are added above.
+  const pendingScroll = useRef(null);
+
+  const handlePanelError = useCallback((msg) => setError(msg), []);
+
+  // api.js clears the token on a 401 or a locally expired `exp`; mirror that here
+  // so the UI drops back to the sign-in form.
+  useEffect(() => onAuthChange(setToken), []);
+
+  useEffect(() => {
+    if (!limitedUntil) return;
+    const timer = setTimeout(() => setLimitedUntil(null), Math.max(0, limitedUntil - Date.now()));
+    return () => clearTimeout(timer);
+  }, [limitedUntil]);
 
   useEffect(() => {
     (async () => {
@@ -24,6 +92,15 @@ function App() {
       } catch {
         setHealth({ ok: false });
       }
+    })();
+  }, []);
+
+  useEffect(() => {
+    if (!token) {
+      setBackendState(null);
+      return;
+    }
+    (async () => {
       try {
         const st = await fetchState();
         setBackendState(st);
@@ -31,7 +108,66 @@ function App() {
         // ignore on boot
       }
     })();
-  }, []);
+  }, [token]);
+
+  // Restore the conversation: the newest page of the transcript, scrolled to the end.
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    fetchMessages()
+      .then((page) => {
+        if (cancelled) return;
+        pendingScroll.current = "bottom";
+        setMessages(page.messages.map(toChatMessage));
+        setOlderBefore(page.nextBefore);
+      })
+      .catch((e) => setError("Failed to load the conversation: " + e.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  useLayoutEffect(() => {
+    const el = chatWindowRef.current;
+    const pending = pendingScroll.current;
+    if (!el || pending === null) return;
+    pendingScroll.current = null;
+    el.scrollTop = pending === "bottom" ? el.scrollHeight : el.scrollHeight - pending;
+  }, [messages]);
+
+  async function loadOlderMessages() {
+    if (!olderBefore || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const page = await fetchMessages(olderBefore);
+      const el = chatWindowRef.current;
+      pendingScroll.current = el ? el.scrollHeight - el.scrollTop : null;
+      setMessages((prev) => [...page.messages.map(toChatMessage), ...prev]);
+      setOlderBefore(page.nextBefore);
+    } catch (e) {
+      setError("Failed to load older messages: " + e.message);
+    } finally {
+      setLoadingOlder(false);
+    }
+  }
+
+  function handleSignIn(e) {
+    e.preventDefault();
+    const value = tokenInput.trim();
+    if (!value) return;
+    setAuthToken(value);
+    setTokenInput("");
+    setMessages([]);
+    setOlderBefore(null);
+    setError(null);
+  }
+
+  function handleSignOut() {
+    clearAuthToken();
+    setMessages([]);
+    setOlderBefore(null);
+    setError(null);
+  }
 
   async function handleSend() {
     const text = input.trim();
@@ -43,25 +179,91 @@ function App() {
     setMessages((prev) => [...prev, { role: "user", text }]);
     setLoading(true);
 
+    // Placeholder assistant bubble that fills in as tokens stream.
+    setMessages((prev) => [...prev, { role: "assistant", text: "", action: null, streaming: true }]);
+    const updateStreaming = (patch) =>
+      setMessages((prev) => {
+        const next = prev.slice();
+        const last = next[next.length - 1];
+        next[next.length - 1] = { ...last, ...patch(last) };
+        return next;
+      });
+
     try {
-      const res = await sendChat(text);
-      const { reply, action } = res;
-
-      setMessages((prev) => [
-        ...prev,
-        {
-          role: "assistant",
-          text: reply || "(no reply)",
-          action: action || "unknown",
-        },
-      ]);
+      const { reply, action } = await sendChat(text, {
+        onAction: (a) => updateStreaming(() => ({ action: a })),
+        onToken: (t) => updateStreaming((last) => ({ text: last.text + t })),
+      });
+
+      // The final reply can differ from the streamed text (plans stream as raw JSON
+      // and come back rendered), so it replaces whatever was shown.
+      updateStreaming(() => ({
+        text: reply || "(no reply)",
+        action: action || "unknown",
+        streaming: false,
+      }));
+      if (action === "flashcards") setCardsVersion((v) => v + 1);
 
       const st = await fetchState();
       setBackendState(st);
     } catch (e) {
+      setMessages((prev) => (prev[prev.length - 1]?.streaming ? prev.slice(0, -1) : prev));
+      if (e instanceof RateLimitError) {
+        // Nothing was sent; keep the text so it can go out once the limit resets.
+        setMessages((prev) => prev.slice(0, -1));
+        setInput(text);
+        setLimitedUntil(Date.now() + e.retryAfter * 1000);
+      }
       setError(e.message || "Request failed");
     } finally {
       setLoading(false);
+      setQuotaVersion((v) => v + 1);
+    }
+  }
+
+  async function handleUpdateTask(taskId, update) {
+    try {
+      await updateTask(taskId, update);
+      const st = await fetchState();
+      setBackendState(st);
+    } catch (e) {
+      setError("Failed to update task: " + e.message);
+    }
+  }
+
+  async function handleSwitchGoal(goalId) {
+    try {
+      await activateGoal(goalId);
+      const st = await fetchState();
+      setBackendState(st);
+    } catch (e) {
+      setError("Failed to switch goal: " + e.message);
+    }
+  }
+
+  async function handleDownloadCalendar() {
+    try {
+      await downloadPlanCalendar(lastSession?.id);
+    } catch (e) {
+      setError("Failed to export calendar: " + e.message);
+    }
+  }
+
+  async function handleImported() {
+    try {
+      const st = await fetchState();
+      setBackendState(st);
+      setCardsVersion((v) => v + 1);
+    } catch (e) {
+      setError("Failed to refresh state: " + e.message);
+    }
+  }
+
+  async function refreshState() {
+    try {
+      setBackendState(await fetchState());
+    } catch (e) {
+      setError("Failed to refresh state: " + e.message);
     }
   }
 
@@ -71,6 +273,7 @@ function App() {
       const st = await fetchState();
       setBackendState(st);
       setMessages([]);
+      setOlderBefore(null);
       setError(null);
     } catch (e) {
       setError("Failed to reset state: " + e.message);
@@ -79,7 +282,10 @@ function App() {
 
   const lastSession = backendState?.lastSession || null;
   const sessions = backendState?.sessions || [];
+  const goals = backendState?.goals || [];
+  const activeGoalId = backendState?.activeGoalId || "";
   const lastAnalysis = backendState?.lastAnalysis || null;
+  const weakAreas = backendState?.profile?.weakAreas || [];
 
   return (
     <div className="app-root">
@@ -91,143 +297,275 @@ function App() {
           </p>
         </div>
         <div className="header-controls">
-          <button onClick={handleReset} className="secondary">
-            Reset demo state
-          </button>
+          {token && (
+            <>
+              <button onClick={handleReset} className="secondary">
+                Reset my state
+              </button>
+              <button onClick={handleSignOut} className="secondary">
+                Sign out
+              </button>
+            </>
+          )}
           <span className={`health-pill ${health?.ok ? "ok" : "bad"}`}>
             {health?.ok ? "Backend: OK" : "Backend: unreachable"}
           </span>
         </div>
       </header>
 
-      <main className="layout">
-        {/* Chat */}
-        <section className="panel chat-panel">
-          <h2>Chat</h2>
-          <div className="chat-window">
-            {messages.length === 0 && (
-              <div className="empty-hint">
-                Start by telling the agent what you need to study and how much time you have.
-              </div>
-            )}
-            {messages.map((m, idx) => (
-              <div
-                key={idx}
-                className={`chat-message ${m.role === "user" ? "user" : "assistant"}`}
-              >
-                <div className="chat-meta">
-                  <span className="role-label">
-                    {m.role === "user" ? "You" : "Agent"}
-                  </span>
-                  {m.role === "assistant" && m.action && (
-                    <span className="action-label">{m.action}</span>
-                  )}
-                </div>
-                <div className="chat-text">{m.text}</div>
-              </div>
-            ))}
-          </div>
-          <div className="chat-input-row">
-            <textarea
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              placeholder="Example: I have 75 minutes to study Cloudflare Durable Objects."
-              onKeyDown={(e) => {
-                if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
-                  e.preventDefault();
-                  handleSend();
-                }
+      {!token ? (
+        <main className="layout single">
+          <section className="panel signin-panel">
+            <h2>Sign in</h2>
+            <p className="empty-hint">
+              Paste the access token issued for your account. Your plans and history are stored per user.
+            </p>
+            <form onSubmit={handleSignIn} className="signin-form">
+              <input
+                type="password"
+                value={tokenInput}
+                onChange={(e) => setTokenInput(e.target.value)}
+                placeholder="eyJhbGciOiJIUzI1NiIs..."
+                autoComplete="off"
+              />
+              <button type="submit" disabled={!tokenInput.trim()}>
+                Continue
+              </button>
+            </form>
+            {error && <div className="error">{error}</div>}
+          </section>
+        </main>
+      ) : (
+        <main className="layout">
+          {/* Chat */}
+          <section className="panel chat-panel">
+            <h2>Chat</h2>
+            <div
+              className="chat-window"
+              ref={chatWindowRef}
+              onScroll={(e) => {
+                if (e.currentTarget.scrollTop < 40) loadOlderMessages();
               }}
-            />
-            <button onClick={handleSend} disabled={loading || !input.trim()}>
-              {loading ? "Thinking..." : "Send"}
-            </button>
-          </div>
-          {error && <div className="error">{error}</div>}
-        </section>
-
-        {/* State visualization */}
-        <section className="panel state-panel">
-          <div className="state-block">
-            <h2>Current Plan</h2>
-            {lastSession && lastSession.plan ? (
-              <>
-                <div className="state-meta">
-                  <div>
-                    <strong>Goal:</strong> {lastSession.goal}
-                  </div>
-                  <div>
-                    <strong>Last updated:</strong>{" "}
-                    {formatTimestamp(lastSession.timestamp)}
+            >
+              {olderBefore && (
+                <button className="secondary load-older" onClick={loadOlderMessages} disabled={loadingOlder}>
+                  {loadingOlder ? "Loading…" : "Load earlier messages"}
+                </button>
+              )}
+              {messages.length === 0 && (
+                <div className="empty-hint">
+                  Start by telling the agent what you need to study and how much time you have.
+                </div>
+              )}
+              {messages.map((m, idx) => (
+                <div
+                  key={m.id ?? `new-${idx}`}
+                  className={`chat-message ${m.role === "user" ? "user" : "assistant"}`}
+                >
+                  <div className="chat-meta">
+                    <span className="role-label">
+                      {m.role === "user" ? "You" : "Agent"}
+                    </span>
+                    {m.role === "assistant" && m.action && (
+                      <span className="action-label">{m.action}</span>
+                    )}
                   </div>
+                  {m.role === "user" ? (
+                    <div className="chat-text">{m.text}</div>
+                  ) : m.text ? (
+                    <Markdown text={m.text} className="chat-text" />
+                  ) : (
+                    <div className="chat-text">
+                      {m.streaming && <span className="typing">…</span>}
+                    </div>
+                  )}
                 </div>
-                <pre className="plan-text">{lastSession.plan}</pre>
-                {lastSession.outcomeNote && (
-                  <div className="note">
-                    <strong>Last outcome:</strong> {lastSession.outcomeNote}
+              ))}
+            </div>
+            <div className="chat-input-row">
+              <textarea
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder="Example: I have 75 minutes to study Cloudflare Durable Objects."
+                onKeyDown={(e) => {
+                  if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+                    e.preventDefault();
+                    handleSend();
+                  }
+                }}
+              />
+              <button onClick={handleSend} disabled={loading || !input.trim() || Boolean(limitedUntil)}>
+                {loading ? "Thinking..." : limitedUntil ? "Limit reached" : "Send"}
+              </button>
+            </div>
+            <QuotaMeter refreshKey={quotaVersion} onError={handlePanelError} />
+            {error && <div className="error">{error}</div>}
+          </section>
+
+          {/* State visualization */}
+          <section className="panel state-panel">
+            <div className="state-block">
+              <h2>Reminders</h2>
+              <Notifications onError={handlePanelError} />
+            </div>
+
+            <div className="state-block">
+              <h2>Current Plan</h2>
+              {goals.length > 1 && (
+                <label className="goal-select">
+                  <span>Goal:</span>
+                  <select value={activeGoalId} onChange={(e) => handleSwitchGoal(e.target.value)} disabled={loading}>
+                    {goals.map((g) => (
+                      <option key={g.id} value={g.id}>
+                        {g.title}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {lastSession && lastSession.plan ? (
+                <>
+                  <div className="state-meta">
+                    <div>
+                      <strong>Goal:</strong> {lastSession.goal}
+                    </div>
+                    <div>
+                      <strong>Last updated:</strong>{" "}
+                      {formatTimestamp(lastSession.timestamp)}
+                    </div>
                   </div>
-                )}
-              </>
-            ) : (
-              <div className="empty-hint">
-                No active plan yet. Ask for one in the chat.
-              </div>
-            )}
-          </div>
-
-          <div className="state-block">
-            <h2>Study History</h2>
-            {sessions.length === 0 ? (
-              <div className="empty-hint">No sessions recorded yet.</div>
-            ) : (
-              <div className="table-wrapper">
-                <table>
-                  <thead>
-                    <tr>
-                      <th>Time</th>
-                      <th>Action</th>
-                      <th>Goal</th>
-                      <th>Outcome</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {sessions
-                      .slice()
-                      .reverse()
-                      .map((s) => (
-                        <tr key={s.id}>
-                          <td>{formatTimestamp(s.timestamp)}</td>
-                          <td>
-                            <code>{s.action}</code>
-                          </td>
-                          <td className="goal-cell">{s.goal}</td>
-                          <td className="outcome-cell">
-                            {s.outcomeNote || "—"}
-                          </td>
-                        </tr>
+                  <PlanView
+                    plan={lastSession.plan}
+                    taskStatus={lastSession.taskStatus}
+                    completion={lastSession.completion}
+                    onUpdateTask={handleUpdateTask}
+                  />
+                  {typeof lastSession.plan === "object" && (
+                    <>
+                      <div className="plan-actions">
+                        <button className="secondary" onClick={handleDownloadCalendar}>
+                          Download .ics
+                        </button>
+                      </div>
+                      <FocusTimer
+                        plan={lastSession.plan}
+                        sessionId={lastSession.id}
+                        onStopped={refreshState}
+                        onError={handlePanelError}
+                      />
+                    </>
+                  )}
+                  <PlanHistory
+                    goalId={lastSession.goalId}
+                    refreshKey={lastSession.id}
+                    onRestored={refreshState}
+                    onError={handlePanelError}
+                  />
+                  {lastSession.outcomeNote && (
+                    <div className="note">
+                      <strong>Last outcome:</strong> {lastSession.outcomeNote}
+                    </div>
+                  )}
+                  {weakAreas.length > 0 && (
+                    <div className="note">
+                      <strong>Weak areas:</strong>{" "}
+                      {weakAreas.map((area) => (
+                        <span key={area} className="topic-chip">
+                          {area}
+                        </span>
                       ))}
-                  </tbody>
-                </table>
-              </div>
-            )}
-          </div>
-
-          <div className="state-block">
-            <h2>Habit Analysis</h2>
-            {lastAnalysis ? (
-              <pre className="analysis-text">{lastAnalysis}</pre>
-            ) : (
-              <div className="empty-hint">
-                Ask the agent: “Analyze my study patterns so far.”
-              </div>
-            )}
-          </div>
-        </section>
-      </main>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div className="empty-hint">
+                  No active plan yet. Ask for one in the chat.
+                </div>
+              )}
+            </div>
+
+            <div className="state-block">
+              <h2>Learner Profile</h2>
+              <ProfileEditor refreshKey={backendState?.profile?.updatedAt} onError={handlePanelError} />
+            </div>
+
+            <div className="state-block">
+              <h2>Course Material</h2>
+              <MaterialsPanel onError={handlePanelError} />
+            </div>
+
+            <div className="state-block">
+              <h2>Availability</h2>
+              <AvailabilityEditor onError={handlePanelError} />
+            </div>
+
+            <div className="state-block">
+              <h2>Flashcards</h2>
+              <FlashcardReview hasPlan={Boolean(lastSession)} refreshKey={cardsVersion} onError={handlePanelError} />
+            </div>
+
+            <div className="state-block">
+              <h2>Study History</h2>
+              {sessions.length === 0 ? (
+                <div className="empty-hint">No sessions recorded yet.</div>
+              ) : (
+                <div className="table-wrapper">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Time</th>
+                        <th>Action</th>
+                        <th>Goal</th>
+                        <th title="Planned minutes / minutes actually timed or reported">Planned / Actual</th>
+                        <th>Outcome</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sessions
+                        .slice()
+                        .reverse()
+                        .map((s) => (
+                          <tr key={s.id}>
+                            <td>{formatTimestamp(s.timestamp)}</td>
+                            <td>
+                              <code>{s.action}</code>
+                            </td>
+                            <td className="goal-cell">{s.goal}</td>
+                            <td className="minutes-cell">{formatMinutes(s)}</td>
+                            <td className="outcome-cell">
+                              {s.outcomeNote || "—"}
+                            </td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <div className="state-block">
+              <h2>Your Data</h2>
+              <DataTransfer onImported={handleImported} onError={handlePanelError} />
+            </div>
+
+            <div className="state-block">
+              <h2>Habit Analysis</h2>
+              <HabitCharts refreshKey={backendState} onError={handlePanelError} />
+              {lastAnalysis ? (
+                <Markdown text={lastAnalysis} className="analysis-text" />
+              ) : (
+                <div className="empty-hint">
+                  Ask the agent: “Analyze my study patterns so far.”
+                </div>
+              )}
+            </div>
+          </section>
+        </main>
+      )}
 
       <footer className="app-footer">
         <span>
-          Backend: Cloudflare Workers + Workers AI + KV · Agent routing via LLM.
+          Backend: Cloudflare Workers + Workers AI + Durable Objects · Agent routing via LLM.
         </span>
       </footer>
     </div>
@@ -0,0 +1,114 @@
+import { useEffect, useState } from "react";
+import { fetchAvailability, saveAvailability, importCalendar } from "./api";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// Busy time the planner schedules around: weekly slots typed in here, plus an imported .ics.
+function AvailabilityEditor({ onError }) {
+  const [availability, setAvailability] = useState(null);
+  const [draft, setDraft] = useState({ weekday: 1, start: "09:00", end: "10:00", label: "" });
+  const [busy, setBusy] = useState(false);
+  const [importNote, setImportNote] = useState(null);
+
+  useEffect(() => {
+    fetchAvailability()
+      .then(setAvailability)
+      .catch((e) => onError("Failed to load availability: " + e.message));
+  }, [onError]);
+
+  async function save(patch) {
+    setBusy(true);
+    try {
+      // First save also records the browser's time zone so "today" matches the user's day.
+      const withZone = availability?.updatedAt ? patch : { timeZone: browserTimeZone, ...patch };
+      setAvailability(await saveAvailability(withZone));
+    } catch (e) {
+      onError("Failed to save availability: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleAddSlot(e) {
+    e.preventDefault();
+    save({ weeklyBusy: [...(availability?.weeklyBusy || []), { ...draft, weekday: Number(draft.weekday) }] });
+  }
+
+  function handleRemoveSlot(index) {
+    save({ weeklyBusy: availability.weeklyBusy.filter((_, i) => i !== index) });
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    try {
+      if (!availability?.updatedAt) await saveAvailability({ timeZone: browserTimeZone });
+      const res = await importCalendar(await file.text());
+      setAvailability(res.availability);
+      setImportNote(`Imported ${res.imported.events} events and ${res.imported.weekly} weekly slots from ${file.name}.`);
+    } catch (err) {
+      onError("Failed to import calendar: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!availability) return <div className="empty-hint">Loading…</div>;
+
+  return (
+    <div className="availability">
+      <div className="state-meta">
+        Time zone: {availability.timeZone} · Study window {availability.studyWindow.start}–{availability.studyWindow.end}
+      </div>
+
+      {availability.weeklyBusy.length === 0 ? (
+        <div className="empty-hint">No weekly busy slots yet.</div>
+      ) : (
+        <ul className="busy-list">
+          {availability.weeklyBusy.map((slot, i) => (
+            <li key={`${slot.weekday}-${slot.start}-${i}`}>
+              <span>
+                {WEEKDAYS[slot.weekday]} {slot.start}–{slot.end}
+                {slot.label && ` · ${slot.label}`}
+                {slot.source === "ics" && <span className="topic-chip">calendar</span>}
+              </span>
+              <button className="secondary" disabled={busy} onClick={() => handleRemoveSlot(i)}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {availability.events.length > 0 && (
+        <div className="note">{availability.events.length} one-off calendar events imported.</div>
+      )}
+
+      <form className="busy-form" onSubmit={handleAddSlot}>
+        <select value={draft.weekday} onChange={(e) => setDraft({ ...draft, weekday: e.target.value })}>
+          {WEEKDAYS.map((d, i) => (
+            <option key={d} value={i}>
+              {d}
+            </option>
+          ))}
+        </select>
+        <input type="time" value={draft.start} onChange={(e) => setDraft({ ...draft, start: e.target.value })} />
+        <input type="time" value={draft.end} onChange={(e) => setDraft({ ...draft, end: e.target.value })} />
+        <input type="text" placeholder="Label" value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })} />
+        <button type="submit" disabled={busy}>
+          Add busy slot
+        </button>
+      </form>
+
+      <label className="ics-upload">
+        Import .ics calendar
+        <input type="file" accept=".ics,text/calendar" disabled={busy} onChange={handleImport} />
+      </label>
+      {importNote && <div className="note">{importNote}</div>}
+    </div>
+  );
+}
+
+export default AvailabilityEditor;
@@ -0,0 +1,64 @@
+import { useState } from "react";
+import { downloadExport, importArchive } from "./api";
+
+// Export the study history (archive, spreadsheet, journal) and merge an archive back in.
+// `onImported` lets the app reload its state after a successful import.
+function DataTransfer({ onImported, onError }) {
+  const [busy, setBusy] = useState(false);
+  const [importNote, setImportNote] = useState(null);
+
+  async function handleExport(format) {
+    try {
+      await downloadExport(format);
+    } catch (e) {
+      onError("Failed to export: " + e.message);
+    }
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    try {
+      let archive;
+      try {
+        archive = JSON.parse(await file.text());
+      } catch {
+        throw new Error(`${file.name} is not a JSON archive.`);
+      }
+      const { imported } = await importArchive(archive);
+      setImportNote(
+        `Imported ${imported.sessions} sessions, ${imported.goals} goals, ${imported.flashcards} flashcards and ${imported.facts} facts from ${file.name}.`
+      );
+      onImported();
+    } catch (err) {
+      onError("Failed to import: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="data-transfer">
+      <div className="plan-actions">
+        <button className="secondary" onClick={() => handleExport("json")}>
+          Archive (.json)
+        </button>
+        <button className="secondary" onClick={() => handleExport("csv")}>
+          Sessions (.csv)
+        </button>
+        <button className="secondary" onClick={() => handleExport("md")}>
+          Journal (.md)
+        </button>
+      </div>
+      <label className="ics-upload">
+        Import archive
+        <input type="file" accept=".json,application/json" disabled={busy} onChange={handleImport} />
+      </label>
+      {importNote && <div className="note">{importNote}</div>}
+    </div>
+  );
+}
+
+export default DataTransfer;
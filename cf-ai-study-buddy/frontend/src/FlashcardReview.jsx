@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useState } from "react";
+import { fetchDueCards, generateFlashcards, reviewFlashcard } from "./api";
+
+// SM-2 grades behind the familiar Anki-style buttons.
+const GRADES = [
+  { grade: 1, label: "Again", className: "again" },
+  { grade: 3, label: "Hard", className: "hard" },
+  { grade: 4, label: "Good", className: "good" },
+  { grade: 5, label: "Easy", className: "easy" },
+];
+
+// `refreshKey` lets the parent reload the queue, e.g. after the chat generated new cards.
+function FlashcardReview({ hasPlan, refreshKey, onError }) {
+  const [queue, setQueue] = useState([]);
+  const [counts, setCounts] = useState({ due: 0, total: 0 });
+  const [revealed, setRevealed] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetchDueCards();
+      setQueue(res.cards);
+      setCounts({ due: res.due, total: res.total });
+      setRevealed(false);
+    } catch (e) {
+      onError("Failed to load flashcards: " + e.message);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  async function handleGenerate() {
+    setBusy(true);
+    try {
+      await generateFlashcards();
+      await load();
+    } catch (e) {
+      onError("Failed to generate flashcards: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleGrade(grade) {
+    const [card, ...rest] = queue;
+    setBusy(true);
+    try {
+      await reviewFlashcard(card.id, grade);
+      setQueue(rest);
+      setCounts((c) => ({ ...c, due: Math.max(0, c.due - 1) }));
+      setRevealed(false);
+      if (rest.length === 0) await load();
+    } catch (e) {
+      onError("Failed to save review: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const card = queue[0];
+
+  return (
+    <div className="flashcards">
+      <div className="state-meta">
+        {counts.due} due · {counts.total} cards total
+      </div>
+      {card ? (
+        <div className="flashcard">
+          <div className="flashcard-front">{card.front}</div>
+          {revealed ? (
+            <>
+              <div className="flashcard-back">{card.back}</div>
+              <div className="flashcard-grades">
+                {GRADES.map((g) => (
+                  <button key={g.grade} className={`grade-btn ${g.className}`} disabled={busy} onClick={() => handleGrade(g.grade)}>
+                    {g.label}
+                  </button>
+                ))}
+              </div>
+            </>
+          ) : (
+            <button className="secondary" onClick={() => setRevealed(true)}>
+              Show answer
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="empty-hint">
+          {counts.total > 0 ? "All caught up. Come back later." : "No cards yet."}
+        </div>
+      )}
+      {hasPlan && (
+        <button className="secondary flashcards-generate" disabled={busy} onClick={handleGenerate}>
+          {busy ? "Working..." : "Generate cards from current plan"}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default FlashcardReview;
@@ -0,0 +1,133 @@
+import { useEffect, useState } from "react";
+import { fetchFocus, startFocus, pauseFocus, resumeFocus, stopFocus } from "./api";
+
+const WORK_MINUTES = 25;
+const SHORT_BREAK_MINUTES = 5;
+const LONG_BREAK_MINUTES = 15;
+// Every 4th break is a long one.
+const POMODOROS_PER_SET = 4;
+
+const MINUTE_MS = 60 * 1000;
+
+function formatClock(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function workedMs(focus, now, since = 0) {
+  return focus.segments
+    .filter((s) => s.start >= since)
+    .reduce((sum, s) => sum + ((s.end ?? now) - s.start), 0);
+}
+
+// Where the open focus session is in its Pomodoro cycle. The server only stores work
+// segments and pauses; the cycle is worked out from them, so a reload picks up mid-cycle.
+function pomodoroPhase(focus, now) {
+  const breaks = focus.pauses.filter((p) => p.reason === "break");
+  const lastPause = focus.pauses[focus.pauses.length - 1];
+  if (focus.status === "paused" && lastPause.reason === "break") {
+    const minutes = breaks.length % POMODOROS_PER_SET === 0 ? LONG_BREAK_MINUTES : SHORT_BREAK_MINUTES;
+    return { phase: "break", remaining: lastPause.at + minutes * MINUTE_MS - now, pomodoro: breaks.length };
+  }
+  const sinceBreak = breaks.length ? breaks[breaks.length - 1].at : 0;
+  const remaining = WORK_MINUTES * MINUTE_MS - workedMs(focus, now, sinceBreak);
+  return { phase: focus.status === "paused" ? "interrupted" : "work", remaining, pomodoro: breaks.length + 1 };
+}
+
+// Pomodoro timer for one block of the current plan. Time is recorded on the server (start,
+// pause, resume, stop), so the Study History can compare planned and actual minutes.
+function FocusTimer({ plan, sessionId, onStopped, onError }) {
+  const [focus, setFocus] = useState(null);
+  const [blockId, setBlockId] = useState("");
+  const [now, setNow] = useState(Date.now());
+  const [busy, setBusy] = useState(false);
+
+  const blocks = plan.days.flatMap((day) => day.blocks.map((block) => ({ ...block, day: day.day })));
+
+  useEffect(() => {
+    fetchFocus()
+      .then((res) => setFocus(res.active))
+      .catch((e) => onError("Failed to load the focus timer: " + e.message));
+  }, [sessionId, onError]);
+
+  useEffect(() => {
+    if (!focus) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [focus]);
+
+  async function run(call) {
+    setBusy(true);
+    try {
+      const res = await call();
+      setNow(Date.now());
+      if (res.focus.status === "stopped") {
+        setFocus(null);
+        onStopped();
+      } else {
+        setFocus(res.focus);
+      }
+    } catch (e) {
+      onError("Focus timer: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const cycle = focus ? pomodoroPhase(focus, now) : null;
+
+  // A finished Pomodoro turns into a break on its own.
+  useEffect(() => {
+    if (cycle?.phase === "work" && cycle.remaining <= 0 && !busy) run(() => pauseFocus("break"));
+  });
+
+  if (!focus) {
+    const selected = blockId || blocks[0]?.id || "";
+    return (
+      <div className="focus-timer">
+        <select value={selected} onChange={(e) => setBlockId(e.target.value)}>
+          {blocks.map((b) => (
+            <option key={b.id} value={b.id}>
+              Day {b.day}: {b.title} ({b.minutes} min)
+            </option>
+          ))}
+        </select>
+        <button disabled={busy || !selected} onClick={() => run(() => startFocus(selected, sessionId))}>
+          Start focus
+        </button>
+      </div>
+    );
+  }
+
+  const worked = Math.round(workedMs(focus, now) / MINUTE_MS);
+  return (
+    <div className={`focus-timer running focus-${cycle.phase}`}>
+      <div className="focus-clock">
+        {cycle.phase === "break" && cycle.remaining <= 0 ? "Break over" : formatClock(cycle.remaining)}
+      </div>
+      <div className="focus-meta">
+        <strong>{focus.blockTitle}</strong>
+        <span>
+          {cycle.phase === "break" ? "Break" : cycle.phase === "interrupted" ? "Paused" : "Focus"} · Pomodoro{" "}
+          {cycle.pomodoro} · {worked} of {focus.plannedMinutes} min
+        </span>
+      </div>
+      <div className="focus-actions">
+        {cycle.phase === "work" ? (
+          <button className="secondary" disabled={busy} onClick={() => run(() => pauseFocus("interruption"))}>
+            Pause
+          </button>
+        ) : (
+          <button disabled={busy} onClick={() => run(resumeFocus)}>
+            {cycle.phase === "break" ? "Next Pomodoro" : "Resume"}
+          </button>
+        )}
+        <button className="secondary" disabled={busy} onClick={() => run(stopFocus)}>
+          Stop
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default FocusTimer;
@@ -0,0 +1,69 @@
+import { useEffect, useState } from "react";
+import { fetchAnalytics } from "./api";
+
+const TIME_OF_DAY_LABELS = { morning: "Morning", afternoon: "Afternoon", evening: "Evening", night: "Night" };
+
+// Horizontal bars scaled to the largest value, so small counts stay readable.
+function BarChart({ title, data, labels = {} }) {
+  const max = Math.max(1, ...Object.values(data));
+  return (
+    <div className="bar-chart">
+      <div className="bar-chart-title">{title}</div>
+      {Object.entries(data).map(([key, value]) => (
+        <div key={key} className="bar-row">
+          <span className="bar-label">{labels[key] || key}</span>
+          <div className="bar-track">
+            <div className="bar-fill" style={{ width: `${(value / max) * 100}%` }} />
+          </div>
+          <span className="bar-value">{value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="stat">
+      <div className="stat-value">{value ?? "—"}</div>
+      <div className="stat-label">{label}</div>
+    </div>
+  );
+}
+
+// `refreshKey` changes whenever the parent reloads state, so the charts follow new activity.
+function HabitCharts({ refreshKey, onError }) {
+  const [metrics, setMetrics] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchAnalytics()
+      .then((m) => !cancelled && setMetrics(m))
+      .catch((e) => !cancelled && onError("Failed to load analytics: " + e.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, onError]);
+
+  if (!metrics) return null;
+  if (metrics.totals.plans === 0) {
+    return <div className="empty-hint">Charts appear once you have a plan and start checking off tasks.</div>;
+  }
+
+  const { completion, streaks, revisions, timeToOutcome } = metrics;
+  return (
+    <div className="habit-charts">
+      <div className="stat-grid">
+        <Stat label="Avg. completion" value={completion.averagePercent !== null ? `${completion.averagePercent}%` : null} />
+        <Stat label="Current streak" value={`${streaks.current} d`} />
+        <Stat label="Longest streak" value={`${streaks.longest} d`} />
+        <Stat label="Revisions / plan" value={revisions.averagePerPlan} />
+        <Stat label="Plan → outcome" value={timeToOutcome.medianHours !== null ? `${timeToOutcome.medianHours} h` : null} />
+      </div>
+      <BarChart title="Time of day" data={metrics.timeOfDay} labels={TIME_OF_DAY_LABELS} />
+      <BarChart title="Weekday" data={metrics.weekdays} />
+    </div>
+  );
+}
+
+export default HabitCharts;
@@ -0,0 +1,143 @@
+import { useMemo } from "react";
+import { parseBlocks, parseInline, safeHref } from "./markdownParser";
+import { highlight } from "./highlight";
+
+function renderInline(nodes) {
+  return nodes.map((node, idx) => {
+    if (typeof node === "string") return node;
+    switch (node.type) {
+      case "code":
+        return <code key={idx}>{node.text}</code>;
+      case "strong":
+        return <strong key={idx}>{renderInline(node.children)}</strong>;
+      case "em":
+        return <em key={idx}>{renderInline(node.children)}</em>;
+      case "link": {
+        const href = safeHref(node.href);
+        return href ? (
+          <a key={idx} href={href} target="_blank" rel="noopener noreferrer">
+            {renderInline(node.children)}
+          </a>
+        ) : (
+          <span key={idx}>{renderInline(node.children)}</span>
+        );
+      }
+      default:
+        return <br key={idx} />;
+    }
+  });
+}
+
+function Inline({ text }) {
+  return renderInline(parseInline(text));
+}
+
+function CodeBlock({ lang, text }) {
+  return (
+    <pre className="md-code">
+      {lang && <span className="md-code-lang">{lang}</span>}
+      <code>
+        {highlight(text, lang).map((token, idx) =>
+          token.kind ? (
+            <span key={idx} className={`tok-${token.kind}`}>
+              {token.text}
+            </span>
+          ) : (
+            token.text
+          )
+        )}
+      </code>
+    </pre>
+  );
+}
+
+// With a `checklist`, every item gets a checkbox backed by it. Without one, "- [ ]" / "- [x]"
+// items only show a mark: nothing would save the tick.
+function List({ block, checklist }) {
+  const Tag = block.ordered ? "ol" : "ul";
+  const isChecklist = Boolean(checklist) || block.items.some((item) => item.checked !== null);
+  return (
+    <Tag start={block.ordered && block.start !== 1 ? block.start : undefined} className={isChecklist ? "md-checklist" : undefined}>
+      {block.items.map((item, idx) => (
+        <li key={idx}>
+          {checklist ? (
+            <input
+              type="checkbox"
+              checked={checklist.isChecked(item.index)}
+              onChange={(e) => checklist.onToggle(item.index, e.target.checked)}
+            />
+          ) : (
+            item.checked !== null && <span className="md-task-mark">{item.checked ? "☑" : "☐"}</span>
+          )}
+          <Inline text={item.text} />
+          {item.children.map((child, i) => (
+            <List key={i} block={child} checklist={checklist} />
+          ))}
+        </li>
+      ))}
+    </Tag>
+  );
+}
+
+function Blocks({ blocks, checklist }) {
+  return blocks.map((block, idx) => {
+    switch (block.type) {
+      case "heading": {
+        // Reply headings sit inside panels that already have <h2>s, so they start at <h4>.
+        const Tag = `h${Math.min(6, block.level + 3)}`;
+        return (
+          <Tag key={idx} className="md-heading">
+            <Inline text={block.text} />
+          </Tag>
+        );
+      }
+      case "code":
+        return <CodeBlock key={idx} lang={block.lang} text={block.text} />;
+      case "list":
+        return <List key={idx} block={block} checklist={checklist} />;
+      case "quote":
+        return (
+          <blockquote key={idx}>
+            <Blocks blocks={block.blocks} checklist={checklist} />
+          </blockquote>
+        );
+      case "rule":
+        return <hr key={idx} />;
+      default:
+        return (
+          <p key={idx}>
+            <Inline text={block.text} />
+          </p>
+        );
+    }
+  });
+}
+
+// Numbers list items in document order (nested and quoted ones included), so a checklist
+// index means the same item on every render.
+function numberItems(blocks, next = { index: 0 }) {
+  for (const block of blocks) {
+    if (block.type === "quote") numberItems(block.blocks, next);
+    if (block.type !== "list") continue;
+    for (const item of block.items) {
+      item.index = next.index++;
+      numberItems(item.children, next);
+    }
+  }
+  return blocks;
+}
+
+// Renders model-written Markdown (chat replies, plans, analyses). Everything is built as
+// React elements from the parsed tree, never as an HTML string, so a reply can't inject
+// markup or scripts; links are limited to http(s), mailto and relative URLs.
+// `checklist` ({ isChecked(index), onToggle(index, checked) }) turns list items into checkboxes.
+function Markdown({ text, className = "", checklist }) {
+  const blocks = useMemo(() => numberItems(parseBlocks(text)), [text]);
+  return (
+    <div className={className ? `markdown ${className}` : "markdown"}>
+      <Blocks blocks={blocks} checklist={checklist} />
+    </div>
+  );
+}
+
+export default Markdown;
@@ -0,0 +1,70 @@
+import { useEffect, useState } from "react";
+import { fetchMaterials, uploadMaterial, deleteMaterial } from "./api";
+
+// Syllabi and notes the planner grounds plans and answers in. Text files only (Markdown, .txt);
+// the Worker chunks and embeds them.
+function MaterialsPanel({ onError }) {
+  const [materials, setMaterials] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchMaterials()
+      .then((res) => setMaterials(res.materials))
+      .catch((e) => onError("Failed to load course material: " + e.message));
+  }, [onError]);
+
+  async function handleUpload(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    try {
+      const { material } = await uploadMaterial(file.name, await file.text());
+      setMaterials((current) => [...(current || []), material]);
+    } catch (err) {
+      onError("Failed to upload " + file.name + ": " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleDelete(id) {
+    setBusy(true);
+    try {
+      setMaterials((await deleteMaterial(id)).materials);
+    } catch (e) {
+      onError("Failed to delete file: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!materials) return <div className="empty-hint">Loading…</div>;
+
+  return (
+    <div className="materials">
+      {materials.length === 0 ? (
+        <div className="empty-hint">Upload a syllabus or your notes and plans will follow its chapters.</div>
+      ) : (
+        <ul className="busy-list">
+          {materials.map((m) => (
+            <li key={m.id}>
+              <span>
+                {m.name} · {m.chunks} sections
+              </span>
+              <button className="secondary" disabled={busy} onClick={() => handleDelete(m.id)}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <label className="ics-upload">
+        Upload syllabus or notes
+        <input type="file" accept=".md,.markdown,.txt,text/plain,text/markdown" disabled={busy} onChange={handleUpload} />
+      </label>
+    </div>
+  );
+}
+
+export default MaterialsPanel;
@@ -0,0 +1,100 @@
+import { useEffect, useState } from "react";
+import { fetchNotifications, dismissNotification, saveNotificationSettings } from "./api";
+
+// The cron trigger runs every 15 minutes; polling once a minute is plenty.
+const POLL_MS = 60 * 1000;
+
+// Reminders left by the scheduled handler (upcoming blocks, overdue plans, broken streaks),
+// plus the opt-out and quiet hours.
+function Notifications({ onError }) {
+  const [notifications, setNotifications] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let stopped = false;
+    const poll = () =>
+      fetchNotifications()
+        .then((res) => {
+          if (stopped) return;
+          setNotifications(res.notifications);
+          setSettings(res.settings);
+        })
+        .catch((e) => onError("Failed to load reminders: " + e.message));
+    poll();
+    const timer = setInterval(poll, POLL_MS);
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+  }, [onError]);
+
+  async function handleDismiss(id) {
+    try {
+      setNotifications((await dismissNotification(id)).notifications);
+    } catch (e) {
+      onError("Failed to dismiss reminder: " + e.message);
+    }
+  }
+
+  async function save(patch) {
+    setBusy(true);
+    try {
+      setSettings(await saveNotificationSettings(patch));
+    } catch (e) {
+      onError("Failed to save reminder settings: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!settings) return <div className="empty-hint">Loading…</div>;
+
+  const quiet = settings.quietHours;
+  return (
+    <div className="notifications">
+      {notifications.length === 0 ? (
+        <div className="empty-hint">{settings.enabled ? "Nothing to remind you of right now." : "Reminders are off."}</div>
+      ) : (
+        <ul className="notification-list">
+          {notifications.map((n) => (
+            <li key={n.id} className={`notification ${n.kind}`}>
+              <div>
+                <strong>{n.title}</strong>
+                <div>{n.body}</div>
+              </div>
+              <button className="secondary" onClick={() => handleDismiss(n.id)}>
+                Dismiss
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <details className="notification-settings">
+        <summary>Reminder settings</summary>
+        <label className="profile-checkbox">
+          <input type="checkbox" checked={settings.enabled} disabled={busy} onChange={(e) => save({ enabled: e.target.checked })} />
+          Send reminders
+        </label>
+        <label className="profile-checkbox">
+          <input
+            type="checkbox"
+            checked={Boolean(quiet)}
+            disabled={busy}
+            onChange={(e) => save({ quietHours: e.target.checked ? { start: "22:00", end: "07:00" } : null })}
+          />
+          Quiet hours
+        </label>
+        {quiet && (
+          <span className="profile-hours">
+            <input type="time" value={quiet.start} disabled={busy} onChange={(e) => save({ quietHours: { ...quiet, start: e.target.value } })} />
+            –
+            <input type="time" value={quiet.end} disabled={busy} onChange={(e) => save({ quietHours: { ...quiet, end: e.target.value } })} />
+          </span>
+        )}
+      </details>
+    </div>
+  );
+}
+
+export default Notifications;
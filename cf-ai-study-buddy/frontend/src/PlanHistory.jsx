@@ -0,0 +1,91 @@
+import { useEffect, useState } from "react";
+import { fetchPlanVersions, fetchPlanDiff, rollbackPlan } from "./api";
+
+const ACTION_LABELS = { create_plan: "created", revise_plan: "revised", rollback_plan: "restored" };
+
+// Version chain of the active goal's plan. Each earlier version can be compared with the
+// current one or restored (restoring adds a new version, so it can be undone too).
+// `refreshKey` is the current session id, so the list reloads whenever the plan changes.
+function PlanHistory({ goalId, refreshKey, onRestored, onError }) {
+  const [versions, setVersions] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!goalId) return;
+    setDiff(null);
+    fetchPlanVersions(goalId)
+      .then((res) => setVersions(res.versions))
+      .catch((e) => onError("Failed to load plan history: " + e.message));
+  }, [goalId, refreshKey, onError]);
+
+  const current = versions.find((v) => v.current);
+  if (versions.length < 2 || !current) return null;
+
+  async function handleCompare(version) {
+    try {
+      setDiff(await fetchPlanDiff(goalId, version, current.version));
+    } catch (e) {
+      onError("Failed to compare versions: " + e.message);
+    }
+  }
+
+  async function handleRestore(version) {
+    setBusy(true);
+    try {
+      await rollbackPlan(goalId, version);
+      onRestored();
+    } catch (e) {
+      onError("Failed to restore version: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <details className="plan-history">
+      <summary>Plan history ({versions.length} versions)</summary>
+      <ul className="version-list">
+        {versions
+          .slice()
+          .reverse()
+          .map((v) => (
+            <li key={v.sessionId}>
+              <span>
+                v{v.version} · {ACTION_LABELS[v.action] || "saved"} {new Date(v.timestamp).toLocaleString()}
+                {v.totalMinutes !== null && ` · ${v.totalMinutes} min`}
+                {v.current && <span className="topic-chip">current</span>}
+              </span>
+              {!v.current && (
+                <span className="version-actions">
+                  <button className="secondary" onClick={() => handleCompare(v.version)}>
+                    Compare
+                  </button>
+                  <button className="secondary" disabled={busy} onClick={() => handleRestore(v.version)}>
+                    Restore
+                  </button>
+                </span>
+              )}
+            </li>
+          ))}
+      </ul>
+      {diff && (
+        <div className="plan-diff">
+          <div className="state-meta">
+            v{diff.from.version} → v{diff.to.version}: +{diff.summary.linesAdded} / −{diff.summary.linesRemoved} lines
+          </div>
+          <pre>
+            {diff.lines.map((line, i) => (
+              <div key={i} className={`diff-${line.op}`}>
+                {line.op === "added" ? "+ " : line.op === "removed" ? "- " : "  "}
+                {line.text}
+              </div>
+            ))}
+          </pre>
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default PlanHistory;
@@ -0,0 +1,139 @@
+import { useState } from "react";
+import Markdown from "./Markdown";
+
+const STATUS_BUTTONS = [
+  { status: "partial", label: "½", title: "Partly done" },
+  { status: "skipped", label: "✕", title: "Skipped" },
+];
+
+// One plan task. The checkbox marks it done (or back to not started); the buttons cover
+// partly done and skipped. Minutes typed into the box are sent with whichever is used.
+function TaskItem({ task, entry, onUpdateTask }) {
+  const [minutes, setMinutes] = useState(entry?.actualMinutes ?? "");
+  const actualMinutes = minutes === "" ? undefined : Number(minutes);
+
+  return (
+    <li className={`task-${entry?.status || "pending"}`}>
+      <label className="task-check">
+        <input
+          type="checkbox"
+          checked={entry?.status === "done"}
+          disabled={!onUpdateTask}
+          onChange={(e) => onUpdateTask(task.id, { status: e.target.checked ? "done" : "pending", actualMinutes })}
+        />
+        <span className="task-description">{task.description}</span>
+      </label>
+      <span className="plan-minutes">{task.minutes} min</span>
+      {task.sources?.length > 0 && (
+        <span className="plan-cite" title="Based on these course material excerpts">
+          {task.sources.map((ref) => `[${ref}]`).join("")}
+        </span>
+      )}
+      {task.topics.length > 0 && (
+        <div className="plan-topics">
+          {task.topics.map((topic) => (
+            <span key={topic} className="topic-chip">
+              {topic}
+            </span>
+          ))}
+        </div>
+      )}
+      {onUpdateTask && (
+        <div className="task-controls">
+          {STATUS_BUTTONS.map((b) => (
+            <button
+              key={b.status}
+              type="button"
+              title={b.title}
+              className={`task-status-btn ${entry?.status === b.status ? `active ${b.status}` : ""}`}
+              onClick={() => onUpdateTask(task.id, { status: b.status, actualMinutes })}
+            >
+              {b.label}
+            </button>
+          ))}
+          <input
+            type="number"
+            min="0"
+            className="task-minutes-input"
+            placeholder="min"
+            title="Actual minutes spent"
+            value={minutes}
+            onChange={(e) => setMinutes(e.target.value)}
+          />
+        </div>
+      )}
+    </li>
+  );
+}
+
+// Renders a structured plan (days -> blocks -> tasks). Sessions saved before plans
+// became JSON still hold a plain string, so those are rendered as Markdown.
+// When `onUpdateTask` is given, each task gets a done checkbox and partial / skipped controls;
+// in a string plan each list item gets a done checkbox, saved as task "item-N".
+function PlanView({ plan, taskStatus = {}, completion = null, onUpdateTask }) {
+  if (typeof plan === "string") {
+    const checklist = onUpdateTask && {
+      isChecked: (index) => taskStatus[`item-${index}`]?.status === "done",
+      onToggle: (index, checked) => onUpdateTask(`item-${index}`, { status: checked ? "done" : "pending" }),
+    };
+    return <Markdown text={plan} className="plan-text" checklist={checklist} />;
+  }
+
+  return (
+    <div className="plan-view">
+      <div className="plan-title">
+        <strong>{plan.title}</strong>
+        <span className="plan-total">{plan.totalMinutes} min</span>
+      </div>
+      {completion && (
+        <div className="completion" title={`${completion.done} done · ${completion.partial} partial · ${completion.skipped} skipped`}>
+          <div className="completion-bar">
+            <div className="completion-fill" style={{ width: `${completion.percent}%` }} />
+          </div>
+          <span>{completion.percent}% complete</span>
+        </div>
+      )}
+      {plan.days.map((day) => (
+        <div key={day.day} className="plan-day">
+          <h3>
+            Day {day.day}
+            {day.focus && <span className="plan-focus"> · {day.focus}</span>}
+          </h3>
+          {day.blocks.map((block) => (
+            <div key={block.id} className="plan-block">
+              <div className="plan-block-header">
+                {block.start && <span className="plan-start">{block.start}</span>}
+                <span className="plan-block-title">{block.title}</span>
+                <span className="plan-minutes">{block.minutes} min</span>
+              </div>
+              <ul className="plan-tasks">
+                {block.tasks.map((task) => (
+                  <TaskItem key={task.id} task={task} entry={taskStatus[task.id]} onUpdateTask={onUpdateTask} />
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      ))}
+      {plan.notes.length > 0 && (
+        <ul className="plan-notes">
+          {plan.notes.map((note, idx) => (
+            <li key={idx}>{note}</li>
+          ))}
+        </ul>
+      )}
+      {plan.sources?.length > 0 && (
+        <ol className="plan-sources">
+          {plan.sources.map((source) => (
+            <li key={source.ref} value={source.ref}>
+              {source.name}, part {source.part}
+              {source.heading && ` (${source.heading})`}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default PlanView;
@@ -0,0 +1,142 @@
+import { useEffect, useState } from "react";
+import { fetchProfile, saveProfile } from "./api";
+
+const LEVELS = ["beginner", "intermediate", "advanced"];
+const TONES = ["friendly", "direct", "encouraging", "formal"];
+
+function toDraft(profile) {
+  return {
+    level: profile.level || "",
+    dailyMinutes: profile.dailyMinutes ?? "",
+    hoursStart: profile.preferredHours?.start || "",
+    hoursEnd: profile.preferredHours?.end || "",
+    tone: profile.tone || "",
+    prefersShortSentences: profile.prefersShortSentences,
+  };
+}
+
+// Shows what the agent learned about the learner and lets them correct it.
+// Fields the user saves here are marked manual and the agent stops changing them.
+// `refreshKey` reloads after chat turns, since outcomes and chat can teach the profile.
+function ProfileEditor({ refreshKey, onError }) {
+  const [profile, setProfile] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchProfile()
+      .then((p) => {
+        setProfile(p);
+        setDraft(toDraft(p));
+      })
+      .catch((e) => onError("Failed to load profile: " + e.message));
+  }, [refreshKey, onError]);
+
+  async function save(patch) {
+    setBusy(true);
+    try {
+      const p = await saveProfile(patch);
+      setProfile(p);
+      setDraft(toDraft(p));
+    } catch (e) {
+      onError("Failed to save profile: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    save({
+      level: draft.level || null,
+      dailyMinutes: draft.dailyMinutes === "" ? null : Number(draft.dailyMinutes),
+      preferredHours: draft.hoursStart && draft.hoursEnd ? { start: draft.hoursStart, end: draft.hoursEnd } : null,
+      tone: draft.tone || null,
+      prefersShortSentences: draft.prefersShortSentences,
+    });
+  }
+
+  if (!profile || !draft) return <div className="empty-hint">Loading…</div>;
+
+  const learned = (field) =>
+    profile[field] !== null && !profile.manual.includes(field) ? <span className="topic-chip">learned</span> : null;
+
+  return (
+    <form className="profile-form" onSubmit={handleSubmit}>
+      <label>
+        <span>Level {learned("level")}</span>
+        <select value={draft.level} onChange={(e) => setDraft({ ...draft, level: e.target.value })}>
+          <option value="">Not set</option>
+          {LEVELS.map((l) => (
+            <option key={l} value={l}>
+              {l}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        <span>Minutes per day {learned("dailyMinutes")}</span>
+        <input
+          type="number"
+          min="5"
+          step="5"
+          value={draft.dailyMinutes}
+          onChange={(e) => setDraft({ ...draft, dailyMinutes: e.target.value })}
+        />
+      </label>
+      <label>
+        <span>Preferred hours {learned("preferredHours")}</span>
+        <span className="profile-hours">
+          <input type="time" value={draft.hoursStart} onChange={(e) => setDraft({ ...draft, hoursStart: e.target.value })} />
+          –
+          <input type="time" value={draft.hoursEnd} onChange={(e) => setDraft({ ...draft, hoursEnd: e.target.value })} />
+        </span>
+      </label>
+      <label>
+        <span>Tone {learned("tone")}</span>
+        <select value={draft.tone} onChange={(e) => setDraft({ ...draft, tone: e.target.value })}>
+          <option value="">Default</option>
+          {TONES.map((t) => (
+            <option key={t} value={t}>
+              {t}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="profile-checkbox">
+        <input
+          type="checkbox"
+          checked={draft.prefersShortSentences}
+          onChange={(e) => setDraft({ ...draft, prefersShortSentences: e.target.checked })}
+        />
+        <span>Short answers</span>
+      </label>
+
+      {profile.weakAreas.length > 0 && (
+        <div className="note">
+          <strong>Weak areas:</strong>{" "}
+          {profile.weakAreas.map((area) => (
+            <span key={area} className="topic-chip">
+              {area}{" "}
+              <button
+                type="button"
+                className="chip-remove"
+                disabled={busy}
+                onClick={() => save({ weakAreas: profile.weakAreas.filter((a) => a !== area) })}
+                aria-label={`Remove ${area}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <button type="submit" disabled={busy}>
+        {busy ? "Saving..." : "Save profile"}
+      </button>
+    </form>
+  );
+}
+
+export default ProfileEditor;
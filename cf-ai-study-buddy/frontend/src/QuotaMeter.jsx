@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { fetchQuota } from "./api";
+
+function formatReset(resetsAt) {
+  return new Date(resetsAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+// Today's share of the daily AI budget, under the chat box. Reloads whenever `refreshKey`
+// changes (after every send).
+function QuotaMeter({ refreshKey, onError }) {
+  const [quota, setQuota] = useState(null);
+
+  useEffect(() => {
+    fetchQuota()
+      .then(setQuota)
+      .catch((e) => onError("Failed to load your AI budget: " + e.message));
+  }, [refreshKey, onError]);
+
+  if (!quota || quota.tokens.limit === null) return null;
+
+  const { used, limit, remaining, resetsAt } = quota.tokens;
+  const percentLeft = Math.round((remaining / limit) * 100);
+  return (
+    <div className={`quota-meter ${percentLeft <= 10 ? "low" : ""}`}>
+      <div className="quota-bar">
+        <div style={{ width: `${Math.min(100, (used / limit) * 100)}%` }} />
+      </div>
+      <span>
+        {remaining > 0
+          ? `${remaining.toLocaleString()} of ${limit.toLocaleString()} tokens left today`
+          : `Daily AI budget used up. It resets at ${formatReset(resetsAt)}.`}
+      </span>
+    </div>
+  );
+}
+
+export default QuotaMeter;
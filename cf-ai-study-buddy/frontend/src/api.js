@@ -1,21 +1,335 @@
 const BASE_URL = import.meta.env.VITE_API_BASE_URL || "";
+const TOKEN_STORAGE_KEY = "studyBuddy.authToken";
 
-async function jsonFetch(path, options = {}) {
-    const res = await fetch(BASE_URL + path, {
-        headers: { "Content-Type": "application/json", ...(options.headers || {}) },
-        ...options,
-    });
+// Lets local dev skip the sign-in step by putting a token in .env.local.
+let authToken = localStorage.getItem(TOKEN_STORAGE_KEY) || import.meta.env.VITE_API_TOKEN || null;
+const authListeners = new Set();
+
+export class AuthRequiredError extends Error {
+    constructor(message = "Please sign in again.") {
+        super(message);
+        this.name = "AuthRequiredError";
+    }
+}
+
+// 429 from a rate limit or the daily token budget. `retryAfter` is in seconds.
+export class RateLimitError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = "RateLimitError";
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Reads `exp` without verifying the signature; the Worker does the real check.
+function tokenExpiry(token) {
+    try {
+        const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+        return typeof payload.exp === "number" ? payload.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+export function getAuthToken() {
+    return authToken;
+}
+
+export function setAuthToken(token) {
+    authToken = token || null;
+    if (authToken) localStorage.setItem(TOKEN_STORAGE_KEY, authToken);
+    else localStorage.removeItem(TOKEN_STORAGE_KEY);
+    authListeners.forEach((listener) => listener(authToken));
+}
+
+export function clearAuthToken() {
+    setAuthToken(null);
+}
+
+// Subscribe to sign-in / sign-out / expiry. Returns an unsubscribe function.
+export function onAuthChange(listener) {
+    authListeners.add(listener);
+    return () => authListeners.delete(listener);
+}
+
+function authHeaders() {
+    if (!authToken) throw new AuthRequiredError("Not signed in.");
+    const exp = tokenExpiry(authToken);
+    if (exp !== null && exp <= Date.now()) {
+        clearAuthToken();
+        throw new AuthRequiredError("Your session expired. Please sign in again.");
+    }
+    return { Authorization: `Bearer ${authToken}` };
+}
+
+// A 401 means the token is no longer accepted; drop it so the app shows the sign-in screen.
+async function ensureOk(res) {
+    if (res.status === 401) {
+        clearAuthToken();
+        throw new AuthRequiredError("Your session expired. Please sign in again.");
+    }
+    if (res.status === 429) {
+        const body = await res.json().catch(() => ({}));
+        const retryAfter = Number(res.headers.get("Retry-After")) || body.retryAfter || 60;
+        throw new RateLimitError(body.message || "Too many requests. Please wait a moment.", retryAfter);
+    }
     if (!res.ok) {
         const text = await res.text();
         throw new Error(`Request failed ${res.status}: ${text}`);
     }
+}
+
+async function jsonFetch(path, options = {}, { auth = true } = {}) {
+    const res = await fetch(BASE_URL + path, {
+        ...options,
+        headers: {
+            "Content-Type": "application/json",
+            ...(auth ? authHeaders() : {}),
+            ...(options.headers || {}),
+        },
+    });
+    await ensureOk(res);
     return res.json();
 }
 
-export async function sendChat(message) {
-    return jsonFetch("/api/chat", {
+// Parses an SSE body into `{ event, data }` frames, yielding each as soon as it is complete.
+async function* readEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split("\n\n");
+        buffer = frames.pop();
+        for (const frame of frames) {
+            let event = "message";
+            let data = "";
+            for (const line of frame.split("\n")) {
+                if (line.startsWith("event:")) event = line.slice(6).trim();
+                else if (line.startsWith("data:")) data += line.slice(5).trim();
+            }
+            yield { event, data: data ? JSON.parse(data) : null };
+        }
+    }
+}
+
+/**
+ * Sends a chat message. With `onAction` / `onToken` callbacks the reply is streamed:
+ * `onAction(action)` fires first, then `onToken(text)` per chunk. Either way the promise
+ * resolves with the final `{ reply, action }`.
+ */
+export async function sendChat(message, { onAction, onToken } = {}) {
+    if (!onAction && !onToken) {
+        return jsonFetch("/api/chat", {
+            method: "POST",
+            body: JSON.stringify({ message }),
+        });
+    }
+
+    const res = await fetch(BASE_URL + "/api/chat", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "text/event-stream", ...authHeaders() },
+        body: JSON.stringify({ message, stream: true }),
+    });
+    await ensureOk(res);
+
+    for await (const { event, data } of readEvents(res.body)) {
+        if (event === "action") onAction?.(data.action);
+        else if (event === "token") onToken?.(data.text);
+        else if (event === "error") throw new Error(data.message);
+        else if (event === "done") return data;
+    }
+    throw new Error("Stream ended before the reply was complete.");
+}
+
+// One page of the chat transcript, oldest first: { messages, nextBefore }. Pass the
+// previous page's `nextBefore` to load the messages before it.
+export async function fetchMessages(before) {
+    const params = new URLSearchParams();
+    if (before) params.set("before", before);
+    return jsonFetch(`/api/messages?${params}`);
+}
+
+// Today's token budget: { tokens: { used, limit, remaining, resetsAt }, requestsPerMinute }.
+export async function fetchQuota() {
+    return jsonFetch("/api/quota");
+}
+
+export async function updateTask(taskId, { status, actualMinutes, sessionId } = {}) {
+    return jsonFetch(`/api/tasks/${encodeURIComponent(taskId)}`, {
+        method: "POST",
+        body: JSON.stringify({ status, actualMinutes, sessionId }),
+    });
+}
+
+export async function fetchProfile() {
+    return jsonFetch("/api/profile");
+}
+
+export async function saveProfile(patch) {
+    return jsonFetch("/api/profile", {
+        method: "POST",
+        body: JSON.stringify(patch),
+    });
+}
+
+export async function fetchGoals() {
+    return jsonFetch("/api/goals");
+}
+
+export async function activateGoal(goalId) {
+    return jsonFetch(`/api/goals/${encodeURIComponent(goalId)}/activate`, { method: "POST" });
+}
+
+export async function fetchPlanVersions(goalId) {
+    return jsonFetch(`/api/goals/${encodeURIComponent(goalId)}/versions`);
+}
+
+// Without `from`/`to` the server compares the current version with the one it replaced.
+export async function fetchPlanDiff(goalId, from, to) {
+    const params = new URLSearchParams();
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    return jsonFetch(`/api/goals/${encodeURIComponent(goalId)}/diff?${params}`);
+}
+
+export async function rollbackPlan(goalId, version) {
+    return jsonFetch(`/api/goals/${encodeURIComponent(goalId)}/rollback`, {
+        method: "POST",
+        body: JSON.stringify({ version }),
+    });
+}
+
+export async function fetchFocus() {
+    return jsonFetch("/api/focus");
+}
+
+export async function startFocus(blockId, sessionId) {
+    return jsonFetch("/api/focus/start", {
+        method: "POST",
+        body: JSON.stringify({ blockId, sessionId }),
+    });
+}
+
+// reason: "break" (end of a Pomodoro) or "interruption".
+export async function pauseFocus(reason) {
+    return jsonFetch("/api/focus/pause", {
+        method: "POST",
+        body: JSON.stringify({ reason }),
+    });
+}
+
+export async function resumeFocus() {
+    return jsonFetch("/api/focus/resume", { method: "POST" });
+}
+
+export async function stopFocus() {
+    return jsonFetch("/api/focus/stop", { method: "POST" });
+}
+
+export async function fetchNotifications() {
+    return jsonFetch("/api/notifications");
+}
+
+export async function dismissNotification(id) {
+    return jsonFetch(`/api/notifications/${encodeURIComponent(id)}/dismiss`, { method: "POST" });
+}
+
+export async function saveNotificationSettings(patch) {
+    return jsonFetch("/api/notifications/settings", {
+        method: "POST",
+        body: JSON.stringify(patch),
+    });
+}
+
+export async function fetchMaterials() {
+    return jsonFetch("/api/materials");
+}
+
+export async function uploadMaterial(name, text) {
+    return jsonFetch("/api/materials", {
+        method: "POST",
+        body: JSON.stringify({ name, text }),
+    });
+}
+
+export async function deleteMaterial(id) {
+    return jsonFetch(`/api/materials/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+export async function fetchAnalytics() {
+    return jsonFetch("/api/analytics");
+}
+
+export async function fetchDueCards(limit = 20) {
+    return jsonFetch(`/api/flashcards?limit=${limit}`);
+}
+
+export async function generateFlashcards({ sessionId, count } = {}) {
+    return jsonFetch("/api/flashcards/generate", {
+        method: "POST",
+        body: JSON.stringify({ sessionId, count }),
+    });
+}
+
+export async function reviewFlashcard(cardId, grade) {
+    return jsonFetch(`/api/flashcards/${encodeURIComponent(cardId)}/review`, {
+        method: "POST",
+        body: JSON.stringify({ grade }),
+    });
+}
+
+// Fetches a file with the auth header (a plain link can't send it) and saves it via a blob URL.
+async function downloadFile(path, filename) {
+    const res = await fetch(`${BASE_URL}${path}`, { headers: authHeaders() });
+    await ensureOk(res);
+
+    const blob = await res.blob();
+    const href = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = href;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(href);
+}
+
+export async function downloadPlanCalendar(sessionId) {
+    const params = new URLSearchParams();
+    if (sessionId) params.set("sessionId", sessionId);
+    return downloadFile(`/api/calendar.ics?${params}`, `study-plan-${sessionId || "current"}.ics`);
+}
+
+// format: "json" (full archive), "csv" (sessions) or "md" (study journal).
+export async function downloadExport(format) {
+    const names = { json: "study-buddy-archive.json", csv: "study-sessions.csv", md: "study-journal.md" };
+    return downloadFile(`/api/export.${format}`, names[format]);
+}
+
+export async function importArchive(archive) {
+    return jsonFetch("/api/import", {
+        method: "POST",
+        body: JSON.stringify(archive),
+    });
+}
+
+export async function fetchAvailability() {
+    return jsonFetch("/api/availability");
+}
+
+export async function saveAvailability(patch) {
+    return jsonFetch("/api/availability", {
+        method: "POST",
+        body: JSON.stringify(patch),
+    });
+}
+
+export async function importCalendar(icsText) {
+    return jsonFetch("/api/availability/ics", {
         method: "POST",
-        body: JSON.stringify({ message }),
+        headers: { "Content-Type": "text/calendar" },
+        body: icsText,
     });
 }
 
@@ -28,5 +342,5 @@ export async function resetState() {
 }
 
 export async function healthCheck() {
-    return jsonFetch("/api/health");
+    return jsonFetch("/api/health", {}, { auth: false });
 }
@@ -0,0 +1,134 @@
+// Lightweight syntax highlighting for fenced code blocks: comments, strings, numbers and
+// keywords for the languages students ask about most. Anything else is shown unstyled.
+
+const C_LIKE = {
+  comments: ["//.*", "/\\*[\\s\\S]*?\\*/"],
+  strings: ['"', "'"],
+};
+
+const LANGUAGES = {
+  js: {
+    ...C_LIKE,
+    strings: ['"', "'", "`"],
+    keywords:
+      "async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield",
+  },
+  python: {
+    comments: ["#.*"],
+    strings: ['"""', "'''", '"', "'"],
+    keywords:
+      "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield",
+  },
+  c: {
+    ...C_LIKE,
+    keywords:
+      "auto bool boolean break case catch char class const continue default delete do double else enum extends false final float for if implements import include int interface long namespace new null nullptr private protected public return short signed sizeof static std string struct super switch template this throw true try typedef unsigned using var virtual void while",
+  },
+  go: {
+    ...C_LIKE,
+    strings: ['"', "'", "`"],
+    keywords:
+      "break case chan const continue default defer else false fallthrough for func go goto if import interface map nil package range return select struct switch true type var",
+  },
+  rust: {
+    ...C_LIKE,
+    keywords:
+      "as break const continue crate else enum false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while",
+  },
+  sql: {
+    comments: ["--.*"],
+    strings: ["'"],
+    caseInsensitive: true,
+    keywords:
+      "and as asc by count create delete desc distinct from group having in inner insert into is join key left limit not null on or order outer primary right select set table union update values where",
+  },
+  bash: {
+    comments: ["#.*"],
+    strings: ['"', "'"],
+    keywords: "case do done echo elif else esac exit export fi for function if in local read return then while",
+  },
+  json: {
+    comments: [],
+    strings: ['"'],
+    keywords: "false null true",
+  },
+};
+
+const ALIASES = {
+  javascript: "js",
+  jsx: "js",
+  ts: "js",
+  tsx: "js",
+  typescript: "js",
+  py: "python",
+  cpp: "c",
+  "c++": "c",
+  h: "c",
+  java: "c",
+  cs: "c",
+  csharp: "c",
+  golang: "go",
+  rs: "rust",
+  sh: "bash",
+  shell: "bash",
+  zsh: "bash",
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function stringPattern(quote) {
+  const q = escapeRegExp(quote);
+  // Triple quotes may span lines; ordinary strings stop at the end of the line.
+  return quote.length === 3 ? `${q}[\\s\\S]*?${q}` : `${q}(?:\\\\.|(?!${q})[^\\\\\\n])*${q}`;
+}
+
+const compiled = new Map();
+
+function tokenizerFor(name) {
+  if (!compiled.has(name)) {
+    const lang = LANGUAGES[name];
+    const parts = [
+      lang.comments.length ? `(${lang.comments.join("|")})` : "(?!)",
+      `(${lang.strings.map(stringPattern).join("|")})`,
+      "(\\b\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?\\b|\\b0x[\\da-f]+\\b)",
+      "([A-Za-z_$][\\w$]*)",
+    ];
+    const words = lang.keywords.split(" ");
+    compiled.set(name, {
+      pattern: new RegExp(parts.join("|"), "gi"),
+      keywords: new Set(lang.caseInsensitive ? words.map((w) => w.toLowerCase()) : words),
+      caseInsensitive: Boolean(lang.caseInsensitive),
+    });
+  }
+  return compiled.get(name);
+}
+
+/**
+ * Splits `code` into `[{ kind, text }]`, where `kind` is "comment", "string", "number",
+ * "keyword" or null for plain text. Unknown languages come back as one plain token.
+ */
+export function highlight(code, lang) {
+  const name = ALIASES[lang] || lang;
+  if (!LANGUAGES[name]) return [{ kind: null, text: code }];
+
+  const { pattern, keywords, caseInsensitive } = tokenizerFor(name);
+  const tokens = [];
+  const push = (kind, text) => {
+    const prev = tokens[tokens.length - 1];
+    if (prev && prev.kind === kind) prev.text += text;
+    else tokens.push({ kind, text });
+  };
+
+  let last = 0;
+  for (const m of code.matchAll(pattern)) {
+    if (m.index > last) push(null, code.slice(last, m.index));
+    last = m.index + m[0].length;
+
+    if (m[1]) push("comment", m[0]);
+    else if (m[2]) push("string", m[0]);
+    else if (m[3]) push("number", m[0]);
+    else push(keywords.has(caseInsensitive ? m[0].toLowerCase() : m[0]) ? "keyword" : null, m[0]);
+  }
+  if (last < code.length) push(null, code.slice(last));
+  return tokens;
+}
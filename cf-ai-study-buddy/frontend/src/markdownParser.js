@@ -0,0 +1,183 @@
+// A small Markdown parser for model replies and plans. It only covers what the model
+// actually writes: headings, paragraphs, (nested) bullet and numbered lists, task items
+// ("- [ ]" / "- [x]"), fenced code, block quotes and rules, plus inline code, bold, italic
+// and links. The output is a plain tree that Markdown.jsx turns into React elements, so
+// raw HTML in a reply is never interpreted; it shows up as text.
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK = /^\[([ xX])\]\s+/;
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, "  ").length;
+const isBlank = (line) => line.trim() === "";
+
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+function listItem(text) {
+  const task = text.match(TASK);
+  return {
+    text: task ? text.slice(task[0].length) : text,
+    checked: task ? task[1] !== " " : null,
+    children: [],
+  };
+}
+
+// Reads one list starting at `start` and any lists nested under its items.
+// Items and nested lists are told apart by indentation.
+function parseList(lines, start) {
+  const indent = indentOf(lines[start]);
+  const [, , marker] = lines[start].match(LIST_ITEM);
+  const ordered = /\d/.test(marker);
+  const list = { type: "list", ordered, start: ordered ? parseInt(marker, 10) : null, items: [] };
+
+  let i = start;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      // A blank line ends the list unless more of it follows.
+      let next = i + 1;
+      while (next < lines.length && isBlank(lines[next])) next++;
+      if (next < lines.length && LIST_ITEM.test(lines[next]) && indentOf(lines[next]) >= indent) {
+        i = next;
+        continue;
+      }
+      break;
+    }
+
+    const item = line.match(LIST_ITEM);
+    const lineIndent = indentOf(line);
+    const current = list.items[list.items.length - 1];
+    if (item && lineIndent <= indent) {
+      // A shallower item, or a switch between bullets and numbers, starts another list.
+      if (lineIndent < indent || /\d/.test(item[2]) !== ordered) break;
+      list.items.push(listItem(item[3]));
+      i++;
+    } else if (current && item) {
+      const nested = parseList(lines, i);
+      current.children.push(nested.block);
+      i = nested.next;
+    } else if (current && lineIndent > indent && !startsBlock(line.trim())) {
+      current.text += "\n" + line.trim();
+      i++;
+    } else {
+      break;
+    }
+  }
+  return { block: list, next: i };
+}
+
+/**
+ * Splits `text` into blocks:
+ *   { type: "heading", level, text } | { type: "paragraph", text } | { type: "code", lang, text }
+ *   | { type: "list", ordered, start, items: [{ text, checked, children }] }
+ *   | { type: "quote", blocks } | { type: "rule" }
+ * `checked` is null for ordinary list items and true / false for task items.
+ */
+export function parseBlocks(text) {
+  const lines = String(text ?? "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i++;
+      // An unclosed fence (e.g. mid-stream) runs to the end of the text.
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+      i++;
+      blocks.push({ type: "code", lang: fence[2].toLowerCase(), text: body.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) body.push(lines[i++].replace(QUOTE, ""));
+      blocks.push({ type: "quote", blocks: parseBlocks(body.join("\n")) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const body = [];
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) body.push(lines[i++].trim());
+    blocks.push({ type: "paragraph", text: body.join("\n") });
+  }
+  return blocks;
+}
+
+// Inline code first, so asterisks inside backticks stay literal.
+const INLINE = new RegExp(
+  [
+    /(`+)([\s\S]*?[^`])\1(?!`)/, // `code`
+    /\*\*(?=\S)([\s\S]*?\S)\*\*/, // **strong**
+    /__(?=\S)([\s\S]*?\S)__/, // __strong__
+    /\*(?=[^\s*])([^*]*?[^\s*]|[^\s*])\*/, // *em*
+    /(?<!\w)_(?=[^\s_])([^_]*?[^\s_]|[^\s_])_(?!\w)/, // _em_, but not snake_case
+    /\[([^\]\n]+)\]\(\s*<?([^\s)>]+)>?\s*\)/, // [text](href)
+    /\n/,
+  ]
+    .map((r) => r.source)
+    .join("|"),
+  "g"
+);
+
+/**
+ * Splits a line of text into inline nodes:
+ *   string | { type: "code", text } | { type: "strong" | "em", children } | { type: "link", href, children } | { type: "break" }
+ */
+export function parseInline(text) {
+  const nodes = [];
+  let last = 0;
+  for (const m of String(text).matchAll(INLINE)) {
+    if (m.index > last) nodes.push(text.slice(last, m.index));
+    last = m.index + m[0].length;
+
+    if (m[1]) nodes.push({ type: "code", text: m[2].trim() || m[2] });
+    else if (m[3] || m[4]) nodes.push({ type: "strong", children: parseInline(m[3] || m[4]) });
+    else if (m[5] || m[6]) nodes.push({ type: "em", children: parseInline(m[5] || m[6]) });
+    else if (m[7]) nodes.push({ type: "link", href: m[8], children: parseInline(m[7]) });
+    else nodes.push({ type: "break" });
+  }
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+}
+
+/**
+ * Returns `href` if it is safe to link to (http, https, mailto, or a relative link),
+ * otherwise null. Keeps "javascript:" and "data:" URLs out of replies.
+ */
+export function safeHref(href) {
+  if (/^(https?:|mailto:)/i.test(href)) return href;
+  if (/^[/#?]/.test(href) && !href.startsWith("//")) return href;
+  return null;
+}
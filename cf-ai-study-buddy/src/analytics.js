@@ -0,0 +1,220 @@
+/**
+ * Study Analytics
+ *
+ * Deterministic metrics over the whole `sessions` history, so habit analysis is based on
+ * numbers instead of the model guessing from raw JSON.
+ *
+ * DEFINITIONS:
+ * - Plan: one revision chain. A `create_plan` session starts it; later `revise_plan` (and
+ *   `rollback_plan`) sessions of the same goal replace it. Only the newest version of each chain counts as a plan.
+ * - Study activity: a task marked done/partial, or an outcome logged. Planning alone is not
+ *   activity. Activity times are bucketed in the user's time zone (`availability.timeZone`).
+ * - Streak: consecutive calendar days with activity. The current streak is still alive if the
+ *   last active day is today or yesterday.
+ * - Time to outcome: from when a plan version was created to when its outcome was logged
+ *   (only sessions with `outcomeAt`, which older records don't have).
+ * - Focus: timed work from stopped focus sessions (see `focus.js`), compared with the minutes
+ *   the timed blocks were planned for. Finishing a focus session also counts as activity.
+ */
+
+import { summarizeFocus } from "./focus.js";
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hour ranges (local time) for the time-of-day distribution. Night wraps past midnight.
+const TIME_OF_DAY = [
+  { name: "morning", from: 5, to: 12 },
+  { name: "afternoon", from: 12, to: 17 },
+  { name: "evening", from: 17, to: 22 },
+];
+
+function localParts(ms, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      weekday: "short",
+    })
+      .formatToParts(new Date(ms))
+      .map((p) => [p.type, p.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour), weekday: parts.weekday };
+}
+
+function timeOfDayBucket(hour) {
+  return TIME_OF_DAY.find((b) => hour >= b.from && hour < b.to)?.name || "night";
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00Z`) - Date.parse(`${a}T00:00Z`)) / DAY_MS);
+}
+
+function round(value, digits = 1) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((x, y) => x - y);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Groups sessions into revision chains. Returns `[{ versions: [session, ...] }]` in creation order.
+ */
+export function revisionChains(sessions) {
+  const chains = [];
+  const openChain = new Map(); // goalId -> chain currently being revised
+  for (const session of sessions) {
+    const key = session.goalId ?? "";
+    const chain = session.action === "revise_plan" || session.action === "rollback_plan" ? openChain.get(key) : null;
+    if (chain) {
+      chain.versions.push(session);
+    } else {
+      const started = { versions: [session] };
+      chains.push(started);
+      openChain.set(key, started);
+    }
+  }
+  return chains;
+}
+
+/**
+ * Timestamps of real study activity (task check-offs, logged outcomes and finished focus sessions).
+ */
+export function activityTimes(sessions, focusSessions = []) {
+  const times = [];
+  for (const session of sessions) {
+    for (const entry of Object.values(session.taskStatus || {})) {
+      if ((entry.status === "done" || entry.status === "partial") && entry.updatedAt) times.push(entry.updatedAt);
+    }
+    if (session.outcomeAt) times.push(session.outcomeAt);
+  }
+  for (const focus of focusSessions) {
+    if (focus.status === "stopped" && focus.endedAt) times.push(focus.endedAt);
+  }
+  return times.sort((a, b) => a - b);
+}
+
+/**
+ * Current and longest run of consecutive active days, from sorted unique "YYYY-MM-DD" dates.
+ * `lastRun` is the length of the most recent run, even if it has already ended.
+ */
+export function computeStreaks(activeDates, today) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const date of activeDates) {
+    run = previous && daysBetween(previous, date) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  }
+  const current = previous && daysBetween(previous, today) <= 1 ? run : 0;
+  return { current, longest, activeDays: activeDates.length, lastActiveDate: previous, lastRun: run };
+}
+
+/**
+ * All metrics for one user's state. Pure: same state and `now` give the same numbers.
+ */
+export function computeAnalytics(state, { now = Date.now() } = {}) {
+  const timeZone = state.availability?.timeZone || "UTC";
+  const sessions = state.sessions || [];
+  const chains = revisionChains(sessions);
+  const plans = chains.map((c) => c.versions[c.versions.length - 1]);
+
+  // Completion over plans where at least one task was tracked.
+  const tracked = plans.filter((p) => p.completion);
+  const tasks = { done: 0, partial: 0, skipped: 0, pending: 0, total: 0 };
+  let plannedMinutes = 0;
+  let actualMinutes = 0;
+  for (const plan of tracked) {
+    for (const key of Object.keys(tasks)) tasks[key] += plan.completion[key] || 0;
+    plannedMinutes += plan.completion.plannedMinutes || 0;
+    actualMinutes += plan.completion.actualMinutes || 0;
+  }
+
+  // Activity distributions and streaks.
+  const timeOfDay = { morning: 0, afternoon: 0, evening: 0, night: 0 };
+  const weekdays = Object.fromEntries(WEEKDAYS.map((d) => [d, 0]));
+  const activeDates = new Set();
+  for (const ms of activityTimes(sessions, state.focusSessions)) {
+    const { date, hour, weekday } = localParts(ms, timeZone);
+    timeOfDay[timeOfDayBucket(hour)]++;
+    weekdays[weekday]++;
+    activeDates.add(date);
+  }
+
+  // Revisions per plan and time from plan to logged outcome.
+  const revisionCounts = chains.map((c) => c.versions.length - 1);
+  const outcomeHours = sessions
+    .filter((s) => s.outcomeAt && s.timestamp && s.outcomeAt >= s.timestamp)
+    .map((s) => (s.outcomeAt - s.timestamp) / (60 * 60 * 1000));
+
+  const focus = summarizeFocus(state.focusSessions || []);
+
+  return {
+    generatedAt: now,
+    timeZone,
+    totals: {
+      goals: (state.goals || []).length,
+      plans: plans.length,
+      versions: sessions.length,
+      outcomesLogged: sessions.filter((s) => s.outcomeNote).length,
+    },
+    completion: {
+      trackedPlans: tracked.length,
+      averagePercent: tracked.length ? Math.round(tracked.reduce((sum, p) => sum + p.completion.percent, 0) / tracked.length) : null,
+      taskCompletionRate: tasks.total ? round(tasks.done / tasks.total, 2) : null,
+      tasks,
+      plannedMinutes,
+      actualMinutes,
+    },
+    streaks: computeStreaks([...activeDates].sort(), localParts(now, timeZone).date),
+    timeOfDay,
+    weekdays,
+    revisions: {
+      total: revisionCounts.reduce((a, b) => a + b, 0),
+      averagePerPlan: plans.length ? round(revisionCounts.reduce((a, b) => a + b, 0) / plans.length) : null,
+      maxPerPlan: plans.length ? Math.max(...revisionCounts) : null,
+    },
+    timeToOutcome: {
+      count: outcomeHours.length,
+      medianHours: outcomeHours.length ? round(median(outcomeHours)) : null,
+      averageHours: outcomeHours.length ? round(outcomeHours.reduce((a, b) => a + b, 0) / outcomeHours.length) : null,
+    },
+    focus: {
+      ...focus,
+      actualToPlanned: focus.plannedMinutes ? round(focus.actualMinutes / focus.plannedMinutes, 2) : null,
+      averageMinutes: focus.sessions ? round(focus.actualMinutes / focus.sessions) : null,
+      interruptionsPerSession: focus.sessions ? round(focus.interruptions / focus.sessions) : null,
+    },
+  };
+}
+
+/**
+ * Plain-text version of the metrics for the analysis prompt.
+ */
+export function describeAnalytics(a) {
+  const pct = (v) => (v === null ? "n/a" : `${Math.round(v * 100)}%`);
+  const dist = (obj) => Object.entries(obj).map(([k, v]) => `${k} ${v}`).join(", ");
+  return [
+    `Goals: ${a.totals.goals}. Plans: ${a.totals.plans} (${a.totals.versions} versions). Outcomes logged: ${a.totals.outcomesLogged}.`,
+    `Plans with tracked tasks: ${a.completion.trackedPlans}. Average completion: ${a.completion.averagePercent ?? "n/a"}%. Tasks done: ${a.completion.tasks.done}/${a.completion.tasks.total} (${pct(a.completion.taskCompletionRate)}), partial ${a.completion.tasks.partial}, skipped ${a.completion.tasks.skipped}.`,
+    `Planned minutes: ${a.completion.plannedMinutes}. Reported minutes: ${a.completion.actualMinutes}.`,
+    `Streak: current ${a.streaks.current} days, longest ${a.streaks.longest} days, ${a.streaks.activeDays} active days in total.`,
+    `Activity by time of day (${a.timeZone}): ${dist(a.timeOfDay)}.`,
+    `Activity by weekday: ${dist(a.weekdays)}.`,
+    `Revisions: ${a.revisions.total} total, ${a.revisions.averagePerPlan ?? "n/a"} per plan on average, at most ${a.revisions.maxPerPlan ?? "n/a"}.`,
+    `Time from plan to logged outcome: median ${a.timeToOutcome.medianHours ?? "n/a"} h over ${a.timeToOutcome.count} outcomes.`,
+    a.focus.sessions
+      ? `Timed focus sessions: ${a.focus.sessions}. Actual minutes: ${a.focus.actualMinutes} vs ${a.focus.plannedMinutes} planned for those blocks (${pct(a.focus.actualToPlanned)}). Interruptions: ${a.focus.interruptions} (${a.focus.interruptionsPerSession} per session). Ran over plan by more than 20%: ${a.focus.overruns}.`
+      : "Timed focus sessions: none yet.",
+  ].join("\n");
+}
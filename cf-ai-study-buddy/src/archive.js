@@ -0,0 +1,206 @@
+/**
+ * Data Export & Import
+ *
+ * Three export formats:
+ * - JSON archive: the whole state, wrapped so an import can tell what it is and how old it is.
+ *     { format: "study-buddy-archive", archiveVersion: 1, exportedAt, schemaVersion, state }
+ * - CSV: one row per session (timestamp, action, goal, completion, outcome) for spreadsheets.
+ * - Markdown: a readable study journal, grouped by goal.
+ *
+ * Import takes a JSON archive, migrates its state like a stored record (see `schema.js`),
+ * and merges it into the current state instead of replacing it:
+ * - sessions, goals, flashcards and finished focus sessions are added by id (ids already present are skipped);
+ * - remembered facts and weak areas are merged;
+ * - profile fields are only filled where the current profile has nothing;
+ * - chat history, the pending quiz, availability and notifications stay as they are (they belong to this account);
+ * - uploaded course material is not imported: its text lives in the vector store, not the archive.
+ */
+
+import { migrateState, validateState, SchemaError } from "./schema.js";
+import { renderPlanText } from "./plan.js";
+import { todayIn } from "./availability.js";
+import { mergeFacts } from "./memory.js";
+import { mergeWeakAreas } from "./quiz.js";
+
+export const ARCHIVE_FORMAT = "study-buddy-archive";
+export const ARCHIVE_VERSION = 1;
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "session_id",
+  "goal_id",
+  "goal",
+  "action",
+  "topic",
+  "request",
+  "completion_percent",
+  "tasks_done",
+  "tasks_total",
+  "outcome",
+  "outcome_at",
+];
+
+const ACTION_LABELS = {
+  create_plan: "Plan created",
+  revise_plan: "Plan revised",
+  rollback_plan: "Plan restored",
+};
+
+export function buildArchive(state, now = Date.now()) {
+  return {
+    format: ARCHIVE_FORMAT,
+    archiveVersion: ARCHIVE_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    schemaVersion: state.schemaVersion,
+    state,
+  };
+}
+
+const isoOrEmpty = (time) => (time ? new Date(time).toISOString() : "");
+const planTopic = (session) => (typeof session.plan === "object" && session.plan?.topic) || "";
+
+/**
+ * Quotes a CSV field when needed (RFC 4180). Values starting with a formula character
+ * get a leading apostrophe so spreadsheets show them as text instead of running them.
+ */
+export function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function sessionsToCsv(state) {
+  const goalTitles = new Map((state.goals || []).map((g) => [g.id, g.title]));
+  const rows = [...state.sessions]
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+    .map((s) => [
+      isoOrEmpty(s.timestamp),
+      s.id,
+      s.goalId || "",
+      goalTitles.get(s.goalId) || "",
+      s.action || "",
+      planTopic(s),
+      s.goal || "",
+      s.completion ? s.completion.percent : "",
+      s.completion ? s.completion.done : "",
+      s.completion ? s.completion.total : "",
+      s.outcomeNote || "",
+      isoOrEmpty(s.outcomeAt),
+    ]);
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Markdown journal: one section per goal, sessions oldest first, then what the agent knows
+ * about the learner. Dates are in the user's time zone.
+ */
+export function studyJournal(state, now = Date.now()) {
+  const timeZone = state.availability?.timeZone || "UTC";
+  const day = (time) => (time ? todayIn(timeZone, time) : "undated");
+  const lines = ["# Study Journal", "", `Exported ${day(now)}.`];
+
+  const byGoal = new Map();
+  for (const session of state.sessions) {
+    const key = session.goalId || "";
+    if (!byGoal.has(key)) byGoal.set(key, []);
+    byGoal.get(key).push(session);
+  }
+  const goals = [...(state.goals || [])];
+  if (byGoal.has("")) goals.push({ id: "", title: "Other plans" });
+
+  for (const goal of goals) {
+    const sessions = (byGoal.get(goal.id) || []).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    if (sessions.length === 0) continue;
+    lines.push("", `## ${goal.title}`);
+    for (const session of sessions) {
+      lines.push("", `### ${day(session.timestamp)}: ${ACTION_LABELS[session.action] || "Plan"}`);
+      if (session.goal) lines.push("", `> ${String(session.goal).replace(/\n/g, "\n> ")}`);
+      lines.push("", renderPlanText(session.plan));
+      if (session.completion) {
+        lines.push("", `**Progress:** ${session.completion.percent}% (${session.completion.done}/${session.completion.total} tasks done)`);
+      }
+      if (session.outcomeNote) lines.push("", `**Outcome (${day(session.outcomeAt)}):** ${session.outcomeNote}`);
+    }
+  }
+  if (state.sessions.length === 0) lines.push("", "No study plans yet.");
+
+  const facts = state.memory?.facts || [];
+  const weakAreas = state.profile?.weakAreas || [];
+  if (facts.length || weakAreas.length) {
+    lines.push("", "## About Me");
+    if (weakAreas.length) lines.push("", `**Weak areas:** ${weakAreas.join(", ")}`);
+    if (facts.length) lines.push("", ...facts.map((f) => `- ${f.text}`));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Checks an uploaded archive and migrates its state. Returns `{ state, error }`.
+ */
+export function readArchive(archive) {
+  if (!archive || typeof archive !== "object" || archive.format !== ARCHIVE_FORMAT) {
+    return { state: null, error: `Not a study archive (expected "format": "${ARCHIVE_FORMAT}").` };
+  }
+  if (!Number.isInteger(archive.archiveVersion) || archive.archiveVersion > ARCHIVE_VERSION) {
+    return { state: null, error: `Unsupported archiveVersion ${JSON.stringify(archive.archiveVersion)}; this app reads up to ${ARCHIVE_VERSION}.` };
+  }
+  if (!archive.state || typeof archive.state !== "object") return { state: null, error: 'Archive has no "state" object.' };
+
+  try {
+    return { state: migrateState(archive.state), error: null };
+  } catch (err) {
+    if (!(err instanceof SchemaError)) throw err;
+    return { state: null, error: err.message };
+  }
+}
+
+const addById = (current, incoming) => {
+  const ids = new Set(current.map((item) => item.id));
+  const added = incoming.filter((item) => !ids.has(item.id));
+  return { merged: [...current, ...added], added: added.length };
+};
+
+/**
+ * Merges an imported (already migrated) state into the current one.
+ * Returns `{ state, imported }`, where `imported` counts what was added.
+ */
+export function mergeArchive(current, incoming, now = Date.now()) {
+  const sessions = addById(current.sessions, incoming.sessions);
+  const goals = addById(current.goals, incoming.goals);
+  const flashcards = addById(current.flashcards, incoming.flashcards);
+  // Only finished focus sessions: an open timer from the other account would block this one's.
+  const focusSessions = addById(current.focusSessions, incoming.focusSessions.filter((f) => f.status === "stopped"));
+  const facts = mergeFacts(current.memory.facts, incoming.memory.facts.map((f) => f.text), now);
+
+  const profile = { ...current.profile, weakAreas: mergeWeakAreas(current.profile.weakAreas, incoming.profile.weakAreas) };
+  for (const field of ["level", "dailyMinutes", "preferredHours", "tone"]) {
+    if (profile[field] === null && incoming.profile[field] !== null && incoming.profile[field] !== undefined) profile[field] = incoming.profile[field];
+  }
+
+  // With nothing active here yet, pick up where the other account left off.
+  const adoptActive = !current.lastSession && incoming.lastSession;
+  const state = {
+    ...current,
+    sessions: sessions.merged,
+    goals: goals.merged,
+    flashcards: flashcards.merged,
+    focusSessions: focusSessions.merged,
+    memory: { ...current.memory, facts, summary: current.memory.summary || incoming.memory.summary },
+    profile,
+    ...(adoptActive ? { lastSession: incoming.lastSession, activeGoalId: incoming.activeGoalId } : {}),
+  };
+
+  const errors = validateState(state);
+  if (errors.length > 0) throw new SchemaError(`Merged state is invalid: ${errors.join(" ")}`);
+
+  return {
+    state,
+    imported: {
+      sessions: sessions.added,
+      goals: goals.added,
+      flashcards: flashcards.added,
+      focusSessions: focusSessions.added,
+      facts: facts.length - current.memory.facts.length,
+    },
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Authentication: Bearer JWT verification.
+ *
+ * Every stateful route goes through `authenticate()` so there is exactly one place
+ * that decides who the caller is. The token's `sub` claim becomes the `userId`
+ * that names the user's `StudyState` Durable Object (see `state.js`).
+ *
+ * CONFIGURATION (Worker env):
+ * - AUTH_JWT_SECRET   (required) HMAC key used to sign tokens. Set with `wrangler secret put`.
+ * - AUTH_JWT_ISSUER   (optional) If set, the token's `iss` must match.
+ * - AUTH_JWT_AUDIENCE (optional) If set, the token's `aud` must match (string or array).
+ *
+ * Only HS256 is accepted. Refusing every other `alg` (including "none") closes the
+ * classic algorithm-confusion hole.
+ */
+
+// Allow small clock drift between the token issuer and the edge.
+const CLOCK_SKEW_SECONDS = 30;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuthError";
+  }
+}
+
+function base64UrlDecode(segment) {
+  const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function base64UrlEncode(bytes) {
+  let binary = "";
+  for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// The header and payload must both be JSON objects; `null`, numbers or arrays are malformed.
+function decodeJsonSegment(segment) {
+  let value;
+  try {
+    value = JSON.parse(decoder.decode(base64UrlDecode(segment)));
+  } catch {
+    throw new AuthError("Malformed token");
+  }
+  if (value === null || typeof value !== "object" || Array.isArray(value)) throw new AuthError("Malformed token");
+  return value;
+}
+
+async function importHmacKey(secret, usage) {
+  return crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [usage]);
+}
+
+/**
+ * Verifies an HS256 JWT and returns its payload.
+ * Throws `AuthError` for anything that is not a valid, unexpired token.
+ */
+export async function verifyJwt(token, secret, { issuer, audience, now = Date.now() } = {}) {
+  const parts = (token || "").split(".");
+  if (parts.length !== 3) throw new AuthError("Malformed token");
+
+  const [headerSeg, payloadSeg, signatureSeg] = parts;
+  const header = decodeJsonSegment(headerSeg);
+  if (header.alg !== "HS256") throw new AuthError("Unsupported token algorithm");
+
+  let signature;
+  try {
+    signature = base64UrlDecode(signatureSeg);
+  } catch {
+    throw new AuthError("Malformed token");
+  }
+
+  const key = await importHmacKey(secret, "verify");
+  const valid = await crypto.subtle.verify("HMAC", key, signature, encoder.encode(`${headerSeg}.${payloadSeg}`));
+  if (!valid) throw new AuthError("Invalid token signature");
+
+  const payload = decodeJsonSegment(payloadSeg);
+  const nowSeconds = Math.floor(now / 1000);
+
+  if (typeof payload.exp !== "number") throw new AuthError("Token has no expiry");
+  if (nowSeconds - CLOCK_SKEW_SECONDS >= payload.exp) throw new AuthError("Token expired");
+  if (typeof payload.nbf === "number" && nowSeconds + CLOCK_SKEW_SECONDS < payload.nbf) {
+    throw new AuthError("Token not yet valid");
+  }
+  if (issuer && payload.iss !== issuer) throw new AuthError("Unexpected token issuer");
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) throw new AuthError("Unexpected token audience");
+  }
+  if (typeof payload.sub !== "string" || payload.sub.length === 0) {
+    throw new AuthError("Token has no subject");
+  }
+
+  return payload;
+}
+
+/**
+ * Signs an HS256 JWT. Used by tests and local tooling to mint tokens;
+ * production tokens are expected to come from the identity provider.
+ */
+export async function signJwt(payload, secret) {
+  const headerSeg = base64UrlEncode(encoder.encode(JSON.stringify({ alg: "HS256", typ: "JWT" })));
+  const payloadSeg = base64UrlEncode(encoder.encode(JSON.stringify(payload)));
+  const key = await importHmacKey(secret, "sign");
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(`${headerSeg}.${payloadSeg}`));
+  return `${headerSeg}.${payloadSeg}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Resolves the calling user from the `Authorization: Bearer <jwt>` header.
+ * Returns `{ userId, claims }` or throws `AuthError`.
+ */
+export async function authenticate(request, env) {
+  if (!env.AUTH_JWT_SECRET) {
+    // Fail closed: a missing secret must never mean "everyone is allowed in".
+    throw new AuthError("Authentication is not configured");
+  }
+
+  const header = request.headers.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) throw new AuthError("Missing bearer token");
+
+  const claims = await verifyJwt(match[1], env.AUTH_JWT_SECRET, {
+    issuer: env.AUTH_JWT_ISSUER,
+    audience: env.AUTH_JWT_AUDIENCE,
+  });
+
+  return { userId: claims.sub, claims };
+}
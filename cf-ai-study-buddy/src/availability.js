@@ -0,0 +1,282 @@
+/**
+ * Availability-Aware Scheduling
+ *
+ * The user's busy time lives in `state.availability`:
+ *
+ *   {
+ *     timeZone: "Europe/Berlin",                  // used for "today" and for UTC times in imports
+ *     studyWindow: { start: "07:00", end: "22:00" }, // never schedule outside this
+ *     weeklyBusy: [{ weekday: 1, start: "09:00", end: "10:30", label: "Lecture", source: "manual" | "ics" }],
+ *                                                  // imported slots may also carry from / until / interval / except
+ *     events: [{ start: "2026-10-20T15:00", end: "2026-10-20T16:30", summary: "Lab" }],
+ *     updatedAt
+ *   }
+ *
+ * All times are wall-clock ("floating") in the user's time zone, the same convention the
+ * .ics export uses. Plan generation gets the free windows in its prompt, and every
+ * generated plan goes through `fitPlanToAvailability`, which moves overlapping blocks
+ * into free time or rejects the plan when a block cannot fit on its day.
+ */
+
+import { layoutBlocks, weeklySlotOccursOn } from "./ics.js";
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_STUDY_WINDOW = { start: "07:00", end: "22:00" };
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// How many plan days the prompt describes in detail. Longer plans get a high-level breakdown anyway.
+const PROMPT_DAYS = 7;
+// Imported one-off events older than this are dropped to keep the state small.
+const EVENT_RETENTION_DAYS = 1;
+
+export function defaultAvailability() {
+  return { timeZone: "UTC", studyWindow: { ...DEFAULT_STUDY_WINDOW }, weeklyBusy: [], events: [], updatedAt: null };
+}
+
+/**
+ * True when there is anything to schedule around.
+ */
+export function hasAvailability(availability) {
+  return Boolean(availability && (availability.weeklyBusy?.length || availability.events?.length));
+}
+
+export function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+export function fromMinutes(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Today's date ("YYYY-MM-DD") in the user's time zone.
+ */
+export function todayIn(timeZone, now = Date.now()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date(now));
+}
+
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateStr) {
+  return new Date(`${dateStr}T00:00Z`).getUTCDay();
+}
+
+// The recurrence limits an imported slot carries (see `parseIcs`), so saving the slot list
+// from the settings panel doesn't turn a term's lectures back into "every week, forever".
+function recurrenceOf(slot) {
+  const limits = {};
+  if (DATE_RE.test(slot.from || "")) limits.from = slot.from;
+  if (DATE_RE.test(slot.until || "")) limits.until = slot.until;
+  if (Number.isInteger(slot.interval) && slot.interval > 1) limits.interval = slot.interval;
+  if (Array.isArray(slot.except)) {
+    const except = slot.except.filter((d) => DATE_RE.test(String(d)));
+    if (except.length) limits.except = except;
+  }
+  return limits;
+}
+
+/**
+ * Validates user-entered weekly slots. Returns `{ slots, error }`.
+ */
+export function normalizeWeeklySlots(input) {
+  if (!Array.isArray(input)) return { slots: null, error: '"weeklyBusy" must be an array.' };
+  const slots = [];
+  for (const [i, slot] of input.entries()) {
+    const weekday = Number(slot?.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { slots: null, error: `Slot ${i + 1}: "weekday" must be 0 (Sunday) to 6.` };
+    }
+    if (!TIME_RE.test(slot?.start || "") || !TIME_RE.test(slot?.end || "")) {
+      return { slots: null, error: `Slot ${i + 1}: times must be HH:MM.` };
+    }
+    if (toMinutes(slot.end) <= toMinutes(slot.start)) {
+      return { slots: null, error: `Slot ${i + 1}: "end" must be after "start".` };
+    }
+    slots.push({
+      weekday,
+      start: slot.start,
+      end: slot.end,
+      label: typeof slot.label === "string" ? slot.label.slice(0, 80) : "",
+      source: slot.source === "ics" ? "ics" : "manual",
+      ...recurrenceOf(slot),
+    });
+  }
+  return { slots, error: null };
+}
+
+/**
+ * Applies a settings update (`timeZone`, `studyWindow`, `weeklyBusy`) to the stored availability.
+ * Returns `{ availability, error }`.
+ */
+export function updateAvailability(current, patch, now = Date.now()) {
+  const next = { ...defaultAvailability(), ...current };
+
+  if (patch.timeZone !== undefined) {
+    if (typeof patch.timeZone !== "string" || !isValidTimeZone(patch.timeZone)) {
+      return { availability: null, error: `Unknown time zone "${patch.timeZone}".` };
+    }
+    next.timeZone = patch.timeZone;
+  }
+  if (patch.studyWindow !== undefined) {
+    const { start, end } = patch.studyWindow || {};
+    if (!TIME_RE.test(start || "") || !TIME_RE.test(end || "") || toMinutes(end) <= toMinutes(start)) {
+      return { availability: null, error: '"studyWindow" needs HH:MM "start" before "end".' };
+    }
+    next.studyWindow = { start, end };
+  }
+  if (patch.weeklyBusy !== undefined) {
+    const { slots, error } = normalizeWeeklySlots(patch.weeklyBusy);
+    if (error) return { availability: null, error };
+    next.weeklyBusy = slots;
+  }
+
+  next.updatedAt = now;
+  return { availability: next, error: null };
+}
+
+/**
+ * Replaces everything that came from a previous calendar import with a new one.
+ * Manually entered weekly slots are kept. Recurring events that have already ended
+ * (e.g. last term's lectures) are dropped along with past one-off events.
+ */
+export function applyCalendarImport(current, { events, weekly }, now = Date.now()) {
+  const availability = { ...defaultAvailability(), ...current };
+  const cutoff = addDays(todayIn(availability.timeZone, now), -EVENT_RETENTION_DAYS);
+  return {
+    ...availability,
+    weeklyBusy: [
+      ...availability.weeklyBusy.filter((s) => s.source !== "ics"),
+      ...weekly.filter((s) => !s.until || s.until >= cutoff).map((s) => ({ ...s, source: "ics" })),
+    ],
+    events: events.filter((e) => e.end.slice(0, 10) >= cutoff),
+    updatedAt: now,
+  };
+}
+
+/**
+ * Busy intervals on one date as sorted, merged `[startMinute, endMinute)` pairs.
+ * Time outside the study window counts as busy.
+ */
+export function busyIntervals(availability, dateStr) {
+  const window = availability.studyWindow || DEFAULT_STUDY_WINDOW;
+  const intervals = [
+    [0, toMinutes(window.start)],
+    [toMinutes(window.end), 24 * 60],
+  ];
+
+  for (const slot of availability.weeklyBusy || []) {
+    if (weeklySlotOccursOn(slot, dateStr)) intervals.push([toMinutes(slot.start), toMinutes(slot.end)]);
+  }
+
+  for (const event of availability.events || []) {
+    const startDate = event.start.slice(0, 10);
+    const endDate = event.end.slice(0, 10);
+    if (dateStr < startDate || dateStr > endDate) continue;
+    const from = dateStr === startDate ? toMinutes(event.start.slice(11)) : 0;
+    const to = dateStr === endDate ? toMinutes(event.end.slice(11)) : 24 * 60;
+    if (to > from) intervals.push([from, to]);
+  }
+
+  intervals.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [s, e] of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  return merged;
+}
+
+/**
+ * Free windows on one date as `[startMinute, endMinute)` pairs.
+ */
+export function freeWindows(availability, dateStr) {
+  const free = [];
+  let cursor = 0;
+  for (const [s, e] of busyIntervals(availability, dateStr)) {
+    if (s > cursor) free.push([cursor, s]);
+    cursor = Math.max(cursor, e);
+  }
+  if (cursor < 24 * 60) free.push([cursor, 24 * 60]);
+  return free;
+}
+
+/**
+ * Prompt section listing free time for the first days of a plan starting on `startDate`.
+ */
+export function describeFreeTime(availability, startDate, days = PROMPT_DAYS) {
+  const lines = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDays(startDate, i);
+    const windows = freeWindows(availability, date).map(([s, e]) => `${fromMinutes(s)}-${fromMinutes(e)}`);
+    lines.push(`Day ${i + 1} (${WEEKDAY_NAMES[weekdayOf(date)]} ${date}): ${windows.length ? windows.join(", ") : "no free time"}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Makes sure no block overlaps busy time.
+ *
+ * For each day, blocks are placed in order: a block keeps its time if that slot is free,
+ * otherwise it moves to the next free gap that fits (after the previous block when
+ * possible). If a block cannot fit anywhere on its day the plan is rejected.
+ *
+ * Returns `{ plan, errors, moved }`; `plan` is null when rejected. `moved` lists the blocks
+ * whose start time changed so the caller can mention it.
+ */
+export function fitPlanToAvailability(plan, availability, startDate) {
+  const errors = [];
+  const moved = [];
+  const defaultStart = availability.studyWindow?.start || DEFAULT_STUDY_WINDOW.start;
+  const wantedStart = new Map(
+    layoutBlocks(plan, { startDate, defaultStart }).map((p) => [p.block.id, p.start.getUTCHours() * 60 + p.start.getUTCMinutes()])
+  );
+
+  const days = plan.days.map((day) => {
+    const date = addDays(startDate, day.day - 1);
+    const busy = busyIntervals(availability, date);
+    let cursor = 0;
+
+    const blocks = day.blocks.map((block) => {
+      const wanted = wantedStart.get(block.id);
+      const fits = (s) => s + block.minutes <= 24 * 60 && !busy.some(([bs, be]) => s < be && bs < s + block.minutes);
+      const candidates = (from) => [from, ...busy.map(([, be]) => be).filter((be) => be >= from)];
+
+      // Prefer the slot the model chose, then the next gap after it, then anything later
+      // than the previous block, and only then an earlier gap on the same day.
+      const start =
+        candidates(Math.max(cursor, wanted)).find(fits) ?? candidates(cursor).find(fits) ?? candidates(0).find(fits) ?? null;
+
+      if (start === null) {
+        errors.push(`Block ${block.id} (${block.minutes} min) does not fit into free time on day ${day.day} (${date}).`);
+        return block;
+      }
+
+      busy.push([start, start + block.minutes]);
+      busy.sort((a, b) => a[0] - b[0]);
+      cursor = start + block.minutes;
+
+      const time = fromMinutes(start);
+      if (block.start !== time && block.start !== null) moved.push({ blockId: block.id, from: block.start, to: time });
+      return { ...block, start: time };
+    });
+
+    return { ...day, blocks };
+  });
+
+  if (errors.length > 0) return { plan: null, errors, moved };
+  return { plan: { ...plan, days }, errors: [], moved };
+}
@@ -0,0 +1,141 @@
+/**
+ * Spaced-Repetition Flashcards
+ *
+ * Cards are generated from the active plan's topic and tasks, stored in the user's
+ * state under `flashcards`, and scheduled with SM-2 (the algorithm behind classic Anki):
+ *
+ *   card = { id, front, back, topic, sessionId, createdAt,
+ *            ease, interval, repetitions, lapses, due, lastReviewedAt }
+ *
+ * GRADES (0-5, SM-2 scale):
+ * - 0-2: forgotten. Repetitions reset and the card comes back tomorrow.
+ * - 3-5: remembered. The interval grows 1 -> 6 -> interval * ease days.
+ * The ease factor moves with each grade and never drops below 1.3.
+ */
+
+import { extractJson, repairJson } from "./plan.js";
+import { generateText } from "./inference.js";
+import { listTasks } from "./progress.js";
+import { buildMessages, isClean } from "./prompts.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+export const DEFAULT_CARD_COUNT = 8;
+const MAX_CARD_COUNT = 20;
+
+export function newCard({ front, back, topic, sessionId }, now = Date.now()) {
+  return {
+    id: crypto.randomUUID(),
+    front,
+    back,
+    topic: topic || "",
+    sessionId: sessionId || null,
+    createdAt: now,
+    ease: DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    // New cards are due immediately.
+    due: now,
+    lastReviewedAt: null,
+  };
+}
+
+/**
+ * Applies one SM-2 review. Returns an updated copy of the card.
+ */
+export function reviewCard(card, grade, now = Date.now()) {
+  const q = Math.max(0, Math.min(5, Math.round(grade)));
+  let { ease, interval, repetitions, lapses } = card;
+
+  if (q < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    if (repetitions === 0) interval = 1;
+    else if (repetitions === 1) interval = 6;
+    else interval = Math.round(interval * ease);
+    repetitions += 1;
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  return {
+    ...card,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    due: now + interval * DAY_MS,
+    lastReviewedAt: now,
+  };
+}
+
+/**
+ * Cards whose due time has passed, most overdue first.
+ */
+export function dueCards(cards, now = Date.now(), limit = 20) {
+  return cards
+    .filter((c) => c.due <= now)
+    .sort((a, b) => a.due - b.due)
+    .slice(0, limit);
+}
+
+/**
+ * Asks the model for question/answer pairs grounded in the session's plan.
+ * Duplicates of existing cards (same front, case-insensitive) are dropped.
+ * `context` is what we remember about the learner (see `memory.js`), used to pitch the cards.
+ */
+export async function generateCards(env, purpose, session, existingCards = [], { count = DEFAULT_CARD_COUNT, context = "" } = {}) {
+  const plan = session.plan;
+  const topic = (typeof plan === "object" && plan?.topic) || session.goal || "";
+  const tasks = listTasks(plan);
+  const material = tasks.length
+    ? tasks.map((t) => `- ${t.description}${t.topics.length ? ` [${t.topics.join(", ")}]` : ""}`).join("\n")
+    : String(plan || "");
+
+  const n = Math.max(1, Math.min(MAX_CARD_COUNT, count));
+  const systemPrompt = `
+Write ${n} flashcards that test the key facts and concepts of the study plan in the PLAN TASKS block.
+Pitch them using the ABOUT THE LEARNER block when present.
+
+RULES:
+- One fact or concept per card. Front is a question, back is a short answer (max 2 sentences).
+- No yes/no questions.
+- Return ONLY JSON: {"cards": [{"front": string, "back": string}]}
+`;
+
+  const { text } = await generateText(env, purpose, {
+    messages: buildMessages({
+      system: systemPrompt,
+      data: { TOPIC: topic, "PLAN TASKS": material, "ABOUT THE LEARNER": context },
+      user: `Make ${n} flashcards on ${topic}.`,
+    }),
+    max_tokens: 1500,
+  });
+
+  const raw = extractJson(text);
+  if (!raw) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(repairJson(raw));
+  } catch {
+    return [];
+  }
+
+  const seen = new Set(existingCards.map((c) => c.front.trim().toLowerCase()));
+  const now = Date.now();
+  const cards = [];
+  for (const item of Array.isArray(parsed?.cards) ? parsed.cards : []) {
+    const front = typeof item?.front === "string" ? item.front.trim() : "";
+    const back = typeof item?.back === "string" ? item.back.trim() : "";
+    // Cards are shown back to the model as context later, so instruction-like text is dropped.
+    if (!front || !back || seen.has(front.toLowerCase()) || !isClean(front) || !isClean(back)) continue;
+    seen.add(front.toLowerCase());
+    cards.push(newCard({ front, back, topic, sessionId: session.id }, now));
+  }
+  return cards.slice(0, n);
+}
@@ -0,0 +1,147 @@
+/**
+ * Focus Sessions (Pomodoro Tracking)
+ *
+ * Task check-offs say *what* was done; a focus session records *when* and *for how long*.
+ * Each one times real work on one block of a plan and is kept in `state.focusSessions`:
+ *
+ *   focus = {
+ *     id, sessionId, goalId, blockId, blockTitle, plannedMinutes,
+ *     status: "running" | "paused" | "stopped",
+ *     startedAt, endedAt,
+ *     segments: [{ start, end }],     // stretches of actual work; `end` is null while running
+ *     pauses: [{ at, reason }],       // "break" (a planned Pomodoro break) or "interruption"
+ *     actualMinutes, interruptions    // filled in when the session stops
+ *   }
+ *
+ * RULES:
+ * - Only time inside segments counts, so breaks and interruptions are not study time.
+ * - At most one focus session is open (running or paused) at a time.
+ * - A segment is capped at MAX_SEGMENT_MINUTES, so a timer left running overnight doesn't
+ *   turn into a ten-hour study session.
+ *
+ * The Pomodoro cycle itself (25 minutes of work, then a break) is driven by the client; it
+ * pauses with reason "break" when a cycle ends and resumes when the break is over.
+ */
+
+import { replaceSession } from "./progress.js";
+
+export const PAUSE_REASONS = ["break", "interruption"];
+export const MAX_SEGMENT_MINUTES = 120;
+// How many recent focus sessions `GET /api/focus` returns.
+export const RECENT_FOCUS_LIMIT = 20;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * The focus session that is running or paused, or null.
+ */
+export function openFocus(state) {
+  return state.focusSessions.find((f) => f.status !== "stopped") || null;
+}
+
+/**
+ * Finds a block by id in a structured plan. Legacy string plans have no blocks.
+ */
+export function findBlock(plan, blockId) {
+  if (!plan || typeof plan !== "object" || !Array.isArray(plan.days)) return null;
+  for (const day of plan.days) {
+    const block = day.blocks.find((b) => b.id === blockId);
+    if (block) return block;
+  }
+  return null;
+}
+
+/**
+ * Minutes of actual work so far (segments only, each capped). Rounded to 0.1.
+ */
+export function workedMinutes(focus, now = Date.now()) {
+  const ms = focus.segments.reduce((sum, s) => sum + Math.min((s.end ?? now) - s.start, MAX_SEGMENT_MINUTES * MINUTE_MS), 0);
+  return Math.round((ms / MINUTE_MS) * 10) / 10;
+}
+
+/**
+ * Starts timing `blockId` of the plan in `session`. The caller checks that no other focus
+ * session is open and that the block exists.
+ * Returns `{ state, focus }`.
+ */
+export function startFocus(state, session, block, now = Date.now()) {
+  const focus = {
+    id: `focus-${now}`,
+    sessionId: session.id,
+    goalId: session.goalId ?? null,
+    blockId: block.id,
+    blockTitle: block.title,
+    plannedMinutes: block.minutes,
+    status: "running",
+    startedAt: now,
+    endedAt: null,
+    segments: [{ start: now, end: null }],
+    pauses: [],
+    actualMinutes: null,
+    interruptions: null,
+  };
+  return { state: { ...state, focusSessions: [...state.focusSessions, focus] }, focus };
+}
+
+/**
+ * Why `focus` can't go through `transition` ("pause" | "resume" | "stop"), or null if it can.
+ */
+export function transitionError(focus, transition) {
+  if (!focus) return "No focus session is running.";
+  if (transition === "pause" && focus.status !== "running") return "The focus session is already paused.";
+  if (transition === "resume" && focus.status !== "paused") return "The focus session is not paused.";
+  return null;
+}
+
+function closeSegment(focus, now) {
+  const segments = focus.segments.map((s) => (s.end === null ? { ...s, end: now } : s));
+  return { ...focus, segments };
+}
+
+export function pauseFocus(focus, reason = "interruption", now = Date.now()) {
+  return { ...closeSegment(focus, now), status: "paused", pauses: [...focus.pauses, { at: now, reason }] };
+}
+
+export function resumeFocus(focus, now = Date.now()) {
+  return { ...focus, status: "running", segments: [...focus.segments, { start: now, end: null }] };
+}
+
+export function stopFocus(focus, now = Date.now()) {
+  const closed = closeSegment(focus, now);
+  return {
+    ...closed,
+    status: "stopped",
+    endedAt: now,
+    actualMinutes: workedMinutes(closed, now),
+    interruptions: focus.pauses.filter((p) => p.reason === "interruption").length,
+  };
+}
+
+/**
+ * Writes `focus` back into the log. A stopped session also updates the timed totals on the
+ * plan session it belongs to (see `focusTotals`).
+ */
+export function replaceFocus(state, focus) {
+  const focusSessions = state.focusSessions.map((f) => (f.id === focus.id ? focus : f));
+  const next = { ...state, focusSessions };
+  if (focus.status !== "stopped") return next;
+  const focusTotals = summarizeFocus(focusSessions.filter((f) => f.sessionId === focus.sessionId));
+  return replaceSession(next, focus.sessionId, (s) => ({ ...s, focusTotals }));
+}
+
+/**
+ * Totals over stopped focus sessions:
+ * `{ sessions, plannedMinutes, actualMinutes, interruptions, overruns }`.
+ * `overruns` counts sessions that took more than 20% longer than their block was planned for.
+ */
+export function summarizeFocus(focusSessions) {
+  const stopped = focusSessions.filter((f) => f.status === "stopped");
+  const sum = (pick) => Math.round(stopped.reduce((total, f) => total + (pick(f) || 0), 0) * 10) / 10;
+  return {
+    sessions: stopped.length,
+    plannedMinutes: sum((f) => f.plannedMinutes),
+    actualMinutes: sum((f) => f.actualMinutes),
+    interruptions: sum((f) => f.interruptions),
+    overruns: stopped.filter((f) => f.plannedMinutes > 0 && f.actualMinutes > f.plannedMinutes * 1.2).length,
+  };
+}
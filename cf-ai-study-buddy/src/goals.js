@@ -0,0 +1,182 @@
+/**
+ * Multiple Concurrent Goals
+ *
+ * A goal is one thing the user is studying for ("Chemistry midterm", "Learn Rust"):
+ *
+ *   goal = { id, title, topic, createdAt, updatedAt, currentSessionId }
+ *
+ * - Every session in `sessions` carries a `goalId`, so each goal has its own plan history
+ *   and outcomes.
+ * - `activeGoalId` picks the goal the chat is about. `lastSession` is always a copy of the
+ *   active goal's current session, which keeps every existing handler working unchanged.
+ * - Switching goals (chat or REST) just swaps `activeGoalId` and `lastSession`.
+ * - A goal's sessions form its version chain (`version`, `parentId`); see `versions.js`.
+ */
+
+// Words that say nothing about *what* is being studied.
+const STOPWORDS = new Set(
+  (
+    "a an the and or but of for on about to in at by with my me i we you it this that these those is are be am was were do does " +
+    "did have has had can could should would will shall may might must please just really very so too also more less some any " +
+    "plan plans planning schedule agenda block blocks timetable routine session sessions study studying learn learning review " +
+    "prep prepare make create build give need want new another second separate different switch back go move return jump work " +
+    "working course class subject goal goals exam test today tomorrow tonight week weeks weekend day days month months hour " +
+    "hours minute minutes min mins next this morning evening night now later time one two three four five six seven eight nine ten " +
+    "basics intro introduction fundamentals overview"
+  ).split(" ")
+);
+
+export function topicTokens(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9+#]+/)
+      .filter((w) => w.length > 1 && !STOPWORDS.has(w) && !/^\d+$/.test(w))
+  );
+}
+
+function goalTokens(goal, sessions) {
+  const current = sessions.find((s) => s.id === goal.currentSessionId);
+  const planTopic = current && typeof current.plan === "object" ? `${current.plan.title} ${current.plan.topic}` : "";
+  return topicTokens(`${goal.title} ${goal.topic} ${current?.goal || ""} ${planTopic}`);
+}
+
+/**
+ * Best-matching goal for free text ("switch to my chemistry plan"), or null.
+ * `exclude` skips a goal id (usually the active one).
+ */
+export function findGoalByText(state, text, { exclude } = {}) {
+  const words = topicTokens(text);
+  if (words.size === 0) return null;
+
+  let best = null;
+  let bestScore = 0;
+  for (const goal of state.goals) {
+    if (goal.id === exclude) continue;
+    const tokens = goalTokens(goal, state.sessions);
+    const score = [...words].filter((w) => tokens.has(w)).length;
+    if (score > bestScore) {
+      best = goal;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Decides whether a planning request is about something other than the active goal.
+ *
+ * TRUE when:
+ * - The user explicitly asks for a new/another/separate plan.
+ * - The message names a topic that matches a different goal.
+ * - The message says "plan for/on/about X" and X shares no words with the active goal.
+ * Generic edits ("make the plan shorter") have no topic words, so they stay revisions.
+ */
+export function wantsSeparatePlan(state, text) {
+  if (/\b(new|another|second|separate|different)\b/.test(text)) return true;
+  const active = state.goals.find((g) => g.id === state.activeGoalId);
+  if (!active) return true;
+  if (findGoalByText(state, text, { exclude: active.id })) return true;
+
+  const topicMatch = text.match(/\b(?:for|on|about)\s+(.+)$/);
+  if (!topicMatch) return false;
+  const words = topicTokens(topicMatch[1]);
+  if (words.size === 0) return false;
+  const activeTokens = goalTokens(active, state.sessions);
+  return ![...words].some((w) => activeTokens.has(w));
+}
+
+/**
+ * Records `session` as the newest plan of a goal and makes that goal active.
+ *
+ * Target goal: the session's `goalId` if it has one (revisions), otherwise an existing goal
+ * whose topic matches the new plan, otherwise a brand-new goal.
+ * Returns the new state, with the session tagged and appended to `sessions`. The session
+ * becomes the goal's next version, with the goal's previous current session as its parent.
+ */
+export function attachSession(state, session, now = Date.now()) {
+  const plan = typeof session.plan === "object" ? session.plan : null;
+  let goal = session.goalId ? state.goals.find((g) => g.id === session.goalId) : null;
+  if (!goal) goal = findGoalByText(state, plan ? `${plan.topic} ${plan.title}` : session.goal);
+
+  let goals;
+  let version = 1;
+  let parentId = null;
+  if (goal) {
+    version = Math.max(0, ...state.sessions.filter((s) => s.goalId === goal.id).map((s) => s.version ?? 0)) + 1;
+    parentId = goal.currentSessionId ?? null;
+    goal = { ...goal, currentSessionId: session.id, updatedAt: now };
+    goals = state.goals.map((g) => (g.id === goal.id ? goal : g));
+  } else {
+    goal = {
+      id: `goal-${session.id}`,
+      title: plan?.topic || plan?.title || String(session.goal || "Study goal").slice(0, 60),
+      topic: plan?.topic || "",
+      createdAt: now,
+      updatedAt: now,
+      currentSessionId: session.id,
+    };
+    goals = [...state.goals, goal];
+  }
+
+  const tagged = { ...session, goalId: goal.id, version, parentId };
+  return {
+    ...state,
+    goals,
+    activeGoalId: goal.id,
+    lastSession: tagged,
+    sessions: [...state.sessions, tagged],
+  };
+}
+
+/**
+ * Makes `goalId` the active goal. Returns null if there is no such goal.
+ */
+export function activateGoal(state, goalId) {
+  const goal = state.goals.find((g) => g.id === goalId);
+  if (!goal) return null;
+  const current = state.sessions.find((s) => s.id === goal.currentSessionId) || null;
+  return { ...state, activeGoalId: goal.id, lastSession: current };
+}
+
+/**
+ * Goal list for the API/UI: each goal with its current plan summary and outcome history.
+ */
+export function summarizeGoals(state) {
+  return state.goals.map((goal) => {
+    const sessions = state.sessions.filter((s) => s.goalId === goal.id);
+    const current = sessions.find((s) => s.id === goal.currentSessionId) || null;
+    return {
+      ...goal,
+      active: goal.id === state.activeGoalId,
+      planCount: sessions.length,
+      completion: current?.completion || null,
+      outcomes: sessions.filter((s) => s.outcomeNote).map((s) => ({ sessionId: s.id, timestamp: s.timestamp, outcomeNote: s.outcomeNote })),
+    };
+  });
+}
+
+/**
+ * Builds the goal list for state saved before goals existed: everything so far was one goal.
+ */
+export function legacyGoals(stored) {
+  const last = stored.lastSession;
+  if (!last) return { goals: [], activeGoalId: null, sessions: stored.sessions || [], lastSession: null };
+
+  const goalId = last.goalId || `goal-${last.id}`;
+  const plan = typeof last.plan === "object" ? last.plan : null;
+  const goal = {
+    id: goalId,
+    title: plan?.topic || plan?.title || String(last.goal || "Study goal").slice(0, 60),
+    topic: plan?.topic || "",
+    createdAt: last.timestamp || Date.now(),
+    updatedAt: last.timestamp || Date.now(),
+    currentSessionId: last.id,
+  };
+  return {
+    goals: [goal],
+    activeGoalId: goalId,
+    sessions: (stored.sessions || []).map((s) => (s.goalId ? s : { ...s, goalId })),
+    lastSession: { ...last, goalId },
+  };
+}
@@ -0,0 +1,373 @@
+/**
+ * iCalendar (RFC 5545) Export
+ *
+ * Turns a structured plan into a VCALENDAR where every study block is one VEVENT:
+ * - DTSTART: plan day N lands on `startDate + (N - 1)` days, at the block's `start` time.
+ *   Blocks without a start time are chained after the previous block of the same day,
+ *   beginning at `defaultStart`.
+ * - DURATION: the block's minutes.
+ * - DESCRIPTION: the block's tasks, one per line.
+ *
+ * Times are "floating" (no TZID / no Z), which RFC 5545 defines as local time wherever
+ * the calendar is opened. That matches how users think about "study at 18:00".
+ *
+ * The module also has a small importer (`parseIcs`) for the user's own calendar, used to
+ * find busy time. It understands what real calendar exports contain for this purpose:
+ * timed and all-day events, DTEND or DURATION, UTC / TZID / floating times, and weekly RRULEs
+ * with UNTIL, COUNT, INTERVAL and EXDATE.
+ */
+
+const CRLF = "\r\n";
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Escapes TEXT values (RFC 5545 §3.3.11).
+ */
+export function escapeText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line at 75 octets (RFC 5545 §3.1). Continuation lines start with a space.
+ * Splits on code points so multi-byte characters are never cut in half.
+ */
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines lose one octet to the leading space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function formatUtcStamp(ms) {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+// Works on a UTC Date used purely as a calendar date + wall-clock time container.
+function formatFloating(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+}
+
+function toMinutesOfDay(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Lays out every block of the plan on the calendar.
+ * Returns `[{ block, day, start: Date, minutes }]` with `start` as a floating wall-clock time.
+ * Availability checks use the same layout, so both features agree on where blocks land.
+ */
+export function layoutBlocks(plan, { startDate, defaultStart = "09:00" }) {
+  const [y, mo, d] = startDate.split("-").map(Number);
+  const placed = [];
+
+  for (const day of plan.days) {
+    let cursor = toMinutesOfDay(defaultStart);
+    for (const block of day.blocks) {
+      const startMinutes = block.start ? toMinutesOfDay(block.start) : cursor;
+      const start = new Date(Date.UTC(y, mo - 1, d + day.day - 1, 0, startMinutes));
+      placed.push({ block, day: day.day, start, minutes: block.minutes });
+      cursor = startMinutes + block.minutes;
+    }
+  }
+  return placed;
+}
+
+/**
+ * Builds the .ics text for one session. Throws if the session has no structured plan.
+ * `startDate` ("YYYY-MM-DD") defaults to the session's creation date.
+ */
+export function planToIcs(session, { startDate, defaultStart = "09:00", now = Date.now() } = {}) {
+  const plan = session.plan;
+  if (!plan || typeof plan !== "object" || !Array.isArray(plan.days)) {
+    throw new Error("This plan has no structured blocks to export.");
+  }
+  if (startDate && !DATE_RE.test(startDate)) throw new Error('"start" must be YYYY-MM-DD.');
+  if (!TIME_RE.test(defaultStart)) throw new Error('"defaultStart" must be HH:MM.');
+
+  const baseDate = startDate || new Date(session.timestamp || now).toISOString().slice(0, 10);
+  const stamp = formatUtcStamp(now);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//cf-ai-study-buddy//Study Plan Export//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(plan.title)}`,
+  ];
+
+  for (const { block, day, start, minutes } of layoutBlocks(plan, { startDate: baseDate, defaultStart })) {
+    const description = [
+      ...block.tasks.map((t) => `- ${t.description} (${t.minutes} min)${t.topics.length ? ` [${t.topics.join(", ")}]` : ""}`),
+      "",
+      `Plan: ${plan.title} (day ${day})`,
+    ].join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${session.id}-${block.id}@cf-ai-study-buddy`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatFloating(start)}`,
+      `DURATION:PT${minutes}M`,
+      `SUMMARY:${escapeText(`${plan.topic || plan.title}: ${block.title}`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      "CATEGORIES:STUDY",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+
+// --- IMPORT ---
+
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A Monday, so week numbers change on Mondays (RFC 5545's default WKST).
+const MONDAY_EPOCH = Date.UTC(1970, 0, 5);
+
+/**
+ * Converts an absolute instant to wall-clock parts in `timeZone`.
+ */
+export function wallClockIn(ms, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(new Date(ms))
+      .map((p) => [p.type, p.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+function isKnownTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The instant at which the wall clock in `timeZone` shows `floating` ("YYYY-MM-DDTHH:MM").
+function zonedToUtc(floating, timeZone) {
+  const asUtc = Date.parse(`${floating}:00Z`);
+  let ms = asUtc;
+  // Twice, so a DST change between the guess and the answer is picked up.
+  for (let i = 0; i < 2; i++) ms = asUtc - (Date.parse(`${wallClockIn(ms, timeZone)}:00Z`) - ms);
+  return ms;
+}
+
+/**
+ * Parses an iCalendar DATE or DATE-TIME value into a floating "YYYY-MM-DDTHH:MM" string.
+ * UTC values ("...Z") and values with a `tzid` are shifted into `timeZone`. Floating values,
+ * and TZIDs that aren't IANA names (some exporters write Windows zone names), are taken as
+ * wall-clock time in the user's own zone.
+ */
+function parseIcsDate(value, timeZone, tzid = null) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, , z] = match;
+  if (h === undefined) return { value: `${y}-${mo}-${d}T00:00`, allDay: true };
+  if (z) return { value: wallClockIn(Date.UTC(+y, +mo - 1, +d, +h, +mi), timeZone), allDay: false };
+  const floating = `${y}-${mo}-${d}T${h}:${mi}`;
+  if (tzid && tzid !== timeZone && isKnownTimeZone(tzid)) {
+    return { value: wallClockIn(zonedToUtc(floating, tzid), timeZone), allDay: false };
+  }
+  return { value: floating, allDay: false };
+}
+
+/**
+ * Parses an iCalendar DURATION (e.g. "PT1H30M", "P1D") into minutes.
+ */
+function parseDuration(value) {
+  const match = value.match(/^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, w = 0, d = 0, h = 0, m = 0] = match;
+  return ((+w * 7 + +d) * 24 + +h) * 60 + +m;
+}
+
+function addMinutes(floating, minutes) {
+  const [date, time] = floating.split("T");
+  const [y, mo, d] = date.split("-").map(Number);
+  const [h, mi] = time.split(":").map(Number);
+  const t = new Date(Date.UTC(y, mo - 1, d, h, mi + minutes));
+  return t.toISOString().slice(0, 16);
+}
+
+const dayNumber = (dateStr) => Math.round((Date.parse(`${dateStr}T00:00Z`) - MONDAY_EPOCH) / DAY_MS);
+
+/**
+ * Whether a weekly slot falls on `dateStr` ("YYYY-MM-DD"): the right weekday, not before
+ * `from` or after `until`, not listed in `except`, and in every `interval`-th week counted
+ * from the week of `from`. Manually entered slots only have a weekday.
+ */
+export function weeklySlotOccursOn(slot, dateStr) {
+  if (new Date(`${dateStr}T00:00Z`).getUTCDay() !== slot.weekday) return false;
+  if (slot.from && dateStr < slot.from) return false;
+  if (slot.until && dateStr > slot.until) return false;
+  if (slot.except?.includes(dateStr)) return false;
+  if (slot.interval > 1 && slot.from) {
+    const weeks = Math.floor(dayNumber(dateStr) / 7) - Math.floor(dayNumber(slot.from) / 7);
+    if (weeks % slot.interval !== 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Extracts busy time from an .ics file.
+ *
+ * Returns:
+ * - events: one-off busy intervals `{ start, end, summary }` as floating "YYYY-MM-DDTHH:MM".
+ * - weekly: recurring busy slots from `RRULE:FREQ=WEEKLY` events:
+ *     { weekday (0 = Sunday), start: "HH:MM", end: "HH:MM", label,
+ *       from: "YYYY-MM-DD", until?: "YYYY-MM-DD", interval?: weeks, except?: ["YYYY-MM-DD"] }
+ *   COUNT is turned into the matching `until`; EXDATEs become `except`.
+ * Cancelled events and events marked TRANSP:TRANSPARENT (shown as "free") are skipped.
+ * All times end up in `timeZone`. A recurring event in another zone keeps the offset of its
+ * first occurrence, so it can be an hour off on the weeks between the two zones' DST changes.
+ */
+export function parseIcs(text, { timeZone = "UTC" } = {}) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  const weekly = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = { TZID: {}, EXDATE: [] };
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (current) collectEvent(current, timeZone, events, weekly);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    const [rawName, ...params] = line.slice(0, colon).split(";");
+    const name = rawName.toUpperCase();
+    const value = line.slice(colon + 1).trim();
+    const tzid = params.find((p) => /^TZID=/i.test(p))?.slice(5).replace(/^"|"$/g, "") || null;
+    // EXDATE may repeat and list several dates; everything else keeps its last value.
+    if (name === "EXDATE") {
+      current.EXDATE.push(...value.split(",").map((v) => ({ value: v.trim(), tzid })));
+      continue;
+    }
+    current[name] = value;
+    if (tzid) current.TZID[name] = tzid;
+  }
+
+  return { events, weekly };
+}
+
+function collectEvent(raw, timeZone, events, weekly) {
+  if (raw.STATUS === "CANCELLED" || raw.TRANSP === "TRANSPARENT" || !raw.DTSTART) return;
+
+  const start = parseIcsDate(raw.DTSTART, timeZone, raw.TZID.DTSTART);
+  if (!start) return;
+
+  let end = raw.DTEND ? parseIcsDate(raw.DTEND, timeZone, raw.TZID.DTEND)?.value : null;
+  if (!end && raw.DURATION) {
+    const minutes = parseDuration(raw.DURATION);
+    if (minutes !== null) end = addMinutes(start.value, minutes);
+  }
+  // RFC 5545: no end means the event lasts one day (all-day) or zero time (timed).
+  if (!end) end = start.allDay ? addMinutes(start.value, 24 * 60) : start.value;
+  if (end <= start.value) return;
+
+  const summary = (raw.SUMMARY || "Busy").replace(/\\([,;\\])/g, "$1").replace(/\\n/gi, " ");
+  const rrule = Object.fromEntries((raw.RRULE || "").split(";").filter(Boolean).map((p) => p.split("=")));
+
+  if (rrule.FREQ === "WEEKLY" && !start.allDay && start.value.slice(0, 10) === end.slice(0, 10)) {
+    weekly.push(...weeklySlots(raw, rrule, start.value, end, summary, timeZone));
+    return;
+  }
+
+  events.push({ start: start.value, end, summary });
+}
+
+// One slot per BYDAY weekday of a weekly RRULE, limited by UNTIL / COUNT / INTERVAL / EXDATE.
+function weeklySlots(raw, rrule, start, end, label, timeZone) {
+  const from = start.slice(0, 10);
+  // BYDAY is in the event's own zone; moving into the user's zone can shift it by a day.
+  const shift = dayNumber(from) - dayNumber(`${raw.DTSTART.slice(0, 4)}-${raw.DTSTART.slice(4, 6)}-${raw.DTSTART.slice(6, 8)}`);
+  const weekdays = rrule.BYDAY
+    ? rrule.BYDAY.split(",")
+        .map((code) => WEEKDAY_CODES.indexOf(code.slice(-2)))
+        .filter((d) => d >= 0)
+        .map((d) => (d + shift + 7) % 7)
+    : [new Date(`${from}T00:00Z`).getUTCDay()];
+
+  const limits = { from };
+  const interval = parseInt(rrule.INTERVAL, 10);
+  if (interval > 1) limits.interval = interval;
+  if (rrule.UNTIL) {
+    const until = parseIcsDate(rrule.UNTIL, timeZone, raw.TZID.DTSTART);
+    if (until) limits.until = until.value.slice(0, 10);
+  }
+  const count = parseInt(rrule.COUNT, 10);
+  if (count > 0) {
+    const last = lastOccurrence(weekdays, from, limits.interval || 1, count);
+    if (last && (!limits.until || last < limits.until)) limits.until = last;
+  }
+  const except = [
+    ...new Set(raw.EXDATE.map((ex) => parseIcsDate(ex.value, timeZone, ex.tzid || raw.TZID.DTSTART)?.value.slice(0, 10)).filter(Boolean)),
+  ].sort();
+  if (except.length) limits.except = except;
+
+  return weekdays.map((weekday) => ({ weekday, start: start.slice(11), end: end.slice(11), label, ...limits }));
+}
+
+// The date of the `count`-th occurrence of a rule on `weekdays` (0 = Sunday) every
+// `interval` weeks starting at `from`, worked out from the week arithmetic rather than by
+// walking the calendar, since COUNT can be arbitrarily large. Null past year 9999.
+function lastOccurrence(weekdays, from, interval, count) {
+  // Monday-based positions within a week, to match `dayNumber`.
+  const days = [...new Set(weekdays.map((d) => (d + 6) % 7))].sort((a, b) => a - b);
+  if (!days.length) return null;
+  const first = dayNumber(from);
+  const week = Math.floor(first / 7);
+  const firstWeek = days.filter((d) => d >= first - week * 7);
+
+  let day;
+  if (count <= firstWeek.length) {
+    day = week * 7 + firstWeek[count - 1];
+  } else {
+    const rest = count - firstWeek.length;
+    const weeks = Math.ceil(rest / days.length);
+    day = (week + weeks * interval) * 7 + days[rest - (weeks - 1) * days.length - 1];
+  }
+  const date = new Date(MONDAY_EPOCH + day * DAY_MS);
+  return date.getUTCFullYear() <= 9999 ? date.toISOString().slice(0, 10) : null;
+}
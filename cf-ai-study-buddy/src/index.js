@@ -2,178 +2,299 @@
  * Cloudflare Worker: AI Study Planner Agent
  * 
  * ARCHITECTURE OVERVIEW:
- * 1. State Management: Uses Cloudflare KV to store user profiles, long-term session logs, 
- *    and short-term conversation history.
- * 2. Routing Logic: A deterministic router (`chooseAction`) analyzes the user's message 
- *    to decide which "Tool" to use (Plan, Chat, Log, Analyze).
- * 3. AI Execution: Uses `@cf/meta/llama-3.1-8b-instruct-fast`. This model is chosen for 
- *    speed and low latency, which is crucial for a chat interface.
+ * 1. State Management: One Durable Object per user (`state.js`) stores user profiles,
+ *    long-term session logs, and short-term conversation history, and serializes turns.
+ * 2. Routing Logic: A hybrid router (`router.js`) analyzes the user's message 
+ *    to decide which "Tool" to use (Plan, Chat, Log, Analyze). Regex rules handle clear
+ *    cases; a model classifier handles the rest, and low confidence means we ask.
+ * 3. AI Execution: Every model call goes through `inference.js`, which picks the model per
+ *    purpose (`@cf/meta/llama-3.1-8b-instruct-fast` by default, chosen for speed and low
+ *    latency, which is crucial for a chat interface), and adds timeouts, retries, a fallback
+ *    model and token accounting. A model outage becomes a 503 instead of a crash.
+ * 4. Identity: Every route except the health check requires a signed bearer token
+ *    (see `auth.js`). The token's subject is the user id that names the state object.
+ * 5. Reminders: A Cron Trigger (`scheduled`) visits every user and leaves notifications
+ *    for upcoming blocks, overdue plans and broken streaks (see `reminders.js`).
+ * 6. Limits: Routes that call the model are rate limited per IP and per user, and each user
+ *    has a daily token budget (see `limits.js`). Refusals are 429s with `Retry-After`.
  */
 
-const MODEL = "@cf/meta/llama-3.1-8b-instruct-fast";
+export { StudyState } from "./state.js";
+export { RateLimiter } from "./limits.js";
+
+import { authenticate, AuthError } from "./auth.js";
+import { generatePlan, renderPlanText, PLAN_JSON_INSTRUCTIONS } from "./plan.js";
+import { sseEvent } from "./streaming.js";
+import { generateText, inferenceEnv, usageOf, ModelError } from "./inference.js";
+import { generateCards, reviewCard, dueCards, DEFAULT_CARD_COUNT } from "./flashcards.js";
+import { generateQuiz, formatQuestion, gradeMultipleChoice, gradeShortAnswer, summarizeQuiz, mergeWeakAreas } from "./quiz.js";
+import { planToIcs, parseIcs } from "./ics.js";
+import {
+  hasAvailability,
+  updateAvailability,
+  applyCalendarImport,
+  describeFreeTime,
+  fitPlanToAvailability,
+  todayIn,
+} from "./availability.js";
+import { listTasks, validateTaskUpdate, applyTaskUpdates, replaceSession, mapOutcomeToTasks } from "./progress.js";
+import { computeAnalytics, describeAnalytics } from "./analytics.js";
+import { routeMessage } from "./router.js";
+import { buildMessages } from "./prompts.js";
+import { describeMemory, compactHistory, MAX_HISTORY_MESSAGES } from "./memory.js";
+import { updateProfile, applyLearnedSignals, extractProfileSignals, hasPreferenceCue, describeProfile } from "./profile.js";
+import { findGoalByText, attachSession, activateGoal, summarizeGoals } from "./goals.js";
+import { studyStateStub, listUserIds, StaleTurnError, TURN_TIMEOUT_MS } from "./state.js";
+import { migrateState, defaultState, SchemaError } from "./schema.js";
+import { buildArchive, sessionsToCsv, studyJournal, readArchive, mergeArchive } from "./archive.js";
+import { planVersions, describeVersion, diffVersions, rollbackPlan, undoLastChange } from "./versions.js";
+import {
+  openFocus,
+  findBlock,
+  startFocus,
+  transitionError,
+  pauseFocus,
+  resumeFocus,
+  stopFocus,
+  replaceFocus,
+  PAUSE_REASONS,
+  RECENT_FOCUS_LIMIT,
+} from "./focus.js";
+import {
+  collectNudges,
+  addNotifications,
+  pendingNotifications,
+  dismissNotification,
+  updateNotificationSettings,
+} from "./reminders.js";
+import {
+  limitsFor,
+  hitRateLimit,
+  addTokenUsage,
+  quotaStatus,
+  budgetExceeded,
+  describeWait,
+} from "./limits.js";
+import {
+  indexMaterial,
+  removeMaterial,
+  retrieveExcerpts,
+  formatExcerpts,
+  citeSources,
+  planWithoutSources,
+  describeSource,
+  validateUpload,
+  MAX_MATERIALS,
+} from "./materials.js";
 
 // Standard CORS headers to allow a frontend (likely running on localhost or a different domain)
 // to communicate with this worker.
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
 };
 
 // --- STATE MANAGEMENT ---
 
 /**
- * Loads the user's state from Cloudflare KV.
+ * Loads the user's state from their Durable Object (see `state.js`).
  * 
- * DATA STRUCTURE:
- * - profile: Static user preferences (e.g., "weakAreas").
- * - recentHistory: Short-term memory (last few chat turns). Vital for the AI to understand context.
- * - lastSession: The specific plan currently being worked on or discussed.
- * - sessions: Long-term archival of all generated plans (used for pattern analysis).
+ * DATA STRUCTURE (versioned; see `schema.js`):
+ * - schemaVersion: Which migrations the record has been through.
+ * - profile: Learner profile (level, daily budget, preferred hours, tone, weak areas); see `profile.js`.
+ * - recentHistory: Short-term memory (latest chat turns, verbatim). Vital for the AI to understand context.
+ * - memory: Running summary of older turns plus durable facts the user stated (see `memory.js`).
+ * - goals: Everything the user is studying for at once; `activeGoalId` is the one in focus (see `goals.js`).
+ * - lastSession: The current plan of the active goal (the one being worked on or discussed).
+ * - sessions: Long-term archival of all generated plans (used for pattern analysis), each tagged with its `goalId`.
+ * - flashcards: Spaced-repetition cards generated from plans (see `flashcards.js`).
+ * - pendingQuiz: The quiz currently in progress, if any (see `quiz.js`).
+ * - availability: Weekly busy slots and imported calendar events (see `availability.js`).
+ * - tokenUsage: Model tokens spent today, for the daily budget (see `limits.js`).
+ * The full chat transcript is stored beside the state, not in it (see `state.js`).
  */
 async function loadStudyState(env, userId) {
-  const key = `user:${userId}`;
-  const stored = await env.STUDY_STATE_KV.get(key, "json");
-  
-  const defaults = {
-    profile: {
-      prefersShortSentences: true,
-      weakAreas: [],
-    },
-    recentHistory: [], 
-    lastSession: null, 
-    sessions: [], 
-    lastAnalysis: null,
-  };
-
-  if (!stored) return defaults;
+  return normalizeState(await studyStateStub(env, userId).load(userId));
+}
 
-  // Merge stored data with defaults to ensure all arrays exist 
-  // (prevents crashes if the schema changes later).
-  return {
-    ...defaults,
-    ...stored,
-    recentHistory: Array.isArray(stored.recentHistory) ? stored.recentHistory : [],
-    sessions: Array.isArray(stored.sessions) ? stored.sessions : [],
-  };
+/**
+ * Runs the schema migrations (see `schema.js`). A new user gets the default state;
+ * a record that can't be repaired throws `SchemaError`.
+ */
+function normalizeState(stored) {
+  return migrateState(stored);
 }
 
 /**
- * Saves state back to KV.
+ * Saves state back to the user's Durable Object. Pass the `turn` from `beginTurn` when
+ * saving inside one; without it the save waits for any turn in progress. `messages` are
+ * appended to the transcript in the same write (see `transcriptEntries`).
  * 
  * OPTIMIZATION:
- * We slice `recentHistory` to the last 8 messages. 
+ * `recentHistory` is kept small by `compactHistory` (old turns become a summary) before
+ * the chat flow saves. The slice here is only a safety net if compaction keeps failing.
  * - Prevents the Context Window from overflowing (LLMs have limits).
- * - Reduces KV storage costs.
- * - Keeps the AI focused on the *immediate* conversation rather than old topics.
+ * - Keeps the stored state small.
  */
-async function saveStudyState(env, userId, state) {
-  const key = `user:${userId}`;
-  
-  if (state.recentHistory.length > 8) {
-    state.recentHistory = state.recentHistory.slice(-8);
+async function saveStudyState(env, userId, state, turn = null, messages = []) {
+  if (state.recentHistory.length > MAX_HISTORY_MESSAGES) {
+    state.recentHistory = state.recentHistory.slice(-MAX_HISTORY_MESSAGES);
   }
-  await env.STUDY_STATE_KV.put(key, JSON.stringify(state));
+  const saved = await studyStateStub(env, userId).save(state, turn, messages);
+  if (!saved) throw new StaleTurnError();
 }
 
-// --- HELPERS ---
+// Turns in progress in this isolate -> the interval that keeps each one from expiring.
+// A plan with retries can outlast TURN_TIMEOUT_MS, so the turn is extended while the
+// request still runs; if the Worker dies, the extensions stop and the turn expires.
+const turnHeartbeats = new Map();
+const TURN_HEARTBEAT_MS = TURN_TIMEOUT_MS / 3;
 
 /**
- * Converts the array of message objects into a single string for the System Prompt.
- * LLMs read text, not JSON objects, so this formatting is crucial for them 
- * to understand "Who said what".
+ * Starts a turn: waits until no other request is changing this user's state and
+ * returns `{ turn, state }`. Every `beginTurn` needs a matching `endTurn`.
  */
-function formatHistory(history) {
-  if (!history || history.length === 0) return "";
-  return history
-    .map((msg) => `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content}`)
-    .join("\n");
+async function beginTurn(env, userId) {
+  const stub = studyStateStub(env, userId);
+  const { turn, state } = await stub.begin(userId);
+  turnHeartbeats.set(
+    turn,
+    setInterval(() => stub.extend(turn).catch(() => {}), TURN_HEARTBEAT_MS)
+  );
+  try {
+    return { turn, state: normalizeState(state) };
+  } catch (err) {
+    await endTurn(env, userId, turn);
+    throw err;
+  }
+}
+
+async function endTurn(env, userId, turn) {
+  clearInterval(turnHeartbeats.get(turn));
+  turnHeartbeats.delete(turn);
+  await studyStateStub(env, userId).end(turn);
 }
 
 /**
- * Heuristic to detect if the user wants a factual answer ("How do pointers work?")
- * vs a planning action ("Plan my day").
- * 
- * LOGIC:
- * - Must end in a question mark.
- * - Must NOT contain planning keywords (schedule, block).
- * - Must NOT contain self-referential pronouns (I, me, my), as those usually imply personalized advice.
+ * Read-modify-write inside one turn, for the REST routes.
+ * `fn(state)` returns `{ response, state? }`; `state` (if given) is saved before the turn ends.
  */
-function isDirectQuestion(message) {
-  if (!message) return false;
-  const trimmed = message.trim();
-  if (/\b(plan|schedule|session|block)\b/i.test(trimmed)) return false;
-  return /[?？！]$/.test(trimmed) && !/\b(we|I|me|my)\b/i.test(trimmed);
+async function updateStudyState(env, userId, fn) {
+  const { turn, state } = await beginTurn(env, userId);
+  try {
+    const result = await fn(state);
+    if (result.state) await saveStudyState(env, userId, result.state, turn);
+    return result.response;
+  } finally {
+    await endTurn(env, userId, turn);
+  }
 }
 
-// --- ROUTING ---
+// --- HELPERS ---
 
 /**
- * The "Brain" of the agent. It classifies the user's intent to select the right AI prompt.
- * 
- * PRIORITY ORDER:
- * 1. Analysis (meta-discussion about habits).
- * 2. Logging outcomes (reporting on a past session).
- * 3. Creating/Revising plans (explicit keywords).
- * 4. Contextual Agreement (User says "ok" -> implies continuing current flow).
- * 5. General Chat (Fallback / Clarification).
+ * Wraps a JSON body in a Response with the CORS headers every route needs.
  */
-function chooseAction(state, message) {
-  const text = (message || "").toLowerCase();
-  
-  // 1. Analyze Patterns
-  if (/\b(analy[sz]e|pattern|habit|trend|history)\b/.test(text)) {
-    return "analyze_pattern";
-  }
+function jsonResponse(body, init = {}) {
+  return new Response(JSON.stringify(body), {
+    ...init,
+    headers: { "Content-Type": "application/json", ...CORS_HEADERS, ...(init.headers || {}) },
+  });
+}
 
-  // 2. Log Outcome
-  // We only check this if `state.lastSession` exists, because you can't "finish" a plan that doesn't exist.
-  if (
-    /\b(finished|completed|done|did it|failed|stuck|fell behind)\b/.test(text) &&
-    state.lastSession
-  ) {
-    return "log_outcome";
-  }
+/**
+ * A 429 for a refused request. `retryAfter` is in seconds.
+ */
+function tooManyRequests({ error, message, retryAfter }) {
+  return jsonResponse({ error, message, retryAfter }, { status: 429, headers: { "Retry-After": String(retryAfter) } });
+}
 
-  // 3. Planning Triggers (Explicit keywords)
-  if (/\b(plan|schedule|agenda|block|timetable|routine)\b/.test(text)) {
-    // If a session already exists, we assume they want to REVISE it, otherwise CREATE new.
-    return state.lastSession ? "revise_plan" : "create_plan";
-  }
+/**
+ * Counts a request against the per-minute limit for `key`. Returns the 429 to send, or null.
+ */
+async function rateLimited(env, key, limit, who) {
+  const verdict = await hitRateLimit(env, key, limit);
+  if (verdict.allowed) return null;
+  const retryAfter = Math.max(1, Math.ceil(verdict.retryAfterMs / 1000));
+  return tooManyRequests({
+    error: "rate_limited",
+    message: `Too many requests ${who}. Try again in ${describeWait(retryAfter)}.`,
+    retryAfter,
+  });
+}
 
-  // 4. Revision Triggers (Explicit change requests)
-  if (
-    /\b(change|adjust|revise|modify|tweak|shorter|longer)\b/.test(text) &&
-    state.lastSession
-  ) {
-    return "revise_plan";
-  }
+// Page size for `/api/messages`.
+const DEFAULT_MESSAGE_PAGE = 30;
+const MAX_MESSAGE_PAGE = 100;
 
-  // 5. Implicit "Let's do it" (Contextual Agreement)
-  // PROBLEM SOLVED: Previously, if the user said "ok", the bot treated it as a greeting.
-  // NOW: We route this to `general_chat`, but the prompt there knows to look at history 
-  // to see what we are agreeing to.
-  if (/^(ok|okay|sure|fine|yes|go ahead|do it)$/.test(text)) {
-    return "general_chat";
-  }
+// Routes that call the model. They count against the rate limits and the daily budget.
+const MODEL_ROUTES = ["/api/chat", "/api/flashcards/generate", "/api/materials"];
 
-  // 6. Direct Study Intent
-  // If they say "I want to study X", we default to creating a plan.
-  if (/\b(study|learn|review|prep|prepare)\b/.test(text)) {
-    return "create_plan"; 
-  }
+function callsModel(request, url) {
+  return request.method === "POST" && MODEL_ROUTES.includes(url.pathname);
+}
 
-  // 7. Direct Factual Question
-  // Uses the helper to detect "What is a pointer?" vs "How do I study pointers?"
-  if (isDirectQuestion(message)) {
-    return "direct_answer";
-  }
+/**
+ * What we know about the learner: their profile plus remembered facts and the summary
+ * of older turns. Also handed to the flashcard and quiz generators.
+ */
+function learnerContext(state) {
+  return [describeProfile(state.profile), describeMemory(state.memory)].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Converts the conversation memory into a single string for the System Prompt:
+ * the learner context first, then the recent turns verbatim.
+ * LLMs read text, not JSON objects, so this formatting is crucial for them 
+ * to understand "Who said what".
+ */
+function formatHistory(state) {
+  const turns = (state.recentHistory || [])
+    .map((msg) => `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content}`)
+    .join("\n");
+  return [learnerContext(state), turns && `RECENT MESSAGES:\n${turns}`].filter(Boolean).join("\n\n");
+}
 
-  // 8. Fallback
-  // Handles greetings ("Hi"), vague complaints ("I'm tired"), or clarifying questions.
-  return "general_chat";
+/**
+ * Course material for a prompt: the excerpts relevant to `query` (via `hooks.retrieve`, which
+ * the chat route binds to the user) plus the prompt block and instruction that go with them.
+ * Everything is empty when the user has uploaded nothing relevant.
+ */
+async function materialContext(hooks, query) {
+  const excerpts = hooks.retrieve ? await hooks.retrieve(query) : [];
+  if (excerpts.length === 0) return { excerpts, data: {}, prompt: "" };
+  return {
+    excerpts,
+    data: { "COURSE MATERIAL": formatExcerpts(excerpts) },
+    prompt: `
+The COURSE MATERIAL block holds numbered excerpts from the student's own syllabus and notes.
+Build on them: use their chapter, section and topic names instead of inventing your own, and
+cite the excerpts each task is based on in its "sources".
+`,
+  };
 }
 
+/**
+ * Builds the scheduling part of a plan request.
+ * - `prompt`: the free windows for the first days of the plan (empty if the user set no availability).
+ * - `check`: repairs/rejects generated plans that overlap busy time (see `fitPlanToAvailability`).
+ */
+function schedulingContext(state, startDate) {
+  if (!hasAvailability(state.availability)) return { prompt: "", check: undefined };
+  return {
+    prompt: `
+AVAILABILITY (Day 1 is ${startDate}; free windows per day, 24h clock):
+${describeFreeTime(state.availability, startDate)}
+Every block MUST have a "start" time inside a free window and must end before that window closes.
+`,
+    check: (plan) => fitPlanToAvailability(plan, state.availability, startDate),
+  };
+}
+
+// --- ROUTING ---
+// Intent routing (regex fast path + model classifier) lives in `router.js`.
+
 // --- HANDLERS ---
 
 /**
@@ -185,16 +306,10 @@ function chooseAction(state, message) {
  * - Instructions explicitly tell it to "Move towards a plan". 
  * - Prevents the bot from becoming a passive listener.
  */
-async function handleGeneralChat(state, message, env) {
-  const historyStr = formatHistory(state.recentHistory);
-  
+async function handleGeneralChat(state, message, env, hooks = {}) {
   const systemPrompt = `
 You are a study strategy consultant.
-
-CONTEXT (Last few messages):
-${historyStr}
-
-CURRENT USER MESSAGE: "${message}"
+The CONTEXT block has what we know about the user and the last few messages.
 
 YOUR GOAL:
 - Move the conversation towards creating a concrete study plan.
@@ -206,125 +321,158 @@ EXAMPLES:
 - History includes "I want to learn C". User says "I know Python". You say: "Great. Since you know Python, we can skip basic loops and focus on Pointers. Shall I create a 1-week schedule?"
 `;
 
-  const aiResult = await env.AI.run(MODEL, {
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: message },
-    ],
-    // 500 tokens is enough for a conversational reply, but prevents rambling.
-    max_tokens: 500, 
-  });
+  // Messages like "I'm a beginner" or "I only have 30 minutes a day" also update the profile.
+  // The extraction runs alongside the reply and only when the message looks like it has a preference.
+  const [{ text }, signals] = await Promise.all([
+    generateText(env, "general_chat", {
+      messages: buildMessages({ system: systemPrompt, data: { CONTEXT: formatHistory(state) }, user: message }),
+      // 500 tokens is enough for a conversational reply, but prevents rambling.
+      max_tokens: 500, 
+    }, { onToken: hooks.onToken }),
+    hasPreferenceCue(message) ? extractProfileSignals(env, "profile", message) : {},
+  ]);
 
-  const reply = aiResult?.result || aiResult?.response || "How can I help you study today?";
-  return { reply, newState: state };
+  const reply = text || "How can I help you study today?";
+  return { reply, newState: { ...state, profile: applyLearnedSignals(state.profile, signals) } };
 }
 
 /**
  * Handler: Direct Answer
  * PURPOSE: Answer factual questions without messing up the planning state.
- * No state changes occur here.
+ * No state changes occur here. Answers from the user's course material when it covers the
+ * question, and lists the excerpts the answer cites.
  */
-async function answerDirectQuestion(state, message, env) {
-  const systemPrompt = `Answer the user's factual question directly and concisely (max 3 sentences). Do not offer a plan.`;
-  const aiResult = await env.AI.run(MODEL, {
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: message },
-    ],
+async function answerDirectQuestion(state, message, env, hooks = {}) {
+  const material = await materialContext(hooks, message);
+  const systemPrompt = `Answer the user's factual question directly and concisely (max 3 sentences). Do not offer a plan.
+Pitch the answer to what you know about the user (CONTEXT block).${
+    material.excerpts.length
+      ? "\nIf the COURSE MATERIAL block covers the question, answer from it and cite the excerpts you used like [1]."
+      : ""
+  }`;
+  const { text } = await generateText(env, "direct_answer", {
+    messages: buildMessages({ system: systemPrompt, data: { CONTEXT: formatHistory(state), ...material.data }, user: message }),
     max_tokens: 300, 
-  });
-  return { reply: aiResult?.result || aiResult?.response || "I don't know.", newState: state };
+  }, { onToken: hooks.onToken });
+  const answer = text || "I don't know.";
+  // Spell out the excerpts the answer actually cites.
+  const cited = material.excerpts.filter((e) => answer.includes(`[${e.ref}]`));
+  const footer = cited.length ? `\n\nSources:\n${cited.map((e) => `[${e.ref}] ${describeSource(e)}`).join("\n")}` : "";
+  return { reply: answer + footer, newState: state };
 }
 
 /**
  * Handler: Create Plan
  * PURPOSE: The core value proposition. Generates a structured study schedule.
- * 
+ *
  * KEY FIX: `max_tokens: 2048`.
  * Previously, detailed plans were getting cut off mid-sentence because the default
  * token limit is usually 256. We increased this significantly to allow for
- * bulleted lists and multi-week breakdowns.
+ * multi-day breakdowns.
+ *
+ * OUTPUT: The plan is stored as structured JSON (see `plan.js`), and the chat reply is
+ * a Markdown rendering of it. If the model cannot produce a valid plan after a retry,
+ * nothing is stored and the user is asked to rephrase.
+ *
+ * GROUNDING: Relevant excerpts of the user's uploaded course material (see `materials.js`)
+ * are shown to the model, and the excerpts the plan cites end up in `plan.sources`.
  */
-async function createPlan(state, message, env) {
-  const historyStr = formatHistory(state.recentHistory);
+async function createPlan(state, message, env, hooks = {}) {
+  const startDate = todayIn(state.availability.timeZone);
+  const scheduling = schedulingContext(state, startDate);
+  const material = await materialContext(hooks, message);
 
   const systemPrompt = `
-You are a study planner. Create a concrete, bulleted study block plan.
-
-CONTEXT (Recent Chat - Use this for topic/constraints):
-${historyStr}
-
-USER REQUEST: "${message}"
+You are a study planner. Create a concrete study block plan for the request in the USER MESSAGE block.
+Use the CONTEXT block (profile, remembered facts, recent chat) for topic and constraints.
 
 RULES:
 1. Infer the topic from the chat history if not explicitly stated in this specific message.
 2. If the user mentions a long timeframe (e.g., "1 month"), provide a high-level breakdown AND a detailed plan for the *first* session.
 3. Be specific (e.g., "Read Chapter 1", "Practice 3 exercises").
 4. No fluff.
-`;
+${material.prompt}${scheduling.prompt}${PLAN_JSON_INSTRUCTIONS}`;
 
-  const aiResult = await env.AI.run(MODEL, {
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: message },
-    ],
-    max_tokens: 2048, // Critical for avoiding response cutoff
-  });
+  const { plan } = await generatePlan(env, "create_plan", buildMessages({
+    system: systemPrompt,
+    data: { CONTEXT: formatHistory(state), ...material.data },
+    user: message,
+  }), { onToken: hooks.onToken, check: scheduling.check });
 
-  const planText = aiResult?.result || aiResult?.response || "Could not generate plan.";
+  if (!plan) {
+    return {
+      reply: "Sorry, I couldn't put together a valid plan that time. Could you restate the topic and how much time you have?",
+      newState: state,
+    };
+  }
 
-  // Store the plan in `lastSession` (the active goal) AND append to `sessions` (log).
+  // Store the plan in `lastSession` AND append to `sessions` (log). `attachSession` files it
+  // under the goal with the same topic, or starts a new goal, and makes that goal active.
   const session = {
     id: String(Date.now()),
     timestamp: Date.now(),
     goal: message,
     action: "create_plan",
-    plan: planText,
+    plan: citeSources(plan, material.excerpts),
+    // Plan day 1 falls on this date; calendar export and availability checks both use it.
+    startDate,
     outcomeNote: null,
   };
 
-  const sessions = [...state.sessions, session];
-
   return { 
-    reply: planText, 
-    newState: { ...state, lastSession: session, sessions } 
+    reply: renderPlanText(session.plan), 
+    newState: attachSession(state, session) 
   };
 }
 
 /**
  * Handler: Revise Plan
  * PURPOSE: Takes the existing plan (from state) and modifies it based on user feedback.
+ * The old plan is shown to the model as JSON so it edits the structure instead of rewriting prose.
+ * Course material is retrieved again for the plan's topic plus the feedback, and cited afresh.
  */
-async function revisePlan(state, message, env) {
-  const lastPlan = state.lastSession ? state.lastSession.plan : "No active plan.";
+async function revisePlan(state, message, env, hooks = {}) {
+  const lastPlan = state.lastSession?.plan;
+  const oldPlanStr = !lastPlan ? "No active plan." : typeof lastPlan === "string" ? lastPlan : JSON.stringify(planWithoutSources(lastPlan));
+  const startDate = state.lastSession?.startDate || todayIn(state.availability.timeZone);
+  const scheduling = schedulingContext(state, startDate);
+  const material = await materialContext(hooks, [typeof lastPlan === "object" && lastPlan ? lastPlan.topic : "", message].join(" "));
   const systemPrompt = `
-Revise this study plan based on user feedback.
-Old Plan: ${lastPlan}
-Feedback: ${message}
-Output: A new bulleted plan.
-`;
-  const aiResult = await env.AI.run(MODEL, {
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: message },
-    ],
-    max_tokens: 2048, 
-  });
-  const newPlan = aiResult?.result || aiResult?.response || "Could not revise plan.";
+Revise the study plan in the CURRENT PLAN block based on the user's feedback (USER MESSAGE block).
+Keep the same topic unless the feedback asks otherwise.
+Respect the constraints in the CONTEXT block (deadlines, what the user already knows).
+${material.prompt}${scheduling.prompt}${PLAN_JSON_INSTRUCTIONS}`;
+
+  const { plan } = await generatePlan(env, "revise_plan", buildMessages({
+    system: systemPrompt,
+    data: { "CURRENT PLAN": oldPlanStr, CONTEXT: formatHistory(state), ...material.data },
+    user: message,
+  }), { onToken: hooks.onToken, check: scheduling.check });
+
+  if (!plan) {
+    return {
+      reply: "Sorry, I couldn't revise the plan cleanly. Your current plan is unchanged; could you describe the change differently?",
+      newState: state,
+    };
+  }
   
   // Update the existing session plan rather than creating a brand new log entry,
-  // though we do save it to history.
+  // though we do save it to history. The copied `goalId` keeps it under the same goal.
   const session = {
     ...state.lastSession,
     id: String(Date.now()),
     timestamp: Date.now(),
     action: "revise_plan",
-    plan: newPlan,
+    plan: citeSources(plan, material.excerpts),
+    startDate,
+    restoredFrom: null,
+    // Focus time was spent on the previous version and stays filed under it.
+    focusTotals: null,
   };
 
   return { 
-    reply: newPlan, 
-    newState: { ...state, lastSession: session, sessions: [...state.sessions, session] } 
+    reply: renderPlanText(session.plan), 
+    newState: attachSession(state, session) 
   };
 }
 
@@ -332,143 +480,982 @@ Output: A new bulleted plan.
  * Handler: Log Outcome
  * PURPOSE: Allows the user to say "I finished" or "I failed".
  * The AI gives feedback/tips based on the result.
+ *
+ * For structured plans we also map the report onto individual tasks
+ * ("I finished the reading but not the exercises") and update completion.
+ * Weak areas and preferences in the report are learned into the profile.
  */
-async function logOutcome(state, message, env) {
-  const lastPlan = state.lastSession ? state.lastSession.plan : "(No plan)";
+async function logOutcome(state, message, env, hooks = {}) {
+  const lastPlan = state.lastSession ? renderPlanText(state.lastSession.plan) : "(No plan)";
   const systemPrompt = `
-User reported outcome for plan:
-${lastPlan}
-User Report: ${message}
+The user reports how their study plan (PLAN block) went; the report is the USER MESSAGE block.
 Task: Give 1 sentence of feedback and 1 specific tip for next time.
 `;
-  const aiResult = await env.AI.run(MODEL, {
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: message },
-    ],
-    max_tokens: 300,
+  const [{ text }, taskUpdates, signals] = await Promise.all([
+    generateText(env, "log_outcome", {
+      messages: buildMessages({ system: systemPrompt, data: { PLAN: lastPlan, CONTEXT: formatHistory(state) }, user: message }),
+      max_tokens: 300,
+    }, { onToken: hooks.onToken }),
+    state.lastSession ? mapOutcomeToTasks(env, "progress", state.lastSession.plan, message) : [],
+    // Outcome reports are where weak areas show up ("I got stuck on recursion").
+    extractProfileSignals(env, "profile", message, { source: "outcome", plan: lastPlan }),
+  ]);
+  const reply = text || "Logged.";
+  const learned = { ...state, profile: applyLearnedSignals(state.profile, signals) };
+
+  if (!state.lastSession) return { reply, newState: learned };
+
+  // We update the specific session in the history with the outcome note (and any task updates).
+  const newState = replaceSession(learned, state.lastSession.id, (session) => {
+    const noted = { ...session, outcomeNote: message, outcomeAt: Date.now() };
+    return taskUpdates.length > 0 ? applyTaskUpdates(noted, taskUpdates) : noted;
   });
-  const reply = aiResult?.result || aiResult?.response || "Logged.";
-  
-  // We update the specific session in the history with the outcome note.
-  const sessions = [...state.sessions];
-  if (sessions.length > 0) {
-    sessions[sessions.length - 1].outcomeNote = message;
-  }
 
-  return { reply, newState: { ...state, lastSession: { ...state.lastSession, outcomeNote: message }, sessions } };
+  return { reply, newState };
 }
 
 /**
  * Handler: Analyze Pattern
  * PURPOSE: Looks at the `sessions` array (long-term memory) to find trends.
  * e.g., "You always study late at night."
+ *
+ * The metrics come from `computeAnalytics` over the whole history; the model only turns
+ * them into a narrative, so the same history always yields the same numbers.
  */
-async function analyzePattern(state, message, env) {
-  const sessions = state.sessions || [];
-  // We only send the last 10 sessions to keep the context size reasonable.
+async function analyzePattern(state, message, env, hooks = {}) {
+  const metrics = describeAnalytics(computeAnalytics(state));
   const systemPrompt = `
-Analyze these study sessions: ${JSON.stringify(sessions.slice(-10))}
-User Question: ${message}
+You are reviewing a student's study habits. These metrics were computed from their full history:
+${metrics}
+
+Answer the user's question (USER MESSAGE block) about their habits.
 Output: 2 trends and 1 suggestion. Max 100 words.
+RULES:
+- Every trend must cite at least one of the numbers above.
+- Do not invent data. If a metric is "n/a" or there is too little data, say so.
+- "Reported minutes" are what the student said; timed focus minutes were measured. Prefer the measured ones when both exist.
 `;
-  const aiResult = await env.AI.run(MODEL, {
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: "Analyze my patterns" },
-    ],
+  const { text } = await generateText(env, "analyze_pattern", {
+    messages: buildMessages({ system: systemPrompt, data: { CONTEXT: formatHistory(state) }, user: message }),
     max_tokens: 500,
+  }, { onToken: hooks.onToken });
+  const reply = text || "No data.";
+  return { reply, newState: { ...state, lastAnalysis: reply } };
+}
+
+/**
+ * Handler: Clarify
+ * PURPOSE: The router couldn't tell what the user wants, so we ask instead of guessing.
+ * Uses the classifier's suggested question when it gave one. No state changes.
+ */
+function askClarifyingQuestion(state, route) {
+  const reply =
+    route.question ||
+    "I want to make sure I get this right: do you want a study plan, an answer to a question, or to log how a session went?";
+  return { reply, newState: state };
+}
+
+/**
+ * Handler: Switch Goal
+ * PURPOSE: Moves the conversation to another goal ("switch to my chemistry plan").
+ * No model call: the goal is matched by topic words, and an unclear request lists the goals.
+ */
+function switchGoal(state, message) {
+  const goal = findGoalByText(state, message);
+  if (!goal) {
+    const names = state.goals.map((g) => `- ${g.title}${g.id === state.activeGoalId ? " (current)" : ""}`).join("\n");
+    return {
+      reply: names ? `Which goal should we switch to?\n${names}` : "You don't have any goals yet. Tell me what you want to study.",
+      newState: state,
+    };
+  }
+
+  const newState = activateGoal(state, goal.id);
+  const plan = newState.lastSession?.plan;
+  const done = newState.lastSession?.completion ? ` You're ${newState.lastSession.completion.percent}% through it.` : "";
+  return {
+    reply: `Switched to ${goal.title}.${plan ? ` Current plan: ${typeof plan === "object" ? plan.title : "see the plan panel"}.${done}` : ""}`,
+    newState,
+  };
+}
+
+/**
+ * Handler: Undo Change
+ * PURPOSE: "Undo that" / "go back to the previous plan". Restores the version the active
+ * plan replaced (see `versions.js`); no model call.
+ */
+function undoChange(state) {
+  const { state: newState, session, error } = undoLastChange(state);
+  if (error) return { reply: error, newState: state };
+
+  const restored = state.sessions.find((s) => s.id === session.restoredFrom);
+  return {
+    reply: `Undone: your plan is back to version ${restored.version}. Say "undo" again to bring the change back.\n\n${renderPlanText(session.plan)}`,
+    newState,
+  };
+}
+
+/**
+ * Handler: Flashcards
+ * PURPOSE: Turns the active plan into spaced-repetition cards, or tells the user what's due.
+ *
+ * BEHAVIOR:
+ * - "Make flashcards" (or no cards yet for this plan) -> generate a new batch.
+ * - "Quiz me on my cards" -> report what's due and show the first question.
+ * The actual grading happens in the review panel via `/api/flashcards/:id/review`.
+ */
+async function handleFlashcards(state, message, env) {
+  if (!state.lastSession) {
+    return { reply: "Let's make a study plan first, then I can turn it into flashcards.", newState: state };
+  }
+
+  const cardsForPlan = state.flashcards.filter((c) => c.sessionId === state.lastSession.id);
+  const wantsNew = /\b(make|create|generate|new|more|add)\b/i.test(message || "");
+
+  if (wantsNew || cardsForPlan.length === 0) {
+    const cards = await generateCards(env, "flashcards", state.lastSession, state.flashcards, { context: learnerContext(state) });
+    if (cards.length === 0) {
+      return { reply: "I couldn't come up with good cards for this plan. Try again in a moment.", newState: state };
+    }
+    const flashcards = [...state.flashcards, ...cards];
+    return {
+      reply: `Added ${cards.length} flashcards. You have ${dueCards(flashcards, Date.now(), Infinity).length} due — open the Flashcards panel to review.`,
+      newState: { ...state, flashcards },
+    };
+  }
+
+  const due = dueCards(state.flashcards, Date.now(), Infinity);
+  if (due.length === 0) {
+    return { reply: `Nothing is due right now. You have ${state.flashcards.length} cards; come back later or ask me to make more.`, newState: state };
+  }
+  return {
+    reply: `You have ${due.length} cards due. First one:\n\n${due[0].front}\n\nAnswer in the Flashcards panel to grade yourself.`,
+    newState: state,
+  };
+}
+
+/**
+ * Handler: Quiz
+ * PURPOSE: Tests the student instead of just answering them.
+ *
+ * FLOW:
+ * 1. No quiz pending -> generate one from the active plan and ask question 1.
+ * 2. Quiz pending -> grade the reply, then ask the next question.
+ * 3. Last question answered (or "stop the quiz") -> summarize, and write topics that
+ *    scored poorly into `profile.weakAreas` so later plans can target them.
+ */
+async function handleQuiz(state, message, env) {
+  const quiz = state.pendingQuiz;
+
+  if (!quiz) {
+    if (!state.lastSession) {
+      return { reply: "Let's make a study plan first, then I can quiz you on it.", newState: state };
+    }
+    const newQuiz = await generateQuiz(env, "quiz", state.lastSession, { context: learnerContext(state) });
+    if (!newQuiz) {
+      return { reply: "I couldn't put a quiz together just now. Try again in a moment.", newState: state };
+    }
+    return {
+      reply: `Quiz on ${newQuiz.topic}. Answer each question in the chat (say "stop the quiz" to end early).\n\n${formatQuestion(newQuiz)}`,
+      newState: { ...state, pendingQuiz: newQuiz },
+    };
+  }
+
+  const stopping = /^\s*(stop|quit|cancel|end|exit)\b|\b(stop|quit|cancel|end) (the )?quiz\b/i.test(message || "");
+  let updated = quiz;
+  let feedback = "";
+
+  if (!stopping) {
+    const question = quiz.questions[quiz.current];
+    const grade = question.type === "mcq" ? gradeMultipleChoice(question, message) : await gradeShortAnswer(env, "grade", question, message);
+    updated = {
+      ...quiz,
+      current: quiz.current + 1,
+      results: [...quiz.results, { questionId: question.id, answer: message, ...grade }],
+    };
+    feedback = grade.feedback;
+
+    if (updated.current < updated.questions.length) {
+      return { reply: `${feedback}\n\n${formatQuestion(updated)}`, newState: { ...state, pendingQuiz: updated } };
+    }
+  }
+
+  // Quiz finished (or stopped): summarize and record weak areas.
+  const summary = summarizeQuiz(updated);
+  const answered = updated.results.length;
+  const weakAreas = mergeWeakAreas(state.profile?.weakAreas, summary.weakTopics);
+  const lines = [
+    feedback,
+    answered > 0 ? `Quiz done: ${summary.score}/${answered} answered correctly.` : "Quiz stopped.",
+    summary.weakTopics.length > 0 ? `Worth reviewing: ${summary.weakTopics.join(", ")}.` : answered > 0 ? "No weak spots this time. Nice work." : "",
+  ].filter(Boolean);
+
+  return {
+    reply: lines.join("\n\n"),
+    newState: { ...state, pendingQuiz: null, profile: { ...state.profile, weakAreas } },
+  };
+}
+
+// --- DISPATCH ---
+
+/**
+ * Runs the handler for a routed action (`route` comes from `routeMessage`).
+ * `hooks.onToken` (optional) receives model output as it streams.
+ */
+async function runAction(route, state, message, env, hooks = {}) {
+  const { action } = route;
+  if (action === "clarify") return askClarifyingQuestion(state, route);
+  if (action === "direct_answer") return answerDirectQuestion(state, message, env, hooks);
+  if (action === "create_plan") return createPlan(state, message, env, hooks);
+  if (action === "revise_plan") return revisePlan(state, message, env, hooks);
+  if (action === "log_outcome") return logOutcome(state, message, env, hooks);
+  if (action === "analyze_pattern") return analyzePattern(state, message, env, hooks);
+  if (action === "flashcards") return handleFlashcards(state, message, env);
+  if (action === "quiz") return handleQuiz(state, message, env);
+  if (action === "switch_goal") return switchGoal(state, message);
+  if (action === "undo_change") return undoChange(state);
+  return handleGeneralChat(state, message, env, hooks);
+}
+
+/**
+ * `hooks.retrieve(query)` for the handlers: this user's course material excerpts for `query`.
+ */
+function materialHooks(env, userId, state) {
+  return { retrieve: (query) => retrieveExcerpts(env, userId, state, query) };
+}
+
+/**
+ * Appends the user message and the agent's reply to short-term memory.
+ */
+function withTurn(outcome, message) {
+  return {
+    ...outcome.newState,
+    recentHistory: [
+      ...outcome.newState.recentHistory,
+      { role: "user", content: message },
+      { role: "assistant", content: outcome.reply },
+    ],
+  };
+}
+
+/**
+ * The turn's two transcript messages, both tagged with the action that handled it.
+ */
+function transcriptEntries(message, reply, action, now = Date.now()) {
+  return [
+    { role: "user", content: message, action, createdAt: now },
+    { role: "assistant", content: reply, action, createdAt: now },
+  ];
+}
+
+/**
+ * Streaming variant of `/api/chat` (Server-Sent Events).
+ *
+ * EVENT ORDER:
+ * 1. `action` -> { action, confidence } (sent before the handler's model call)
+ * 2. `token`  -> { text }            (zero or more, as the model generates)
+ * 3. `done`   -> { reply, action, usage } (final reply, e.g. the rendered plan instead of raw JSON)
+ *    or `error` -> { message }
+ *
+ * State is saved only after the handler finishes AND the client is still connected,
+ * so an aborted stream never leaves a half-written turn behind. The stream owns `turn`
+ * and ends it either way.
+ */
+function streamChat(env, ctx, userId, turn, state, message, route) {
+  const { action, confidence } = route;
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  let disconnected = false;
+  const send = (event, data) =>
+    writer.write(sseEvent(event, data)).catch(() => {
+      disconnected = true;
+    });
+
+  ctx.waitUntil(
+    (async () => {
+      try {
+        send("action", { action, confidence });
+        const outcome = await runAction(route, state, message, env, {
+          ...materialHooks(env, userId, state),
+          onToken: (text) => send("token", { text }),
+        });
+        if (disconnected) return;
+        const next = await compactHistory(env, "memory", withTurn(outcome, message));
+        await saveStudyState(env, userId, addTokenUsage(next, usageOf(env)), turn, transcriptEntries(message, outcome.reply, action));
+        await send("done", { reply: outcome.reply, action, usage: usageOf(env) });
+      } catch (err) {
+        await send("error", { message: err?.message || "Generation failed" });
+      } finally {
+        await endTurn(env, userId, turn);
+        await writer.close().catch(() => {});
+      }
+    })()
+  );
+
+  return new Response(readable, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      ...CORS_HEADERS,
+    },
   });
-  return { reply: aiResult?.result || aiResult?.response || "No data.", newState: { ...state, lastAnalysis: aiResult?.result } };
 }
 
 // --- MAIN ---
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
+async function handleRequest(request, env, ctx) {
+  const url = new URL(request.url);
+
+  // Handle Preflight CORS requests (browser security requirement)
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: CORS_HEADERS });
+  }
+
+  // Health check (useful for monitoring uptime)
+  if (url.pathname === "/api/health") {
+    return jsonResponse({ ok: true });
+  }
+
+  // Per-IP limit first: it applies even to requests that turn out to have no valid token.
+  const limits = limitsFor(env);
+  const metered = callsModel(request, url);
+  const ip = request.headers.get("CF-Connecting-IP");
+  if (metered && ip) {
+    const refused = await rateLimited(env, `ip:${ip}`, limits.ipPerMinute, "from your network");
+    if (refused) return refused;
+  }
+
+  // --- AUTH GATE ---
+  // Everything below this point is per-user, so we resolve the caller exactly once here.
+  // Any failure (missing, expired, tampered token) becomes a 401 before touching any state.
+  let userId;
+  try {
+    ({ userId } = await authenticate(request, env));
+  } catch (err) {
+    if (!(err instanceof AuthError)) throw err;
+    return jsonResponse(
+      { error: "unauthorized", message: err.message },
+      { status: 401, headers: { "WWW-Authenticate": 'Bearer realm="study-buddy"' } }
+    );
+  }
 
-    // Handle Preflight CORS requests (browser security requirement)
-    if (request.method === "OPTIONS") {
-      return new Response(null, { status: 204, headers: CORS_HEADERS });
+  if (metered) {
+    const refused = await rateLimited(env, `user:${userId}`, limits.userPerMinute, "from your account");
+    if (refused) return refused;
+  }
+
+  // Debugging Route: View current state in JSON format
+  if (url.pathname === "/debug/state") {
+    const state = await loadStudyState(env, userId);
+    return jsonResponse(state);
+  }
+
+  // Debugging Route: Wipe state (and the transcript) clean to start over
+  if (url.pathname === "/debug/reset") {
+    await saveStudyState(env, userId, defaultState());
+    await studyStateStub(env, userId).clearMessages();
+    return jsonResponse({ reset: true });
+  }
+
+  // --- PROFILE ---
+
+  if (url.pathname === "/api/profile" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return jsonResponse(state.profile);
+  }
+
+  // Edit the profile. Body: any of { level, dailyMinutes, preferredHours, tone, prefersShortSentences, weakAreas }.
+  // Fields set here are never overwritten by what the agent learns; `null` hands a field back to learning.
+  if (url.pathname === "/api/profile" && request.method === "POST") {
+    const patch = await request.json().catch(() => null);
+    if (!patch || typeof patch !== "object") {
+      return jsonResponse({ error: "bad_request", message: "Expected a JSON object." }, { status: 400 });
     }
+    return updateStudyState(env, userId, (state) => {
+      const { profile, error } = updateProfile(state.profile, patch);
+      if (error) return { response: jsonResponse({ error: "bad_request", message: error }, { status: 400 }) };
+      return { state: { ...state, profile }, response: jsonResponse(profile) };
+    });
+  }
 
-    // Health check (useful for monitoring uptime)
-    if (url.pathname === "/api/health") {
-      return new Response(JSON.stringify({ ok: true }), {
-        headers: { "Content-Type": "application/json", ...CORS_HEADERS },
-      });
+  // --- GOAL ENDPOINTS ---
+
+  // Every goal with its current plan's completion and its logged outcomes.
+  if (url.pathname === "/api/goals" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return jsonResponse({ activeGoalId: state.activeGoalId, goals: summarizeGoals(state) });
+  }
+
+  // Make a goal the active one; chat and the progress/calendar routes then use its plan.
+  const goalMatch = url.pathname.match(/^\/api\/goals\/([\w-]+)\/activate$/);
+  if (goalMatch && request.method === "POST") {
+    return updateStudyState(env, userId, (state) => {
+      const newState = activateGoal(state, goalMatch[1]);
+      if (!newState) {
+        return { response: jsonResponse({ error: "not_found", message: "No such goal." }, { status: 404 }) };
+      }
+      return { state: newState, response: jsonResponse({ activeGoalId: newState.activeGoalId, lastSession: newState.lastSession }) };
+    });
+  }
+
+  // Version chain of a goal's plan, oldest first.
+  const versionsMatch = url.pathname.match(/^\/api\/goals\/([\w-]+)\/versions$/);
+  if (versionsMatch && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    const goal = state.goals.find((g) => g.id === versionsMatch[1]);
+    if (!goal) {
+      return jsonResponse({ error: "not_found", message: "No such goal." }, { status: 404 });
     }
+    return jsonResponse({
+      goalId: goal.id,
+      currentSessionId: goal.currentSessionId,
+      versions: planVersions(state, goal.id).map((s) => describeVersion(s, goal.currentSessionId)),
+    });
+  }
 
-    // Debugging Route: View current state in JSON format
-    if (url.pathname === "/debug/state") {
-      const userId = "demo-user";
-      const state = await loadStudyState(env, userId);
-      return new Response(JSON.stringify(state), {
-        headers: { "Content-Type": "application/json", ...CORS_HEADERS },
-      });
+  // Line diff between two versions. Query: from=N&to=M (default: the current version against its parent).
+  const diffMatch = url.pathname.match(/^\/api\/goals\/([\w-]+)\/diff$/);
+  if (diffMatch && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    const goal = state.goals.find((g) => g.id === diffMatch[1]);
+    if (!goal) {
+      return jsonResponse({ error: "not_found", message: "No such goal." }, { status: 404 });
+    }
+    const versions = planVersions(state, goal.id);
+    const current = versions.find((s) => s.id === goal.currentSessionId);
+    const to = url.searchParams.has("to") ? versions.find((s) => s.version === Number(url.searchParams.get("to"))) : current;
+    const from = url.searchParams.has("from")
+      ? versions.find((s) => s.version === Number(url.searchParams.get("from")))
+      : versions.find((s) => s.id === to?.parentId);
+    if (!from || !to) {
+      return jsonResponse({ error: "not_found", message: "No such version to compare." }, { status: 404 });
+    }
+    return jsonResponse(diffVersions(from, to));
+  }
+
+  // Make an earlier version current again. Body: { version }. The rollback is itself a new version.
+  const rollbackMatch = url.pathname.match(/^\/api\/goals\/([\w-]+)\/rollback$/);
+  if (rollbackMatch && request.method === "POST") {
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== "object") {
+      return jsonResponse({ error: "bad_request", message: "Expected a JSON object." }, { status: 400 });
+    }
+    const { version } = body;
+    if (!Number.isInteger(version)) {
+      return jsonResponse({ error: "bad_request", message: '"version" must be a version number.' }, { status: 400 });
+    }
+    return updateStudyState(env, userId, (state) => {
+      if (!planVersions(state, rollbackMatch[1]).some((s) => s.version === version)) {
+        return { response: jsonResponse({ error: "not_found", message: "No such goal or version." }, { status: 404 }) };
+      }
+      const { state: newState, session, error } = rollbackPlan(state, rollbackMatch[1], version);
+      if (error) return { response: jsonResponse({ error: "conflict", message: error }, { status: 409 }) };
+      return { state: newState, response: jsonResponse({ activeGoalId: newState.activeGoalId, lastSession: session }) };
+    });
+  }
+
+  // --- PROGRESS ENDPOINTS ---
+
+  // Active plan tasks with their status, plus completion for every stored plan.
+  if (url.pathname === "/api/progress" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    const active = state.lastSession;
+    return jsonResponse({
+      active: active
+        ? {
+            sessionId: active.id,
+            tasks: listTasks(active.plan).map((t) => ({ ...t, ...(active.taskStatus?.[t.id] || { status: "pending" }) })),
+            completion: active.completion || null,
+          }
+        : null,
+      plans: state.sessions
+        .filter((s) => s.completion)
+        .map((s) => ({ sessionId: s.id, goalId: s.goalId, goal: s.goal, timestamp: s.timestamp, completion: s.completion })),
+    });
+  }
+
+  // Mark one task done / partial / skipped. Body: { status, actualMinutes?, sessionId? }
+  // Without `sessionId` the update applies to the active plan. The list items of a legacy
+  // string plan are ticked as "item-N" (see `progress.js`).
+  const taskMatch = url.pathname.match(/^\/api\/tasks\/([\w-]+)$/);
+  if (taskMatch && request.method === "POST") {
+    const taskId = taskMatch[1];
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== "object") {
+      return jsonResponse({ error: "bad_request", message: "Expected a JSON object." }, { status: 400 });
     }
+    return updateStudyState(env, userId, (state) => {
+      const sessionId = body.sessionId || state.lastSession?.id;
+      const session = state.sessions.find((s) => s.id === sessionId) || (state.lastSession?.id === sessionId ? state.lastSession : null);
+
+      if (!session) {
+        return { response: jsonResponse({ error: "not_found", message: "No matching plan." }, { status: 404 }) };
+      }
+      const invalid = validateTaskUpdate(session.plan, taskId, body);
+      if (invalid) {
+        return { response: jsonResponse({ error: "bad_request", message: invalid }, { status: 400 }) };
+      }
 
-    // Debugging Route: Wipe state clean to start over
-    if (url.pathname === "/debug/reset") {
-      const userId = "demo-user";
-      await saveStudyState(env, userId, {
-        recentHistory: [],
-        sessions: [],
-        lastSession: null,
+      const newState = replaceSession(state, session.id, (s) =>
+        applyTaskUpdates(s, [{ taskId, status: body.status, actualMinutes: body.actualMinutes }])
+      );
+      const updated = newState.sessions.find((s) => s.id === session.id) || newState.lastSession;
+      return {
+        state: newState,
+        response: jsonResponse({ sessionId: session.id, taskStatus: updated.taskStatus, completion: updated.completion }),
+      };
+    });
+  }
+
+  // Habit metrics over the whole history (see `analytics.js`).
+  if (url.pathname === "/api/analytics" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return jsonResponse(computeAnalytics(state));
+  }
+
+  // --- FOCUS SESSIONS ---
+
+  // The open focus session (if any) and the most recent ones.
+  if (url.pathname === "/api/focus" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return jsonResponse({ active: openFocus(state), recent: state.focusSessions.slice(-RECENT_FOCUS_LIMIT).reverse() });
+  }
+
+  // Start timing a plan block. Body: { blockId, sessionId? } (defaults to the active plan).
+  if (url.pathname === "/api/focus/start" && request.method === "POST") {
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== "object") {
+      return jsonResponse({ error: "bad_request", message: "Expected a JSON object." }, { status: 400 });
+    }
+    return updateStudyState(env, userId, (state) => {
+      if (openFocus(state)) {
+        return { response: jsonResponse({ error: "conflict", message: "A focus session is already open. Stop it first." }, { status: 409 }) };
+      }
+      const sessionId = body.sessionId || state.lastSession?.id;
+      const session = state.sessions.find((s) => s.id === sessionId);
+      if (!session) {
+        return { response: jsonResponse({ error: "not_found", message: "No matching plan." }, { status: 404 }) };
+      }
+      const block = findBlock(session.plan, body.blockId);
+      if (!block) {
+        return { response: jsonResponse({ error: "bad_request", message: `Unknown block "${body.blockId}".` }, { status: 400 }) };
+      }
+      const { state: newState, focus } = startFocus(state, session, block);
+      return { state: newState, response: jsonResponse({ focus }) };
+    });
+  }
+
+  // Pause, resume or stop the open focus session. Pause body: { reason? } ("break" | "interruption").
+  const focusMatch = url.pathname.match(/^\/api\/focus\/(pause|resume|stop)$/);
+  if (focusMatch && request.method === "POST") {
+    const transition = focusMatch[1];
+    // Resume and stop are usually sent without a body; one that parses must still be an object.
+    const body = await request.json().catch(() => ({}));
+    if (!body || typeof body !== "object") {
+      return jsonResponse({ error: "bad_request", message: "Expected a JSON object." }, { status: 400 });
+    }
+    const { reason = "interruption" } = body;
+    if (transition === "pause" && !PAUSE_REASONS.includes(reason)) {
+      return jsonResponse({ error: "bad_request", message: `"reason" must be one of: ${PAUSE_REASONS.join(", ")}.` }, { status: 400 });
+    }
+    return updateStudyState(env, userId, (state) => {
+      const open = openFocus(state);
+      const invalid = transitionError(open, transition);
+      if (invalid) {
+        return { response: jsonResponse({ error: open ? "conflict" : "not_found", message: invalid }, { status: open ? 409 : 404 }) };
+      }
+      const focus = transition === "pause" ? pauseFocus(open, reason) : transition === "resume" ? resumeFocus(open) : stopFocus(open);
+      return { state: replaceFocus(state, focus), response: jsonResponse({ focus }) };
+    });
+  }
+
+  // --- COURSE MATERIAL ---
+
+  if (url.pathname === "/api/materials" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return jsonResponse({ materials: state.materials });
+  }
+
+  // Upload a syllabus or notes. Body: { name, text } (Markdown or plain text).
+  // Embedding happens before the turn starts, so a long upload doesn't hold up the chat.
+  if (url.pathname === "/api/materials" && request.method === "POST") {
+    const body = await request.json().catch(() => null);
+    const invalid = validateUpload(body);
+    if (invalid) return jsonResponse({ error: "bad_request", message: invalid }, { status: 400 });
+    const tooMany = () =>
+      jsonResponse({ error: "conflict", message: `You can keep up to ${MAX_MATERIALS} files. Delete one first.` }, { status: 409 });
+    const current = await loadStudyState(env, userId);
+    if (current.materials.length >= MAX_MATERIALS) return tooMany();
+    const over = budgetExceeded(current, limits);
+    if (over) return tooManyRequests(over);
+    const material = await indexMaterial(env, userId, body);
+    return updateStudyState(env, userId, async (state) => {
+      // Another upload may have finished while this one was embedding, so check again. The
+      // embedding tokens were spent either way; only the vectors are thrown away.
+      const overNow = budgetExceeded(state, limits);
+      if (overNow || state.materials.length >= MAX_MATERIALS) {
+        await removeMaterial(env, userId, material);
+        return { state: addTokenUsage(state, usageOf(env)), response: overNow ? tooManyRequests(overNow) : tooMany() };
+      }
+      return {
+        state: addTokenUsage({ ...state, materials: [...state.materials, material] }, usageOf(env)),
+        response: jsonResponse({ material }, { status: 201 }),
+      };
+    });
+  }
+
+  const materialMatch = url.pathname.match(/^\/api\/materials\/([\w-]+)$/);
+  if (materialMatch && request.method === "DELETE") {
+    return updateStudyState(env, userId, async (state) => {
+      const material = state.materials.find((m) => m.id === materialMatch[1]);
+      if (!material) return { response: jsonResponse({ error: "not_found", message: "No such file." }, { status: 404 }) };
+      await removeMaterial(env, userId, material);
+      const materials = state.materials.filter((m) => m.id !== material.id);
+      return { state: { ...state, materials }, response: jsonResponse({ materials }) };
+    });
+  }
+
+  // --- NOTIFICATIONS ---
+
+  // Undismissed notifications (newest first) and the settings. Polled by the frontend.
+  if (url.pathname === "/api/notifications" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return jsonResponse({ notifications: pendingNotifications(state), settings: state.notificationSettings });
+  }
+
+  // Body: { enabled?, quietHours?: { start, end } | null }
+  if (url.pathname === "/api/notifications/settings" && request.method === "POST") {
+    const patch = await request.json().catch(() => null);
+    if (!patch || typeof patch !== "object") {
+      return jsonResponse({ error: "bad_request", message: "Expected a JSON object." }, { status: 400 });
+    }
+    return updateStudyState(env, userId, (state) => {
+      const { settings, error } = updateNotificationSettings(state.notificationSettings, patch);
+      if (error) return { response: jsonResponse({ error: "bad_request", message: error }, { status: 400 }) };
+      return { state: { ...state, notificationSettings: settings }, response: jsonResponse(settings) };
+    });
+  }
+
+  const dismissMatch = url.pathname.match(/^\/api\/notifications\/([\w-]+)\/dismiss$/);
+  if (dismissMatch && request.method === "POST") {
+    return updateStudyState(env, userId, (state) => {
+      const newState = dismissNotification(state, dismissMatch[1]);
+      if (!newState) return { response: jsonResponse({ error: "not_found", message: "No such notification." }, { status: 404 }) };
+      return { state: newState, response: jsonResponse({ notifications: pendingNotifications(newState) }) };
+    });
+  }
+
+  // --- CALENDAR EXPORT ---
+
+  // Download a plan as an .ics file.
+  // Query: sessionId? (defaults to the active plan), start=YYYY-MM-DD?, defaultStart=HH:MM?
+  if (url.pathname === "/api/calendar.ics" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    const sessionId = url.searchParams.get("sessionId");
+    const session = sessionId ? state.sessions.find((s) => s.id === sessionId) : state.lastSession;
+    if (!session) {
+      return jsonResponse({ error: "not_found", message: "No matching plan." }, { status: 404 });
+    }
+
+    let ics;
+    try {
+      ics = planToIcs(session, {
+        startDate: url.searchParams.get("start") || session.startDate || undefined,
+        defaultStart: url.searchParams.get("defaultStart") || undefined,
       });
-      return new Response(JSON.stringify({ reset: true }), {
-        headers: { "Content-Type": "application/json", ...CORS_HEADERS },
+    } catch (err) {
+      return jsonResponse({ error: "unprocessable", message: err.message }, { status: 422 });
+    }
+
+    return new Response(ics, {
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": `attachment; filename="study-plan-${session.id}.ics"`,
+        ...CORS_HEADERS,
+      },
+    });
+  }
+
+  // --- EXPORT / IMPORT (see `archive.js`) ---
+
+  // Whole state as a versioned JSON archive (what `/api/import` reads back).
+  if (url.pathname === "/api/export.json" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return new Response(JSON.stringify(buildArchive(state), null, 2), {
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Disposition": `attachment; filename="study-buddy-${todayIn(state.availability.timeZone)}.json"`,
+        ...CORS_HEADERS,
+      },
+    });
+  }
+
+  // One row per session: timestamps, action, goal, completion and outcome.
+  if (url.pathname === "/api/export.csv" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return new Response(sessionsToCsv(state), {
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="study-sessions-${todayIn(state.availability.timeZone)}.csv"`,
+        ...CORS_HEADERS,
+      },
+    });
+  }
+
+  // Readable study journal, grouped by goal.
+  if (url.pathname === "/api/export.md" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return new Response(studyJournal(state), {
+      headers: {
+        "Content-Type": "text/markdown; charset=utf-8",
+        "Content-Disposition": `attachment; filename="study-journal-${todayIn(state.availability.timeZone)}.md"`,
+        ...CORS_HEADERS,
+      },
+    });
+  }
+
+  // Merge a JSON archive (from this or another account) into the current state.
+  // Body: the archive exactly as `/api/export.json` produced it.
+  if (url.pathname === "/api/import" && request.method === "POST") {
+    const archive = await request.json().catch(() => null);
+    const { state: incoming, error } = readArchive(archive);
+    if (error) return jsonResponse({ error: "bad_request", message: error }, { status: 400 });
+
+    return updateStudyState(env, userId, (state) => {
+      // `mergeArchive` re-checks the merged state; if that fails, the upload is to blame, not the stored record.
+      try {
+        const { state: merged, imported } = mergeArchive(state, incoming);
+        return { state: merged, response: jsonResponse({ imported }) };
+      } catch (err) {
+        if (!(err instanceof SchemaError)) throw err;
+        return { response: jsonResponse({ error: "bad_request", message: err.message }, { status: 400 }) };
+      }
+    });
+  }
+
+  // --- AVAILABILITY ---
+
+  if (url.pathname === "/api/availability" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return jsonResponse(state.availability);
+  }
+
+  // Update settings. Body: { timeZone?, studyWindow?: { start, end }, weeklyBusy?: [{ weekday, start, end, label? }] }
+  // `weeklyBusy` replaces the whole list, so the client sends every slot it wants to keep.
+  if (url.pathname === "/api/availability" && request.method === "POST") {
+    const patch = await request.json().catch(() => null);
+    if (!patch || typeof patch !== "object") {
+      return jsonResponse({ error: "bad_request", message: "Expected a JSON object." }, { status: 400 });
+    }
+    return updateStudyState(env, userId, (state) => {
+      const { availability, error } = updateAvailability(state.availability, patch);
+      if (error) return { response: jsonResponse({ error: "bad_request", message: error }, { status: 400 }) };
+      return { state: { ...state, availability }, response: jsonResponse(availability) };
+    });
+  }
+
+  // Import busy time from an .ics file. Body: the raw calendar (text/calendar) or { ics } as JSON.
+  if (url.pathname === "/api/availability/ics" && request.method === "POST") {
+    const isJson = (request.headers.get("Content-Type") || "").includes("application/json");
+    const text = isJson ? (await request.json().catch(() => ({}))).ics : await request.text();
+    if (typeof text !== "string" || !text.includes("BEGIN:VCALENDAR")) {
+      return jsonResponse({ error: "bad_request", message: "Expected an iCalendar (.ics) file." }, { status: 400 });
+    }
+
+    return updateStudyState(env, userId, (state) => {
+      const imported = parseIcs(text, { timeZone: state.availability.timeZone });
+      const availability = applyCalendarImport(state.availability, imported);
+      return {
+        state: { ...state, availability },
+        response: jsonResponse({ imported: { events: imported.events.length, weekly: imported.weekly.length }, availability }),
+      };
+    });
+  }
+
+  // --- FLASHCARD ENDPOINTS ---
+
+  // Due cards (oldest first). `?all=1` returns the whole deck instead.
+  if (url.pathname === "/api/flashcards" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    const limit = Number(url.searchParams.get("limit")) || 20;
+    const cards = url.searchParams.get("all") ? state.flashcards : dueCards(state.flashcards, Date.now(), limit);
+    return jsonResponse({ cards, total: state.flashcards.length, due: dueCards(state.flashcards, Date.now(), Infinity).length });
+  }
+
+  // Generate cards from a plan. Body: { sessionId?, count? } (defaults to the active plan).
+  if (url.pathname === "/api/flashcards/generate" && request.method === "POST") {
+    const body = await request.json().catch(() => ({}));
+    if (!body || typeof body !== "object") {
+      return jsonResponse({ error: "bad_request", message: "Expected a JSON object." }, { status: 400 });
+    }
+    return updateStudyState(env, userId, async (state) => {
+      const session = body.sessionId ? state.sessions.find((s) => s.id === body.sessionId) : state.lastSession;
+      if (!session) {
+        return { response: jsonResponse({ error: "not_found", message: "No plan to generate cards from." }, { status: 404 }) };
+      }
+      const over = budgetExceeded(state, limits);
+      if (over) return { response: tooManyRequests(over) };
+
+      const cards = await generateCards(env, "flashcards", session, state.flashcards, {
+        count: Number(body.count) || DEFAULT_CARD_COUNT,
+        context: learnerContext(state),
       });
+      return {
+        state: addTokenUsage({ ...state, flashcards: [...state.flashcards, ...cards] }, usageOf(env)),
+        response: jsonResponse({ cards }),
+      };
+    });
+  }
+
+  // Grade one review. Body: { grade } on the SM-2 0-5 scale.
+  const reviewMatch = url.pathname.match(/^\/api\/flashcards\/([\w-]+)\/review$/);
+  if (reviewMatch && request.method === "POST") {
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== "object") {
+      return jsonResponse({ error: "bad_request", message: "Expected a JSON object." }, { status: 400 });
+    }
+    const { grade } = body;
+    if (typeof grade !== "number" || grade < 0 || grade > 5) {
+      return jsonResponse({ error: "bad_request", message: '"grade" must be a number from 0 to 5.' }, { status: 400 });
     }
+    return updateStudyState(env, userId, (state) => {
+      const card = state.flashcards.find((c) => c.id === reviewMatch[1]);
+      if (!card) {
+        return { response: jsonResponse({ error: "not_found", message: "No such card." }, { status: 404 }) };
+      }
 
-    // --- CHAT ENDPOINT (The main interaction) ---
+      const updated = reviewCard(card, grade);
+      return { state: { ...state, flashcards: state.flashcards.map((c) => (c.id === card.id ? updated : c)) }, response: jsonResponse({ card: updated }) };
+    });
+  }
+
+  // --- TRANSCRIPT ---
+
+  // The chat so far, a page at a time, oldest first within the page. Without `before` the
+  // newest page; pass the returned `nextBefore` to go further back (null at the start).
+  if (url.pathname === "/api/messages" && request.method === "GET") {
+    const before = url.searchParams.get("before");
+    const limit = url.searchParams.get("limit") ?? String(DEFAULT_MESSAGE_PAGE);
+    if ((before !== null && !/^[1-9]\d*$/.test(before)) || !/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_MESSAGE_PAGE) {
+      return jsonResponse(
+        { error: "bad_request", message: `"before" must be a message id and "limit" a number from 1 to ${MAX_MESSAGE_PAGE}.` },
+        { status: 400 }
+      );
+    }
+    const page = await studyStateStub(env, userId).messages({ before: before === null ? null : Number(before), limit: Number(limit) });
+    return jsonResponse(page);
+  }
 
-    if (url.pathname === "/api/chat" && request.method === "POST") {
-      const { message } = await request.json();
-      const userId = "demo-user"; // Hardcoded for this demo; normally pulled from auth token
+  // --- QUOTA ---
+
+  // Today's token budget and the per-minute request limit, for the frontend's meter.
+  if (url.pathname === "/api/quota" && request.method === "GET") {
+    const state = await loadStudyState(env, userId);
+    return jsonResponse({ tokens: quotaStatus(state, limits), requestsPerMinute: limits.userPerMinute || null });
+  }
+
+  // --- CHAT ENDPOINT (The main interaction) ---
+
+  if (url.pathname === "/api/chat" && request.method === "POST") {
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== "object" || typeof body.message !== "string" || !body.message.trim()) {
+      return jsonResponse({ error: "bad_request", message: '"message" must be a non-empty string.' }, { status: 400 });
+    }
+    const { message } = body;
+    const wantsStream = body.stream === true || (request.headers.get("Accept") || "").includes("text/event-stream");
 
-      // 1. Load context
-      let state = await loadStudyState(env, userId);
-      
-      // 2. Decide what to do
-      const action = chooseAction(state, message);
+    // 1. Load context. Starting a turn also waits for any other send from this user
+    // (another tab, a double-click) to finish, so turns never overwrite each other.
+    const { turn, state } = await beginTurn(env, userId);
+
+    const over = budgetExceeded(state, limits);
+    if (over) {
+      await endTurn(env, userId, turn);
+      return tooManyRequests(over);
+    }
+
+    let route;
+    let outcome;
+    try {
+      // 2. Decide what to do (rules first, the model classifier only when they are unsure)
+      route = await routeMessage(env, "router", state, message);
+
+      if (wantsStream) {
+        return streamChat(env, ctx, userId, turn, state, message, route);
+      }
 
       // 3. Execute logic
-      let outcome;
-      if (action === "direct_answer") outcome = await answerDirectQuestion(state, message, env);
-      else if (action === "create_plan") outcome = await createPlan(state, message, env);
-      else if (action === "revise_plan") outcome = await revisePlan(state, message, env);
-      else if (action === "log_outcome") outcome = await logOutcome(state, message, env);
-      else if (action === "analyze_pattern") outcome = await analyzePattern(state, message, env);
-      else outcome = await handleGeneralChat(state, message, env);
-
-      // 4. Append interaction to recent history (Short-term memory)
-      const updatedHistory = [
-        ...state.recentHistory,
-        { role: "user", content: message },
-        { role: "assistant", content: outcome.reply }
-      ];
-
-      // 5. Save updated state to KV
-      const finalState = {
-        ...outcome.newState,
-        recentHistory: updatedHistory
-      };
+      outcome = await runAction(route, state, message, env, materialHooks(env, userId, state));
+    } catch (err) {
+      await endTurn(env, userId, turn);
+      throw err;
+    }
+
+    // 4-5. Append interaction to recent history (Short-term memory), fold old turns into
+    // the summary if over budget, count the tokens spent, save, and end the turn.
+    // We wrap the Promise in ctx.waitUntil(). 
+    // This tells Cloudflare: "Send the response NOW, but keep the worker alive 
+    // until this save finishes in the background."
+    ctx.waitUntil(
+      compactHistory(env, "memory", withTurn(outcome, message))
+        .then((next) =>
+          saveStudyState(env, userId, addTokenUsage(next, usageOf(env)), turn, transcriptEntries(message, outcome.reply, route.action))
+        )
+        // The reply is already on its way, so a failed save can only be logged.
+        .catch((err) => console.error(`Saving the chat turn for user ${userId} failed:`, err))
+        .finally(() => endTurn(env, userId, turn))
+    );
 
-      // Save updated state to KV
-      // We wrap the Promise in ctx.waitUntil(). 
-      // This tells Cloudflare: "Send the response NOW, but keep the worker alive 
-      // until this save finishes in the background."
-      ctx.waitUntil(saveStudyState(env, userId, finalState));
+    // 6. Return response to frontend
+    // The user gets this immediately! `usage` is what routing and the handler spent
+    // (the background compaction isn't counted).
+    return jsonResponse({ reply: outcome.reply, action: route.action, confidence: route.confidence, usage: usageOf(env) });
+  }
+
+  return new Response("Not Found", { status: 404, headers: CORS_HEADERS });
+}
 
-      // 6. Return response to frontend
-      // The user gets this immediately!
-      return new Response(JSON.stringify({ reply: outcome.reply, action }), {
-        headers: { "Content-Type": "application/json", ...CORS_HEADERS },
+/**
+ * Cron Trigger: checks every user for reminders (see `reminders.js`). Users are visited one
+ * at a time, each in its own turn, so a chat in progress is never overwritten. One user's
+ * broken state is logged and skipped rather than stopping the run.
+ * Returns `{ users, created }`.
+ */
+async function sendReminders(env, now) {
+  const userIds = await listUserIds(env);
+  let created = 0;
+  for (const userId of userIds) {
+    try {
+      created += await updateStudyState(env, userId, (state) => {
+        const notifications = collectNudges(state, now);
+        if (notifications.length === 0) return { response: 0 };
+        return { state: addNotifications(state, notifications), response: notifications.length };
       });
+    } catch (err) {
+      console.error(`Reminders for user ${userId} failed:`, err);
     }
+  }
+  return { users: userIds.length, created };
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    try {
+      return await handleRequest(request, inferenceEnv(env), ctx);
+    } catch (err) {
+      // Every model and the fallback failed (see `inference.js`). Nothing was saved, so the
+      // same request can simply be sent again.
+      if (err instanceof ModelError) {
+        return jsonResponse({ error: "model_unavailable", message: err.message }, { status: 503, headers: { "Retry-After": "30" } });
+      }
+      // Stored state that is newer than this Worker or too broken to migrate. Say so
+      // instead of overwriting it with defaults; the record is left untouched.
+      if (!(err instanceof SchemaError)) throw err;
+      return jsonResponse({ error: "invalid_state", message: err.message }, { status: 500 });
+    }
+  },
 
-    return new Response("Not Found", { status: 404, headers: CORS_HEADERS });
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(sendReminders(env, controller.scheduledTime));
   },
 };
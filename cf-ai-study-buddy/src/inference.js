@@ -0,0 +1,364 @@
+/**
+ * Inference (Model Provider Layer)
+ *
+ * Every model call in the Worker goes through `generateText` (chat models) or
+ * `generateEmbeddings`. Callers name a *purpose* ("create_plan", "router", "memory", ...)
+ * instead of a model id, and get back `{ text, model, usage }`.
+ *
+ * PER CALL:
+ * 1. Model selection: `PURPOSES` sets the timeout per purpose; every purpose uses
+ *    DEFAULT_MODEL unless the `MODEL_OVERRIDES` variable (JSON, e.g.
+ *    `{"create_plan": "@cf/meta/llama-3.3-70b-instruct-fp8-fast", "fallback": "..."}`) says otherwise.
+ * 2. Timeout: each attempt is abandoned after the purpose's `timeoutMs`. A streamed attempt
+ *    only times out when that long passes without a token, so a long reply that keeps
+ *    arriving is never cut off.
+ * 3. Retry: a failed or timed-out attempt is retried after BACKOFF_MS (doubling each time),
+ *    then the fallback model gets one try. A streamed reply is never retried once tokens
+ *    have reached the client, since the retry would be appended to what they already saw.
+ * 4. Usage: prompt/completion tokens (as reported by the provider, or estimated from the
+ *    text when it reports none) are added to the request's meter (`withUsageMeter`).
+ * When everything fails, `ModelError` is thrown; the Worker answers it with a 503.
+ *
+ * PROVIDERS: a provider is anything with the Workers AI binding's `run(model, params)`
+ * shape. `env.AI` is the real one; `createFakeProvider(script)` is a deterministic stand-in
+ * for tests and offline development (`wrangler dev --var MODEL_PROVIDER:fake`).
+ */
+
+import { runModel } from "./streaming.js";
+
+export const DEFAULT_MODEL = "@cf/meta/llama-3.1-8b-instruct-fast";
+// Same model family on the regular (non "fast") deployment, so an outage of one rarely hits both.
+export const FALLBACK_MODEL = "@cf/meta/llama-3.1-8b-instruct";
+
+const SECOND = 1000;
+const DEFAULT_TIMEOUT_MS = 15 * SECOND;
+export const ATTEMPTS_PER_MODEL = 2;
+export const BACKOFF_MS = 250;
+
+// Per-purpose settings. Purposes not listed here use the defaults.
+const PURPOSES = {
+  // Small JSON answers that only steer the turn (each has a non-model fallback), so give up early.
+  router: { timeoutMs: 8 * SECOND },
+  profile: { timeoutMs: 8 * SECOND },
+  memory: { timeoutMs: 10 * SECOND },
+  // Up to 2048 tokens of JSON.
+  create_plan: { timeoutMs: 25 * SECOND },
+  revise_plan: { timeoutMs: 25 * SECOND },
+};
+
+export class ModelError extends Error {
+  constructor(message, failures = []) {
+    super(message);
+    this.name = "ModelError";
+    this.failures = failures;
+  }
+}
+
+// --- MODEL SELECTION ---
+
+function modelOverrides(env) {
+  if (!env.MODEL_OVERRIDES) return {};
+  if (typeof env.MODEL_OVERRIDES === "object") return env.MODEL_OVERRIDES;
+  try {
+    const parsed = JSON.parse(env.MODEL_OVERRIDES);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    console.warn("MODEL_OVERRIDES is not valid JSON; using the default models.");
+    return {};
+  }
+}
+
+/**
+ * The models to try for `purpose`, in order, and the timeout for each attempt.
+ * Returns `{ models: [primary, fallback?], timeoutMs }`.
+ */
+export function selectModels(env, purpose) {
+  const overrides = modelOverrides(env);
+  const primary = overrides[purpose] || overrides.default || DEFAULT_MODEL;
+  const fallback = overrides.fallback || FALLBACK_MODEL;
+  return {
+    models: fallback === primary ? [primary] : [primary, fallback],
+    timeoutMs: PURPOSES[purpose]?.timeoutMs || DEFAULT_TIMEOUT_MS,
+  };
+}
+
+// --- USAGE ---
+
+const METER = Symbol("usage meter");
+
+/**
+ * A copy of `env` that counts the tokens spent by every call made with it. One per request.
+ */
+export function withUsageMeter(env) {
+  return { ...env, [METER]: { calls: 0, promptTokens: 0, completionTokens: 0, estimated: false } };
+}
+
+/**
+ * What the calls made with `env` have spent so far: `{ calls, promptTokens, completionTokens,
+ * totalTokens, estimated }` (`estimated` when any count was guessed from text length).
+ */
+export function usageOf(env) {
+  const meter = env[METER] || { calls: 0, promptTokens: 0, completionTokens: 0, estimated: false };
+  return { ...meter, totalTokens: meter.promptTokens + meter.completionTokens };
+}
+
+// Roughly four characters per token for English text.
+const estimateTokens = (chars) => Math.ceil(chars / 4);
+
+function countUsage(params, text, reported) {
+  if (Number.isFinite(reported?.prompt_tokens) && Number.isFinite(reported?.completion_tokens)) {
+    return { promptTokens: reported.prompt_tokens, completionTokens: reported.completion_tokens, estimated: false };
+  }
+  const promptChars = Array.isArray(params.text)
+    ? params.text.join("").length
+    : (params.messages || []).reduce((n, m) => n + String(m.content || "").length, 0);
+  return { promptTokens: estimateTokens(promptChars), completionTokens: estimateTokens(text.length), estimated: true };
+}
+
+function recordUsage(env, usage) {
+  const meter = env[METER];
+  if (!meter) return;
+  meter.calls += 1;
+  meter.promptTokens += usage.promptTokens;
+  meter.completionTokens += usage.completionTokens;
+  meter.estimated = meter.estimated || usage.estimated;
+}
+
+// --- CALLING ---
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The provider call itself can't be cancelled, so a timed-out attempt keeps running. It is
+// marked `abandoned` instead: `attemptFn` must drop whatever it streams or reports after that,
+// or a retry's tokens (and usage) would mix with the late ones. `attempt.touch()` restarts
+// the clock; streaming attempts call it on every token.
+function withTimeout(attemptFn, ms, model) {
+  const attempt = { abandoned: false, touch: () => {} };
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    attempt.touch = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        attempt.abandoned = true;
+        reject(new Error(`${model} went ${ms} ms without answering`));
+      }, ms);
+    };
+  });
+  attempt.touch();
+  return Promise.race([attemptFn(attempt), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * The reply text of a chat model result. Models answer in `response`, older ones in
+ * `result`; structured replies are re-serialized so callers always parse a string.
+ */
+export function resultText(result) {
+  if (typeof result === "string") return result;
+  const value = result?.response ?? result?.result?.response ?? result?.result;
+  if (typeof value === "string") return value;
+  return value == null ? "" : JSON.stringify(value);
+}
+
+async function withRetries(env, purpose, attemptFn, { models, timeoutMs, attempts, backoffMs, canRetry }) {
+  const failures = [];
+  for (const [i, model] of models.entries()) {
+    // The fallback model only gets one try.
+    const tries = i === 0 ? attempts : 1;
+    for (let attempt = 1; attempt <= tries; attempt++) {
+      try {
+        return await withTimeout((run) => attemptFn(model, run), timeoutMs, model);
+      } catch (err) {
+        failures.push(`${model}: ${err?.message || err}`);
+        if (!canRetry()) break;
+        if (attempt < tries) await sleep(backoffMs * 2 ** (attempt - 1));
+      }
+    }
+    if (!canRetry()) break;
+  }
+  console.error(`Model call for "${purpose}" failed:`, failures);
+  throw new ModelError("The AI model is unavailable right now. Please try again in a moment.", failures);
+}
+
+/**
+ * Runs a chat model for `purpose`. `params` are the Workers AI parameters (`messages`,
+ * `max_tokens`, ...). `onToken` streams the reply as it arrives.
+ * Returns `{ text, model, usage }`; throws `ModelError` when every attempt failed.
+ * `timeoutMs`, `attempts` and `backoffMs` override the defaults (tests use them).
+ */
+export async function generateText(env, purpose, params, { onToken, ...options } = {}) {
+  const selected = selectModels(env, purpose);
+  let streamed = false;
+
+  return withRetries(
+    env,
+    purpose,
+    async (model, attempt) => {
+      const relay = onToken
+        ? (text) => {
+            if (attempt.abandoned) return;
+            attempt.touch();
+            streamed = true;
+            onToken(text);
+          }
+        : undefined;
+      const result = await runModel(env, model, params, relay);
+      const text = resultText(result);
+      const usage = countUsage(params, text, result?.usage);
+      if (!attempt.abandoned) recordUsage(env, usage);
+      return { text, model, usage };
+    },
+    {
+      models: selected.models,
+      timeoutMs: options.timeoutMs ?? selected.timeoutMs,
+      attempts: options.attempts ?? ATTEMPTS_PER_MODEL,
+      backoffMs: options.backoffMs ?? BACKOFF_MS,
+      canRetry: () => !streamed,
+    }
+  );
+}
+
+/**
+ * One vector per text from the embedding `model`. Retried like `generateText`, but never
+ * with a fallback: vectors from another model don't compare with the stored ones.
+ */
+export async function generateEmbeddings(env, model, texts, options = {}) {
+  return withRetries(
+    env,
+    "embedding",
+    async (_model, attempt) => {
+      const result = await env.AI.run(model, { text: texts });
+      if (!Array.isArray(result?.data)) throw new Error("The embedding model returned no vectors.");
+      if (!attempt.abandoned) recordUsage(env, countUsage({ text: texts }, "", result.usage));
+      return result.data;
+    },
+    {
+      models: [model],
+      timeoutMs: options.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+      attempts: options.attempts ?? ATTEMPTS_PER_MODEL,
+      backoffMs: options.backoffMs ?? BACKOFF_MS,
+      canRetry: () => true,
+    }
+  );
+}
+
+// --- FAKE PROVIDER ---
+
+const encoder = new TextEncoder();
+
+// Workers AI's stream format: one `data:` frame per chunk, then `[DONE]`.
+function fakeStream(text) {
+  const words = text.match(/\S+\s*/g) || [];
+  return new ReadableStream({
+    start(controller) {
+      for (const word of words) controller.enqueue(encoder.encode(`data: ${JSON.stringify({ response: word })}\n\n`));
+      controller.enqueue(encoder.encode("data: [DONE]\n\n"));
+      controller.close();
+    },
+  });
+}
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// Hashed bag of words: texts that share words get similar vectors.
+function fakeEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 0;
+    for (const ch of word) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    vector[hash % EMBEDDING_DIMENSIONS] += 1;
+  }
+  return vector;
+}
+
+function ruleMatches(rule, prompt, model) {
+  if (rule.model && rule.model !== model) return false;
+  if (rule.when === undefined) return true;
+  if (typeof rule.when === "string") return prompt.includes(rule.when);
+  if (rule.when instanceof RegExp) return rule.when.test(prompt);
+  return Boolean(rule.when(prompt, model));
+}
+
+/**
+ * A scripted provider. `script` is a list of rules tried in order against the full prompt
+ * (every message's content, joined by newlines):
+ *
+ *   { when?, model?, reply?, error?, delayMs?, times? }
+ *
+ * - `when`: substring, RegExp or `(prompt, model) => boolean`; omitted matches anything.
+ * - `model`: only match calls to this model.
+ * - `reply`: a string, an object (sent as JSON) or `(prompt, model) => string | object`.
+ * - `error`: throw this message instead of replying (to script outages).
+ * - `delayMs`: answer this late (to script timeouts).
+ * - `times`: stop matching after this many uses.
+ *
+ * A call no rule matches throws. Embedding calls (`{ text: [...] }`) always get
+ * deterministic vectors. `provider.calls` records `{ model, prompt, params }` for every call.
+ */
+export function createFakeProvider(script = OFFLINE_SCRIPT) {
+  const rules = script.map((rule) => ({ ...rule, used: 0 }));
+  const calls = [];
+  return {
+    calls,
+    async run(model, params = {}) {
+      if (Array.isArray(params.text)) {
+        calls.push({ model, prompt: params.text.join("\n"), params });
+        return { data: params.text.map(fakeEmbedding) };
+      }
+
+      const prompt = (params.messages || []).map((m) => m.content).join("\n");
+      calls.push({ model, prompt, params });
+      const rule = rules.find((r) => (r.times === undefined || r.used < r.times) && ruleMatches(r, prompt, model));
+      if (!rule) throw new Error(`The fake provider has no reply scripted for: ${prompt.slice(-120)}`);
+      rule.used += 1;
+      if (rule.delayMs) await sleep(rule.delayMs);
+      if (rule.error) throw new Error(rule.error);
+
+      const value = typeof rule.reply === "function" ? rule.reply(prompt, model) : rule.reply;
+      const text = typeof value === "string" ? value : JSON.stringify(value ?? "");
+      if (params.stream) return fakeStream(text);
+      return { response: text, usage: { prompt_tokens: estimateTokens(prompt.length), completion_tokens: estimateTokens(text.length) } };
+    },
+  };
+}
+
+const OFFLINE_PLAN = {
+  title: "Sample plan (offline model)",
+  topic: "Practice",
+  days: [
+    {
+      day: 1,
+      focus: "Getting started",
+      blocks: [
+        {
+          title: "Warm-up",
+          start: null,
+          minutes: 30,
+          tasks: [
+            { description: "Skim the first chapter", minutes: 15, topics: ["overview"], sources: [] },
+            { description: "Write down three open questions", minutes: 15, topics: ["questions"], sources: [] },
+          ],
+        },
+      ],
+    },
+  ],
+  notes: ["Generated by the fake model provider; set MODEL_PROVIDER to anything else for real plans."],
+};
+
+/**
+ * What `MODEL_PROVIDER=fake` answers: enough to click through every feature without a model.
+ */
+export const OFFLINE_SCRIPT = [
+  { when: "Classify the student's message", reply: { label: "general_chat", confidence: 0.9, question: "" } },
+  { when: "OUTPUT FORMAT (STRICT)", reply: OFFLINE_PLAN },
+  { when: "Return ONLY JSON", reply: {} },
+  { reply: "This is the offline model. Ask for a study plan to see one." },
+];
+
+/**
+ * The env the Worker runs with: the fake provider in place of `env.AI` when
+ * `MODEL_PROVIDER` is "fake", and a fresh usage meter.
+ */
+export function inferenceEnv(env) {
+  const provided = env.MODEL_PROVIDER === "fake" ? { ...env, AI: createFakeProvider() } : env;
+  return withUsageMeter(provided);
+}
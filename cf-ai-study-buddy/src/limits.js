@@ -0,0 +1,143 @@
+/**
+ * Rate Limits & Daily Token Quota
+ *
+ * Routes that call the model (chat, flashcard generation, material uploads) are limited
+ * three ways:
+ * 1. Requests per minute per IP, checked before the token is even looked at.
+ * 2. Requests per minute per user.
+ * 3. Tokens per day per user, counted from the usage every model call reports
+ *    (see `inference.js`) and stored in the state:
+ *
+ *      state.tokenUsage = { day: "YYYY-MM-DD", tokens, requests }
+ *
+ *    `day` is the UTC date, so the budget resets at midnight UTC. It used to be the user's
+ *    local date, but the time zone is a user setting: switching zones changed the date and
+ *    started a fresh budget. A request is let in while the day's total is under the budget,
+ *    so one large plan can overshoot it a little; the next request is refused.
+ *
+ * The per-minute counters live in a `RateLimiter` Durable Object per key ("ip:<addr>",
+ * "user:<id>"), a sliding one-minute window kept in memory. An evicted object simply
+ * starts counting again.
+ *
+ * CONFIG (Worker variables; "0" turns a limit off):
+ * - RATE_LIMIT_IP_PER_MINUTE   (default 60)
+ * - RATE_LIMIT_USER_PER_MINUTE (default 20)
+ * - DAILY_TOKEN_BUDGET         (default 100000)
+ */
+
+import { DurableObject } from "cloudflare:workers";
+
+export const DEFAULT_LIMITS = { ipPerMinute: 60, userPerMinute: 20, dailyTokens: 100000 };
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function limitFrom(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+/**
+ * The configured limits. 0 means unlimited.
+ */
+export function limitsFor(env) {
+  return {
+    ipPerMinute: limitFrom(env.RATE_LIMIT_IP_PER_MINUTE, DEFAULT_LIMITS.ipPerMinute),
+    userPerMinute: limitFrom(env.RATE_LIMIT_USER_PER_MINUTE, DEFAULT_LIMITS.userPerMinute),
+    dailyTokens: limitFrom(env.DAILY_TOKEN_BUDGET, DEFAULT_LIMITS.dailyTokens),
+  };
+}
+
+// --- REQUEST RATE ---
+
+export class RateLimiter extends DurableObject {
+  #hits = [];
+
+  /**
+   * Counts one request against `limit` per `windowMs`. A refused request isn't counted.
+   * Returns `{ allowed, remaining, retryAfterMs }`.
+   */
+  async hit(limit, windowMs = MINUTE_MS, now = Date.now()) {
+    this.#hits = this.#hits.filter((t) => t > now - windowMs);
+    if (this.#hits.length >= limit) {
+      return { allowed: false, remaining: 0, retryAfterMs: this.#hits[0] + windowMs - now };
+    }
+    this.#hits.push(now);
+    return { allowed: true, remaining: limit - this.#hits.length, retryAfterMs: 0 };
+  }
+}
+
+/**
+ * Counts a request for `key` ("ip:<addr>" or "user:<id>") against `limit` per minute.
+ * Always allowed when the limit is 0 or the binding is missing.
+ */
+export async function hitRateLimit(env, key, limit, now = Date.now()) {
+  if (!limit || !env.RATE_LIMITER) return { allowed: true, remaining: null, retryAfterMs: 0 };
+  return env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key)).hit(limit, MINUTE_MS, now);
+}
+
+// --- DAILY TOKENS ---
+
+export function defaultTokenUsage() {
+  return { day: null, tokens: 0, requests: 0 };
+}
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+function usageToday(state, now) {
+  const day = utcDay(now);
+  const usage = state.tokenUsage || defaultTokenUsage();
+  return usage.day === day ? usage : { day, tokens: 0, requests: 0 };
+}
+
+/**
+ * Adds one request's `usage` (`usageOf(env)`) to today's totals.
+ */
+export function addTokenUsage(state, usage, now = Date.now()) {
+  if (!usage?.calls) return state;
+  const today = usageToday(state, now);
+  return { ...state, tokenUsage: { ...today, tokens: today.tokens + usage.totalTokens, requests: today.requests + 1 } };
+}
+
+
+/**
+ * Today's budget: `{ day, used, limit, remaining, resetsAt }`. `limit` and `remaining` are
+ * null when there is no budget.
+ */
+export function quotaStatus(state, limits, now = Date.now()) {
+  const today = usageToday(state, now);
+  const limit = limits.dailyTokens || null;
+  return {
+    day: today.day,
+    used: today.tokens,
+    limit,
+    remaining: limit === null ? null : Math.max(0, limit - today.tokens),
+    resetsAt: Math.floor(now / DAY_MS) * DAY_MS + DAY_MS,
+  };
+}
+
+/**
+ * Why a model request must wait, or null if it may go ahead. `{ error, message, retryAfter }`
+ * with `retryAfter` in seconds.
+ */
+export function budgetExceeded(state, limits, now = Date.now()) {
+  const quota = quotaStatus(state, limits, now);
+  if (quota.remaining === null || quota.remaining > 0) return null;
+  const retryAfter = Math.max(1, Math.ceil((quota.resetsAt - now) / 1000));
+  return {
+    error: "quota_exceeded",
+    message: `You've used today's AI budget (${quota.limit} tokens). It resets at midnight UTC, in ${describeWait(retryAfter)}.`,
+    retryAfter,
+  };
+}
+
+/**
+ * "45 seconds", "12 minutes", "3 h 20 min".
+ */
+export function describeWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
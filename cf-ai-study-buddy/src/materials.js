@@ -0,0 +1,269 @@
+/**
+ * Course Material (Retrieval)
+ *
+ * Users upload syllabi, lecture notes or other Markdown/text files so plans use the real
+ * chapter and topic names instead of guessed ones.
+ *
+ * PIPELINE:
+ * upload -> `chunkText` (paragraphs packed to ~CHUNK_CHARS, each tagged with the Markdown
+ * heading it sits under) -> `embedTexts` (Workers AI) -> vector store, one namespace per user.
+ * At question time the message is embedded the same way and the closest chunks come back as
+ * numbered excerpts: `[{ ref, materialId, name, part, heading, text, score }]`.
+ *
+ * The state only keeps a list of uploads; the chunk text lives in the vector store:
+ *
+ *   state.materials = [{ id, name, chars, chunks, uploadedAt }]
+ *
+ * VECTOR STORE: `vectorStore(env)` wraps the Vectorize index bound as `MATERIALS_INDEX`. When
+ * that binding is missing (local dev, tests) it falls back to an in-memory stand-in with the
+ * same three methods, which lives as long as the isolate does:
+ *
+ *   upsert(namespace, [{ id, values, metadata }])
+ *   query(namespace, values, topK) -> [{ id, score, metadata }]
+ *   deleteByIds(namespace, ids)
+ */
+
+import { generateEmbeddings } from "./inference.js";
+
+export const EMBEDDING_MODEL = "@cf/baai/bge-base-en-v1.5";
+export const CHUNK_CHARS = 1200;
+export const MAX_MATERIAL_CHARS = 100000;
+export const MAX_MATERIALS = 20;
+// How many excerpts a prompt gets, and how close they have to be to count as relevant.
+export const RETRIEVAL_TOP_K = 4;
+export const MIN_RELEVANCE = 0.5;
+// Workers AI embeds at most this many texts per call.
+const EMBED_BATCH = 100;
+
+// --- CHUNKING ---
+
+function splitLong(paragraph) {
+  if (paragraph.length <= CHUNK_CHARS) return [paragraph];
+  const pieces = [];
+  let current = "";
+  // Sentence boundaries first; anything still too long is cut hard.
+  for (const sentence of paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]) {
+    if (current && current.length + sentence.length > CHUNK_CHARS) {
+      pieces.push(current.trim());
+      current = "";
+    }
+    current += sentence;
+    while (current.length > CHUNK_CHARS) {
+      pieces.push(current.slice(0, CHUNK_CHARS).trim());
+      current = current.slice(CHUNK_CHARS);
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/**
+ * Splits a document into `[{ heading, text }]`. Paragraphs stay whole where they fit and a
+ * chunk never spans two headings, so each excerpt is about one section.
+ */
+export function chunkText(text) {
+  const chunks = [];
+  let heading = "";
+  let current = "";
+  const flush = () => {
+    if (current.trim()) chunks.push({ heading, text: current.trim() });
+    current = "";
+  };
+
+  for (const block of String(text).replace(/\r\n?/g, "\n").split(/\n\s*\n/)) {
+    const lines = block.trim().split("\n");
+    // A heading line starts a new section; anything under it in the same block is body text.
+    if (/^#{1,6}\s/.test(lines[0])) {
+      flush();
+      heading = lines.shift().replace(/^#+\s*/, "").trim();
+    }
+    for (const paragraph of splitLong(lines.join("\n").trim())) {
+      if (!paragraph) continue;
+      if (current && current.length + paragraph.length + 2 > CHUNK_CHARS) flush();
+      current += (current ? "\n\n" : "") + paragraph;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+// --- EMBEDDING ---
+
+/**
+ * One vector per text, in order.
+ */
+export async function embedTexts(env, texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    vectors.push(...(await generateEmbeddings(env, EMBEDDING_MODEL, texts.slice(i, i + EMBED_BATCH))));
+  }
+  return vectors;
+}
+
+// --- VECTOR STORE ---
+
+const memoryNamespaces = new Map(); // namespace -> Map(id -> { values, metadata })
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+const memoryStore = {
+  async upsert(namespace, vectors) {
+    if (!memoryNamespaces.has(namespace)) memoryNamespaces.set(namespace, new Map());
+    const entries = memoryNamespaces.get(namespace);
+    for (const v of vectors) entries.set(v.id, { values: v.values, metadata: v.metadata });
+  },
+  async query(namespace, values, topK) {
+    const entries = memoryNamespaces.get(namespace) || new Map();
+    return [...entries]
+      .map(([id, v]) => ({ id, score: cosine(values, v.values), metadata: v.metadata }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  },
+  async deleteByIds(namespace, ids) {
+    const entries = memoryNamespaces.get(namespace);
+    for (const id of ids) entries?.delete(id);
+  },
+};
+
+function vectorizeStore(index) {
+  return {
+    async upsert(namespace, vectors) {
+      await index.upsert(vectors.map((v) => ({ ...v, namespace })));
+    },
+    async query(namespace, values, topK) {
+      const { matches } = await index.query(values, { topK, namespace, returnMetadata: "all" });
+      return matches;
+    },
+    // Vector ids are unique across the index, so the namespace isn't needed here.
+    async deleteByIds(_namespace, ids) {
+      if (ids.length > 0) await index.deleteByIds(ids);
+    },
+  };
+}
+
+export function vectorStore(env) {
+  return env.MATERIALS_INDEX ? vectorizeStore(env.MATERIALS_INDEX) : memoryStore;
+}
+
+// --- UPLOAD / DELETE ---
+
+/**
+ * Checks an upload body `{ name, text }`. Returns an error string, or null.
+ */
+export function validateUpload(body) {
+  if (!body || typeof body.name !== "string" || !body.name.trim()) return '"name" is required.';
+  if (typeof body.text !== "string" || !body.text.trim()) return '"text" must be the file contents as text (PDFs need converting first).';
+  if (body.text.length > MAX_MATERIAL_CHARS) return `Files are limited to ${MAX_MATERIAL_CHARS} characters.`;
+  return null;
+}
+
+function vectorIds(material) {
+  return Array.from({ length: material.chunks }, (_, i) => `${material.id}-${i}`);
+}
+
+/**
+ * Chunks, embeds and stores one document. Returns the `materials` entry for the state.
+ */
+export async function indexMaterial(env, userId, { name, text }, now = Date.now()) {
+  const material = { id: crypto.randomUUID(), name: name.trim().slice(0, 200), chars: text.length, chunks: 0, uploadedAt: now };
+  const chunks = chunkText(text);
+  const vectors = await embedTexts(env, chunks.map((c) => (c.heading ? `${c.heading}\n${c.text}` : c.text)));
+  await vectorStore(env).upsert(
+    userId,
+    chunks.map((chunk, i) => ({
+      id: `${material.id}-${i}`,
+      values: vectors[i],
+      metadata: { materialId: material.id, name: material.name, part: i + 1, heading: chunk.heading, text: chunk.text },
+    }))
+  );
+  return { ...material, chunks: chunks.length };
+}
+
+export async function removeMaterial(env, userId, material) {
+  await vectorStore(env).deleteByIds(userId, vectorIds(material));
+}
+
+// --- RETRIEVAL ---
+
+/**
+ * The excerpts most relevant to `query`, numbered from 1. Skips the embedding call entirely
+ * for users who haven't uploaded anything.
+ */
+export async function retrieveExcerpts(env, userId, state, query, topK = RETRIEVAL_TOP_K) {
+  if (!state.materials?.length || !String(query || "").trim()) return [];
+  const [values] = await embedTexts(env, [query]);
+  const known = new Set(state.materials.map((m) => m.id));
+  const matches = await vectorStore(env).query(userId, values, topK);
+  return matches
+    .filter((m) => m.score >= MIN_RELEVANCE && known.has(m.metadata?.materialId))
+    .map((m, i) => ({ ref: i + 1, ...m.metadata, score: Math.round(m.score * 1000) / 1000 }));
+}
+
+/**
+ * The excerpts as a prompt data block (empty string when there are none).
+ */
+export function formatExcerpts(excerpts) {
+  return excerpts
+    .map((e) => `[${e.ref}] ${e.name}, part ${e.part}${e.heading ? ` (${e.heading})` : ""}\n${e.text}`)
+    .join("\n\n");
+}
+
+/**
+ * Short label for a cited excerpt, e.g. "syllabus.md, part 3 (Week 2: Limits)".
+ */
+export function describeSource(source) {
+  return `${source.name}, part ${source.part}${source.heading ? ` (${source.heading})` : ""}`;
+}
+
+/**
+ * Resolves the excerpt numbers a generated plan cites into `plan.sources`, renumbered 1..n
+ * in order of first use. Task refs that match no excerpt are dropped (so without excerpts a
+ * plan cites nothing). A plan built from excerpts that cites none of them lists all of them,
+ * since they still shaped it.
+ */
+export function citeSources(plan, excerpts) {
+  const byRef = new Map(excerpts.map((e) => [e.ref, e]));
+  const order = [];
+  for (const task of plan.days.flatMap((d) => d.blocks.flatMap((b) => b.tasks))) {
+    for (const ref of task.sources) if (byRef.has(ref) && !order.includes(ref)) order.push(ref);
+  }
+  const cited = order.length > 0 ? order : excerpts.map((e) => e.ref);
+  const renumber = new Map(cited.map((ref, i) => [ref, i + 1]));
+  const days = plan.days.map((day) => ({
+    ...day,
+    blocks: day.blocks.map((block) => ({
+      ...block,
+      tasks: block.tasks.map((task) => ({ ...task, sources: task.sources.filter((r) => renumber.has(r)).map((r) => renumber.get(r)) })),
+    })),
+  }));
+  const sources = cited.map((ref) => {
+    const e = byRef.get(ref);
+    return { ref: renumber.get(ref), materialId: e.materialId, name: e.name, part: e.part, heading: e.heading };
+  });
+  return { ...plan, days, sources };
+}
+
+/**
+ * A plan as JSON for a revision prompt, without its citations: the numbers refer to the
+ * excerpts of the earlier request, not the ones the revision sees.
+ */
+export function planWithoutSources(plan) {
+  const { sources: _sources, ...rest } = plan;
+  return {
+    ...rest,
+    days: plan.days.map((day) => ({
+      ...day,
+      blocks: day.blocks.map((block) => ({ ...block, tasks: block.tasks.map(({ sources: _s, ...task }) => task) })),
+    })),
+  };
+}
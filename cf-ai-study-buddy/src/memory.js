@@ -0,0 +1,130 @@
+/**
+ * Conversation Memory
+ *
+ * Short-term memory used to be the last 8 turns, so anything the user said earlier
+ * ("I already know Python", "exam is Friday") was simply lost. Now it has three layers:
+ *
+ *   memory = { summary, facts: [{ text, createdAt }], summarizedMessages, updatedAt }
+ *
+ * - recentHistory: the latest turns, verbatim.
+ * - summary: a running summary of everything older, rewritten on each compaction.
+ * - facts: durable constraints and background pulled out of the conversation. They survive
+ *   even when the summary gets rewritten.
+ *
+ * Compaction runs when `recentHistory` passes HISTORY_TOKEN_BUDGET (estimated). The oldest
+ * turns are folded into the summary and facts, and the last KEEP_RECENT_MESSAGES stay verbatim.
+ * If the model call fails, nothing is dropped; MAX_HISTORY_MESSAGES is only a safety net.
+ */
+
+import { extractJson, repairJson } from "./plan.js";
+import { generateText } from "./inference.js";
+import { buildMessages, isClean } from "./prompts.js";
+
+export const HISTORY_TOKEN_BUDGET = 1200;
+export const KEEP_RECENT_MESSAGES = 6;
+export const MAX_HISTORY_MESSAGES = 60;
+const MAX_FACTS = 30;
+const MAX_SUMMARY_CHARS = 1500;
+
+export function defaultMemory() {
+  return { summary: "", facts: [], summarizedMessages: 0, updatedAt: null };
+}
+
+/**
+ * Rough token count (about 4 characters per token for English). Good enough for a budget.
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export function historyTokens(history) {
+  return history.reduce((sum, msg) => sum + estimateTokens(msg.content) + 4, 0);
+}
+
+/**
+ * Adds new facts, skipping ones already stored (case-insensitive). Oldest facts drop off first.
+ */
+export function mergeFacts(existing = [], texts = [], now = Date.now()) {
+  const seen = new Set(existing.map((f) => f.text.toLowerCase()));
+  const added = [];
+  for (const text of texts) {
+    const clean = typeof text === "string" ? text.trim() : "";
+    if (!clean || seen.has(clean.toLowerCase())) continue;
+    seen.add(clean.toLowerCase());
+    added.push({ text: clean.slice(0, 200), createdAt: now });
+  }
+  return [...existing, ...added].slice(-MAX_FACTS);
+}
+
+/**
+ * Prompt section with the summary and facts. Empty string when there is nothing to remember.
+ */
+export function describeMemory(memory) {
+  if (!memory) return "";
+  const parts = [];
+  if (memory.facts?.length) parts.push(`KNOWN FACTS ABOUT THE USER:\n${memory.facts.map((f) => `- ${f.text}`).join("\n")}`);
+  if (memory.summary) parts.push(`SUMMARY OF EARLIER CONVERSATION:\n${memory.summary}`);
+  return parts.join("\n\n");
+}
+
+/**
+ * Folds old turns into the summary when the history is over budget.
+ * Returns the (possibly) updated state; never throws.
+ */
+export async function compactHistory(env, purpose, state, { budget = HISTORY_TOKEN_BUDGET, now = Date.now() } = {}) {
+  const history = state.recentHistory || [];
+  if (historyTokens(history) <= budget || history.length <= KEEP_RECENT_MESSAGES) return state;
+
+  const older = history.slice(0, -KEEP_RECENT_MESSAGES);
+  const recent = history.slice(-KEEP_RECENT_MESSAGES);
+  const memory = { ...defaultMemory(), ...(state.memory || {}) };
+  const transcript = older.map((msg) => `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content}`).join("\n");
+
+  const systemPrompt = `
+You maintain the long-term memory of a study assistant.
+The CURRENT SUMMARY and KNOWN FACTS blocks hold what is remembered so far.
+
+RULES:
+- Rewrite the summary to include the NEW CONVERSATION block. Max 120 words. Keep topics, decisions and open questions.
+- List NEW durable facts the user stated about themselves: background knowledge, deadlines, exam dates, time limits, preferences.
+  One short sentence each, e.g. "Already knows Python." Do not repeat known facts.
+- Return ONLY JSON: {"summary": string, "facts": [string]}
+`;
+
+  let parsed = null;
+  try {
+    const { text } = await generateText(env, purpose, {
+      messages: buildMessages({
+        system: systemPrompt,
+        data: {
+          "CURRENT SUMMARY": memory.summary || "(empty)",
+          "KNOWN FACTS": memory.facts.map((f) => `- ${f.text}`).join("\n") || "(none)",
+        },
+        user: transcript,
+        userLabel: "NEW CONVERSATION",
+      }),
+      max_tokens: 500,
+    });
+    const raw = extractJson(text);
+    if (raw) parsed = JSON.parse(repairJson(raw));
+  } catch {
+    parsed = null;
+  }
+
+  // A summary that carries instructions would replay them on every later turn, so treat it as a failure.
+  if (!parsed || typeof parsed.summary !== "string" || !parsed.summary.trim() || !isClean(parsed.summary)) {
+    // Keep everything rather than forget; only the hard cap trims.
+    return history.length > MAX_HISTORY_MESSAGES ? { ...state, recentHistory: history.slice(-MAX_HISTORY_MESSAGES) } : state;
+  }
+
+  return {
+    ...state,
+    recentHistory: recent,
+    memory: {
+      summary: parsed.summary.trim().slice(0, MAX_SUMMARY_CHARS),
+      facts: mergeFacts(memory.facts, Array.isArray(parsed.facts) ? parsed.facts.filter(isClean) : [], now),
+      summarizedMessages: memory.summarizedMessages + older.length,
+      updatedAt: now,
+    },
+  };
+}
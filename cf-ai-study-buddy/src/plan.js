@@ -0,0 +1,308 @@
+/**
+ * Structured Study Plans
+ *
+ * Plans used to be whatever prose the model returned. They are now JSON with a fixed shape
+ * so other features (progress tracking, exports, scheduling) can reason about them:
+ *
+ *   {
+ *     title: "Binary search in 60 minutes",
+ *     topic: "Binary search",
+ *     days: [
+ *       {
+ *         day: 1,
+ *         focus: "Core idea",
+ *         blocks: [
+ *           {
+ *             id: "d1-b1",
+ *             title: "Warm-up",
+ *             start: "18:00",          // optional, 24h "HH:MM"
+ *             minutes: 25,
+ *             tasks: [{ id: "d1-b1-t1", description: "Read CLRS 2.3", minutes: 15, topics: ["divide and conquer"], sources: [1] }]
+ *           }
+ *         ]
+ *       }
+ *     ],
+ *     notes: ["Keep a list of off-by-one mistakes"],
+ *     sources: [{ ref: 1, materialId, name: "syllabus.md", part: 2, heading: "Week 3" }]
+ *   }
+ *
+ * `task.sources` are numbers of the course material excerpts the task is based on; the
+ * handler resolves them into `plan.sources` afterwards (see `citeSources` in materials.js).
+ *
+ * PIPELINE: model text -> `extractJson` (strip fences/prose) -> `repairJson` (trailing commas,
+ * smart quotes, truncated output) -> `normalizePlan` (validate + coerce + assign stable ids).
+ * `generatePlan` retries once with the validation errors when the first answer is unusable.
+ */
+
+import { generateText } from "./inference.js";
+import { planInjectionErrors } from "./prompts.js";
+import { describeSource } from "./materials.js";
+
+const MAX_PLAN_ATTEMPTS = 2;
+
+/**
+ * Instructions appended to every plan-producing system prompt.
+ * Kept as one string so create and revise ask for exactly the same shape.
+ */
+export const PLAN_JSON_INSTRUCTIONS = `
+OUTPUT FORMAT (STRICT):
+Return ONLY a JSON object, no prose and no code fences, matching:
+{
+  "title": string,
+  "topic": string,
+  "days": [
+    {
+      "day": number,
+      "focus": string,
+      "blocks": [
+        {
+          "title": string,
+          "start": "HH:MM" or null,
+          "minutes": number,
+          "tasks": [ { "description": string, "minutes": number, "topics": [string], "sources": [number] } ]
+        }
+      ]
+    }
+  ],
+  "notes": [string]
+}
+Every block needs at least one task. Minutes are whole numbers.
+"sources" lists the numbers of the COURSE MATERIAL excerpts a task is based on ([] when there are none).
+`;
+
+// --- PARSING & REPAIR ---
+
+/**
+ * Pulls the JSON object out of a model reply that may include code fences or chatter.
+ */
+export function extractJson(text) {
+  if (typeof text !== "string") return "";
+  const unfenced = text.replace(/```(?:json)?/gi, "");
+  const start = unfenced.indexOf("{");
+  if (start === -1) return "";
+  const end = unfenced.lastIndexOf("}");
+  // No closing brace at all usually means the reply was cut off; keep the tail so
+  // `repairJson` can close it.
+  return end > start ? unfenced.slice(start, end + 1) : unfenced.slice(start);
+}
+
+/**
+ * Best-effort fixes for the mistakes small models make when emitting JSON.
+ * - Curly quotes instead of straight quotes.
+ * - Trailing commas before `}` or `]`.
+ * - Output truncated mid-object (closes any open strings, arrays and objects).
+ */
+export function repairJson(raw) {
+  let text = raw.replace(/[“”]/g, '"').replace(/[‘’]/g, "'");
+  text = text.replace(/,\s*([}\]])/g, "$1");
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (const ch of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "{") stack.push("}");
+    else if (ch === "[") stack.push("]");
+    else if (ch === "}" || ch === "]") stack.pop();
+  }
+
+  if (inString) text += '"';
+  if (stack.length > 0) {
+    // Drop a dangling `,` or `"key":` left by the cutoff before closing the containers.
+    text = text.replace(/,\s*$/, "").replace(/,?\s*"[^"]*"\s*:\s*$/, "");
+    text += stack.reverse().join("");
+    text = text.replace(/,\s*([}\]])/g, "$1");
+  }
+  return text;
+}
+
+function toMinutes(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return Math.round(value);
+  if (typeof value === "string") {
+    const match = value.match(/\d+(\.\d+)?/);
+    if (match) return Math.round(Number(match[0]));
+  }
+  return null;
+}
+
+function toRefs(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.map(Number).filter((n) => Number.isInteger(n) && n > 0))];
+}
+
+function toTopics(value) {
+  if (Array.isArray(value)) return value.filter((t) => typeof t === "string" && t.trim()).map((t) => t.trim());
+  if (typeof value === "string" && value.trim()) return [value.trim()];
+  return [];
+}
+
+/**
+ * Validates a parsed plan and coerces it into the canonical shape.
+ * Returns `{ plan, errors }`; `plan` is null when the input is beyond repair.
+ */
+export function normalizePlan(input) {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { plan: null, errors: ["Plan must be a JSON object."] };
+  }
+  if (!Array.isArray(input.days) || input.days.length === 0) {
+    return { plan: null, errors: ['Plan must have a non-empty "days" array.'] };
+  }
+
+  // Block and task ids are built from the day number, so two "day 1"s would share ids.
+  const seenDays = new Set();
+  const days = input.days.map((rawDay, dayIndex) => {
+    const dayNumber = Number.isInteger(rawDay?.day) && rawDay.day > 0 ? rawDay.day : dayIndex + 1;
+    if (seenDays.has(dayNumber)) errors.push(`Day ${dayNumber} appears more than once; give every day its own number.`);
+    seenDays.add(dayNumber);
+    const rawBlocks = Array.isArray(rawDay?.blocks) ? rawDay.blocks : [];
+    if (rawBlocks.length === 0) errors.push(`Day ${dayNumber} has no blocks.`);
+
+    const blocks = rawBlocks.map((rawBlock, blockIndex) => {
+      const blockId = `d${dayNumber}-b${blockIndex + 1}`;
+      const rawTasks = Array.isArray(rawBlock?.tasks) ? rawBlock.tasks : [];
+      if (rawTasks.length === 0) errors.push(`Block ${blockId} has no tasks.`);
+
+      const tasks = rawTasks.map((rawTask, taskIndex) => {
+        const taskId = `${blockId}-t${taskIndex + 1}`;
+        const description = typeof rawTask === "string" ? rawTask : rawTask?.description;
+        if (typeof description !== "string" || !description.trim()) errors.push(`Task ${taskId} has no description.`);
+        const minutes = toMinutes(rawTask?.minutes);
+        if (minutes === null || minutes <= 0) errors.push(`Task ${taskId} needs a positive "minutes".`);
+        return {
+          id: taskId,
+          description: (description || "").trim(),
+          minutes: minutes && minutes > 0 ? minutes : 0,
+          topics: toTopics(rawTask?.topics),
+          sources: toRefs(rawTask?.sources),
+        };
+      });
+
+      const taskMinutes = tasks.reduce((sum, t) => sum + t.minutes, 0);
+      const start = typeof rawBlock?.start === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(rawBlock.start) ? rawBlock.start : null;
+
+      return {
+        id: blockId,
+        title: typeof rawBlock?.title === "string" && rawBlock.title.trim() ? rawBlock.title.trim() : `Block ${blockIndex + 1}`,
+        start,
+        // The model often forgets block totals or gets the arithmetic wrong; tasks are the source of truth.
+        minutes: Math.max(toMinutes(rawBlock?.minutes) || 0, taskMinutes),
+        tasks,
+      };
+    });
+
+    return {
+      day: dayNumber,
+      focus: typeof rawDay?.focus === "string" ? rawDay.focus.trim() : "",
+      blocks,
+    };
+  });
+
+  if (errors.length > 0) return { plan: null, errors };
+
+  const topic = typeof input.topic === "string" && input.topic.trim() ? input.topic.trim() : "";
+  const plan = {
+    title: typeof input.title === "string" && input.title.trim() ? input.title.trim() : topic || "Study plan",
+    topic,
+    days,
+    notes: toTopics(input.notes),
+    totalMinutes: days.reduce((sum, d) => sum + d.blocks.reduce((s, b) => s + b.minutes, 0), 0),
+  };
+  return { plan, errors: [] };
+}
+
+/**
+ * Full text -> plan pipeline. Returns `{ plan, errors }`.
+ */
+export function parsePlan(text) {
+  const raw = extractJson(text);
+  if (!raw) return { plan: null, errors: ["Reply did not contain a JSON object."] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    try {
+      parsed = JSON.parse(repairJson(raw));
+    } catch (err) {
+      return { plan: null, errors: [`Invalid JSON: ${err.message}`] };
+    }
+  }
+  return normalizePlan(parsed);
+}
+
+// --- GENERATION ---
+
+/**
+ * Calls the model for a plan and retries with the validation errors if the reply is unusable.
+ * `messages` is the initial system/user conversation built by the handler.
+ * Only the first attempt is streamed through `onToken`; a retry is a silent correction.
+ * `check(plan)` (optional) can repair or reject a well-formed plan, e.g. for schedule
+ * conflicts; it returns `{ plan, errors }` and its errors feed the retry like parse errors.
+ * Returns `{ plan, errors }`; `plan` is null if every attempt failed.
+ */
+export async function generatePlan(env, purpose, messages, { maxTokens = 2048, onToken, check } = {}) {
+  let conversation = messages;
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= MAX_PLAN_ATTEMPTS; attempt++) {
+    const { text } = await generateText(env, purpose, { messages: conversation, max_tokens: maxTokens }, { onToken: attempt === 1 ? onToken : undefined });
+    const parsed = parsePlan(text);
+    const checked = parsed.plan && check ? check(parsed.plan) : parsed;
+    // Plans are stored and shown to the model again on every revision, so instruction-like
+    // text in them (e.g. echoed from a hostile message) is treated as a validation error.
+    const injected = checked.plan ? planInjectionErrors(checked.plan) : [];
+    const { plan, errors } = injected.length > 0 ? { plan: null, errors: injected } : checked;
+    if (plan) return { plan, errors: [] };
+
+    lastErrors = errors;
+    conversation = [
+      ...messages,
+      { role: "assistant", content: String(text).slice(0, 4000) },
+      {
+        role: "user",
+        content: `That plan was not valid for the required format. Problems:\n- ${errors.join("\n- ")}\nReturn ONLY the corrected JSON object.`,
+      },
+    ];
+  }
+
+  return { plan: null, errors: lastErrors };
+}
+
+// --- RENDERING ---
+
+/**
+ * Renders a plan as compact Markdown. Used for the chat reply and wherever a
+ * prompt needs to show the model the current plan.
+ * Legacy sessions stored plans as plain strings, so those pass through untouched.
+ */
+export function renderPlanText(plan) {
+  if (!plan) return "";
+  if (typeof plan === "string") return plan;
+
+  const lines = [`**${plan.title}** (${plan.totalMinutes} min total)`];
+  for (const day of plan.days) {
+    lines.push("", `Day ${day.day}${day.focus ? ` — ${day.focus}` : ""}`);
+    for (const block of day.blocks) {
+      lines.push(`- ${block.start ? `${block.start} ` : ""}${block.title} (${block.minutes} min)`);
+      for (const task of block.tasks) {
+        const topics = task.topics.length ? ` [${task.topics.join(", ")}]` : "";
+        const cites = task.sources?.length ? ` ${task.sources.map((r) => `[${r}]`).join("")}` : "";
+        lines.push(`  - ${task.description} (${task.minutes} min)${topics}${cites}`);
+      }
+    }
+  }
+  if (plan.notes.length) {
+    lines.push("", "Notes:", ...plan.notes.map((n) => `- ${n}`));
+  }
+  if (plan.sources?.length) {
+    lines.push("", "Sources:", ...plan.sources.map((src) => `[${src.ref}] ${describeSource(src)}`));
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,188 @@
+/**
+ * Learner Profile
+ *
+ *   profile = {
+ *     level: "beginner" | "intermediate" | "advanced" | null,
+ *     dailyMinutes: number | null,                 // daily time budget
+ *     preferredHours: { start: "HH:MM", end: "HH:MM" } | null,
+ *     tone: "friendly" | "direct" | "encouraging" | "formal" | null,
+ *     prefersShortSentences: boolean,
+ *     weakAreas: [string],
+ *     manual: [field],                             // fields the user set by hand
+ *     updatedAt
+ *   }
+ *
+ * The profile is both learned and editable:
+ * - `POST /api/profile` sets fields directly; those fields go into `manual`.
+ * - `extractProfileSignals` reads outcome reports and chat for weak areas and preferences.
+ *   Learned values never overwrite a manual field. Weak areas are always merged.
+ * `describeProfile` turns it into the prompt section every handler includes.
+ */
+
+import { extractJson, repairJson } from "./plan.js";
+import { generateText } from "./inference.js";
+import { mergeWeakAreas } from "./quiz.js";
+import { buildMessages, isClean } from "./prompts.js";
+
+export const LEVELS = ["beginner", "intermediate", "advanced"];
+export const TONES = ["friendly", "direct", "encouraging", "formal"];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_DAILY_MINUTES = 16 * 60;
+// Chat messages that might carry a preference. Anything else skips the extraction call.
+const PREFERENCE_CUE = /\b(beginner|intermediate|advanced|new to|never (used|learned|studied)|i prefer|i like|i hate|i only have|minutes a day|hours a day|per day|mornings?|evenings?|at night|struggl\w*|hard for me|confus\w*|weak (at|in)|too (long|wordy|verbose|short)|shorter answers|be (more )?(direct|blunt|gentle|formal|friendly|encouraging))\b/i;
+
+export function defaultProfile() {
+  return {
+    prefersShortSentences: true,
+    weakAreas: [],
+    level: null,
+    dailyMinutes: null,
+    preferredHours: null,
+    tone: null,
+    manual: [],
+    updatedAt: null,
+  };
+}
+
+function validHours(value) {
+  return value && TIME_RE.test(value.start || "") && TIME_RE.test(value.end || "") && value.end > value.start;
+}
+
+/**
+ * Applies a user edit. Returns `{ profile, error }`. Every field in the patch becomes manual.
+ * `null` clears a field (and hands it back to learning).
+ */
+export function updateProfile(current, patch, now = Date.now()) {
+  const next = { ...defaultProfile(), ...current };
+  const manual = new Set(next.manual);
+  const mark = (field, value) => {
+    next[field] = value;
+    if (value === null) manual.delete(field);
+    else manual.add(field);
+  };
+
+  if (patch.level !== undefined) {
+    if (patch.level !== null && !LEVELS.includes(patch.level)) return { profile: null, error: `"level" must be one of: ${LEVELS.join(", ")}.` };
+    mark("level", patch.level);
+  }
+  if (patch.dailyMinutes !== undefined) {
+    const minutes = patch.dailyMinutes;
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < 5 || minutes > MAX_DAILY_MINUTES)) {
+      return { profile: null, error: `"dailyMinutes" must be a whole number from 5 to ${MAX_DAILY_MINUTES}.` };
+    }
+    mark("dailyMinutes", minutes);
+  }
+  if (patch.preferredHours !== undefined) {
+    if (patch.preferredHours !== null && !validHours(patch.preferredHours)) {
+      return { profile: null, error: '"preferredHours" needs HH:MM "start" before "end".' };
+    }
+    mark("preferredHours", patch.preferredHours && { start: patch.preferredHours.start, end: patch.preferredHours.end });
+  }
+  if (patch.tone !== undefined) {
+    if (patch.tone !== null && !TONES.includes(patch.tone)) return { profile: null, error: `"tone" must be one of: ${TONES.join(", ")}.` };
+    mark("tone", patch.tone);
+  }
+  if (patch.prefersShortSentences !== undefined) {
+    if (typeof patch.prefersShortSentences !== "boolean") return { profile: null, error: '"prefersShortSentences" must be true or false.' };
+    mark("prefersShortSentences", patch.prefersShortSentences);
+  }
+  if (patch.weakAreas !== undefined) {
+    if (!Array.isArray(patch.weakAreas) || !patch.weakAreas.every((t) => typeof t === "string")) {
+      return { profile: null, error: '"weakAreas" must be an array of strings.' };
+    }
+    // Editing the list replaces it (so users can remove topics); learning still adds to it later.
+    next.weakAreas = mergeWeakAreas([], patch.weakAreas.map((t) => t.trim()).filter(Boolean));
+  }
+
+  next.manual = [...manual];
+  next.updatedAt = now;
+  return { profile: next, error: null };
+}
+
+/**
+ * Merges learned signals into the profile without touching manual fields.
+ */
+export function applyLearnedSignals(current, signals, now = Date.now()) {
+  const next = { ...defaultProfile(), ...current };
+  const isManual = (field) => next.manual.includes(field);
+  let changed = false;
+  const learn = (field, value) => {
+    if (isManual(field) || JSON.stringify(next[field]) === JSON.stringify(value)) return;
+    next[field] = value;
+    changed = true;
+  };
+
+  if (LEVELS.includes(signals.level)) learn("level", signals.level);
+  if (Number.isInteger(signals.dailyMinutes) && signals.dailyMinutes >= 5 && signals.dailyMinutes <= MAX_DAILY_MINUTES) {
+    learn("dailyMinutes", signals.dailyMinutes);
+  }
+  if (validHours(signals.preferredHours)) learn("preferredHours", { start: signals.preferredHours.start, end: signals.preferredHours.end });
+  if (TONES.includes(signals.tone)) learn("tone", signals.tone);
+  if (typeof signals.prefersShortSentences === "boolean") learn("prefersShortSentences", signals.prefersShortSentences);
+
+  const weak = Array.isArray(signals.weakAreas) ? signals.weakAreas.filter((t) => typeof t === "string" && t.trim() && isClean(t)).map((t) => t.trim()) : [];
+  if (weak.length > 0) {
+    next.weakAreas = mergeWeakAreas(next.weakAreas, weak);
+    changed = true;
+  }
+
+  if (!changed) return current;
+  next.updatedAt = now;
+  return next;
+}
+
+/**
+ * True when a chat message might state a preference worth extracting.
+ */
+export function hasPreferenceCue(text) {
+  return PREFERENCE_CUE.test(text || "");
+}
+
+/**
+ * Asks the model which profile signals a message contains. Returns `{}` when there are
+ * none or the reply is unusable. `source` is "outcome" (a study report) or "chat".
+ */
+export async function extractProfileSignals(env, purpose, text, { source = "chat", plan = "" } = {}) {
+  const systemPrompt = `
+Extract learner-profile signals from a student's ${source === "outcome" ? "report about a study session" : "chat message"} (STUDENT block).
+Their plan, if any, is in the THEIR PLAN block.
+
+FIELDS (omit anything not clearly stated or implied):
+- weakAreas: specific sub-topics they struggled with or found confusing (2-4 words each).
+- level: "beginner" | "intermediate" | "advanced" for the subject they are studying.
+- dailyMinutes: how many minutes per day they can study.
+- preferredHours: {"start": "HH:MM", "end": "HH:MM"} when they like to study.
+- tone: "friendly" | "direct" | "encouraging" | "formal" if they said how they want to be spoken to.
+- prefersShortSentences: true/false if they commented on answer length.
+Return ONLY JSON, e.g. {"weakAreas": ["integration by parts"], "dailyMinutes": 45}. Return {} if there is nothing.
+`;
+
+  try {
+    const { text: reply } = await generateText(env, purpose, {
+      messages: buildMessages({ system: systemPrompt, data: { "THEIR PLAN": plan }, user: text, userLabel: "STUDENT" }),
+      max_tokens: 200,
+    });
+    const raw = extractJson(reply);
+    const parsed = raw ? JSON.parse(repairJson(raw)) : null;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Prompt section describing the learner. Empty string if nothing is known beyond defaults.
+ */
+export function describeProfile(profile) {
+  if (!profile) return "";
+  const lines = [];
+  if (profile.level) lines.push(`- Level: ${profile.level}. Pitch explanations and tasks at this level.`);
+  if (profile.dailyMinutes) lines.push(`- Daily time budget: ${profile.dailyMinutes} minutes. Plans must not exceed this per day.`);
+  if (profile.preferredHours) {
+    lines.push(`- Preferred study hours: ${profile.preferredHours.start}-${profile.preferredHours.end}. Schedule blocks inside these hours when possible.`);
+  }
+  if (profile.weakAreas?.length) lines.push(`- Weak areas: ${profile.weakAreas.join(", ")}. Give these extra practice.`);
+  if (profile.tone) lines.push(`- Tone: ${profile.tone}.`);
+  if (profile.prefersShortSentences) lines.push("- Writing style: short, plain sentences.");
+  return lines.length ? `LEARNER PROFILE:\n${lines.join("\n")}` : "";
+}
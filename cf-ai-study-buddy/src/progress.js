@@ -0,0 +1,168 @@
+/**
+ * Task-Level Progress Tracking
+ *
+ * Each session with a structured plan can carry:
+ * - taskStatus: { [taskId]: { status, actualMinutes, updatedAt } }
+ * - completion: { percent, done, partial, skipped, pending, total, plannedMinutes, actualMinutes }
+ *
+ * `completion.percent` is weighted by planned minutes, so finishing a 45-minute block
+ * counts for more than ticking off a 5-minute warm-up. Partial tasks earn credit for the
+ * minutes actually spent (capped at the plan), or half credit when no time was given.
+ */
+
+import { extractJson, repairJson } from "./plan.js";
+import { generateText } from "./inference.js";
+import { buildMessages } from "./prompts.js";
+
+export const TASK_STATUSES = ["done", "partial", "skipped"];
+
+// Sent by the UI when a ticked task is unticked; it clears the task's entry.
+const PENDING = "pending";
+
+/**
+ * Flattens a structured plan into `[{ id, description, minutes, topics, day, blockId, blockTitle }]`.
+ * Legacy string plans have no tasks.
+ */
+export function listTasks(plan) {
+  if (!plan || typeof plan !== "object" || !Array.isArray(plan.days)) return [];
+  return plan.days.flatMap((day) =>
+    day.blocks.flatMap((block) =>
+      block.tasks.map((task) => ({ ...task, day: day.day, blockId: block.id, blockTitle: block.title }))
+    )
+  );
+}
+
+export function computeCompletion(plan, taskStatus = {}) {
+  const tasks = listTasks(plan);
+  const summary = { percent: 0, done: 0, partial: 0, skipped: 0, pending: 0, total: tasks.length, plannedMinutes: 0, actualMinutes: 0 };
+  let credited = 0;
+
+  for (const task of tasks) {
+    summary.plannedMinutes += task.minutes;
+    const entry = taskStatus[task.id];
+    if (!entry) {
+      summary.pending++;
+      continue;
+    }
+    summary[entry.status]++;
+    if (typeof entry.actualMinutes === "number") summary.actualMinutes += entry.actualMinutes;
+
+    if (entry.status === "done") credited += task.minutes;
+    else if (entry.status === "partial") {
+      credited += typeof entry.actualMinutes === "number" ? Math.min(entry.actualMinutes, task.minutes) : task.minutes / 2;
+    }
+  }
+
+  summary.percent = summary.plannedMinutes > 0 ? Math.round((credited / summary.plannedMinutes) * 100) : 0;
+  return summary;
+}
+
+// Legacy string plans have no task ids, so the UI ticks their Markdown list items instead:
+// "item-N" is the Nth list item in document order, and can only be done or pending.
+const CHECKLIST_ID = /^item-(\d+)$/;
+const LIST_LINE = /^[\s>]*([-*+]|\d{1,9}[.)])\s+/;
+
+function isChecklistItem(plan, taskId) {
+  const match = String(taskId).match(CHECKLIST_ID);
+  return Boolean(match) && Number(match[1]) < plan.split("\n").filter((line) => LIST_LINE.test(line)).length;
+}
+
+/**
+ * Validates a single task update. Returns an error string, or null if the update is usable.
+ */
+export function validateTaskUpdate(plan, taskId, { status, actualMinutes } = {}) {
+  if (typeof plan === "string") {
+    if (!isChecklistItem(plan, taskId)) return `Unknown task "${taskId}".`;
+    if (status !== "done" && status !== PENDING) return `"status" must be done or ${PENDING} for a plan written as text.`;
+    return null;
+  }
+  if (!listTasks(plan).some((t) => t.id === taskId)) return `Unknown task "${taskId}".`;
+  if (status !== PENDING && !TASK_STATUSES.includes(status)) {
+    return `"status" must be one of: ${[...TASK_STATUSES, PENDING].join(", ")}.`;
+  }
+  if (actualMinutes !== undefined && actualMinutes !== null && (typeof actualMinutes !== "number" || actualMinutes < 0)) {
+    return '"actualMinutes" must be a non-negative number.';
+  }
+  return null;
+}
+
+/**
+ * Returns a copy of `session` with the given task updates applied and `completion` recomputed.
+ * Updates are assumed to be validated already. A "pending" update puts the task back to
+ * not started. Ticked items of a legacy string plan are stored the same way, but such a
+ * plan has no minutes to weigh, so its completion stays null.
+ */
+export function applyTaskUpdates(session, updates, now = Date.now()) {
+  const taskStatus = { ...(session.taskStatus || {}) };
+  for (const { taskId, status, actualMinutes } of updates) {
+    if (status === PENDING) {
+      delete taskStatus[taskId];
+      continue;
+    }
+    taskStatus[taskId] = {
+      status,
+      actualMinutes: typeof actualMinutes === "number" ? Math.round(actualMinutes) : null,
+      updatedAt: now,
+    };
+  }
+  const completion = typeof session.plan === "string" ? null : computeCompletion(session.plan, taskStatus);
+  return { ...session, taskStatus, completion };
+}
+
+/**
+ * Replaces the session with `sessionId` in both `lastSession` and the `sessions` log.
+ * They are stored as separate copies, so both have to be kept in sync.
+ */
+export function replaceSession(state, sessionId, updater) {
+  const sessions = state.sessions.map((s) => (s.id === sessionId ? updater(s) : s));
+  const lastSession = state.lastSession?.id === sessionId ? updater(state.lastSession) : state.lastSession;
+  return { ...state, sessions, lastSession };
+}
+
+/**
+ * Asks the model which plan tasks a free-text outcome report refers to.
+ * e.g. "I finished the reading but not the exercises" ->
+ *   [{ taskId: "d1-b1-t1", status: "done" }, { taskId: "d1-b2-t1", status: "skipped" }]
+ *
+ * Anything the model invents (unknown ids, bad statuses) is dropped, so the worst case
+ * is an empty list rather than corrupted progress.
+ */
+export async function mapOutcomeToTasks(env, purpose, plan, message) {
+  const tasks = listTasks(plan);
+  if (tasks.length === 0) return [];
+
+  const taskList = tasks.map((t) => `${t.id}: ${t.description} (${t.minutes} min, block "${t.blockTitle}")`).join("\n");
+  const systemPrompt = `
+Match the student's progress report (USER MESSAGE block) to the tasks in their plan (TASKS block, "id: description").
+
+RULES:
+- Only include tasks the report clearly refers to.
+- status is "done", "partial" or "skipped".
+- Include actualMinutes only if the student states a time.
+- Return ONLY JSON: {"updates": [{"taskId": string, "status": string, "actualMinutes": number}]}
+`;
+
+  const { text } = await generateText(env, purpose, {
+    messages: buildMessages({ system: systemPrompt, data: { TASKS: taskList }, user: message }),
+    max_tokens: 400,
+  });
+
+  const raw = extractJson(text);
+  if (!raw) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(repairJson(raw));
+  } catch {
+    return [];
+  }
+
+  const updates = Array.isArray(parsed?.updates) ? parsed.updates : [];
+  return updates
+    .map((u) => ({
+      taskId: u?.taskId,
+      status: u?.status,
+      actualMinutes: typeof u?.actualMinutes === "number" ? u.actualMinutes : undefined,
+    }))
+    .filter((u) => u.status !== PENDING && validateTaskUpdate(plan, u.taskId, u) === null);
+}
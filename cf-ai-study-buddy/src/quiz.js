@@ -0,0 +1,191 @@
+/**
+ * Interactive Quizzes
+ *
+ * A quiz is generated from the active plan and kept in `state.pendingQuiz` so it survives
+ * across chat turns. Every reply while a quiz is pending is treated as an answer:
+ *
+ *   pendingQuiz = {
+ *     id, sessionId, topic, createdAt,
+ *     questions: [{ id, type: "mcq" | "short", prompt, choices?, answer, topic }],
+ *     current: 0,                       // index of the question awaiting an answer
+ *     results: [{ questionId, answer, score, correct, feedback }]
+ *   }
+ *
+ * GRADING:
+ * - Multiple choice is graded locally (letter or exact choice text), no model call.
+ * - Short answers are graded by the model against the reference answer (score 0-1).
+ * When the quiz ends, sub-topics that scored below WEAK_THRESHOLD become `profile.weakAreas`.
+ */
+
+import { extractJson, repairJson } from "./plan.js";
+import { generateText } from "./inference.js";
+import { listTasks } from "./progress.js";
+import { buildMessages, isClean } from "./prompts.js";
+
+const DEFAULT_QUESTION_COUNT = 4;
+const WEAK_THRESHOLD = 0.6;
+const MAX_WEAK_AREAS = 10;
+const LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+function parseJsonReply({ text }) {
+  const raw = extractJson(text);
+  if (!raw) return null;
+  try {
+    return JSON.parse(repairJson(raw));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Asks the model for a short quiz on the session's topic. Returns null if nothing usable came back.
+ * `context` is what we remember about the learner (see `memory.js`), used to pitch the questions.
+ */
+export async function generateQuiz(env, purpose, session, { count = DEFAULT_QUESTION_COUNT, context = "" } = {}) {
+  const plan = session.plan;
+  const topic = (typeof plan === "object" && plan?.topic) || session.goal || "the current topic";
+  const tasks = listTasks(plan);
+  const material = tasks.length ? tasks.map((t) => `- ${t.description}`).join("\n") : String(plan || "");
+
+  const systemPrompt = `
+Write a ${count}-question quiz that checks understanding of the study plan in the PLAN block.
+Pitch the questions using the ABOUT THE LEARNER block when present.
+
+RULES:
+- Mix "mcq" (exactly 4 choices, one correct) and "short" (answer in one sentence) questions.
+- For mcq, "answer" is the exact text of the correct choice.
+- "topic" is the specific sub-topic the question tests (2-4 words).
+- Return ONLY JSON: {"questions": [{"type": "mcq" | "short", "prompt": string, "choices": [string], "answer": string, "topic": string}]}
+`;
+
+  const parsed = parseJsonReply(
+    await generateText(env, purpose, {
+      messages: buildMessages({
+        system: systemPrompt,
+        data: { TOPIC: topic, PLAN: material, "ABOUT THE LEARNER": context },
+        user: `Quiz me on ${topic}.`,
+      }),
+      max_tokens: 1200,
+    })
+  );
+
+  const questions = (Array.isArray(parsed?.questions) ? parsed.questions : [])
+    .map((q, i) => {
+      const prompt = typeof q?.prompt === "string" ? q.prompt.trim() : "";
+      const answer = typeof q?.answer === "string" ? q.answer.trim() : "";
+      const choices = Array.isArray(q?.choices) ? q.choices.filter((c) => typeof c === "string" && c.trim()).map((c) => c.trim()) : [];
+      const isMcq = q?.type === "mcq" && choices.length >= 2 && choices.includes(answer);
+      return {
+        id: `q${i + 1}`,
+        type: isMcq ? "mcq" : "short",
+        prompt,
+        ...(isMcq ? { choices: choices.slice(0, LETTERS.length) } : {}),
+        answer,
+        topic: typeof q?.topic === "string" && q.topic.trim() ? q.topic.trim() : topic,
+      };
+    })
+    .filter((q) => q.prompt && q.answer && [q.prompt, q.answer, ...(q.choices || [])].every(isClean))
+    .slice(0, count);
+
+  if (questions.length === 0) return null;
+
+  return {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    topic,
+    createdAt: Date.now(),
+    questions,
+    current: 0,
+    results: [],
+  };
+}
+
+export function formatQuestion(quiz) {
+  const q = quiz.questions[quiz.current];
+  const header = `Question ${quiz.current + 1}/${quiz.questions.length}: ${q.prompt}`;
+  if (q.type !== "mcq") return header;
+  return [header, ...q.choices.map((c, i) => `${LETTERS[i]}) ${c}`)].join("\n");
+}
+
+/**
+ * Grades an MCQ reply. Accepts "B", "b)", "(b)", "Answer: B", or the full choice text.
+ */
+export function gradeMultipleChoice(question, reply) {
+  const text = (reply || "").trim();
+  const letterMatch = text.match(/^(?:answer\s*[:-]?\s*)?\(?([a-f])\)?[.)]?$/i) || text.match(/^\(?([a-f])\)\s/i);
+  let picked = null;
+  if (letterMatch) picked = question.choices[LETTERS.indexOf(letterMatch[1].toUpperCase())] ?? null;
+  if (!picked) picked = question.choices.find((c) => c.toLowerCase() === text.toLowerCase()) ?? null;
+
+  const correct = picked === question.answer;
+  const answerLetter = LETTERS[question.choices.indexOf(question.answer)];
+  return {
+    score: correct ? 1 : 0,
+    correct,
+    feedback: correct ? "Correct." : `Not quite. The answer is ${answerLetter}) ${question.answer}.`,
+  };
+}
+
+/**
+ * Grades a short answer with the model. Falls back to a conservative 0 if the grader misbehaves.
+ */
+export async function gradeShortAnswer(env, purpose, question, reply) {
+  const systemPrompt = `
+Grade the student's answer (STUDENT ANSWER block) against the REFERENCE ANSWER block.
+
+RULES:
+- score is 0, 0.5 or 1. Give 1 if the key idea is right even if wording differs.
+- feedback is one sentence. If not fully correct, state the right answer.
+- Return ONLY JSON: {"score": number, "feedback": string}
+`;
+
+  const parsed = parseJsonReply(
+    await generateText(env, purpose, {
+      messages: buildMessages({
+        system: systemPrompt,
+        data: { QUESTION: question.prompt, "REFERENCE ANSWER": question.answer },
+        user: reply,
+        userLabel: "STUDENT ANSWER",
+      }),
+      max_tokens: 200,
+    })
+  );
+
+  const score = typeof parsed?.score === "number" ? Math.max(0, Math.min(1, parsed.score)) : 0;
+  const feedback =
+    typeof parsed?.feedback === "string" && parsed.feedback.trim() ? parsed.feedback.trim() : `The expected answer was: ${question.answer}.`;
+  return { score, correct: score >= 1, feedback };
+}
+
+/**
+ * Per-topic averages for a finished quiz plus the topics that count as weak.
+ */
+export function summarizeQuiz(quiz) {
+  const byTopic = {};
+  for (const result of quiz.results) {
+    const question = quiz.questions.find((q) => q.id === result.questionId);
+    const topic = question?.topic || quiz.topic;
+    byTopic[topic] = byTopic[topic] || { total: 0, count: 0 };
+    byTopic[topic].total += result.score;
+    byTopic[topic].count += 1;
+  }
+
+  const topicScores = Object.fromEntries(Object.entries(byTopic).map(([t, { total, count }]) => [t, total / count]));
+  const score = quiz.results.reduce((sum, r) => sum + r.score, 0);
+  return {
+    score,
+    outOf: quiz.questions.length,
+    topicScores,
+    weakTopics: Object.entries(topicScores)
+      .filter(([, avg]) => avg < WEAK_THRESHOLD)
+      .map(([t]) => t),
+  };
+}
+
+/**
+ * Adds new weak topics to the profile list, newest last, without duplicates (case-insensitive).
+ */
+export function mergeWeakAreas(existing = [], topics = []) {
+  const merged = existing.filter((t) => !topics.some((n) => n.toLowerCase() === t.toLowerCase()));
+  return [...merged, ...topics].slice(-MAX_WEAK_AREAS);
+}
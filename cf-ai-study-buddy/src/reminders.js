@@ -0,0 +1,169 @@
+/**
+ * Scheduled Reminders & Nudges
+ *
+ * The Cron Trigger (`scheduled` in index.js) runs `collectNudges` for every user and stores
+ * what it finds in `state.notifications`, which the frontend polls and dismisses:
+ *
+ *   notification = { id, key, kind, title, body, createdAt, dismissedAt, goalId, sessionId }
+ *
+ * KINDS:
+ * - "upcoming_block": a block of a goal's current plan starts within UPCOMING_LOOKAHEAD_MINUTES
+ *   and its tasks aren't all checked off yet.
+ * - "overdue_plan": every day of a goal's current plan is in the past and no outcome was logged.
+ * - "broken_streak": a run of 2+ active days ended (nothing yesterday), for up to
+ *   STREAK_NUDGE_DAYS after the last active day.
+ *
+ * Each notification has a `key` naming what it is about, so the same block, plan or streak is
+ * never announced twice, even after it was dismissed.
+ *
+ * SETTINGS (`state.notificationSettings`): `enabled` opts out of everything, and nothing new is
+ * created during `quietHours` (local time; the range may wrap past midnight). Times and dates
+ * use the user's time zone from `availability`.
+ */
+
+import { layoutBlocks, wallClockIn } from "./ics.js";
+import { todayIn, addDays, toMinutes } from "./availability.js";
+import { computeAnalytics } from "./analytics.js";
+
+export const UPCOMING_LOOKAHEAD_MINUTES = 30;
+export const STREAK_NUDGE_DAYS = 3;
+// Oldest notifications are dropped beyond this.
+export const MAX_NOTIFICATIONS = 50;
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export function defaultNotificationSettings() {
+  return { enabled: true, quietHours: { start: "22:00", end: "07:00" } };
+}
+
+/**
+ * Applies `{ enabled?, quietHours? }`. `quietHours: null` turns quiet hours off.
+ * Returns `{ settings, error }`.
+ */
+export function updateNotificationSettings(current, patch) {
+  const next = { ...defaultNotificationSettings(), ...current };
+
+  if (patch.enabled !== undefined) {
+    if (typeof patch.enabled !== "boolean") return { settings: null, error: '"enabled" must be true or false.' };
+    next.enabled = patch.enabled;
+  }
+  if (patch.quietHours !== undefined) {
+    const { start, end } = patch.quietHours || {};
+    if (patch.quietHours !== null && (!TIME_RE.test(start || "") || !TIME_RE.test(end || "") || start === end)) {
+      return { settings: null, error: '"quietHours" needs different HH:MM "start" and "end", or null.' };
+    }
+    next.quietHours = patch.quietHours === null ? null : { start, end };
+  }
+  return { settings: next, error: null };
+}
+
+/**
+ * True if `now` falls inside the user's quiet hours.
+ */
+export function inQuietHours(settings, timeZone, now = Date.now()) {
+  if (!settings.quietHours) return false;
+  const minutes = toMinutes(wallClockIn(now, timeZone).slice(11));
+  const start = toMinutes(settings.quietHours.start);
+  const end = toMinutes(settings.quietHours.end);
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Each goal's current plan, if it is a structured one.
+function currentPlans(state) {
+  return state.goals
+    .map((goal) => ({ goal, session: state.sessions.find((s) => s.id === goal.currentSessionId) }))
+    .filter(({ session }) => session && typeof session.plan === "object" && session.plan && Array.isArray(session.plan.days));
+}
+
+function planStartDate(session, timeZone) {
+  return session.startDate || todayIn(timeZone, session.timestamp);
+}
+
+function blockDone(block, taskStatus = {}) {
+  return block.tasks.length > 0 && block.tasks.every((t) => taskStatus[t.id]);
+}
+
+function upcomingBlocks(state, timeZone, now) {
+  // Plan times are floating wall-clock times, so compare them with the wall clock in the user's zone.
+  const wallNow = Date.parse(`${wallClockIn(now, timeZone)}Z`);
+  const horizon = wallNow + UPCOMING_LOOKAHEAD_MINUTES * 60 * 1000;
+  const defaultStart = state.availability.studyWindow?.start;
+
+  return currentPlans(state).flatMap(({ goal, session }) =>
+    layoutBlocks(session.plan, { startDate: planStartDate(session, timeZone), defaultStart })
+      .filter(({ start, block }) => start.getTime() >= wallNow && start.getTime() < horizon && !blockDone(block, session.taskStatus))
+      .map(({ block, start }) => ({
+        key: `upcoming_block:${session.id}:${block.id}`,
+        kind: "upcoming_block",
+        title: `Up next: ${block.title}`,
+        body: `Starts at ${start.toISOString().slice(11, 16)} (${block.minutes} min), part of ${goal.title}.`,
+        goalId: goal.id,
+        sessionId: session.id,
+      }))
+  );
+}
+
+function overduePlans(state, timeZone, now) {
+  const today = todayIn(timeZone, now);
+  return currentPlans(state)
+    .filter(({ session }) => !session.outcomeNote && session.completion?.percent !== 100)
+    .map(({ goal, session }) => ({ goal, session, lastDay: addDays(planStartDate(session, timeZone), Math.max(...session.plan.days.map((d) => d.day), 1) - 1) }))
+    .filter(({ lastDay }) => lastDay < today)
+    .map(({ goal, session, lastDay }) => ({
+      key: `overdue_plan:${session.id}`,
+      kind: "overdue_plan",
+      title: `How did "${session.plan.title}" go?`,
+      body: `The plan for ${goal.title} ended on ${lastDay} and no outcome is logged yet. Tell me how it went and I'll adjust the next one.`,
+      goalId: goal.id,
+      sessionId: session.id,
+    }));
+}
+
+function brokenStreak(state, timeZone, now) {
+  const { streaks } = computeAnalytics(state, { now });
+  if (streaks.current > 0 || streaks.lastRun < 2 || !streaks.lastActiveDate) return [];
+  if (addDays(streaks.lastActiveDate, STREAK_NUDGE_DAYS) < todayIn(timeZone, now)) return [];
+  return [
+    {
+      key: `broken_streak:${streaks.lastActiveDate}`,
+      kind: "broken_streak",
+      title: `Your ${streaks.lastRun}-day streak ended`,
+      body: `Your last study day was ${streaks.lastActiveDate}. A short session today starts a new streak.`,
+      goalId: null,
+      sessionId: null,
+    },
+  ];
+}
+
+/**
+ * New notifications for this user right now (none if opted out, in quiet hours, or already sent).
+ */
+export function collectNudges(state, now = Date.now()) {
+  const settings = state.notificationSettings;
+  const timeZone = state.availability.timeZone || "UTC";
+  if (!settings.enabled || inQuietHours(settings, timeZone, now)) return [];
+
+  const sent = new Set(state.notifications.map((n) => n.key));
+  return [...upcomingBlocks(state, timeZone, now), ...overduePlans(state, timeZone, now), ...brokenStreak(state, timeZone, now)]
+    .filter((n) => !sent.has(n.key))
+    .map((n, i) => ({ id: `note-${now}-${i}`, ...n, createdAt: now, dismissedAt: null }));
+}
+
+export function addNotifications(state, notifications) {
+  return { ...state, notifications: [...state.notifications, ...notifications].slice(-MAX_NOTIFICATIONS) };
+}
+
+/**
+ * Notifications that haven't been dismissed, newest first.
+ */
+export function pendingNotifications(state) {
+  return state.notifications.filter((n) => !n.dismissedAt).reverse();
+}
+
+/**
+ * Returns the new state, or null if there is no such notification.
+ */
+export function dismissNotification(state, id, now = Date.now()) {
+  if (!state.notifications.some((n) => n.id === id)) return null;
+  return { ...state, notifications: state.notifications.map((n) => (n.id === id && !n.dismissedAt ? { ...n, dismissedAt: now } : n)) };
+}
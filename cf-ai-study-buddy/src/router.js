@@ -0,0 +1,313 @@
+/**
+ * Intent Routing
+ *
+ * Hybrid router:
+ * 1. Fast path: `chooseAction` runs the regex rules. Each rule says whether it is *confident*.
+ *    Unambiguous phrasing ("make a plan", "quiz me", "What is a pointer?") is routed here
+ *    with no model call.
+ * 2. Slow path: anything the rules are unsure about goes to `classifyIntent`, which asks the
+ *    model for `{ label, confidence }`.
+ * 3. If the model's confidence is below CONFIDENCE_THRESHOLD, the action becomes `clarify`
+ *    and the agent asks a clarifying question instead of guessing.
+ *
+ * If the classifier fails (bad JSON, unknown label), the rule's fallback guess is used, so
+ * routing never depends on the model being up. `evaluateRouter` scores any route function
+ * against a labeled corpus (see test/routing-corpus.js).
+ */
+
+import { extractJson, repairJson } from "./plan.js";
+import { generateText } from "./inference.js";
+import { findGoalByText, wantsSeparatePlan } from "./goals.js";
+import { buildMessages } from "./prompts.js";
+
+export const ACTIONS = [
+  "general_chat",
+  "direct_answer",
+  "create_plan",
+  "revise_plan",
+  "log_outcome",
+  "analyze_pattern",
+  "flashcards",
+  "quiz",
+  "switch_goal",
+  "undo_change",
+];
+
+export const CONFIDENCE_THRESHOLD = 0.6;
+
+// What each action means, for the classifier prompt.
+const ACTION_DESCRIPTIONS = {
+  general_chat: "greetings, small talk, vague statements, or talking about what to study before asking for a plan",
+  direct_answer: "a factual question about a subject (e.g. history, science, programming) that needs an explanation",
+  create_plan: "asks for a new study plan or schedule, or says they want to study a topic",
+  revise_plan: "asks to change the current plan (shorter, longer, different order, move blocks)",
+  log_outcome: "reports how their own study session went (finished, did part of it, failed, got stuck)",
+  analyze_pattern: "asks about their own study habits, progress or history over time",
+  flashcards: "wants flashcards or to review their deck",
+  quiz: "wants to be quizzed or tested",
+  switch_goal: "wants to switch to a different goal/course they are already studying",
+  undo_change: "wants to undo the last change to their plan or go back to the previous version of it",
+};
+
+// Actions that only make sense with an active plan, and what they become without one.
+const NEEDS_PLAN = {
+  revise_plan: "create_plan",
+  log_outcome: "general_chat",
+  flashcards: "general_chat",
+  quiz: "general_chat",
+  undo_change: "general_chat",
+};
+
+/**
+ * Heuristic to detect if the user wants a factual answer ("How do pointers work?")
+ * vs a planning action ("Plan my day").
+ *
+ * LOGIC:
+ * - Must end in a question mark.
+ * - Must NOT contain planning keywords (schedule, block).
+ * - Must NOT contain self-referential pronouns (I, me, my), as those usually imply personalized advice.
+ */
+export function isDirectQuestion(message) {
+  if (!message) return false;
+  const trimmed = message.trim();
+  if (/\b(plan|schedule|session|block)\b/i.test(trimmed)) return false;
+  return /[?？！]$/.test(trimmed) && !/\b(we|I|me|my)\b/i.test(trimmed);
+}
+
+const sure = (action) => ({ action, confident: true });
+// `action` is the safe fallback if the model can't help; `hint` is what the keyword suggested.
+const unsure = (action, hint = action) => ({ action, confident: false, hint });
+
+/**
+ * The rule-based fast path. Returns `{ action, confident, hint? }`.
+ *
+ * PRIORITY ORDER:
+ * 1. Quiz in progress (every reply is an answer until the quiz ends or is stopped).
+ * 2. Flashcards (explicit mention of cards/decks), then new quiz requests.
+ * 3. Undoing a plan change ("undo that", "go back to the previous version"), then switching
+ *    between goals ("switch to my chemistry plan").
+ * 4. Analysis (meta-discussion about the user's *own* habits or history, in the first person).
+ * 5. Logging outcomes (a clear report on a past session).
+ * 6. Creating/Revising plans (explicit keywords). A plan request about a different topic
+ *    than the active goal creates a new plan instead of rewriting the current one.
+ * 7. Contextual Agreement (User says "ok" -> implies continuing current flow) and greetings.
+ * 8. Study intent and direct factual questions.
+ * 9. Weak keyword matches ("done", "history", "habits" on their own) and everything else: not confident.
+ */
+export function chooseAction(state, message) {
+  const text = (message || "").toLowerCase().trim();
+
+  // 1. Pending Quiz
+  // While a quiz is open the user's message is an answer, even if it looks like something else.
+  if (state.pendingQuiz) {
+    return sure("quiz");
+  }
+
+  // 2. Flashcards
+  // Checked first so "quiz me on my cards" or "review my deck" doesn't fall into review/plan routing.
+  if (/\b(flash ?cards?|cards|deck|anki)\b/.test(text)) {
+    return sure("flashcards");
+  }
+
+  // 3. New Quiz
+  if (/\b(quiz|test me|test my knowledge)\b/.test(text)) {
+    return sure("quiz");
+  }
+
+  // 4. Undo Plan Change
+  // Before goal switching so "go back to the previous plan" restores a version instead.
+  // "undo" / "revert" / "rollback" only count on their own or when they point at the plan or
+  // a change ("undo that", "revert the plan"); "What does git revert do?" is a question.
+  if (state.lastSession) {
+    if (
+      /^(undo|revert|roll ?back)( (that|this|it))?[.!]*$/.test(text) ||
+      /\b(undo|revert|roll ?back) (that|this|it)\b/.test(text) ||
+      (/\b(undo|revert|roll ?back)\b/.test(text) && /\b(plan|schedule|version|change|edit|revision)s?\b/.test(text)) ||
+      /\b(go back|back|restore|bring back|return)\b.*\b(previous|old|last|earlier|original) (plan|version|schedule)\b/.test(text)
+    ) {
+      return sure("undo_change");
+    }
+    if (/\b(undo|revert|roll ?back)\b/.test(text)) {
+      return unsure(isDirectQuestion(message) ? "direct_answer" : "general_chat", "undo_change");
+    }
+  }
+
+  // 5. Switch Goal
+  // Checked before analysis so "go back to my history plan" isn't read as a habit question.
+  // A switch verb needs either a matching goal or an explicit "goals/courses" to count.
+  if (
+    /\b(switch|swap|go back|back to|return to|jump to|work on)\b/.test(text) &&
+    (findGoalByText(state, text, { exclude: state.activeGoalId }) || /\b(switch|swap)\b.*\b(goals?|courses?|subjects?)\b/.test(text))
+  ) {
+    return sure("switch_goal");
+  }
+
+  // 6. Analyze Patterns
+  // "history", "patterns" or "habits" alone are about a subject ("the history of the French
+  // Revolution", "What patterns are used in OOP?"), so only first-person wording counts here.
+  if (
+    /\banaly[sz]e (my|me|how i)\b/.test(text) ||
+    /\bmy (own )?(study |studying |learning )?(patterns?|habits?|trends?|history|progress|stats|statistics)\b/.test(text)
+  ) {
+    return sure("analyze_pattern");
+  }
+
+  // 7. Log Outcome
+  // We only check this if `state.lastSession` exists, because you can't "finish" a plan that doesn't exist.
+  // The phrase has to be about the user's own studying; "I'm done with small talk" is not a report.
+  if (
+    state.lastSession &&
+    (/\b(i|we) (just )?(finished|completed|did it|failed|skipped|missed)\b/.test(text) ||
+      /\b(finished|completed|done with|through) (the|my|today'?s|this|all|half|most)\b.*\b(plan|session|block|tasks?|reading|exercises?|chapters?|problems?|practice)\b/.test(text) ||
+      /\b(got stuck|fell behind|i'?m (stuck|behind))\b/.test(text))
+  ) {
+    return sure("log_outcome");
+  }
+
+  // 8. Planning Triggers (Explicit keywords)
+  const planWords = text.match(/\b(plan|schedule|agenda|block|timetable|routine)\b/g);
+  if (planWords) {
+    // "What is a decision tree block?" asks about a block, it doesn't ask for one. A question
+    // whose only keyword is "block" or "schedule" needs a request ("can you ...") or "my" to count.
+    if (
+      planWords.every((w) => w === "block" || w === "schedule") &&
+      /[?？]$/.test(text) &&
+      !/^(can|could|would|will) you\b|\b(i|me|my|we|our)\b/.test(text)
+    ) {
+      return unsure("direct_answer", state.lastSession ? "revise_plan" : "create_plan");
+    }
+    // If a session already exists, we assume they want to REVISE it, otherwise CREATE new.
+    // Exception: a plan for a different course ("plan for chemistry" while studying calculus)
+    // is a new goal, not a rewrite of the current one.
+    if (!state.lastSession) return sure("create_plan");
+    return sure(wantsSeparatePlan(state, text) ? "create_plan" : "revise_plan");
+  }
+
+  // 9. Revision Triggers (Explicit change requests)
+  if (
+    /\b(change|adjust|revise|modify|tweak|shorter|longer)\b/.test(text) &&
+    state.lastSession
+  ) {
+    return sure("revise_plan");
+  }
+
+  // 10. Implicit "Let's do it" (Contextual Agreement) and greetings
+  // PROBLEM SOLVED: Previously, if the user said "ok", the bot treated it as a greeting.
+  // NOW: We route this to `general_chat`, but the prompt there knows to look at history
+  // to see what we are agreeing to.
+  if (/^(ok|okay|sure|fine|yes|go ahead|do it)[.!]*$/.test(text) || /^(hi|hello|hey|thanks|thank you)\b/.test(text)) {
+    return sure("general_chat");
+  }
+
+  // 11. Direct Study Intent
+  // If they say "I want to study X", we default to creating a plan.
+  if (/\b(study|learn|review|prep|prepare)\b/.test(text)) {
+    return /\b(i (want|need|have|'d like) to|help me|let'?s|i have \d+)\b/.test(text) ? sure("create_plan") : unsure("create_plan");
+  }
+
+  // 12. Direct Factual Question
+  // Uses the helper to detect "What is a pointer?" vs "How do I study pointers?"
+  if (isDirectQuestion(message)) {
+    return sure("direct_answer");
+  }
+
+  // 13. Weak keyword matches
+  // A lone "done" or "history" used to route straight to logging/analysis. Now they only
+  // hint the classifier, and without it we fall back to chat, which changes no state.
+  if (/\b(finished|completed|done|did it|failed|stuck|fell behind)\b/.test(text) && state.lastSession) {
+    return unsure("general_chat", "log_outcome");
+  }
+  if (/\b(history|analy[sz]e|patterns?|habits?|trends?)\b/.test(text)) {
+    return unsure("general_chat", "analyze_pattern");
+  }
+
+  // 14. Fallback
+  // Handles greetings ("Hi"), vague complaints ("I'm tired"), or clarifying questions.
+  return unsure("general_chat");
+}
+
+/**
+ * Model-based classifier. Returns `{ label, confidence, question }` or null if the reply
+ * is unusable. `question` is the clarifying question the model would ask if unsure.
+ */
+export async function classifyIntent(env, purpose, state, message, hint) {
+  const labels = ACTIONS.map((a) => `- ${a}: ${ACTION_DESCRIPTIONS[a]}`).join("\n");
+  const goals = (state.goals || []).map((g) => g.title).join(", ") || "none";
+  const systemPrompt = `
+Classify the student's message (USER MESSAGE block) into exactly one label.
+
+LABELS:
+${labels}
+
+CONTEXT:
+- Active plan: ${state.lastSession ? "yes" : "no"}
+- Keyword hint (may be wrong): ${hint || "none"}
+- The student's goals are listed in the GOALS block.
+
+RULES:
+- "confidence" is 0-1: how sure you are that the label is right.
+- "question" is one short question you would ask the student if you were unsure.
+- Return ONLY JSON: {"label": string, "confidence": number, "question": string}
+`;
+
+  let text;
+  try {
+    ({ text } = await generateText(env, purpose, {
+      messages: buildMessages({ system: systemPrompt, data: { GOALS: goals }, user: message }),
+      max_tokens: 120,
+    }));
+  } catch {
+    return null;
+  }
+
+  const raw = extractJson(text);
+  if (!raw) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(repairJson(raw));
+  } catch {
+    return null;
+  }
+  if (!ACTIONS.includes(parsed?.label) || typeof parsed?.confidence !== "number") return null;
+
+  return {
+    label: parsed.label,
+    confidence: Math.max(0, Math.min(1, parsed.confidence)),
+    question: typeof parsed.question === "string" ? parsed.question.trim() : "",
+  };
+}
+
+/**
+ * Full router. Returns `{ action, confidence, source, question? }` where `source` is
+ * "rule", "model" or "fallback", and `action` may be "clarify".
+ */
+export async function routeMessage(env, purpose, state, message) {
+  const rule = chooseAction(state, message);
+  if (rule.confident) return { action: rule.action, confidence: 1, source: "rule" };
+
+  const result = await classifyIntent(env, purpose, state, message, rule.hint);
+  if (!result) return { action: rule.action, confidence: null, source: "fallback" };
+
+  if (result.confidence < CONFIDENCE_THRESHOLD) {
+    return { action: "clarify", confidence: result.confidence, source: "model", question: result.question };
+  }
+
+  let action = result.label;
+  if (!state.lastSession && NEEDS_PLAN[action]) action = NEEDS_PLAN[action];
+  if (action === "switch_goal" && (state.goals || []).length === 0) action = "general_chat";
+  return { action, confidence: result.confidence, source: "model" };
+}
+
+/**
+ * Scores a route function against labeled examples `[{ text, expected, state? }]`.
+ * Returns `{ total, correct, accuracy, misses: [{ text, expected, actual }] }`.
+ */
+export async function evaluateRouter(corpus, route) {
+  const misses = [];
+  for (const example of corpus) {
+    const actual = await route(example);
+    if (actual !== example.expected) misses.push({ text: example.text, expected: example.expected, actual });
+  }
+  const correct = corpus.length - misses.length;
+  return { total: corpus.length, correct, accuracy: corpus.length ? correct / corpus.length : 1, misses };
+}
@@ -0,0 +1,206 @@
+/**
+ * State Schema & Migrations
+ *
+ * Every saved state carries `schemaVersion`. On load, `migrateState` runs the migrations
+ * between the stored version and `SCHEMA_VERSION` in order, then `validateState` checks the
+ * result. State saved before versioning existed counts as version 0.
+ *
+ * ADDING A FIELD:
+ * 1. Add its default to `defaultState`.
+ * 2. Append a migration `{ version: SCHEMA_VERSION + 1, up }` that fills it in for old records.
+ * 3. Bump `SCHEMA_VERSION` and, if the field has a shape worth checking, extend `validateState`.
+ *
+ * Migrations only fill in or reshape; they never throw. Anything they can't repair (a field
+ * of the wrong type, a record from a newer version) fails validation and is rejected with a
+ * `SchemaError` instead of being silently replaced with defaults.
+ */
+
+import { defaultProfile } from "./profile.js";
+import { defaultMemory } from "./memory.js";
+import { defaultAvailability } from "./availability.js";
+import { legacyGoals } from "./goals.js";
+import { defaultNotificationSettings } from "./reminders.js";
+import { defaultTokenUsage } from "./limits.js";
+
+export const SCHEMA_VERSION = 9;
+
+export class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SchemaError";
+  }
+}
+
+export function defaultState() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    profile: defaultProfile(),
+    recentHistory: [],
+    memory: defaultMemory(),
+    lastSession: null,
+    sessions: [],
+    goals: [],
+    activeGoalId: null,
+    lastAnalysis: null,
+    flashcards: [],
+    pendingQuiz: null,
+    availability: defaultAvailability(),
+    focusSessions: [],
+    notifications: [],
+    notificationSettings: defaultNotificationSettings(),
+    materials: [],
+    tokenUsage: defaultTokenUsage(),
+  };
+}
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+// Fills a missing field; leaves anything present (even if wrong) for the validator.
+const fill = (value, fallback) => (value === undefined || value === null ? fallback : value);
+const fillObject = (value, defaults) => (isObject(value) ? { ...defaults, ...value } : fill(value, defaults));
+
+// Ordered. `up(state)` turns a version `version - 1` record into a version `version` one.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Core fields: profile, chat history, plans and the last analysis.",
+    up: (state) => ({
+      ...state,
+      profile: fillObject(state.profile, { prefersShortSentences: true, weakAreas: [] }),
+      recentHistory: fill(state.recentHistory, []),
+      sessions: fill(state.sessions, []),
+      lastSession: fill(state.lastSession, null),
+      lastAnalysis: fill(state.lastAnalysis, null),
+    }),
+  },
+  {
+    version: 2,
+    description: "Study tools: flashcards, the pending quiz and availability.",
+    up: (state) => ({
+      ...state,
+      flashcards: fill(state.flashcards, []),
+      pendingQuiz: fill(state.pendingQuiz, null),
+      availability: fillObject(state.availability, defaultAvailability()),
+    }),
+  },
+  {
+    version: 3,
+    description: "Multiple goals: records without goals become one goal built from lastSession.",
+    up: (state) => {
+      if (state.goals !== undefined && state.goals !== null) return { ...state, activeGoalId: fill(state.activeGoalId, null) };
+      if (!Array.isArray(state.sessions)) return state;
+      return { ...state, ...legacyGoals(state) };
+    },
+  },
+  {
+    version: 4,
+    description: "Long-term memory and the full learner profile.",
+    up: (state) => ({
+      ...state,
+      memory: fillObject(state.memory, defaultMemory()),
+      profile: fillObject(state.profile, defaultProfile()),
+    }),
+  },
+  {
+    version: 5,
+    description: "Plan versions: number each goal's sessions in order and link each to the one before.",
+    up: (state) => {
+      if (!Array.isArray(state.sessions)) return state;
+      const seen = new Map(); // goalId -> { version, id } of the goal's latest session so far
+      const sessions = state.sessions.map((session) => {
+        if (!isObject(session) || !session.goalId) return session;
+        const previous = seen.get(session.goalId);
+        const numbered = session.version ? session : { ...session, version: (previous?.version ?? 0) + 1, parentId: previous?.id ?? null };
+        seen.set(session.goalId, { version: numbered.version, id: numbered.id });
+        return numbered;
+      });
+      // `lastSession` is a copy of one of the sessions; keep it in sync.
+      const last = state.lastSession && sessions.find((s) => s?.id === state.lastSession.id);
+      return { ...state, sessions, lastSession: last ? { ...state.lastSession, version: last.version, parentId: last.parentId } : state.lastSession };
+    },
+  },
+  {
+    version: 6,
+    description: "Timed focus sessions (Pomodoro tracking).",
+    up: (state) => ({ ...state, focusSessions: fill(state.focusSessions, []) }),
+  },
+  {
+    version: 7,
+    description: "Scheduled reminders: notifications and their settings.",
+    up: (state) => ({
+      ...state,
+      notifications: fill(state.notifications, []),
+      notificationSettings: fillObject(state.notificationSettings, defaultNotificationSettings()),
+    }),
+  },
+  {
+    version: 8,
+    description: "Uploaded course material (the list; chunks live in the vector store).",
+    up: (state) => ({ ...state, materials: fill(state.materials, []) }),
+  },
+  {
+    version: 9,
+    description: "Today's model token usage, for the daily budget.",
+    up: (state) => ({ ...state, tokenUsage: fillObject(state.tokenUsage, defaultTokenUsage()) }),
+  },
+];
+
+/**
+ * Returns a list of problems (empty if the state is usable).
+ */
+export function validateState(state) {
+  if (!isObject(state)) return ["State must be an object."];
+
+  const errors = [];
+  const expect = (ok, message) => {
+    if (!ok) errors.push(message);
+  };
+  const arrayOf = (field, check, what) => {
+    if (!Array.isArray(state[field])) return errors.push(`"${field}" must be an array.`);
+    const bad = state[field].findIndex((item) => !check(item));
+    if (bad !== -1) errors.push(`"${field}[${bad}]" must be ${what}.`);
+  };
+
+  expect(Number.isInteger(state.schemaVersion), '"schemaVersion" must be an integer.');
+  arrayOf("recentHistory", (m) => isObject(m) && typeof m.role === "string" && typeof m.content === "string", "a { role, content } message");
+  arrayOf("sessions", (s) => isObject(s) && s.id !== undefined, "a session with an id");
+  arrayOf("goals", (g) => isObject(g) && typeof g.id === "string", "a goal with an id");
+  arrayOf("focusSessions", (f) => isObject(f) && typeof f.id === "string" && Array.isArray(f.segments), "a focus session with an id and segments");
+  arrayOf("notifications", (n) => isObject(n) && typeof n.id === "string" && typeof n.key === "string", "a notification with an id and key");
+  arrayOf("materials", (m) => isObject(m) && typeof m.id === "string" && Number.isInteger(m.chunks), "an uploaded file with an id and chunk count");
+  arrayOf("flashcards", (c) => isObject(c) && typeof c.front === "string" && typeof c.back === "string", "a card with front and back");
+  expect(state.lastSession === null || isObject(state.lastSession), '"lastSession" must be an object or null.');
+  expect(state.pendingQuiz === null || isObject(state.pendingQuiz), '"pendingQuiz" must be an object or null.');
+  expect(isObject(state.profile) && Array.isArray(state.profile.weakAreas), '"profile" must be an object with a "weakAreas" array.');
+  expect(isObject(state.memory) && Array.isArray(state.memory.facts), '"memory" must be an object with a "facts" array.');
+  expect(isObject(state.tokenUsage) && Number.isFinite(state.tokenUsage.tokens), '"tokenUsage" must be an object with a "tokens" count.');
+  expect(isObject(state.notificationSettings) && typeof state.notificationSettings.enabled === "boolean", '"notificationSettings" must be an object with an "enabled" flag.');
+  expect(isObject(state.availability) && Array.isArray(state.availability.weeklyBusy), '"availability" must be an object with a "weeklyBusy" array.');
+  if (Array.isArray(state.goals)) {
+    expect(state.activeGoalId === null || state.goals.some((g) => g?.id === state.activeGoalId), '"activeGoalId" must name one of the goals.');
+  }
+  return errors;
+}
+
+/**
+ * Brings a stored record up to `SCHEMA_VERSION`. `null` (a new user) becomes the default state.
+ * Throws `SchemaError` for records that are newer than this code or still invalid after migrating.
+ */
+export function migrateState(stored) {
+  if (stored === null || stored === undefined) return defaultState();
+  if (!isObject(stored)) throw new SchemaError("Stored state is not an object and cannot be repaired.");
+
+  const from = stored.schemaVersion ?? 0;
+  if (!Number.isInteger(from) || from < 0) throw new SchemaError(`Stored state has an invalid schemaVersion (${JSON.stringify(from)}).`);
+  if (from > SCHEMA_VERSION) {
+    throw new SchemaError(`Stored state is schema version ${from}, but this Worker only understands up to ${SCHEMA_VERSION}.`);
+  }
+
+  let state = stored;
+  for (const migration of MIGRATIONS) {
+    if (migration.version > from) state = { ...migration.up(state), schemaVersion: migration.version };
+  }
+
+  const errors = validateState(state);
+  if (errors.length > 0) throw new SchemaError(`Stored state (schema version ${from}) cannot be repaired: ${errors.join(" ")}`);
+  return state;
+}
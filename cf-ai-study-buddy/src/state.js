@@ -0,0 +1,240 @@
+/**
+ * Per-User State (Durable Object)
+ *
+ * Each user's state lives in one `StudyState` object (`STUDY_STATE` binding, named by user id),
+ * so every request for a user sees the same, strongly consistent copy.
+ *
+ * TURNS:
+ * A chat turn reads the state, calls the model, then saves. Two tabs (or a double-send)
+ * used to race, and the last write won. Now a request that changes state takes a turn:
+ *
+ *   const { turn, state } = await stub.begin(userId);   // waits for the previous turn
+ *   await stub.save(nextState, turn);                    // false if the turn is no longer current
+ *   await stub.end(turn);                                // lets the next request in
+ *
+ * `load` waits for the turn in progress too, so reading right after a send never returns
+ * the state from before that send was saved. A turn that is never ended (e.g. the Worker
+ * died mid-request) expires after `TURN_TIMEOUT_MS`. Model calls with retries can take
+ * longer than that, so the Worker calls `extend(turn)` every so often while it is still
+ * working; once it stops (finished or died), the timer runs out as before.
+ *
+ * MIGRATION:
+ * State used to live in KV under `user:<id>`. The first time an object loads, it adopts
+ * that value; after that KV is not read again.
+ *
+ * DIRECTORY:
+ * Durable Objects can't be listed, so each object adds its user to KV once, as
+ * `directory:<id>`. `listUserIds` reads that (plus the legacy `user:` keys) for the
+ * scheduled reminders, which have to visit every user.
+ *
+ * TRANSCRIPT:
+ * The state only keeps the last few turns the model sees (`recentHistory`). The full chat
+ * is stored next to it, one storage key per message, so it can grow without making every
+ * state read bigger:
+ *
+ *   message:<zero-padded id> = { id, role, content, action, createdAt }
+ *
+ * Ids count up from 1. `save` appends a turn's messages in the same write as the state, so
+ * the two never disagree. `messages` pages backwards from the newest.
+ */
+
+import { DurableObject } from "cloudflare:workers";
+
+export const TURN_TIMEOUT_MS = 60 * 1000;
+const STATE_KEY = "state";
+const REGISTERED_KEY = "registered";
+const DIRECTORY_PREFIX = "directory:";
+const LEGACY_PREFIX = "user:";
+const MESSAGE_PREFIX = "message:";
+const MESSAGE_SEQ_KEY = "messageSeq";
+// The most keys one storage call may take.
+const STORAGE_BATCH = 128;
+
+// Zero-padded so keys sort in id order.
+const messageKey = (id) => `${MESSAGE_PREFIX}${String(id).padStart(12, "0")}`;
+
+export class StaleTurnError extends Error {
+  constructor() {
+    super("This turn expired before it saved; another request owns the state now.");
+    this.name = "StaleTurnError";
+  }
+}
+
+/**
+ * The user's `StudyState` stub.
+ */
+export function studyStateStub(env, userId) {
+  return env.STUDY_STATE.get(env.STUDY_STATE.idFromName(userId));
+}
+
+/**
+ * Every known user id: registered objects plus users still only in legacy KV
+ * (loading those imports them).
+ */
+export async function listUserIds(env) {
+  const ids = new Set();
+  for (const prefix of [DIRECTORY_PREFIX, LEGACY_PREFIX]) {
+    let cursor;
+    do {
+      const page = await env.STUDY_STATE_KV.list({ prefix, cursor });
+      for (const key of page.keys) ids.add(key.name.slice(prefix.length));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+  }
+  return [...ids];
+}
+
+export class StudyState extends DurableObject {
+  #turn = null;
+  #timer = null;
+  #queue = [];
+  #registered = false;
+
+  /**
+   * Latest saved state (or null for a new user), once any turn in progress has finished.
+   */
+  async load(userId) {
+    this.#release(await this.#acquire());
+    return this.#read(userId);
+  }
+
+  /**
+   * Waits for the user's previous turn to end, then returns `{ turn, state }`.
+   */
+  async begin(userId) {
+    const turn = await this.#acquire();
+    return { turn, state: await this.#read(userId) };
+  }
+
+  /**
+   * Saves within `turn`, appending `messages` (`[{ role, content, action, createdAt }]`) to
+   * the transcript. Without a turn, the save queues like a turn of its own.
+   * Returns false (and saves nothing) if `turn` has ended or expired; callers raise
+   * `StaleTurnError` on their side.
+   */
+  async save(state, turn = null, messages = []) {
+    if (turn === null) {
+      const own = await this.#acquire();
+      try {
+        await this.#write(state, messages);
+      } finally {
+        this.#release(own);
+      }
+      return true;
+    }
+    if (this.#turn !== turn) return false;
+    await this.#write(state, messages);
+    return true;
+  }
+
+  /**
+   * One page of the transcript, oldest first: the `limit` messages before id `before`
+   * (or the newest ones). `nextBefore` is the id to ask for next, or null at the start.
+   */
+  async messages({ before = null, limit = 50 } = {}) {
+    this.#release(await this.#acquire());
+    const listed = await this.ctx.storage.list({
+      prefix: MESSAGE_PREFIX,
+      reverse: true,
+      limit: limit + 1,
+      ...(before !== null ? { end: messageKey(before) } : {}),
+    });
+    const newestFirst = [...listed.values()];
+    const messages = newestFirst.slice(0, limit).reverse();
+    return { messages, nextBefore: newestFirst.length > limit ? messages[0].id : null };
+  }
+
+  /**
+   * Deletes the whole transcript (ids keep counting up).
+   */
+  async clearMessages() {
+    const own = await this.#acquire();
+    try {
+      for (;;) {
+        const keys = [...(await this.ctx.storage.list({ prefix: MESSAGE_PREFIX, limit: STORAGE_BATCH })).keys()];
+        if (keys.length === 0) break;
+        await this.ctx.storage.delete(keys);
+      }
+    } finally {
+      this.#release(own);
+    }
+  }
+
+  /**
+   * Pushes the expiry of `turn` back to `TURN_TIMEOUT_MS` from now. Returns false if the
+   * turn has already ended or expired.
+   */
+  async extend(turn) {
+    if (this.#turn !== turn) return false;
+    this.#arm(turn);
+    return true;
+  }
+
+  /**
+   * Ends a turn. Safe to call twice or after the turn expired.
+   */
+  async end(turn) {
+    this.#release(turn);
+  }
+
+  // State and new messages in one atomic put.
+  async #write(state, messages) {
+    if (messages.length === 0) return this.ctx.storage.put(STATE_KEY, state);
+    let seq = (await this.ctx.storage.get(MESSAGE_SEQ_KEY)) || 0;
+    const entries = { [STATE_KEY]: state };
+    for (const message of messages) {
+      seq += 1;
+      entries[messageKey(seq)] = { ...message, id: seq };
+    }
+    entries[MESSAGE_SEQ_KEY] = seq;
+    await this.ctx.storage.put(entries);
+  }
+
+  async #read(userId) {
+    await this.#register(userId);
+    const stored = await this.ctx.storage.get(STATE_KEY);
+    if (stored !== undefined) return stored;
+
+    // First load for this user: adopt what the KV-backed version saved (null if nothing).
+    const legacy = (await this.env.STUDY_STATE_KV?.get(`${LEGACY_PREFIX}${userId}`, "json")) ?? null;
+    await this.ctx.storage.put(STATE_KEY, legacy);
+    return legacy;
+  }
+
+  async #register(userId) {
+    if (this.#registered) return;
+    if (!(await this.ctx.storage.get(REGISTERED_KEY))) {
+      await this.env.STUDY_STATE_KV?.put(`${DIRECTORY_PREFIX}${userId}`, "1");
+      await this.ctx.storage.put(REGISTERED_KEY, true);
+    }
+    this.#registered = true;
+  }
+
+  #acquire() {
+    return new Promise((resolve) => {
+      this.#queue.push(resolve);
+      if (this.#turn === null) this.#next();
+    });
+  }
+
+  #next() {
+    const resolve = this.#queue.shift();
+    if (!resolve) return;
+    const turn = crypto.randomUUID();
+    this.#turn = turn;
+    this.#arm(turn);
+    resolve(turn);
+  }
+
+  #arm(turn) {
+    clearTimeout(this.#timer);
+    this.#timer = setTimeout(() => this.#release(turn), TURN_TIMEOUT_MS);
+  }
+
+  #release(turn) {
+    if (this.#turn !== turn) return;
+    clearTimeout(this.#timer);
+    this.#turn = null;
+    this.#next();
+  }
+}
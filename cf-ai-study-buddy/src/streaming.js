@@ -0,0 +1,76 @@
+/**
+ * Streaming Support (Server-Sent Events)
+ *
+ * Workers AI can stream tokens when called with `stream: true`. It returns a ReadableStream
+ * of SSE frames like `data: {"response":"Hel"}` and finishes with `data: [DONE]`.
+ *
+ * `runModel` hides the difference: `generateText` (see `inference.js`) always gets back
+ * `{ response }` with the full text, and if an `onToken` callback is passed it also sees each
+ * chunk as it arrives. That lets the same handler code serve both the JSON and the streaming
+ * `/api/chat`.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Formats one SSE frame. `data` is JSON-encoded so multi-line text stays on one `data:` line.
+ */
+export function sseEvent(event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Reads a Workers AI SSE stream, calling `onToken` for every text chunk.
+ * Resolves with the concatenated text.
+ */
+export async function readAiStream(stream, onToken) {
+  const reader = stream.getReader();
+  let buffer = "";
+  let text = "";
+
+  const handleLine = (line) => {
+    if (!line.startsWith("data:")) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === "[DONE]") return;
+    try {
+      const chunk = JSON.parse(payload).response;
+      if (typeof chunk === "string" && chunk.length > 0) {
+        text += chunk;
+        onToken(chunk);
+      }
+    } catch {
+      // Ignore keep-alives and partial frames; the next read completes them.
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  buffer += decoder.decode();
+  if (buffer) handleLine(buffer);
+
+  return text;
+}
+
+/**
+ * Calls the model, streaming when `onToken` is provided.
+ * Always resolves with the non-streaming result shape (`{ response }`).
+ */
+export async function runModel(env, model, params, onToken) {
+  if (!onToken) return env.AI.run(model, params);
+
+  const stream = await env.AI.run(model, { ...params, stream: true });
+  // Bindings that don't support streaming (or test fakes) hand back a plain result.
+  if (!(stream instanceof ReadableStream)) {
+    const text = stream?.result || stream?.response || "";
+    if (text) onToken(text);
+    return stream;
+  }
+  return { response: await readAiStream(stream, onToken) };
+}
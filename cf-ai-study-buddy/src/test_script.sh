@@ -1,17 +1,27 @@
 #!/usr/bin/env bash
 
 # Usage:
-#   ./test_study_agent.sh https://YOUR_WORKER_URL
+#   ./test_study_agent.sh https://YOUR_WORKER_URL YOUR_JWT
+#
+# The JWT must be HS256-signed with the Worker's AUTH_JWT_SECRET and carry `sub` and `exp`.
 
 set -euo pipefail
 
 BASE_URL="${1:-}"
+TOKEN="${2:-${STUDY_BUDDY_TOKEN:-}}"
 
 if [[ -z "$BASE_URL" ]]; then
   echo "ERROR: Provide your Worker base URL."
   exit 1
 fi
 
+if [[ -z "$TOKEN" ]]; then
+  echo "ERROR: Provide a bearer token (second argument or STUDY_BUDDY_TOKEN)."
+  exit 1
+fi
+
+AUTH_HEADER="Authorization: Bearer ${TOKEN}"
+
 have_jq=0
 if command -v jq >/dev/null 2>&1; then
   have_jq=1
@@ -29,8 +39,8 @@ hr() { echo "------------------------------------------------------------"; }
 
 # NEW: Reset state
 hr
-echo "RESET: clearing KV for demo-user"
-resp="$(curl -sS "${BASE_URL}/debug/reset")"
+echo "RESET: clearing KV for the token's user"
+resp="$(curl -sS -H "$AUTH_HEADER" "${BASE_URL}/debug/reset")"
 print_json "$resp"
 
 # 1) Health
@@ -42,7 +52,7 @@ print_json "$resp"
 # 2) Initial empty KV
 hr
 echo "2) INITIAL STATE:"
-resp="$(curl -sS "${BASE_URL}/debug/state")"
+resp="$(curl -sS -H "$AUTH_HEADER" "${BASE_URL}/debug/state")"
 print_json "$resp"
 
 # 3) Create new plan
@@ -51,6 +61,7 @@ echo "3) CREATE PLAN"
 resp="$(
 curl -sS -X POST "${BASE_URL}/api/chat" \
   -H "Content-Type: application/json" \
+  -H "$AUTH_HEADER" \
   -d '{"message":"I have 60 minutes to study binary search."}'
 )"
 print_json "$resp"
@@ -61,6 +72,7 @@ echo "4) REVISE PLAN"
 resp="$(
 curl -sS -X POST "${BASE_URL}/api/chat" \
   -H "Content-Type: application/json" \
+  -H "$AUTH_HEADER" \
   -d '{"message":"Make the plan faster and more practical."}'
 )"
 print_json "$resp"
@@ -71,6 +83,7 @@ echo "5) LOG OUTCOME"
 resp="$(
 curl -sS -X POST "${BASE_URL}/api/chat" \
   -H "Content-Type: application/json" \
+  -H "$AUTH_HEADER" \
   -d '{"message":"I got most of it done but slowed down at the end."}'
 )"
 print_json "$resp"
@@ -81,6 +94,7 @@ echo "6) ANALYZE PATTERNS"
 resp="$(
 curl -sS -X POST "${BASE_URL}/api/chat" \
   -H "Content-Type: application/json" \
+  -H "$AUTH_HEADER" \
   -d '{"message":"Analyze my study habits so far."}'
 )"
 print_json "$resp"
@@ -88,7 +102,7 @@ print_json "$resp"
 # 7) Final debug dump
 hr
 echo "7) FINAL STATE"
-resp="$(curl -sS "${BASE_URL}/debug/state")"
+resp="$(curl -sS -H "$AUTH_HEADER" "${BASE_URL}/debug/state")"
 print_json "$resp"
 
 echo
@@ -0,0 +1,141 @@
+/**
+ * Plan Version History
+ *
+ * Every plan a goal has had is one version, numbered from 1:
+ *
+ *   session = { ..., goalId, version, parentId }   // parentId: the version this one replaced
+ *
+ * `attachSession` (goals.js) numbers sessions as it files them, so creating, revising and
+ * rolling back all extend the same chain. Nothing is deleted: rolling back to version 2
+ * appends a new version (action "rollback_plan", `restoredFrom`) carrying version 2's plan,
+ * so a rollback can itself be undone.
+ *
+ * "Undo that change" is a rollback to the parent of the goal's current version.
+ */
+
+import { attachSession } from "./goals.js";
+import { renderPlanText } from "./plan.js";
+import { listTasks } from "./progress.js";
+
+/**
+ * The goal's versions, oldest first.
+ */
+export function planVersions(state, goalId) {
+  return state.sessions.filter((s) => s.goalId === goalId).sort((a, b) => (a.version ?? 0) - (b.version ?? 0));
+}
+
+function totalMinutes(plan) {
+  if (!plan || typeof plan !== "object") return null;
+  return plan.totalMinutes ?? listTasks(plan).reduce((sum, t) => sum + t.minutes, 0);
+}
+
+/**
+ * One version for the API: what it is and where it came from, without the full plan.
+ */
+export function describeVersion(session, currentSessionId) {
+  const plan = session.plan;
+  return {
+    version: session.version,
+    sessionId: session.id,
+    parentId: session.parentId ?? null,
+    action: session.action,
+    timestamp: session.timestamp,
+    title: typeof plan === "object" && plan ? plan.title : String(plan || "").split("\n")[0].slice(0, 80),
+    totalMinutes: totalMinutes(plan),
+    restoredFrom: session.restoredFrom ?? null,
+    current: session.id === currentSessionId,
+  };
+}
+
+/**
+ * Line diff (LCS) of two rendered plans. Returns `[{ op: "same" | "added" | "removed", text }]`.
+ */
+export function diffLines(beforeText, afterText) {
+  const a = beforeText.split("\n");
+  const b = afterText.split("\n");
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ op: "removed", text: a[i++] });
+    } else {
+      lines.push({ op: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ op: "removed", text: a[i++] });
+  while (j < b.length) lines.push({ op: "added", text: b[j++] });
+  return lines;
+}
+
+/**
+ * Compares two versions. Returns `{ from, to, summary, lines }`.
+ */
+export function diffVersions(from, to) {
+  const lines = diffLines(renderPlanText(from.plan), renderPlanText(to.plan));
+  const count = (plan) => (typeof plan === "object" && plan ? listTasks(plan).length : null);
+  return {
+    from: describeVersion(from),
+    to: describeVersion(to),
+    summary: {
+      linesAdded: lines.filter((l) => l.op === "added").length,
+      linesRemoved: lines.filter((l) => l.op === "removed").length,
+      minutes: { from: totalMinutes(from.plan), to: totalMinutes(to.plan) },
+      tasks: { from: count(from.plan), to: count(to.plan) },
+    },
+    lines,
+  };
+}
+
+/**
+ * Makes `version` the goal's current plan again by appending a copy of it.
+ * Returns `{ state, session, error }`; the goal becomes the active one.
+ */
+export function rollbackPlan(state, goalId, version, now = Date.now()) {
+  const goal = state.goals.find((g) => g.id === goalId);
+  if (!goal) return { state: null, session: null, error: "No such goal." };
+  const target = planVersions(state, goalId).find((s) => s.version === version);
+  if (!target) return { state: null, session: null, error: `Goal has no version ${version}.` };
+  if (target.id === goal.currentSessionId) return { state: null, session: null, error: `Version ${version} is already the current plan.` };
+
+  const restored = {
+    ...target,
+    id: String(now),
+    timestamp: now,
+    action: "rollback_plan",
+    restoredFrom: target.id,
+    // Task progress, the outcome and focus time were logged against the old version; the
+    // restored copy starts without them, like any new plan.
+    taskStatus: {},
+    completion: null,
+    outcomeNote: null,
+    outcomeAt: null,
+    focusTotals: null,
+  };
+  const newState = attachSession(state, restored, now);
+  return { state: newState, session: newState.lastSession, error: null };
+}
+
+/**
+ * Chat "undo that change": back to the version the active plan replaced.
+ * Returns `{ state, session, error }` like `rollbackPlan`.
+ */
+export function undoLastChange(state, now = Date.now()) {
+  const current = state.lastSession;
+  if (!current) return { state: null, session: null, error: "There is no plan to undo yet." };
+  const parent = current.parentId && state.sessions.find((s) => s.id === current.parentId);
+  if (!parent) return { state: null, session: null, error: "This is the first version of the plan, so there is nothing to undo." };
+  return rollbackPlan(state, current.goalId, parent.version, now);
+}
@@ -0,0 +1,120 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import { computeAnalytics, computeStreaks, revisionChains, describeAnalytics } from '../src/analytics.js';
+
+const HOUR = 60 * 60 * 1000;
+// 2026-10-19 is a Monday.
+const at = (date, hour) => Date.parse(`${date}T${String(hour).padStart(2, '0')}:00:00Z`);
+const completion = (done, total) => ({ percent: Math.round((done / total) * 100), done, partial: 0, skipped: 0, pending: total - done, total, plannedMinutes: total * 30, actualMinutes: 0 });
+
+const sessions = [
+	{ id: 'a1', goalId: 'g1', action: 'create_plan', timestamp: at('2026-10-16', 8) },
+	{ id: 'a2', goalId: 'g1', action: 'revise_plan', timestamp: at('2026-10-16', 9) },
+	{
+		id: 'a3',
+		goalId: 'g1',
+		action: 'revise_plan',
+		timestamp: at('2026-10-16', 10),
+		taskStatus: {
+			t1: { status: 'done', updatedAt: at('2026-10-17', 9) },
+			t2: { status: 'done', updatedAt: at('2026-10-18', 20) },
+			t3: { status: 'skipped', updatedAt: at('2026-10-18', 20) },
+		},
+		completion: completion(2, 4),
+		outcomeNote: 'Did most of it',
+		outcomeAt: at('2026-10-19', 10),
+	},
+	{ id: 'b1', goalId: 'g2', action: 'create_plan', timestamp: at('2026-10-18', 7), completion: completion(1, 1) },
+];
+const state = { goals: [{ id: 'g1' }, { id: 'g2' }], sessions, availability: { timeZone: 'UTC' } };
+
+describe('revisionChains', () => {
+	it('groups revisions of the same goal into one plan', () => {
+		expect(revisionChains(sessions).map((c) => c.versions.map((s) => s.id))).toEqual([['a1', 'a2', 'a3'], ['b1']]);
+	});
+});
+
+describe('computeStreaks', () => {
+	it('tracks the current and longest run of consecutive days', () => {
+		expect(computeStreaks(['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-10', '2026-10-11'], '2026-10-12')).toMatchObject({
+			current: 2,
+			longest: 3,
+			activeDays: 5,
+		});
+		expect(computeStreaks(['2026-10-01'], '2026-10-12').current).toBe(0);
+	});
+});
+
+describe('computeAnalytics', () => {
+	const a = computeAnalytics(state, { now: at('2026-10-19', 12) });
+
+	it('computes completion over the newest version of each plan', () => {
+		expect(a.totals).toEqual({ goals: 2, plans: 2, versions: 4, outcomesLogged: 1 });
+		expect(a.completion.averagePercent).toBe(75);
+		expect(a.completion.tasks.done).toBe(3);
+		expect(a.completion.taskCompletionRate).toBe(0.6);
+	});
+
+	it('buckets activity by local time of day and weekday, and counts streaks', () => {
+		expect(a.timeOfDay).toEqual({ morning: 2, afternoon: 0, evening: 1, night: 0 });
+		expect(a.weekdays).toMatchObject({ Sat: 1, Sun: 1, Mon: 1 });
+		expect(a.streaks).toMatchObject({ current: 3, longest: 3, lastActiveDate: '2026-10-19' });
+	});
+
+	it('counts revisions and time to outcome', () => {
+		expect(a.revisions).toEqual({ total: 2, averagePerPlan: 1, maxPerPlan: 2 });
+		expect(a.timeToOutcome).toEqual({ count: 1, medianHours: 72, averageHours: 72 });
+	});
+
+	it('uses the user time zone for buckets', () => {
+		const tokyo = computeAnalytics({ ...state, availability: { timeZone: 'Asia/Tokyo' } }, { now: at('2026-10-19', 12) });
+		// 20:00 UTC is 05:00 the next day in Tokyo.
+		expect(tokyo.timeOfDay).toEqual({ morning: 1, afternoon: 0, evening: 2, night: 0 });
+	});
+
+	it('is deterministic and handles an empty history', () => {
+		expect(computeAnalytics(state, { now: 1 })).toEqual(computeAnalytics(state, { now: 1 }));
+		const empty = computeAnalytics({ sessions: [] }, { now: 1 });
+		expect(empty.completion.averagePercent).toBeNull();
+		expect(describeAnalytics(empty)).toContain('Average completion: n/a%');
+	});
+});
+
+describe('analytics via the worker', () => {
+	it('serves metrics and grounds analyzePattern in them', async () => {
+		const token = await signJwt({ sub: 'analytics-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+		await env.STUDY_STATE_KV.put('user:analytics-user', JSON.stringify(state));
+
+		let prompt = '';
+		const fakeEnv = {
+			...env,
+			AI: {
+				run: async (_model, params) => {
+					prompt = params.messages[0].content;
+					return { response: 'You revise a lot: 2 revisions.' };
+				},
+			},
+		};
+		const call = async (path, init = {}) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(new Request(`http://example.com${path}`, { headers, ...init }), fakeEnv, ctx);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+
+		const metrics = await (await call('/api/analytics')).json();
+		expect(metrics.revisions.total).toBe(2);
+
+		const chat = await (await call('/api/chat', { method: 'POST', body: JSON.stringify({ message: 'Analyze my study habits' }) })).json();
+		expect(chat.action).toBe('analyze_pattern');
+		expect(prompt).toContain('Revisions: 2 total');
+		expect(prompt).not.toContain('"taskStatus"');
+
+		const stored = await studyStateStub(env, 'analytics-user').load('analytics-user');
+		expect(stored.lastAnalysis).toBe('You revise a lot: 2 revisions.');
+	});
+});
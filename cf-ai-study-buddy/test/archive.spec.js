@@ -0,0 +1,111 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { buildArchive, sessionsToCsv, studyJournal, readArchive, mergeArchive, csvField, ARCHIVE_FORMAT } from '../src/archive.js';
+import { migrateState, defaultState, SCHEMA_VERSION } from '../src/schema.js';
+
+const plan = {
+	title: 'Limits week',
+	topic: 'Calculus',
+	notes: [],
+	days: [{ day: 1, focus: 'Limits', blocks: [{ id: 'd1-b1', title: 'Read', minutes: 30, tasks: [{ id: 'd1-b1-t1', description: 'Read 2.1', minutes: 30, topics: [] }] }] }],
+};
+
+const sampleState = () =>
+	migrateState({
+		lastSession: { id: 's2', goal: 'shorter please', action: 'revise_plan', plan, timestamp: Date.UTC(2026, 9, 2, 18), outcomeNote: 'Done, "easy", mostly', outcomeAt: Date.UTC(2026, 9, 3, 9) },
+		sessions: [
+			{ id: 's1', goal: 'plan calculus, limits', action: 'create_plan', plan, timestamp: Date.UTC(2026, 9, 1, 18), completion: { percent: 50, done: 1, total: 2 } },
+			{ id: 's2', goal: 'shorter please', action: 'revise_plan', plan, timestamp: Date.UTC(2026, 9, 2, 18), outcomeNote: 'Done, "easy", mostly', outcomeAt: Date.UTC(2026, 9, 3, 9) },
+		],
+		memory: { summary: '', facts: [{ text: 'Exam is Friday.', createdAt: 1 }] },
+		profile: { weakAreas: ['limits'] },
+	});
+
+describe('exports', () => {
+	it('wraps the state in a versioned archive', () => {
+		const archive = buildArchive(sampleState(), Date.UTC(2026, 9, 19));
+		expect(archive).toMatchObject({ format: ARCHIVE_FORMAT, archiveVersion: 1, exportedAt: '2026-10-19T00:00:00.000Z', schemaVersion: SCHEMA_VERSION });
+		expect(archive.state.sessions).toHaveLength(2);
+	});
+
+	it('writes one quoted CSV row per session', () => {
+		const lines = sessionsToCsv(sampleState()).trim().split('\r\n');
+		expect(lines[0]).toBe('timestamp,session_id,goal_id,goal,action,topic,request,completion_percent,tasks_done,tasks_total,outcome,outcome_at');
+		expect(lines[1]).toBe('2026-10-01T18:00:00.000Z,s1,goal-s2,Calculus,create_plan,Calculus,"plan calculus, limits",50,1,2,,');
+		expect(lines[2]).toContain('"Done, ""easy"", mostly",2026-10-03T09:00:00.000Z');
+	});
+
+	it('keeps spreadsheet formulas inert', () => {
+		expect(csvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+		expect(csvField('-5 minutes')).toBe("'-5 minutes");
+	});
+
+	it('renders a Markdown journal grouped by goal', () => {
+		const md = studyJournal(sampleState(), Date.UTC(2026, 9, 19));
+		expect(md).toContain('# Study Journal');
+		expect(md).toContain('## Calculus');
+		expect(md).toContain('### 2026-10-01: Plan created');
+		expect(md).toContain('### 2026-10-02: Plan revised');
+		expect(md).toContain('**Progress:** 50% (1/2 tasks done)');
+		expect(md).toContain('**Outcome (2026-10-03):** Done, "easy", mostly');
+		expect(md).toContain('- Exam is Friday.');
+	});
+
+	it('labels restored plans in the journal', () => {
+		const state = sampleState();
+		const restored = { ...state.sessions[0], id: 's3', action: 'rollback_plan', timestamp: Date.UTC(2026, 9, 4, 18) };
+		expect(studyJournal({ ...state, sessions: [...state.sessions, restored] }, Date.UTC(2026, 9, 19))).toContain('### 2026-10-04: Plan restored');
+	});
+});
+
+describe('import', () => {
+	it('rejects things that are not valid archives', () => {
+		expect(readArchive({ hello: 1 }).error).toMatch(/Not a study archive/);
+		expect(readArchive({ format: ARCHIVE_FORMAT, archiveVersion: 99, state: {} }).error).toMatch(/archiveVersion/);
+		expect(readArchive({ format: ARCHIVE_FORMAT, archiveVersion: 1, state: { sessions: 'x' } }).error).toMatch(/"sessions" must be an array/);
+	});
+
+	it('migrates old archives and merges without duplicating', () => {
+		const { state: incoming } = readArchive({ format: ARCHIVE_FORMAT, archiveVersion: 1, state: { ...sampleState(), schemaVersion: undefined } });
+		const current = { ...defaultState(), profile: { ...defaultState().profile, level: 'beginner', manual: ['level'] } };
+
+		const first = mergeArchive(current, { ...incoming, profile: { ...incoming.profile, level: 'advanced', dailyMinutes: 40 } });
+		expect(first.imported).toEqual({ sessions: 2, goals: 1, flashcards: 0, focusSessions: 0, facts: 1 });
+		expect(first.state.lastSession.id).toBe('s2');
+		expect(first.state.activeGoalId).toBe('goal-s2');
+		expect(first.state.profile).toMatchObject({ level: 'beginner', dailyMinutes: 40, weakAreas: ['limits'] });
+
+		const again = mergeArchive(first.state, incoming);
+		expect(again.imported).toEqual({ sessions: 0, goals: 0, flashcards: 0, focusSessions: 0, facts: 0 });
+	});
+});
+
+describe('export and import via the worker', () => {
+	it('moves history from one account to another', async () => {
+		const call = async (sub, path, init = {}) => {
+			const token = await signJwt({ sub, exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(new Request(`http://example.com${path}`, { ...init, headers: { Authorization: `Bearer ${token}`, ...init.headers } }), env, ctx);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+		await env.STUDY_STATE_KV.put('user:export-a', JSON.stringify(sampleState()));
+
+		const csv = await call('export-a', '/api/export.csv');
+		expect(csv.headers.get('Content-Type')).toContain('text/csv');
+		expect((await csv.text()).split('\r\n')).toHaveLength(4);
+		expect((await call('export-a', '/api/export.md')).headers.get('Content-Type')).toContain('text/markdown');
+
+		const archive = await (await call('export-a', '/api/export.json')).json();
+		const bad = await call('export-b', '/api/import', { method: 'POST', body: '{"format":"nope"}' });
+		expect(bad.status).toBe(400);
+
+		const res = await call('export-b', '/api/import', { method: 'POST', body: JSON.stringify(archive), headers: { 'Content-Type': 'application/json' } });
+		expect((await res.json()).imported.sessions).toBe(2);
+		const state = await (await call('export-b', '/debug/state')).json();
+		expect(state.sessions.map((s) => s.id)).toEqual(['s1', 's2']);
+		expect(state.recentHistory).toEqual([]);
+	});
+});
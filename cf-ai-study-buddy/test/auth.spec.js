@@ -0,0 +1,77 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { signJwt, verifyJwt, AuthError } from '../src/auth.js';
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+function tokenFor(sub, overrides = {}, secret = env.AUTH_JWT_SECRET) {
+	return signJwt({ sub, exp: nowSeconds() + 3600, ...overrides }, secret);
+}
+
+describe('verifyJwt', () => {
+	it('accepts a valid HS256 token and returns its claims', async () => {
+		const token = await tokenFor('alice');
+		const claims = await verifyJwt(token, env.AUTH_JWT_SECRET);
+		expect(claims.sub).toBe('alice');
+	});
+
+	it('rejects a token signed with another key', async () => {
+		const token = await tokenFor('alice', {}, 'other-secret');
+		await expect(verifyJwt(token, env.AUTH_JWT_SECRET)).rejects.toThrow(AuthError);
+	});
+
+	it('rejects an expired token', async () => {
+		const token = await tokenFor('alice', { exp: nowSeconds() - 120 });
+		await expect(verifyJwt(token, env.AUTH_JWT_SECRET)).rejects.toThrow('Token expired');
+	});
+
+	it('rejects alg "none"', async () => {
+		const header = btoa(JSON.stringify({ alg: 'none' })).replace(/=+$/, '');
+		const payload = btoa(JSON.stringify({ sub: 'alice', exp: nowSeconds() + 60 })).replace(/=+$/, '');
+		await expect(verifyJwt(`${header}.${payload}.`, env.AUTH_JWT_SECRET)).rejects.toThrow('Unsupported token algorithm');
+	});
+
+	it('rejects a header or payload that is not a JSON object', async () => {
+		const payload = btoa(JSON.stringify({ sub: 'alice', exp: nowSeconds() + 60 })).replace(/=+$/, '');
+		await expect(verifyJwt(`${btoa('null')}.${payload}.`, env.AUTH_JWT_SECRET)).rejects.toThrow(AuthError);
+		await expect(verifyJwt(`${btoa('42')}.${payload}.`, env.AUTH_JWT_SECRET)).rejects.toThrow(AuthError);
+		// Correctly signed, but the payload is `null`.
+		await expect(verifyJwt(await signJwt(null, env.AUTH_JWT_SECRET), env.AUTH_JWT_SECRET)).rejects.toThrow('Malformed token');
+
+		const response = await SELF.fetch('http://example.com/debug/state', { headers: { Authorization: `Bearer ${btoa('null')}.${payload}.x` } });
+		expect(response.status).toBe(401);
+	});
+
+	it('enforces issuer and audience when configured', async () => {
+		const token = await tokenFor('alice', { iss: 'https://id.example', aud: ['study-buddy'] });
+		await expect(verifyJwt(token, env.AUTH_JWT_SECRET, { issuer: 'https://id.example', audience: 'study-buddy' })).resolves.toMatchObject({
+			sub: 'alice',
+		});
+		await expect(verifyJwt(token, env.AUTH_JWT_SECRET, { issuer: 'https://evil.example' })).rejects.toThrow(AuthError);
+	});
+});
+
+describe('auth gate', () => {
+	it('leaves the health check public', async () => {
+		const response = await SELF.fetch('http://example.com/api/health');
+		expect(response.status).toBe(200);
+	});
+
+	it('returns 401 without a bearer token', async () => {
+		const response = await SELF.fetch('http://example.com/debug/state');
+		expect(response.status).toBe(401);
+		expect(response.headers.get('WWW-Authenticate')).toMatch(/^Bearer/);
+	});
+
+	it('keys state by the token subject', async () => {
+		const alice = await tokenFor('alice');
+		const bob = await tokenFor('bob');
+		await env.STUDY_STATE_KV.put('user:alice', JSON.stringify({ sessions: [{ id: '1', goal: 'calculus' }] }));
+
+		const aliceState = await (await SELF.fetch('http://example.com/debug/state', { headers: { Authorization: `Bearer ${alice}` } })).json();
+		const bobState = await (await SELF.fetch('http://example.com/debug/state', { headers: { Authorization: `Bearer ${bob}` } })).json();
+
+		expect(aliceState.sessions).toHaveLength(1);
+		expect(bobState.sessions).toHaveLength(0);
+	});
+});
@@ -0,0 +1,207 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { signJwt } from '../src/auth.js';
+import { normalizePlan, generatePlan } from '../src/plan.js';
+import { parseIcs } from '../src/ics.js';
+import { defaultAvailability, freeWindows, describeFreeTime, fitPlanToAvailability, applyCalendarImport, updateAvailability } from '../src/availability.js';
+
+// 2026-10-19 is a Monday.
+const availability = {
+	...defaultAvailability(),
+	studyWindow: { start: '08:00', end: '21:00' },
+	weeklyBusy: [{ weekday: 1, start: '09:00', end: '12:00', label: 'Lectures', source: 'manual' }],
+	events: [{ start: '2026-10-19T17:00', end: '2026-10-19T19:00', summary: 'Shift' }],
+};
+
+function planWith(blocks) {
+	return normalizePlan({ title: 'T', days: [{ blocks }] }).plan;
+}
+
+describe('free time', () => {
+	it('subtracts weekly slots, events and the study window', () => {
+		expect(freeWindows(availability, '2026-10-19')).toEqual([
+			[8 * 60, 9 * 60],
+			[12 * 60, 17 * 60],
+			[19 * 60, 21 * 60],
+		]);
+		expect(describeFreeTime(availability, '2026-10-19', 2)).toBe('Day 1 (Mon 2026-10-19): 08:00-09:00, 12:00-17:00, 19:00-21:00\nDay 2 (Tue 2026-10-20): 08:00-21:00');
+	});
+});
+
+describe('fitPlanToAvailability', () => {
+	it('keeps blocks that are already in free time', () => {
+		const plan = planWith([{ title: 'A', start: '12:30', tasks: [{ description: 'x', minutes: 60 }] }]);
+		const { plan: fitted, moved } = fitPlanToAvailability(plan, availability, '2026-10-19');
+		expect(fitted.days[0].blocks[0].start).toBe('12:30');
+		expect(moved).toEqual([]);
+	});
+
+	it('moves overlapping blocks into the next free gap without double-booking', () => {
+		const plan = planWith([
+			{ title: 'A', start: '10:00', tasks: [{ description: 'x', minutes: 60 }] },
+			{ title: 'B', start: '12:30', tasks: [{ description: 'y', minutes: 60 }] },
+		]);
+		const { plan: fitted, moved } = fitPlanToAvailability(plan, availability, '2026-10-19');
+		expect(fitted.days[0].blocks.map((b) => b.start)).toEqual(['12:00', '13:00']);
+		expect(moved).toEqual([
+			{ blockId: 'd1-b1', from: '10:00', to: '12:00' },
+			{ blockId: 'd1-b2', from: '12:30', to: '13:00' },
+		]);
+	});
+
+	it('rejects a plan whose block cannot fit on its day', () => {
+		const plan = planWith([{ title: 'Marathon', tasks: [{ description: 'x', minutes: 400 }] }]);
+		const { plan: fitted, errors } = fitPlanToAvailability(plan, availability, '2026-10-19');
+		expect(fitted).toBeNull();
+		expect(errors[0]).toMatch(/does not fit/);
+	});
+
+	it('feeds conflicts back to the model through generatePlan', async () => {
+		const tooLong = JSON.stringify({ title: 'T', days: [{ blocks: [{ title: 'A', tasks: [{ description: 'x', minutes: 400 }] }] }] });
+		const ok = JSON.stringify({ title: 'T', days: [{ blocks: [{ title: 'A', start: '19:00', tasks: [{ description: 'x', minutes: 90 }] }] }] });
+		const replies = [tooLong, ok];
+		const calls = [];
+		const fakeEnv = { AI: { run: async (_m, { messages }) => (calls.push(messages), { response: replies.shift() }) } };
+
+		const { plan } = await generatePlan(fakeEnv, 'm', [], { check: (p) => fitPlanToAvailability(p, availability, '2026-10-19') });
+		expect(plan.days[0].blocks[0].start).toBe('19:00');
+		expect(calls[1].at(-1).content).toMatch(/does not fit/);
+	});
+});
+
+describe('calendar import', () => {
+	it('turns weekly RRULEs into slots and replaces previous imports', () => {
+		const ics = [
+			'BEGIN:VCALENDAR',
+			'BEGIN:VEVENT',
+			'DTSTART:20261020T130000Z',
+			'DURATION:PT1H30M',
+			'SUMMARY:Lab',
+			'END:VEVENT',
+			'BEGIN:VEVENT',
+			'DTSTART;TZID=Europe/Berlin:20261019T140000',
+			'DTEND;TZID=Europe/Berlin:20261019T153000',
+			'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+			'SUMMARY:Seminar',
+			'END:VEVENT',
+			'BEGIN:VEVENT',
+			'DTSTART:20261021T080000Z',
+			'DTEND:20261021T090000Z',
+			'TRANSP:TRANSPARENT',
+			'END:VEVENT',
+			'END:VCALENDAR',
+		].join('\r\n');
+
+		const parsed = parseIcs(ics, { timeZone: 'Europe/Berlin' });
+		expect(parsed.events).toEqual([{ start: '2026-10-20T15:00', end: '2026-10-20T16:30', summary: 'Lab' }]);
+		expect(parsed.weekly.map((s) => [s.weekday, s.start, s.end])).toEqual([
+			[1, '14:00', '15:30'],
+			[3, '14:00', '15:30'],
+		]);
+
+		const withOldImport = { ...availability, weeklyBusy: [...availability.weeklyBusy, { weekday: 5, start: '08:00', end: '09:00', source: 'ics' }] };
+		const next = applyCalendarImport(withOldImport, parsed, Date.UTC(2026, 9, 19));
+		expect(next.weeklyBusy.map((s) => s.weekday)).toEqual([1, 1, 3]);
+	});
+
+	it('honours UNTIL, COUNT, INTERVAL and EXDATE, and drops rules that have ended', () => {
+		const event = (...lines) => ['BEGIN:VEVENT', 'DTSTART:20261019T090000', 'DTEND:20261019T100000', ...lines, 'END:VEVENT'];
+		const ics = [
+			'BEGIN:VCALENDAR',
+			...event('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20260301T000000Z', 'SUMMARY:Last term'),
+			...event('RRULE:FREQ=WEEKLY;BYDAY=MO;INTERVAL=2', 'SUMMARY:Biweekly'),
+			...event('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3', 'SUMMARY:Three sessions'),
+			...event('RRULE:FREQ=WEEKLY;BYDAY=MO', 'EXDATE:20261026T090000', 'EXDATE:20261102T090000,20261109T090000', 'SUMMARY:Weekly'),
+			'END:VCALENDAR',
+		].join('\r\n');
+		const { weekly } = parseIcs(ics);
+		const busyOn = (slots, date) => freeWindows({ ...defaultAvailability(), weeklyBusy: slots }, date)[0][1] === 9 * 60;
+
+		const [ended, biweekly, mondays, wednesdays, weeklyWithGaps] = weekly;
+		expect(ended.until).toBe('2026-03-01');
+		expect(busyOn([biweekly], '2026-10-19')).toBe(true);
+		expect(busyOn([biweekly], '2026-10-26')).toBe(false);
+		expect(busyOn([biweekly], '2026-11-02')).toBe(true);
+		// Mon 19th, Wed 21st, Mon 26th, then nothing.
+		expect([mondays.until, wednesdays.until]).toEqual(['2026-10-26', '2026-10-26']);
+		expect(busyOn([mondays], '2026-10-26')).toBe(true);
+		expect(busyOn([mondays], '2026-11-02')).toBe(false);
+		expect(weeklyWithGaps.except).toEqual(['2026-10-26', '2026-11-02', '2026-11-09']);
+		expect(busyOn([weeklyWithGaps], '2026-11-02')).toBe(false);
+		expect(busyOn([weeklyWithGaps], '2026-11-16')).toBe(true);
+		// Nothing before the first occurrence either.
+		expect(busyOn([weeklyWithGaps], '2026-10-12')).toBe(false);
+
+		const next = applyCalendarImport(defaultAvailability(), { events: [], weekly }, Date.UTC(2026, 9, 19));
+		expect(next.weeklyBusy.map((s) => s.label)).toEqual(['Biweekly', 'Three sessions', 'Three sessions', 'Weekly']);
+		// Saving the slot list from the settings panel keeps the limits.
+		expect(updateAvailability(next, { weeklyBusy: next.weeklyBusy }).availability.weeklyBusy).toEqual(next.weeklyBusy);
+	});
+
+	it('works out the end of a COUNT rule without walking every occurrence', () => {
+		const event = (rrule) => ['BEGIN:VEVENT', 'DTSTART:20261021T090000', 'DTEND:20261021T100000', rrule, 'END:VEVENT'];
+		const ics = [
+			'BEGIN:VCALENDAR',
+			...event('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;INTERVAL=2;COUNT=4'),
+			...event('RRULE:FREQ=WEEKLY;BYDAY=WE;COUNT=1000000000'),
+			'END:VCALENDAR',
+		].join('\r\n');
+		const [mondays, wednesdays, endless] = parseIcs(ics).weekly;
+		// Wed 21st, then Mon 2nd and Wed 4th, then Mon 16th.
+		expect([mondays.until, wednesdays.until]).toEqual(['2026-11-16', '2026-11-16']);
+		// A billion weeks runs past any date we can store, so the rule just never ends.
+		expect(endless.until).toBeUndefined();
+	});
+
+	it('moves TZID times into the user time zone', () => {
+		const ics = [
+			'BEGIN:VCALENDAR',
+			'BEGIN:VEVENT',
+			'DTSTART;TZID=America/New_York:20261019T090000',
+			'DTEND;TZID=America/New_York:20261019T100000',
+			'SUMMARY:Call',
+			'END:VEVENT',
+			'BEGIN:VEVENT',
+			'DTSTART;TZID="America/New_York":20261019T200000',
+			'DTEND;TZID="America/New_York":20261019T210000',
+			'RRULE:FREQ=WEEKLY;BYDAY=MO',
+			'SUMMARY:Evening class',
+			'END:VEVENT',
+			'END:VCALENDAR',
+		].join('\r\n');
+
+		const parsed = parseIcs(ics, { timeZone: 'Europe/Berlin' });
+		expect(parsed.events).toEqual([{ start: '2026-10-19T15:00', end: '2026-10-19T16:00', summary: 'Call' }]);
+		// 20:00 Monday in New York is 02:00 Tuesday in Berlin.
+		expect(parsed.weekly).toMatchObject([{ weekday: 2, start: '02:00', end: '03:00', from: '2026-10-20' }]);
+	});
+
+	it('validates settings updates', () => {
+		expect(updateAvailability(availability, { timeZone: 'Mars/Olympus' }).error).toMatch(/Unknown time zone/);
+		expect(updateAvailability(availability, { weeklyBusy: [{ weekday: 1, start: '10:00', end: '09:00' }] }).error).toMatch(/after/);
+	});
+});
+
+describe('availability endpoints', () => {
+	it('stores weekly slots and imported calendars per user', async () => {
+		const token = await signJwt({ sub: 'avail-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const headers = { Authorization: `Bearer ${token}` };
+
+		const saved = await SELF.fetch('http://example.com/api/availability', {
+			method: 'POST',
+			headers: { ...headers, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ timeZone: 'Europe/Berlin', weeklyBusy: [{ weekday: 2, start: '18:00', end: '20:00', label: 'Work' }] }),
+		});
+		expect((await saved.json()).weeklyBusy).toHaveLength(1);
+
+		const imported = await SELF.fetch('http://example.com/api/availability/ics', {
+			method: 'POST',
+			headers: { ...headers, 'Content-Type': 'text/calendar' },
+			body: 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART:20991020T090000\r\nDTEND:20991020T100000\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n',
+		});
+		expect((await imported.json()).imported).toEqual({ events: 1, weekly: 0 });
+
+		const stored = await (await SELF.fetch('http://example.com/api/availability', { headers })).json();
+		expect(stored).toMatchObject({ timeZone: 'Europe/Berlin', weeklyBusy: [{ weekday: 2, label: 'Work', source: 'manual' }], events: [{ summary: 'Busy' }] });
+	});
+});
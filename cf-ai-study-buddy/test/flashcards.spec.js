@@ -0,0 +1,119 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { signJwt } from '../src/auth.js';
+import { newCard, reviewCard, dueCards, generateCards } from '../src/flashcards.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('reviewCard (SM-2)', () => {
+	it('grows the interval 1 -> 6 -> interval * ease on successful reviews', () => {
+		let card = newCard({ front: 'Q', back: 'A' }, 0);
+		card = reviewCard(card, 4, 0);
+		expect(card).toMatchObject({ interval: 1, repetitions: 1, due: DAY });
+		card = reviewCard(card, 4, 0);
+		expect(card.interval).toBe(6);
+		card = reviewCard(card, 4, 0);
+		expect(card.interval).toBe(15);
+		expect(card.ease).toBe(2.5);
+	});
+
+	it('resets on a failed review and never drops ease below 1.3', () => {
+		let card = { ...newCard({ front: 'Q', back: 'A' }, 0), repetitions: 4, interval: 30 };
+		for (let i = 0; i < 10; i++) card = reviewCard(card, 0, 0);
+		expect(card).toMatchObject({ repetitions: 0, interval: 1, lapses: 10, ease: 1.3 });
+	});
+
+	it('returns due cards, most overdue first', () => {
+		const cards = [
+			{ id: 'a', due: 50 },
+			{ id: 'b', due: 10 },
+			{ id: 'c', due: 500 },
+		];
+		expect(dueCards(cards, 100).map((c) => c.id)).toEqual(['b', 'a']);
+	});
+});
+
+describe('generateCards', () => {
+	it('drops blanks and duplicates of existing cards', async () => {
+		const fakeEnv = {
+			AI: {
+				run: async () => ({
+					response: '{"cards": [{"front": "What is a pointer?", "back": "An address."}, {"front": "what is a pointer?", "back": "dup"}, {"front": "", "back": "x"}, {"front": "What does * do?", "back": "Dereferences."}]}',
+				}),
+			},
+		};
+		const existing = [newCard({ front: 'What does * do?', back: 'old' })];
+		const cards = await generateCards(fakeEnv, 'm', { id: 's1', goal: 'C', plan: 'Learn pointers' }, existing);
+		expect(cards.map((c) => c.front)).toEqual(['What is a pointer?']);
+		expect(cards[0]).toMatchObject({ sessionId: 's1', repetitions: 0 });
+	});
+});
+
+describe('flashcards via the worker', () => {
+	it('routes "quiz me on my cards" to the flashcards action and grades reviews', async () => {
+		const token = await signJwt({ sub: 'cards-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+		const card = { ...newCard({ front: 'Define recursion', back: 'See recursion.' }, 0), sessionId: 's1' };
+		const session = { id: 's1', goal: 'CS', plan: 'x' };
+		await env.STUDY_STATE_KV.put('user:cards-user', JSON.stringify({ lastSession: session, sessions: [session], flashcards: [card] }));
+
+		const fakeEnv = { ...env, AI: { run: async () => ({ response: 'unused' }) } };
+		const ctx = createExecutionContext();
+		const chat = await worker.fetch(
+			new Request('http://example.com/api/chat', { method: 'POST', headers, body: JSON.stringify({ message: 'Quiz me on my cards' }) }),
+			fakeEnv,
+			ctx,
+		);
+		await waitOnExecutionContext(ctx);
+		const { action, reply } = await chat.json();
+		expect(action).toBe('flashcards');
+		expect(reply).toContain('Define recursion');
+
+		const review = await worker.fetch(
+			new Request(`http://example.com/api/flashcards/${card.id}/review`, { method: 'POST', headers, body: JSON.stringify({ grade: 5 }) }),
+			fakeEnv,
+			createExecutionContext(),
+		);
+		expect((await review.json()).card.repetitions).toBe(1);
+
+		const due = await worker.fetch(new Request('http://example.com/api/flashcards', { headers }), fakeEnv, createExecutionContext());
+		expect(await due.json()).toMatchObject({ cards: [], due: 0, total: 1 });
+	});
+});
+
+describe('flashcard generation via the worker', () => {
+	it('pitches cards at the learner profile and rejects a non-object body', async () => {
+		const token = await signJwt({ sub: 'cards-profile-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+		const session = { id: 's1', goal: 'CS', plan: 'Learn recursion' };
+		await env.STUDY_STATE_KV.put(
+			'user:cards-profile-user',
+			JSON.stringify({ lastSession: session, sessions: [session], profile: { weakAreas: ['base cases'] } }),
+		);
+
+		const prompts = [];
+		const fakeEnv = {
+			...env,
+			AI: {
+				run: async (model, inputs) => {
+					prompts.push(inputs.messages.map((m) => m.content).join('\n'));
+					return { response: '{"cards": [{"front": "What stops a recursion?", "back": "A base case."}]}' };
+				},
+			},
+		};
+		const call = async (path, body) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(new Request(`http://example.com${path}`, { method: 'POST', headers, body }), fakeEnv, ctx);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+
+		expect((await call('/api/flashcards/generate', 'null')).status).toBe(400);
+		expect((await call('/api/flashcards/some-card/review', 'null')).status).toBe(400);
+
+		const { cards } = await (await call('/api/flashcards/generate', '{}')).json();
+		expect(cards.map((c) => c.front)).toEqual(['What stops a recursion?']);
+		expect(prompts[0]).toContain('Weak areas: base cases');
+	});
+});
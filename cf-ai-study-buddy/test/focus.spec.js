@@ -0,0 +1,105 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { startFocus, pauseFocus, resumeFocus, stopFocus, replaceFocus, workedMinutes, summarizeFocus, findBlock } from '../src/focus.js';
+import { computeAnalytics, describeAnalytics } from '../src/analytics.js';
+import { attachSession } from '../src/goals.js';
+import { defaultState } from '../src/schema.js';
+
+const MIN = 60 * 1000;
+const plan = {
+	title: 'Limits week',
+	topic: 'Calculus',
+	notes: [],
+	days: [
+		{
+			day: 1,
+			focus: 'Limits',
+			blocks: [
+				{ id: 'd1-b1', title: 'Reading', minutes: 30, tasks: [{ id: 'd1-b1-t1', description: 'Read 2.1', minutes: 30, topics: [] }] },
+				{ id: 'd1-b2', title: 'Exercises', minutes: 20, tasks: [{ id: 'd1-b2-t1', description: 'Exercises 1-10', minutes: 20, topics: [] }] },
+			],
+		},
+	],
+};
+const withPlan = () => attachSession(defaultState(), { id: 's1', timestamp: 0, action: 'create_plan', plan }, 0);
+
+describe('focus sessions', () => {
+	it('counts only working time, separating breaks from interruptions', () => {
+		const state = withPlan();
+		let { focus } = startFocus(state, state.lastSession, findBlock(plan, 'd1-b1'), 0);
+		focus = pauseFocus(focus, 'break', 25 * MIN);
+		focus = resumeFocus(focus, 30 * MIN);
+		focus = pauseFocus(focus, 'interruption', 40 * MIN);
+		expect(workedMinutes(focus, 90 * MIN)).toBe(35);
+		focus = resumeFocus(focus, 45 * MIN);
+		focus = stopFocus(focus, 47 * MIN);
+		expect(focus).toMatchObject({ status: 'stopped', actualMinutes: 37, interruptions: 1, plannedMinutes: 30, blockTitle: 'Reading' });
+	});
+
+	it('caps a timer that was left running', () => {
+		const state = withPlan();
+		const { focus } = startFocus(state, state.lastSession, findBlock(plan, 'd1-b2'), 0);
+		expect(stopFocus(focus, 10 * 60 * MIN).actualMinutes).toBe(120);
+	});
+
+	it('files timed totals on the plan session when a focus session stops', () => {
+		const started = startFocus(withPlan(), withPlan().lastSession, findBlock(plan, 'd1-b1'), 0);
+		const state = replaceFocus(started.state, stopFocus(started.focus, 36 * MIN));
+		const totals = { sessions: 1, plannedMinutes: 30, actualMinutes: 36, interruptions: 0, overruns: 0 };
+		expect(state.lastSession.focusTotals).toEqual(totals);
+		expect(state.sessions[0].focusTotals).toEqual(totals);
+		expect(summarizeFocus([...state.focusSessions, { ...state.focusSessions[0], id: 'f2', actualMinutes: 40 }]).overruns).toBe(1);
+	});
+
+	it('feeds measured time into the habit metrics', () => {
+		const started = startFocus(withPlan(), withPlan().lastSession, findBlock(plan, 'd1-b1'), 0);
+		const state = replaceFocus(started.state, stopFocus(pauseFocus(started.focus, 'interruption', 15 * MIN), 15 * MIN));
+		const a = computeAnalytics(state, { now: 60 * MIN });
+		expect(a.focus).toMatchObject({ sessions: 1, actualMinutes: 15, plannedMinutes: 30, actualToPlanned: 0.5, interruptionsPerSession: 1 });
+		expect(a.streaks.activeDays).toBe(1);
+		expect(describeAnalytics(a)).toContain('Actual minutes: 15 vs 30 planned for those blocks (50%)');
+	});
+});
+
+describe('focus sessions via the worker', () => {
+	it('starts, pauses, resumes and stops one focus session at a time', async () => {
+		const token = await signJwt({ sub: 'focus-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		await env.STUDY_STATE_KV.put('user:focus-user', JSON.stringify(withPlan()));
+		const call = async (path, body) => {
+			const ctx = createExecutionContext();
+			const init = body === undefined ? {} : { method: 'POST', body: JSON.stringify(body) };
+			const res = await worker.fetch(
+				new Request(`http://example.com${path}`, { ...init, headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }),
+				env,
+				ctx,
+			);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+
+		expect((await call('/api/focus/start', { blockId: 'nope' })).status).toBe(400);
+		expect((await call('/api/focus/start', null)).status).toBe(400);
+		expect((await call('/api/focus/pause', null)).status).toBe(400);
+		expect((await call('/api/focus/pause', {})).status).toBe(404);
+
+		const { focus } = await (await call('/api/focus/start', { blockId: 'd1-b2' })).json();
+		expect(focus).toMatchObject({ sessionId: 's1', blockId: 'd1-b2', plannedMinutes: 20, status: 'running' });
+		expect((await call('/api/focus/start', { blockId: 'd1-b1' })).status).toBe(409);
+		expect((await call('/api/focus/pause', { reason: 'nap' })).status).toBe(400);
+		expect((await (await call('/api/focus/pause', { reason: 'break' })).json()).focus.status).toBe('paused');
+		expect((await call('/api/focus/pause', {})).status).toBe(409);
+		expect((await (await call('/api/focus')).json()).active.id).toBe(focus.id);
+		await call('/api/focus/resume', {});
+
+		const stopped = (await (await call('/api/focus/stop', {})).json()).focus;
+		expect(stopped).toMatchObject({ status: 'stopped', interruptions: 0 });
+		expect(stopped.segments).toHaveLength(2);
+		const listed = await (await call('/api/focus')).json();
+		expect(listed.active).toBeNull();
+		expect(listed.recent[0].id).toBe(focus.id);
+		const state = await (await call('/debug/state')).json();
+		expect(state.lastSession.focusTotals.sessions).toBe(1);
+	});
+});
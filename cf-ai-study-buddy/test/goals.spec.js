@@ -0,0 +1,89 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { wantsSeparatePlan, attachSession, activateGoal, legacyGoals } from '../src/goals.js';
+
+const planJson = (topic) =>
+	JSON.stringify({
+		title: `${topic} week`,
+		topic,
+		days: [{ day: 1, focus: topic, blocks: [{ title: 'Reading', tasks: [{ description: `Read about ${topic}`, minutes: 30 }] }] }],
+	});
+
+const calculus = { id: 's1', goal: 'Help me study calculus', plan: { title: 'Calculus week', topic: 'Calculus', days: [] } };
+const stateWithCalculus = attachSession({ goals: [], activeGoalId: null, sessions: [], lastSession: null }, calculus, 1);
+
+describe('wantsSeparatePlan', () => {
+	it('keeps generic edits as revisions of the active goal', () => {
+		expect(wantsSeparatePlan(stateWithCalculus, 'make the plan shorter')).toBe(false);
+		expect(wantsSeparatePlan(stateWithCalculus, 'move the plan to tomorrow morning')).toBe(false);
+		expect(wantsSeparatePlan(stateWithCalculus, 'adjust the plan for calculus')).toBe(false);
+	});
+
+	it('treats a plan for another course as a new plan', () => {
+		expect(wantsSeparatePlan(stateWithCalculus, 'i also need a plan for organic chemistry')).toBe(true);
+		expect(wantsSeparatePlan(stateWithCalculus, 'make another schedule')).toBe(true);
+	});
+});
+
+describe('goal bookkeeping', () => {
+	it('files new plans under a matching goal or a new one, and switches between them', () => {
+		const chemistry = { id: 's2', goal: 'chemistry', plan: { title: 'Chem sprint', topic: 'Chemistry', days: [] } };
+		let state = attachSession(stateWithCalculus, chemistry, 2);
+		expect(state.goals.map((g) => g.title)).toEqual(['Calculus', 'Chemistry']);
+		expect(state.activeGoalId).toBe('goal-s2');
+
+		const calculusAgain = { id: 's3', goal: 'calculus again', plan: { title: 'Calculus review', topic: 'Calculus', days: [] } };
+		state = attachSession(state, calculusAgain, 3);
+		expect(state.goals).toHaveLength(2);
+		expect(state.goals[0].currentSessionId).toBe('s3');
+
+		state = activateGoal(state, 'goal-s2');
+		expect(state.lastSession.id).toBe('s2');
+		expect(activateGoal(state, 'nope')).toBeNull();
+	});
+
+	it('turns pre-goal state into a single goal', () => {
+		const migrated = legacyGoals({ lastSession: calculus, sessions: [calculus] });
+		expect(migrated.goals).toHaveLength(1);
+		expect(migrated.sessions[0].goalId).toBe(migrated.activeGoalId);
+		expect(migrated.lastSession.goalId).toBe(migrated.activeGoalId);
+	});
+});
+
+describe('goals via the worker', () => {
+	it('creates a second goal instead of revising the first, and switches by chat and REST', async () => {
+		const token = await signJwt({ sub: 'goals-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+		const replies = [planJson('Calculus'), planJson('Chemistry')];
+		const fakeEnv = { ...env, AI: { run: async () => ({ response: replies.shift() }) } };
+
+		const call = async (path, init = {}) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(new Request(`http://example.com${path}`, { headers, ...init }), fakeEnv, ctx);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+		const chat = async (message) => (await call('/api/chat', { method: 'POST', body: JSON.stringify({ message }) })).json();
+
+		expect((await chat('Make a plan for calculus')).action).toBe('create_plan');
+		expect((await chat('Now I need a study plan for chemistry too')).action).toBe('create_plan');
+
+		let goals = await (await call('/api/goals')).json();
+		expect(goals.goals.map((g) => g.title)).toEqual(['Calculus', 'Chemistry']);
+		expect(goals.goals.find((g) => g.active).title).toBe('Chemistry');
+
+		const switched = await chat('switch to my calculus plan');
+		expect(switched.action).toBe('switch_goal');
+		expect(switched.reply).toContain('Switched to Calculus');
+
+		const chemistryId = goals.goals.find((g) => g.title === 'Chemistry').id;
+		const activated = await call(`/api/goals/${chemistryId}/activate`, { method: 'POST' });
+		expect((await activated.json()).lastSession.plan.topic).toBe('Chemistry');
+
+		goals = await (await call('/api/goals')).json();
+		expect(goals.activeGoalId).toBe(chemistryId);
+		expect((await call('/api/goals/missing/activate', { method: 'POST' })).status).toBe(404);
+	});
+});
@@ -0,0 +1,70 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { signJwt } from '../src/auth.js';
+import { normalizePlan } from '../src/plan.js';
+import { planToIcs, escapeText, foldLine } from '../src/ics.js';
+
+const { plan } = normalizePlan({
+	title: 'Chemistry, week 1',
+	topic: 'Stoichiometry',
+	days: [
+		{
+			blocks: [
+				{ title: 'Reading', start: '18:30', tasks: [{ description: 'Read ch. 3; take notes', minutes: 40 }] },
+				{ title: 'Practice', tasks: [{ description: 'Problems 1-10', minutes: 30 }] },
+			],
+		},
+		{ day: 2, blocks: [{ title: 'Review', tasks: [{ description: 'Flashcards', minutes: 20 }] }] },
+	],
+});
+const session = { id: 's1', timestamp: Date.UTC(2026, 0, 31, 12), plan };
+
+describe('planToIcs', () => {
+	const ics = planToIcs(session, { now: Date.UTC(2026, 0, 31, 12) });
+	const unfolded = ics.replace(/\r\n /g, '');
+
+	it('produces a CRLF-delimited VCALENDAR with one VEVENT per block', () => {
+		expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+		expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+		expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+		expect(ics).not.toMatch(/[^\r]\n/);
+	});
+
+	it('uses block start times, chains untimed blocks and rolls days over month ends', () => {
+		expect(unfolded).toContain('DTSTART:20260131T183000\r\nDURATION:PT40M');
+		expect(unfolded).toContain('DTSTART:20260131T191000\r\nDURATION:PT30M');
+		expect(unfolded).toContain('DTSTART:20260201T090000\r\nDURATION:PT20M');
+		expect(unfolded).toContain('UID:s1-d1-b1@cf-ai-study-buddy');
+	});
+
+	it('escapes text values', () => {
+		expect(unfolded).toContain('SUMMARY:Stoichiometry: Reading');
+		expect(unfolded).toContain(String.raw`DESCRIPTION:- Read ch. 3\; take notes (40 min)\n\nPlan: Chemistry\, week 1 (day 1)`);
+		expect(escapeText('a\\b')).toBe('a\\\\b');
+	});
+
+	it('folds long lines at 75 octets without splitting characters', () => {
+		const folded = foldLine('DESCRIPTION:' + 'é'.repeat(60));
+		const encoder = new TextEncoder();
+		for (const line of folded.split('\r\n')) expect(encoder.encode(line).length).toBeLessThanOrEqual(75);
+		expect(folded.replace(/\r\n /g, '')).toBe('DESCRIPTION:' + 'é'.repeat(60));
+	});
+
+	it('rejects legacy string plans', () => {
+		expect(() => planToIcs({ id: 'x', plan: '- read stuff' })).toThrow(/no structured blocks/);
+	});
+});
+
+describe('GET /api/calendar.ics', () => {
+	it('serves the active plan as text/calendar', async () => {
+		const token = await signJwt({ sub: 'ics-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		await env.STUDY_STATE_KV.put('user:ics-user', JSON.stringify({ lastSession: session, sessions: [session] }));
+
+		const response = await SELF.fetch('http://example.com/api/calendar.ics?start=2026-03-02', { headers: { Authorization: `Bearer ${token}` } });
+		expect(response.headers.get('Content-Type')).toBe('text/calendar; charset=utf-8');
+		expect(await response.text()).toContain('DTSTART:20260302T183000');
+
+		const bad = await SELF.fetch('http://example.com/api/calendar.ics?start=tomorrow', { headers: { Authorization: `Bearer ${token}` } });
+		expect(bad.status).toBe(422);
+	});
+});
@@ -1,20 +1,213 @@
 import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import {
+	createFakeProvider,
+	generateText,
+	selectModels,
+	withUsageMeter,
+	usageOf,
+	ModelError,
+	DEFAULT_MODEL,
+	FALLBACK_MODEL,
+} from '../src/inference.js';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
+const PLAN = {
+	title: 'Limits week',
+	topic: 'Calculus',
+	days: [{ day: 1, focus: 'Limits', blocks: [{ title: 'Reading', minutes: 30, tasks: [{ description: 'Read chapter 2.1-2.4', minutes: 30, topics: ['limits'] }] }] }],
+	notes: [],
+};
+
+// One rule per prompt the chat flow sends, matched on text from each system prompt.
+const SCRIPT = [
+	{ when: "Classify the student's message", reply: { label: 'log_outcome', confidence: 0.9, question: '' } },
+	{ when: 'OUTPUT FORMAT (STRICT)', reply: PLAN },
+	{ when: "Match the student's progress report", reply: { updates: [{ taskId: 'd1-b1-t1', status: 'done' }] } },
+	{ when: 'Extract learner-profile signals', reply: {} },
+	{ when: 'reports how their study plan', reply: 'Nice work. Next time, do the exercises first.' },
+	{ when: 'study strategy consultant', reply: 'Hi! What are you studying for?' },
+];
+
+async function chatCaller(sub, fakeEnv) {
+	const token = await signJwt({ sub, exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+	return async (message) => {
 		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
+		const res = await worker.fetch(
+			new Request('http://example.com/api/chat', {
+				method: 'POST',
+				headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+				body: JSON.stringify({ message }),
+			}),
+			fakeEnv,
+			ctx,
+		);
 		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		return res;
+	};
+}
+
+describe('worker basics', () => {
+	it('answers the health check without a token', async () => {
+		const response = await SELF.fetch('http://example.com/api/health');
+		expect(await response.json()).toEqual({ ok: true });
+	});
+
+	it('rejects other routes without a token', async () => {
+		const response = await SELF.fetch('http://example.com/api/state');
+		expect(response.status).toBe(401);
+	});
+});
+
+describe('POST /api/chat (offline, scripted provider)', () => {
+	it('chats, plans and logs an outcome, counting the tokens spent', async () => {
+		const provider = createFakeProvider(SCRIPT);
+		const chat = await chatCaller('offline-user', { ...env, AI: provider });
+
+		const hello = await (await chat('hello')).json();
+		expect(hello).toMatchObject({ reply: 'Hi! What are you studying for?', action: 'general_chat', confidence: 1 });
+		expect(hello.usage).toMatchObject({ calls: 1, estimated: false });
+		expect(hello.usage.totalTokens).toBe(hello.usage.promptTokens + hello.usage.completionTokens);
+
+		const planned = await (await chat('Make a study plan for limits')).json();
+		expect(planned.action).toBe('create_plan');
+		expect(planned.reply).toContain('Read chapter 2.1-2.4 (30 min)');
+
+		// "done" is ambiguous, so the classifier decides.
+		const logged = await (await chat('done')).json();
+		expect(logged).toMatchObject({ action: 'log_outcome', reply: 'Nice work. Next time, do the exercises first.' });
+		expect(logged.usage.calls).toBe(4);
+
+		const state = await studyStateStub(env, 'offline-user').load('offline-user');
+		expect(state.lastSession.plan.title).toBe('Limits week');
+		expect(state.lastSession.outcomeNote).toBe('done');
+		expect(state.lastSession.completion.percent).toBe(100);
+		expect(state.recentHistory).toHaveLength(6);
+		expect(provider.calls.every((c) => c.model === DEFAULT_MODEL)).toBe(true);
+	});
+
+	it('falls back to the second model when the first keeps failing', async () => {
+		const provider = createFakeProvider([{ model: DEFAULT_MODEL, error: '3040: Capacity temporarily exceeded' }, ...SCRIPT]);
+		const chat = await chatCaller('fallback-user', { ...env, AI: provider });
+
+		const res = await chat('hello');
+		expect((await res.json()).reply).toBe('Hi! What are you studying for?');
+		expect(provider.calls.map((c) => c.model)).toEqual([DEFAULT_MODEL, DEFAULT_MODEL, FALLBACK_MODEL]);
+	});
+
+	it('answers 503 when no model is available and leaves the state alone', async () => {
+		const provider = createFakeProvider([{ error: 'upstream down', times: 3 }, ...SCRIPT]);
+		const chat = await chatCaller('outage-user', { ...env, AI: provider });
+
+		const res = await chat('hello');
+		expect(res.status).toBe(503);
+		expect(res.headers.get('Retry-After')).toBe('30');
+		expect(await res.json()).toMatchObject({ error: 'model_unavailable' });
+		expect(await studyStateStub(env, 'outage-user').load('outage-user')).toBeNull();
+
+		// The turn was released, so the next message goes through.
+		expect((await chat('hello')).status).toBe(200);
+	});
+
+	it('answers 400 to a malformed body or a missing message without calling a model', async () => {
+		const provider = createFakeProvider(SCRIPT);
+		const chat = await chatCaller('bad-body-user', { ...env, AI: provider });
+
+		for (const message of [undefined, '', '   ', 42]) {
+			const res = await chat(message);
+			expect(res.status).toBe(400);
+			expect(await res.json()).toMatchObject({ error: 'bad_request' });
+		}
+
+		const token = await signJwt({ sub: 'bad-body-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const res = await SELF.fetch('http://example.com/api/chat', {
+			method: 'POST',
+			headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+			body: '{"message": ',
+		});
+		expect(res.status).toBe(400);
+		expect(await res.json()).toMatchObject({ error: 'bad_request' });
+		expect(provider.calls).toHaveLength(0);
+	});
+
+	it('runs on the built-in offline script with MODEL_PROVIDER=fake', async () => {
+		const chat = await chatCaller('fake-provider-user', { ...env, MODEL_PROVIDER: 'fake', AI: undefined });
+		const planned = await (await chat('Make a study plan for limits')).json();
+		expect(planned.reply).toContain('Sample plan (offline model)');
+	});
+});
+
+describe('generateText', () => {
+	const params = { messages: [{ role: 'user', content: 'hi' }] };
+
+	it('gives up on a slow attempt and retries', async () => {
+		const provider = createFakeProvider([{ delayMs: 50, reply: 'late', times: 1 }, { reply: 'on time' }]);
+		const result = await generateText({ AI: provider }, 'general_chat', params, { timeoutMs: 10, backoffMs: 0 });
+		expect(result).toMatchObject({ text: 'on time', model: DEFAULT_MODEL });
+	});
+
+	it('drops the tokens and usage of an attempt that timed out', async () => {
+		const provider = createFakeProvider([{ delayMs: 50, reply: 'late reply', times: 1 }, { reply: 'on time' }]);
+		const metered = withUsageMeter({ AI: provider });
+		const tokens = [];
+		const result = await generateText(metered, 'general_chat', params, { timeoutMs: 10, backoffMs: 0, onToken: (t) => tokens.push(t) });
+		// Let the abandoned attempt finish.
+		await new Promise((resolve) => setTimeout(resolve, 80));
+
+		expect(result.text).toBe('on time');
+		expect(tokens.join('')).toBe('on time');
+		expect(usageOf(metered).calls).toBe(1);
+	});
+
+	it('times a streamed reply by the gaps between tokens, not its whole length', async () => {
+		const words = ['A ', 'long ', 'plan ', 'that ', 'keeps ', 'coming.'];
+		const encoder = new TextEncoder();
+		const calls = [];
+		const provider = {
+			run: async (model) => {
+				calls.push(model);
+				let next = 0;
+				// One word every 15 ms: 90 ms in all, but never more than 15 ms between tokens.
+				return new ReadableStream({
+					async pull(controller) {
+						await new Promise((resolve) => setTimeout(resolve, 15));
+						if (next === words.length) {
+							controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+							controller.close();
+							return;
+						}
+						controller.enqueue(encoder.encode(`data: ${JSON.stringify({ response: words[next++] })}\n\n`));
+					},
+				});
+			},
+		};
+		const tokens = [];
+		const result = await generateText({ AI: provider }, 'create_plan', params, { timeoutMs: 50, backoffMs: 0, onToken: (t) => tokens.push(t) });
+		expect(result.text).toBe('A long plan that keeps coming.');
+		expect(tokens.join('')).toBe(result.text);
+		expect(calls).toHaveLength(1);
+	});
+
+	it('throws ModelError with every failure once the fallback fails too', async () => {
+		const provider = createFakeProvider([{ error: 'nope' }]);
+		const err = await generateText({ AI: provider }, 'router', params, { backoffMs: 0 }).catch((e) => e);
+		expect(err).toBeInstanceOf(ModelError);
+		expect(err.failures).toHaveLength(3);
+	});
+
+	it('accumulates usage on a metered env', async () => {
+		const metered = withUsageMeter({ AI: { run: async () => ({ response: 'ok', usage: { prompt_tokens: 7, completion_tokens: 2 } }) } });
+		await generateText(metered, 'general_chat', params);
+		await generateText(metered, 'general_chat', params);
+		expect(usageOf(metered)).toEqual({ calls: 2, promptTokens: 14, completionTokens: 4, totalTokens: 18, estimated: false });
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('picks models per purpose from MODEL_OVERRIDES', () => {
+		const overrides = { MODEL_OVERRIDES: JSON.stringify({ create_plan: '@cf/big', fallback: '@cf/spare' }) };
+		expect(selectModels(overrides, 'create_plan').models).toEqual(['@cf/big', '@cf/spare']);
+		expect(selectModels(overrides, 'router').models).toEqual([DEFAULT_MODEL, '@cf/spare']);
+		expect(selectModels({ MODEL_OVERRIDES: 'not json' }, 'router').models).toEqual([DEFAULT_MODEL, FALLBACK_MODEL]);
 	});
 });
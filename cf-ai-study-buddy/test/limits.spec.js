@@ -0,0 +1,124 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import { createFakeProvider } from '../src/inference.js';
+import { addTokenUsage, quotaStatus, budgetExceeded, describeWait, limitsFor, DEFAULT_LIMITS } from '../src/limits.js';
+import { defaultState } from '../src/schema.js';
+
+const at = (iso) => Date.parse(iso);
+const usage = (totalTokens) => ({ calls: 1, totalTokens });
+
+describe('daily token budget', () => {
+	it('adds up usage per UTC day and starts over the next day', () => {
+		let state = addTokenUsage(defaultState(), usage(300), at('2026-10-19T10:00:00Z'));
+		state = addTokenUsage(state, usage(200), at('2026-10-19T22:00:00Z'));
+		expect(state.tokenUsage).toEqual({ day: '2026-10-19', tokens: 500, requests: 2 });
+		expect(addTokenUsage(state, { calls: 0, totalTokens: 0 })).toBe(state);
+
+		const nextDay = addTokenUsage(state, usage(50), at('2026-10-20T01:00:00Z'));
+		expect(nextDay.tokenUsage).toEqual({ day: '2026-10-20', tokens: 50, requests: 1 });
+	});
+
+	it('reports what is left and resets at midnight UTC', () => {
+		const state = addTokenUsage(defaultState(), usage(900), at('2026-10-19T20:00:00Z'));
+		expect(quotaStatus(state, { dailyTokens: 1000 }, at('2026-10-19T20:30:00Z'))).toEqual({
+			day: '2026-10-19',
+			used: 900,
+			limit: 1000,
+			remaining: 100,
+			resetsAt: at('2026-10-20T00:00:00Z'),
+		});
+		expect(quotaStatus(state, { dailyTokens: 0 }, at('2026-10-19T20:30:00Z')).remaining).toBeNull();
+	});
+
+	it('does not start a fresh budget when the time zone changes', () => {
+		const now = at('2026-10-19T11:00:00Z');
+		const inZone = (state, timeZone) => ({ ...state, availability: { ...state.availability, timeZone } });
+		// At 11:00 UTC it is still the 18th in Etc/GMT+12 and already the 20th in Kiritimati.
+		const spent = addTokenUsage(inZone(defaultState(), 'Etc/GMT+12'), usage(1000), now);
+		expect(budgetExceeded(spent, { dailyTokens: 1000 }, now)).toMatchObject({ error: 'quota_exceeded' });
+		expect(budgetExceeded(inZone(spent, 'Pacific/Kiritimati'), { dailyTokens: 1000 }, now)).toMatchObject({ error: 'quota_exceeded' });
+		expect(quotaStatus(inZone(spent, 'Pacific/Kiritimati'), { dailyTokens: 1000 }, now).used).toBe(1000);
+	});
+
+	it('refuses once the budget is used up', () => {
+		const state = addTokenUsage(defaultState(), usage(1000), at('2026-10-19T12:00:00Z'));
+		expect(budgetExceeded(state, { dailyTokens: 2000 }, at('2026-10-19T12:00:00Z'))).toBeNull();
+		const over = budgetExceeded(state, { dailyTokens: 1000 }, at('2026-10-19T12:00:00Z'));
+		expect(over).toMatchObject({ error: 'quota_exceeded', retryAfter: 12 * 3600 });
+		expect(over.message).toContain('in 12 h 0 min');
+	});
+
+	it('reads limits from the environment', () => {
+		expect(limitsFor({})).toEqual(DEFAULT_LIMITS);
+		expect(limitsFor({ RATE_LIMIT_USER_PER_MINUTE: '0', DAILY_TOKEN_BUDGET: '5000', RATE_LIMIT_IP_PER_MINUTE: 'lots' })).toEqual({
+			ipPerMinute: DEFAULT_LIMITS.ipPerMinute,
+			userPerMinute: 0,
+			dailyTokens: 5000,
+		});
+		expect(describeWait(1)).toBe('1 second');
+		expect(describeWait(90)).toBe('2 minutes');
+	});
+});
+
+describe('limits via the worker', () => {
+	const provider = () => createFakeProvider([{ reply: 'Sure, let us study.' }]);
+
+	async function caller(sub, fakeEnv) {
+		const token = await signJwt({ sub, exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		return async (path, { body, headers = {}, auth = true } = {}) => {
+			const ctx = createExecutionContext();
+			const init = body === undefined ? {} : { method: 'POST', body: JSON.stringify(body) };
+			const res = await worker.fetch(
+				new Request(`http://example.com${path}`, {
+					...init,
+					headers: { ...(auth ? { Authorization: `Bearer ${token}` } : {}), 'Content-Type': 'application/json', ...headers },
+				}),
+				fakeEnv,
+				ctx,
+			);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+	}
+
+	it('counts tokens per chat and reports them on /api/quota', async () => {
+		const call = await caller('quota-user', { ...env, AI: provider(), DAILY_TOKEN_BUDGET: '100000' });
+		const { usage: spent } = await (await call('/api/chat', { body: { message: 'hello' } })).json();
+		const { tokens, requestsPerMinute } = await (await call('/api/quota')).json();
+		expect(tokens).toMatchObject({ used: spent.totalTokens, limit: 100000, remaining: 100000 - spent.totalTokens });
+		expect(requestsPerMinute).toBe(DEFAULT_LIMITS.userPerMinute);
+	});
+
+	it('answers 429 with Retry-After once the daily budget is spent', async () => {
+		const call = await caller('spent-user', { ...env, AI: provider(), DAILY_TOKEN_BUDGET: '500' });
+		await studyStateStub(env, 'spent-user').save(addTokenUsage(defaultState(), usage(500)));
+
+		const res = await call('/api/chat', { body: { message: 'hello' } });
+		expect(res.status).toBe(429);
+		expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect(await res.json()).toMatchObject({ error: 'quota_exceeded' });
+		// Reading still works.
+		expect((await call('/api/quota')).status).toBe(200);
+	});
+
+	it('limits requests per user and per IP', async () => {
+		const fakeEnv = { ...env, AI: provider(), RATE_LIMIT_USER_PER_MINUTE: '2', RATE_LIMIT_IP_PER_MINUTE: '3' };
+		const call = await caller('busy-user', fakeEnv);
+		expect((await call('/api/chat', { body: { message: 'hello' } })).status).toBe(200);
+		expect((await call('/api/chat', { body: { message: 'hello' } })).status).toBe(200);
+		const limited = await call('/api/chat', { body: { message: 'hello' } });
+		expect(limited.status).toBe(429);
+		expect(await limited.json()).toMatchObject({ error: 'rate_limited' });
+		// Other routes don't count.
+		expect((await call('/api/quota')).status).toBe(200);
+
+		const ip = { 'CF-Connecting-IP': '203.0.113.9' };
+		for (let i = 0; i < 3; i++) expect((await call('/api/chat', { body: { message: 'hi' }, headers: ip, auth: false })).status).toBe(401);
+		const blocked = await call('/api/chat', { body: { message: 'hi' }, headers: ip, auth: false });
+		expect(blocked.status).toBe(429);
+		expect(Number(blocked.headers.get('Retry-After'))).toBeLessThanOrEqual(60);
+	});
+});
@@ -0,0 +1,162 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import { chunkText, citeSources, planWithoutSources, vectorStore, CHUNK_CHARS, MAX_MATERIALS } from '../src/materials.js';
+import { normalizePlan, renderPlanText } from '../src/plan.js';
+
+// Bag-of-words "embedding": texts that share words point the same way.
+const VOCAB = ['limits', 'continuity', 'derivatives', 'chain', 'integrals', 'substitution', 'week'];
+const embed = (text) => VOCAB.map((w) => (text.toLowerCase().match(new RegExp(`\\b${w}`, 'g')) || []).length + 0.01);
+
+const SYLLABUS = `# Calculus I syllabus
+
+## Week 1: Limits and continuity
+Read chapter 2.1 to 2.4 on limits. Continuity problems 1-20.
+
+## Week 2: Derivatives
+Chapter 3. Derivatives from first principles, then the chain rule.
+
+## Week 3: Integrals
+Chapter 5. Integrals by substitution.`;
+
+const planJson = (sources) =>
+	JSON.stringify({
+		title: 'Limits week',
+		topic: 'Calculus',
+		days: [{ day: 1, focus: 'Limits', blocks: [{ title: 'Reading', minutes: 30, tasks: [{ description: 'Read chapter 2.1-2.4', minutes: 30, topics: ['limits'], sources }] }] }],
+		notes: [],
+	});
+
+describe('chunkText', () => {
+	it('keeps each section in its own chunk, tagged with its heading', () => {
+		const chunks = chunkText(SYLLABUS);
+		expect(chunks.map((c) => c.heading)).toEqual(['Week 1: Limits and continuity', 'Week 2: Derivatives', 'Week 3: Integrals']);
+		expect(chunks[1].text).toContain('chain rule');
+	});
+
+	it('splits long sections without exceeding the chunk size', () => {
+		const chunks = chunkText(`## Long\n${'A sentence about limits. '.repeat(200)}`);
+		expect(chunks.length).toBeGreaterThan(1);
+		expect(chunks.every((c) => c.text.length <= CHUNK_CHARS && c.heading === 'Long')).toBe(true);
+	});
+});
+
+describe('citations', () => {
+	const excerpts = [
+		{ ref: 1, materialId: 'm', name: 'syllabus.md', part: 3, heading: 'Week 2' },
+		{ ref: 2, materialId: 'm', name: 'syllabus.md', part: 2, heading: 'Week 1' },
+	];
+
+	it('renumbers the cited excerpts and renders them under the plan', () => {
+		const { plan } = normalizePlan(JSON.parse(planJson([2, 7])));
+		const cited = citeSources(plan, excerpts);
+		expect(cited.days[0].blocks[0].tasks[0].sources).toEqual([1]);
+		expect(cited.sources).toEqual([{ ref: 1, materialId: 'm', name: 'syllabus.md', part: 2, heading: 'Week 1' }]);
+		expect(renderPlanText(cited)).toContain('Read chapter 2.1-2.4 (30 min) [limits] [1]');
+		expect(renderPlanText(cited)).toContain('Sources:\n[1] syllabus.md, part 2 (Week 1)');
+		expect(JSON.stringify(planWithoutSources(cited))).not.toContain('sources');
+	});
+
+	it('drops references when there was no material', () => {
+		const { plan } = normalizePlan(JSON.parse(planJson([1])));
+		const cited = citeSources(plan, []);
+		expect(cited.sources).toEqual([]);
+		expect(cited.days[0].blocks[0].tasks[0].sources).toEqual([]);
+	});
+});
+
+describe('course material via the worker', () => {
+	it('uploads, grounds plans and answers in it, and deletes', async () => {
+		const token = await signJwt({ sub: 'materials-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const prompts = [];
+		const fakeEnv = {
+			...env,
+			AI: {
+				run: async (_model, params) => {
+					if (params.text) return { data: params.text.map(embed) };
+					const prompt = params.messages.map((m) => m.content).join('\n');
+					prompts.push(prompt);
+					if (prompt.includes('OUTPUT FORMAT')) return { response: planJson(prompt.includes('COURSE MATERIAL') ? [1] : []) };
+					return { response: 'A limit is the value a function approaches [1].' };
+				},
+			},
+		};
+		const call = async (path, init = {}) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(
+				new Request(`http://example.com${path}`, { ...init, headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }),
+				fakeEnv,
+				ctx,
+			);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+		const chat = async (message) => (await call('/api/chat', { method: 'POST', body: JSON.stringify({ message }) })).json();
+
+		expect((await call('/api/materials', { method: 'POST', body: '{"name":"x.pdf"}' })).status).toBe(400);
+		const upload = await call('/api/materials', { method: 'POST', body: JSON.stringify({ name: 'syllabus.md', text: SYLLABUS }) });
+		expect(upload.status).toBe(201);
+		const { material } = await upload.json();
+		expect(material).toMatchObject({ name: 'syllabus.md', chunks: 3 });
+
+		const planned = await chat('Make a study plan for limits and continuity');
+		expect(planned.action).toBe('create_plan');
+		expect(prompts.at(-1)).toContain('[1] syllabus.md, part 1 (Week 1: Limits and continuity)');
+		expect(planned.reply).toContain('Sources:\n[1] syllabus.md, part 1 (Week 1: Limits and continuity)');
+		const state = await studyStateStub(env, 'materials-user').load('materials-user');
+		expect(state.lastSession.plan.sources[0]).toMatchObject({ materialId: material.id, part: 1 });
+
+		const answered = await chat('What is a limit?');
+		expect(answered.action).toBe('direct_answer');
+		expect(answered.reply).toContain('Sources:\n[1] syllabus.md');
+
+		const { materials } = await (await call(`/api/materials/${material.id}`, { method: 'DELETE' })).json();
+		expect(materials).toEqual([]);
+		expect((await call(`/api/materials/${material.id}`, { method: 'DELETE' })).status).toBe(404);
+		await chat('What is a limit?');
+		expect(prompts.at(-1)).not.toContain('COURSE MATERIAL');
+	});
+});
+
+describe('concurrent uploads', () => {
+	it('keeps to the file cap and deletes the vectors of the upload that lost', async () => {
+		const token = await signJwt({ sub: 'race-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const existing = Array.from({ length: MAX_MATERIALS - 1 }, (_, i) => ({ id: `old-${i}`, name: `old-${i}.md`, chars: 1, chunks: 0, uploadedAt: 1 }));
+		await env.STUDY_STATE_KV.put('user:race-user', JSON.stringify({ materials: existing }));
+		const fakeEnv = {
+			...env,
+			AI: {
+				// Slow enough that both uploads pass the first check before either is saved.
+				run: async (_model, params) => {
+					await new Promise((resolve) => setTimeout(resolve, 20));
+					return { data: params.text.map(embed) };
+				},
+			},
+		};
+		const upload = async (name) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(
+				new Request('http://example.com/api/materials', {
+					method: 'POST',
+					headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+					body: JSON.stringify({ name, text: SYLLABUS }),
+				}),
+				fakeEnv,
+				ctx,
+			);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+
+		const responses = await Promise.all([upload('a.md'), upload('b.md')]);
+		expect(responses.map((r) => r.status).sort()).toEqual([201, 409]);
+		const { material } = await responses.find((r) => r.status === 201).json();
+
+		const state = await studyStateStub(env, 'race-user').load('race-user');
+		expect(state.materials).toHaveLength(MAX_MATERIALS);
+		const stored = await vectorStore(env).query('race-user', embed('limits'), 10);
+		expect(new Set(stored.map((v) => v.metadata.materialId))).toEqual(new Set([material.id]));
+	});
+});
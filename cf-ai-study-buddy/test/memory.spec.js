@@ -0,0 +1,90 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import { compactHistory, mergeFacts, describeMemory, KEEP_RECENT_MESSAGES } from '../src/memory.js';
+
+const turns = (n, size = 400) =>
+	Array.from({ length: n }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `${i === 0 ? 'I already know Python. ' : ''}${'x'.repeat(size)}` }));
+
+const summarizer = (reply) => ({ AI: { run: async () => ({ response: typeof reply === 'string' ? reply : JSON.stringify(reply) }) } });
+
+describe('compactHistory', () => {
+	it('leaves short histories alone', async () => {
+		const state = { recentHistory: turns(4, 10) };
+		expect(await compactHistory(summarizer('unused'), 'm', state)).toBe(state);
+	});
+
+	it('folds old turns into the summary and facts once over budget', async () => {
+		const state = { recentHistory: turns(20), memory: { summary: '', facts: [{ text: 'Exam is Friday.', createdAt: 1 }], summarizedMessages: 0 } };
+		const next = await compactHistory(summarizer({ summary: 'Talked about C pointers.', facts: ['Already knows Python.', 'exam is friday.'] }), 'm', state, { now: 5 });
+
+		expect(next.recentHistory).toEqual(state.recentHistory.slice(-KEEP_RECENT_MESSAGES));
+		expect(next.memory.summary).toBe('Talked about C pointers.');
+		expect(next.memory.facts.map((f) => f.text)).toEqual(['Exam is Friday.', 'Already knows Python.']);
+		expect(next.memory.summarizedMessages).toBe(20 - KEEP_RECENT_MESSAGES);
+	});
+
+	it('keeps the full history when the summarizer fails', async () => {
+		const state = { recentHistory: turns(20) };
+		expect(await compactHistory(summarizer('not json'), 'm', state)).toBe(state);
+	});
+});
+
+describe('memory helpers', () => {
+	it('dedupes facts case-insensitively', () => {
+		expect(mergeFacts([{ text: 'Knows Python', createdAt: 1 }], ['knows python', ' ', 'Exam Friday'], 2)).toEqual([
+			{ text: 'Knows Python', createdAt: 1 },
+			{ text: 'Exam Friday', createdAt: 2 },
+		]);
+	});
+
+	it('describes nothing for empty memory', () => {
+		expect(describeMemory({ summary: '', facts: [] })).toBe('');
+	});
+});
+
+describe('memory via the worker', () => {
+	it('summarizes long chats and feeds remembered facts into later prompts', async () => {
+		const token = await signJwt({ sub: 'memory-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		await env.STUDY_STATE_KV.put('user:memory-user', JSON.stringify({ recentHistory: turns(20) }));
+
+		const prompts = [];
+		const fakeEnv = {
+			...env,
+			AI: {
+				run: async (_model, params) => {
+					const system = params.messages[0].content;
+					// Learner context is fenced into the user turn, so keep the whole prompt.
+					prompts.push(params.messages.map((m) => m.content).join('\n'));
+					if (system.includes('long-term memory')) return { response: '{"summary": "User is learning C.", "facts": ["Already knows Python."]}' };
+					return { response: 'Sounds good.' };
+				},
+			},
+		};
+		const chat = async (message) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(
+				new Request('http://example.com/api/chat', {
+					method: 'POST',
+					headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+					body: JSON.stringify({ message }),
+				}),
+				fakeEnv,
+				ctx,
+			);
+			await waitOnExecutionContext(ctx);
+			return res.json();
+		};
+
+		await chat('hello');
+		const stored = await studyStateStub(env, 'memory-user').load('memory-user');
+		expect(stored.recentHistory).toHaveLength(KEEP_RECENT_MESSAGES);
+		expect(stored.memory.facts.map((f) => f.text)).toEqual(['Already knows Python.']);
+
+		await chat('thanks');
+		expect(prompts.at(-1)).toContain('- Already knows Python.');
+		expect(prompts.at(-1)).toContain('User is learning C.');
+	});
+});
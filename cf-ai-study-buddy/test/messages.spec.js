@@ -0,0 +1,69 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { createFakeProvider } from '../src/inference.js';
+
+const PLAN = {
+	title: 'Limits week',
+	topic: 'Calculus',
+	days: [{ day: 1, focus: 'Limits', blocks: [{ title: 'Reading', minutes: 30, tasks: [{ description: 'Read chapter 2', minutes: 30, topics: [] }] }] }],
+	notes: [],
+};
+
+async function caller(sub) {
+	const token = await signJwt({ sub, exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+	const fakeEnv = {
+		...env,
+		AI: createFakeProvider([{ when: 'OUTPUT FORMAT (STRICT)', reply: PLAN }, { when: 'Return ONLY JSON', reply: {} }, { reply: 'Hi there!' }]),
+	};
+	return async (path, body) => {
+		const ctx = createExecutionContext();
+		const init = body === undefined ? {} : { method: 'POST', body: JSON.stringify(body) };
+		const res = await worker.fetch(
+			new Request(`http://example.com${path}`, { ...init, headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }),
+			fakeEnv,
+			ctx,
+		);
+		if (body?.stream) await res.text();
+		await waitOnExecutionContext(ctx);
+		return res;
+	};
+}
+
+describe('GET /api/messages', () => {
+	it('keeps every turn, tagged with its action, and pages back from the newest', async () => {
+		const call = await caller('transcript-user');
+		await call('/api/chat', { message: 'hello' });
+		await call('/api/chat', { message: 'Make a study plan for limits' });
+		await call('/api/chat', { message: 'hello again', stream: true });
+
+		const newest = await (await call('/api/messages?limit=4')).json();
+		expect(newest.messages.map((m) => [m.id, m.role, m.action])).toEqual([
+			[3, 'user', 'create_plan'],
+			[4, 'assistant', 'create_plan'],
+			[5, 'user', 'general_chat'],
+			[6, 'assistant', 'general_chat'],
+		]);
+		expect(newest.messages[1].content).toContain('Limits week');
+		expect(newest.messages[0].createdAt).toEqual(expect.any(Number));
+		expect(newest.nextBefore).toBe(3);
+
+		const older = await (await call(`/api/messages?before=${newest.nextBefore}&limit=4`)).json();
+		expect(older.messages.map((m) => m.content)).toEqual(['hello', 'Hi there!']);
+		expect(older.nextBefore).toBeNull();
+
+		const all = await (await call('/api/messages')).json();
+		expect(all.messages).toHaveLength(6);
+	});
+
+	it('rejects bad paging parameters and is emptied by a reset', async () => {
+		const call = await caller('transcript-reset-user');
+		await call('/api/chat', { message: 'hello' });
+		expect((await call('/api/messages?limit=0')).status).toBe(400);
+		expect((await call('/api/messages?before=abc')).status).toBe(400);
+
+		await call('/debug/reset');
+		expect(await (await call('/api/messages')).json()).toEqual({ messages: [], nextBefore: null });
+	});
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { parsePlan, repairJson, normalizePlan, generatePlan, renderPlanText } from '../src/plan.js';
+
+const validPlan = {
+	title: 'Binary search sprint',
+	topic: 'Binary search',
+	days: [
+		{
+			day: 1,
+			focus: 'Core idea',
+			blocks: [
+				{
+					title: 'Warm-up',
+					start: '18:00',
+					minutes: 20,
+					tasks: [
+						{ description: 'Read the chapter', minutes: 15, topics: ['invariants'] },
+						{ description: 'Trace an example', minutes: '10 min', topics: 'bounds' },
+					],
+				},
+			],
+		},
+	],
+	notes: ['Watch for off-by-one errors'],
+};
+
+describe('parsePlan', () => {
+	it('parses a fenced JSON reply with surrounding prose', () => {
+		const { plan, errors } = parsePlan('Here you go:\n```json\n' + JSON.stringify(validPlan) + '\n```\nGood luck!');
+		expect(errors).toEqual([]);
+		expect(plan.days[0].blocks[0].id).toBe('d1-b1');
+		expect(plan.days[0].blocks[0].tasks.map((t) => t.id)).toEqual(['d1-b1-t1', 'd1-b1-t2']);
+	});
+
+	it('coerces minutes and topics and recomputes block totals', () => {
+		const { plan } = parsePlan(JSON.stringify(validPlan));
+		const block = plan.days[0].blocks[0];
+		expect(block.tasks[1].minutes).toBe(10);
+		expect(block.tasks[1].topics).toEqual(['bounds']);
+		expect(block.minutes).toBe(25);
+		expect(plan.totalMinutes).toBe(25);
+	});
+
+	it('repairs trailing commas and smart quotes', () => {
+		const text = '{“title”: “T”, "days": [{"blocks": [{"title": "B", "tasks": [{"description": "x", "minutes": 5,},],},],},],}';
+		const { plan, errors } = parsePlan(text);
+		expect(errors).toEqual([]);
+		expect(plan.title).toBe('T');
+	});
+
+	it('closes output that was truncated mid-object', () => {
+		const full = JSON.stringify(validPlan);
+		const truncated = full.slice(0, full.indexOf('"notes"'));
+		expect(() => JSON.parse(repairJson(truncated))).not.toThrow();
+		expect(parsePlan(truncated).plan).not.toBeNull();
+	});
+
+	it('reports validation errors for unusable structure', () => {
+		const { plan, errors } = normalizePlan({ days: [{ blocks: [{ title: 'Empty', tasks: [] }] }] });
+		expect(plan).toBeNull();
+		expect(errors).toContain('Block d1-b1 has no tasks.');
+		expect(parsePlan('Sure! Study for an hour.').errors[0]).toMatch(/did not contain/);
+	});
+
+	it('rejects two days with the same number, so block and task ids stay unique', () => {
+		const block = { title: 'Read', tasks: [{ description: 'Read', minutes: 20 }] };
+		const { plan, errors } = normalizePlan({ days: [{ day: 1, blocks: [block] }, { day: 1, blocks: [block] }] });
+		expect(plan).toBeNull();
+		expect(errors).toEqual(['Day 1 appears more than once; give every day its own number.']);
+		// A numbered day can also collide with an unnumbered one counted by position.
+		expect(normalizePlan({ days: [{ day: 2, blocks: [block] }, { blocks: [block] }] }).errors[0]).toMatch(/Day 2 appears more than once/);
+	});
+});
+
+describe('generatePlan', () => {
+	it('retries with the validation errors when the first reply is malformed', async () => {
+		const calls = [];
+		const replies = ['I think you should read a lot.', JSON.stringify(validPlan)];
+		const env = {
+			AI: {
+				run: async (_model, input) => {
+					calls.push(input.messages);
+					return { response: replies[calls.length - 1] };
+				},
+			},
+		};
+
+		const { plan } = await generatePlan(env, 'test-model', [{ role: 'user', content: 'plan binary search' }]);
+		expect(plan.title).toBe('Binary search sprint');
+		expect(calls).toHaveLength(2);
+		expect(calls[1].at(-1).content).toMatch(/not valid/);
+	});
+
+	it('gives up after the retry', async () => {
+		const env = { AI: { run: async () => ({ response: 'nope' }) } };
+		const { plan, errors } = await generatePlan(env, 'test-model', []);
+		expect(plan).toBeNull();
+		expect(errors.length).toBeGreaterThan(0);
+	});
+});
+
+describe('renderPlanText', () => {
+	it('renders structured plans and passes legacy strings through', () => {
+		const { plan } = parsePlan(JSON.stringify(validPlan));
+		expect(renderPlanText(plan)).toContain('- 18:00 Warm-up (25 min)');
+		expect(renderPlanText('- old prose plan')).toBe('- old prose plan');
+	});
+});
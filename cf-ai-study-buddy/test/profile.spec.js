@@ -0,0 +1,93 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { defaultProfile, updateProfile, applyLearnedSignals, describeProfile, hasPreferenceCue } from '../src/profile.js';
+
+describe('updateProfile', () => {
+	it('validates fields and marks edits as manual', () => {
+		const { profile } = updateProfile(defaultProfile(), { level: 'beginner', dailyMinutes: 45, preferredHours: { start: '18:00', end: '21:00' } }, 7);
+		expect(profile).toMatchObject({ level: 'beginner', dailyMinutes: 45, updatedAt: 7 });
+		expect(profile.manual.sort()).toEqual(['dailyMinutes', 'level', 'preferredHours']);
+
+		expect(updateProfile(profile, { level: null }).profile.manual).not.toContain('level');
+		expect(updateProfile(profile, { tone: 'sarcastic' }).error).toMatch(/tone/);
+		expect(updateProfile(profile, { dailyMinutes: 2 }).error).toMatch(/dailyMinutes/);
+		expect(updateProfile(profile, { preferredHours: { start: '21:00', end: '18:00' } }).error).toMatch(/preferredHours/);
+	});
+});
+
+describe('applyLearnedSignals', () => {
+	it('learns new values but never overrides manual ones', () => {
+		const { profile } = updateProfile(defaultProfile(), { dailyMinutes: 45 });
+		const learned = applyLearnedSignals(profile, { dailyMinutes: 120, level: 'advanced', weakAreas: ['recursion'], tone: 'rude' });
+		expect(learned).toMatchObject({ dailyMinutes: 45, level: 'advanced', tone: null, weakAreas: ['recursion'] });
+	});
+
+	it('returns the same object when nothing changes', () => {
+		const profile = defaultProfile();
+		expect(applyLearnedSignals(profile, {})).toBe(profile);
+	});
+});
+
+describe('describeProfile', () => {
+	it('lists the fields prompts should respect', () => {
+		const text = describeProfile({ ...defaultProfile(), level: 'beginner', dailyMinutes: 30, weakAreas: ['pointers'], tone: 'direct' });
+		expect(text).toContain('Level: beginner');
+		expect(text).toContain('Daily time budget: 30 minutes');
+		expect(text).toContain('Weak areas: pointers');
+		expect(text).toContain('Tone: direct');
+	});
+
+	it('only extracts from chat messages that look like preferences', () => {
+		expect(hasPreferenceCue('I only have 30 minutes a day')).toBe(true);
+		expect(hasPreferenceCue('hello there')).toBe(false);
+	});
+});
+
+describe('profile via the worker', () => {
+	it('edits the profile, learns weak areas from outcomes, and feeds prompts', async () => {
+		const token = await signJwt({ sub: 'profile-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+		const session = { id: 's1', goal: 'calculus', plan: 'Study integrals' };
+		await env.STUDY_STATE_KV.put('user:profile-user', JSON.stringify({ lastSession: session, sessions: [session] }));
+
+		const prompts = [];
+		const fakeEnv = {
+			...env,
+			AI: {
+				run: async (_model, params) => {
+					const system = params.messages[0].content;
+					// Learner context is fenced into the user turn, so keep the whole prompt.
+					prompts.push(params.messages.map((m) => m.content).join('\n'));
+					if (system.includes('learner-profile signals')) return { response: '{"weakAreas": ["integration by parts"], "dailyMinutes": 90}' };
+					return { response: 'Noted.' };
+				},
+			},
+		};
+		const call = async (path, init = {}) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(new Request(`http://example.com${path}`, { headers, ...init }), fakeEnv, ctx);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+
+		const bad = await call('/api/profile', { method: 'POST', body: JSON.stringify({ level: 'guru' }) });
+		expect(bad.status).toBe(400);
+
+		const edited = await (await call('/api/profile', { method: 'POST', body: JSON.stringify({ level: 'beginner', dailyMinutes: 45 }) })).json();
+		expect(edited).toMatchObject({ level: 'beginner', dailyMinutes: 45 });
+
+		const chat = await (await call('/api/chat', { method: 'POST', body: JSON.stringify({ message: 'I got stuck on integration by parts' }) })).json();
+		expect(chat.action).toBe('log_outcome');
+
+		const profile = await (await call('/api/profile')).json();
+		expect(profile.weakAreas).toEqual(['integration by parts']);
+		// Manual budget wins over the learned 90 minutes.
+		expect(profile.dailyMinutes).toBe(45);
+
+		await call('/api/chat', { method: 'POST', body: JSON.stringify({ message: 'What is a derivative?' }) });
+		expect(prompts.at(-1)).toContain('Level: beginner');
+		expect(prompts.at(-1)).toContain('Weak areas: integration by parts');
+	});
+});
@@ -0,0 +1,107 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import { normalizePlan } from '../src/plan.js';
+import { computeCompletion, applyTaskUpdates, validateTaskUpdate, mapOutcomeToTasks } from '../src/progress.js';
+
+const { plan } = normalizePlan({
+	title: 'Graphs',
+	days: [
+		{
+			blocks: [
+				{ title: 'Reading', tasks: [{ description: 'Read the BFS chapter', minutes: 30 }] },
+				{ title: 'Practice', tasks: [{ description: 'Do exercises 1-5', minutes: 60 }] },
+			],
+		},
+	],
+});
+
+describe('computeCompletion', () => {
+	it('weights completion by planned minutes', () => {
+		expect(computeCompletion(plan, { 'd1-b1-t1': { status: 'done' } }).percent).toBe(33);
+		expect(computeCompletion(plan, { 'd1-b2-t1': { status: 'done' } }).percent).toBe(67);
+	});
+
+	it('credits partial tasks by actual minutes, or half without them', () => {
+		expect(computeCompletion(plan, { 'd1-b2-t1': { status: 'partial', actualMinutes: 45 } }).percent).toBe(50);
+		expect(computeCompletion(plan, { 'd1-b2-t1': { status: 'partial', actualMinutes: null } }).percent).toBe(33);
+	});
+
+	it('counts skipped tasks against the total', () => {
+		const session = applyTaskUpdates({ id: 's1', plan }, [
+			{ taskId: 'd1-b1-t1', status: 'done', actualMinutes: 25 },
+			{ taskId: 'd1-b2-t1', status: 'skipped' },
+		]);
+		expect(session.completion).toMatchObject({ percent: 33, done: 1, skipped: 1, pending: 0, actualMinutes: 25 });
+	});
+
+	it('puts an unticked task back to pending', () => {
+		const done = applyTaskUpdates({ id: 's1', plan }, [{ taskId: 'd1-b1-t1', status: 'done' }]);
+		const unticked = applyTaskUpdates(done, [{ taskId: 'd1-b1-t1', status: 'pending' }]);
+		expect(unticked.taskStatus).toEqual({});
+		expect(unticked.completion).toMatchObject({ percent: 0, done: 0, pending: 2 });
+	});
+});
+
+describe('legacy string plans', () => {
+	const text = '# Week 1\n- Read chapter 1\n- Practice\n  1. Exercise 2\n> - Review notes';
+
+	it('accepts done / pending for each Markdown list item and nothing else', () => {
+		expect(validateTaskUpdate(text, 'item-0', { status: 'done' })).toBeNull();
+		expect(validateTaskUpdate(text, 'item-3', { status: 'pending' })).toBeNull();
+		expect(validateTaskUpdate(text, 'item-4', { status: 'done' })).toMatch(/Unknown task/);
+		expect(validateTaskUpdate(text, 'd1-b1-t1', { status: 'done' })).toMatch(/Unknown task/);
+		expect(validateTaskUpdate(text, 'item-1', { status: 'partial' })).toMatch(/"status"/);
+	});
+
+	it('stores ticked items without a completion', () => {
+		const session = applyTaskUpdates({ id: 's1', plan: text }, [{ taskId: 'item-1', status: 'done' }]);
+		expect(session.taskStatus['item-1'].status).toBe('done');
+		expect(session.completion).toBeNull();
+	});
+});
+
+describe('mapOutcomeToTasks', () => {
+	it('keeps only updates that reference real tasks with valid statuses', async () => {
+		const fakeEnv = {
+			AI: {
+				run: async () => ({
+					response:
+						'{"updates": [{"taskId": "d1-b1-t1", "status": "done"}, {"taskId": "d1-b2-t1", "status": "skipped"}, {"taskId": "d9-b9-t9", "status": "done"}, {"taskId": "d1-b2-t1", "status": "meh"}, {"taskId": "d1-b1-t1", "status": "pending"}]}',
+				}),
+			},
+		};
+		const updates = await mapOutcomeToTasks(fakeEnv, 'test-model', plan, 'I finished the reading but not the exercises');
+		expect(updates).toEqual([
+			{ taskId: 'd1-b1-t1', status: 'done', actualMinutes: undefined },
+			{ taskId: 'd1-b2-t1', status: 'skipped', actualMinutes: undefined },
+		]);
+	});
+});
+
+describe('POST /api/tasks/:taskId', () => {
+	it('updates the active plan and returns its completion', async () => {
+		const token = await signJwt({ sub: 'progress-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const session = { id: 's1', timestamp: 1, goal: 'graphs', action: 'create_plan', plan, outcomeNote: null };
+		await env.STUDY_STATE_KV.put('user:progress-user', JSON.stringify({ lastSession: session, sessions: [session] }));
+
+		const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+		const response = await SELF.fetch('http://example.com/api/tasks/d1-b1-t1', {
+			method: 'POST',
+			headers,
+			body: JSON.stringify({ status: 'done', actualMinutes: 35 }),
+		});
+		expect(response.status).toBe(200);
+		expect((await response.json()).completion.percent).toBe(33);
+
+		const bad = await SELF.fetch('http://example.com/api/tasks/d1-b1-t1', { method: 'POST', headers, body: JSON.stringify({ status: 'maybe' }) });
+		expect(bad.status).toBe(400);
+		const empty = await SELF.fetch('http://example.com/api/tasks/d1-b1-t1', { method: 'POST', headers, body: 'null' });
+		expect(empty.status).toBe(400);
+
+		const stored = await studyStateStub(env, 'progress-user').load('progress-user');
+		expect(stored.lastSession.taskStatus['d1-b1-t1'].status).toBe('done');
+		expect(stored.sessions[0].completion.percent).toBe(33);
+	});
+});
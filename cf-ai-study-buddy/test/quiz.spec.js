@@ -0,0 +1,93 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import { gradeMultipleChoice, summarizeQuiz, mergeWeakAreas } from '../src/quiz.js';
+
+const mcq = { id: 'q1', type: 'mcq', prompt: 'Pick one', choices: ['O(n)', 'O(log n)', 'O(1)'], answer: 'O(log n)', topic: 'complexity' };
+
+describe('gradeMultipleChoice', () => {
+	it('accepts letters in common formats and the full choice text', () => {
+		for (const reply of ['B', 'b)', '(b)', 'Answer: B', 'o(log n)']) {
+			expect(gradeMultipleChoice(mcq, reply).correct).toBe(true);
+		}
+	});
+
+	it('explains the right answer when wrong', () => {
+		const grade = gradeMultipleChoice(mcq, 'A');
+		expect(grade.correct).toBe(false);
+		expect(grade.feedback).toContain('B) O(log n)');
+	});
+});
+
+describe('summarizeQuiz', () => {
+	it('marks topics averaging under 60% as weak', () => {
+		const quiz = {
+			topic: 'search',
+			questions: [
+				{ id: 'q1', topic: 'bounds' },
+				{ id: 'q2', topic: 'bounds' },
+				{ id: 'q3', topic: 'invariants' },
+			],
+			results: [
+				{ questionId: 'q1', score: 0 },
+				{ questionId: 'q2', score: 0.5 },
+				{ questionId: 'q3', score: 1 },
+			],
+		};
+		expect(summarizeQuiz(quiz)).toMatchObject({ score: 1.5, weakTopics: ['bounds'] });
+	});
+
+	it('merges weak areas without duplicates', () => {
+		expect(mergeWeakAreas(['Bounds', 'recursion'], ['bounds', 'pointers'])).toEqual(['recursion', 'bounds', 'pointers']);
+	});
+});
+
+describe('quiz flow via the worker', () => {
+	it('keeps the quiz across turns and writes weak results to profile.weakAreas', async () => {
+		const token = await signJwt({ sub: 'quiz-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const session = { id: 's1', goal: 'binary search', plan: 'Study binary search' };
+		await env.STUDY_STATE_KV.put('user:quiz-user', JSON.stringify({ lastSession: session, sessions: [session] }));
+
+		const quizJson = JSON.stringify({
+			questions: [
+				{ type: 'mcq', prompt: 'Complexity?', choices: ['O(n)', 'O(log n)', 'O(1)', 'O(n^2)'], answer: 'O(log n)', topic: 'complexity' },
+				{ type: 'short', prompt: 'Why must the array be sorted?', answer: 'So halves can be discarded.', topic: 'preconditions' },
+			],
+		});
+		const replies = [quizJson, '{"score": 0, "feedback": "The array must be sorted so halves can be discarded."}'];
+		const fakeEnv = { ...env, AI: { run: async () => ({ response: replies.shift() }) } };
+
+		const chat = async (message) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(
+				new Request('http://example.com/api/chat', {
+					method: 'POST',
+					headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+					body: JSON.stringify({ message }),
+				}),
+				fakeEnv,
+				ctx,
+			);
+			await waitOnExecutionContext(ctx);
+			return res.json();
+		};
+
+		const start = await chat('Quiz me on this');
+		expect(start.action).toBe('quiz');
+		expect(start.reply).toContain('Question 1/2');
+
+		const second = await chat('B');
+		expect(second.reply).toContain('Correct.');
+		expect(second.reply).toContain('Question 2/2');
+
+		const last = await chat('No idea, maybe speed?');
+		expect(last.action).toBe('quiz');
+		expect(last.reply).toContain('1/2');
+
+		const stored = await studyStateStub(env, 'quiz-user').load('quiz-user');
+		expect(stored.pendingQuiz).toBeNull();
+		expect(stored.profile.weakAreas).toEqual(['preconditions']);
+	});
+});
@@ -0,0 +1,127 @@
+import { env, createExecutionContext, createScheduledController, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { collectNudges, addNotifications, dismissNotification, pendingNotifications, inQuietHours, updateNotificationSettings } from '../src/reminders.js';
+import { attachSession } from '../src/goals.js';
+import { defaultState } from '../src/schema.js';
+
+// 2026-10-19 is a Monday.
+const at = (date, time) => Date.parse(`${date}T${time}:00Z`);
+const NOW = at('2026-10-19', '17:45');
+
+const planOf = (title, topic, blocks) => ({
+	title,
+	topic,
+	notes: [],
+	days: [{ day: 1, focus: topic, blocks: blocks.map(([id, start]) => ({ id, title: `Block ${id}`, start, minutes: 30, tasks: [{ id: `${id}-t1`, description: 'Work', minutes: 30, topics: [] }] })) }],
+});
+
+function sampleState() {
+	let state = attachSession(
+		defaultState(),
+		{ id: 'chem', timestamp: at('2026-10-10', '09:00'), action: 'create_plan', startDate: '2026-10-10', plan: planOf('Chemistry sprint', 'Chemistry', [['c1', '09:00']]), outcomeNote: null },
+		1,
+	);
+	state = attachSession(
+		state,
+		{
+			id: 'calc',
+			timestamp: at('2026-10-19', '08:00'),
+			action: 'create_plan',
+			startDate: '2026-10-19',
+			plan: planOf('Limits week', 'Calculus', [['b1', '18:00'], ['b2', '20:00']]),
+			outcomeNote: null,
+			taskStatus: {
+				x1: { status: 'done', updatedAt: at('2026-10-15', '10:00') },
+				x2: { status: 'done', updatedAt: at('2026-10-16', '10:00') },
+				x3: { status: 'done', updatedAt: at('2026-10-17', '10:00') },
+			},
+		},
+		2,
+	);
+	return state;
+}
+
+describe('collectNudges', () => {
+	it('finds upcoming blocks, overdue plans and a broken streak', () => {
+		const nudges = collectNudges(sampleState(), NOW);
+		expect(nudges.map((n) => n.key)).toEqual(['upcoming_block:calc:b1', 'overdue_plan:chem', 'broken_streak:2026-10-17']);
+		expect(nudges[0]).toMatchObject({ kind: 'upcoming_block', title: 'Up next: Block b1', createdAt: NOW, dismissedAt: null });
+		expect(nudges[0].body).toContain('18:00');
+		expect(nudges[2].title).toBe('Your 3-day streak ended');
+	});
+
+	it('never announces the same thing twice, even once dismissed', () => {
+		const first = collectNudges(sampleState(), NOW);
+		let state = addNotifications(sampleState(), first);
+		state = dismissNotification(state, first[0].id, NOW + 1);
+		expect(pendingNotifications(state)).toHaveLength(2);
+		expect(collectNudges(state, NOW + 60 * 1000)).toEqual([]);
+		expect(dismissNotification(state, 'nope')).toBeNull();
+	});
+
+	it('uses the local time zone for blocks and quiet hours', () => {
+		const berlin = { ...sampleState(), availability: { ...defaultState().availability, timeZone: 'Europe/Berlin' } };
+		// 17:45 UTC is 19:45 in Berlin, so the 20:00 block is the one coming up.
+		expect(collectNudges(berlin, NOW)[0].key).toBe('upcoming_block:calc:b2');
+		const quiet = { enabled: true, quietHours: { start: '22:00', end: '07:00' } };
+		expect(inQuietHours(quiet, 'UTC', at('2026-10-19', '23:30'))).toBe(true);
+		expect(inQuietHours(quiet, 'UTC', at('2026-10-19', '06:59'))).toBe(true);
+		expect(inQuietHours(quiet, 'UTC', at('2026-10-19', '07:00'))).toBe(false);
+	});
+
+	it('stays silent when opted out or in quiet hours', () => {
+		expect(collectNudges({ ...sampleState(), notificationSettings: { enabled: false, quietHours: null } }, NOW)).toEqual([]);
+		expect(collectNudges({ ...sampleState(), notificationSettings: { enabled: true, quietHours: { start: '17:00', end: '18:00' } } }, NOW)).toEqual([]);
+	});
+
+	it('validates settings', () => {
+		expect(updateNotificationSettings(undefined, { quietHours: null }).settings).toEqual({ enabled: true, quietHours: null });
+		expect(updateNotificationSettings(undefined, { enabled: 'no' }).error).toMatch(/enabled/);
+		expect(updateNotificationSettings(undefined, { quietHours: { start: '25:00', end: '07:00' } }).error).toMatch(/quietHours/);
+	});
+});
+
+describe('reminders via the cron trigger', () => {
+	it('leaves notifications the frontend can poll and dismiss', async () => {
+		await env.STUDY_STATE_KV.put('user:cron-user', JSON.stringify(sampleState()));
+		await env.STUDY_STATE_KV.put('user:opted-out', JSON.stringify({ ...sampleState(), notificationSettings: { enabled: false, quietHours: null } }));
+		const call = async (path, body, sub = 'cron-user') => {
+			const token = await signJwt({ sub, exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+			const ctx = createExecutionContext();
+			const init = body === undefined ? {} : { method: 'POST', body: JSON.stringify(body) };
+			const res = await worker.fetch(
+				new Request(`http://example.com${path}`, { ...init, headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }),
+				env,
+				ctx,
+			);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+		const trigger = async (scheduledTime) => {
+			const ctx = createExecutionContext();
+			await worker.scheduled(createScheduledController({ scheduledTime, cron: '*/15 * * * *' }), env, ctx);
+			await waitOnExecutionContext(ctx);
+		};
+
+		await trigger(NOW);
+		const { notifications, settings } = await (await call('/api/notifications')).json();
+		// Newest first.
+		expect(notifications.map((n) => n.kind)).toEqual(['broken_streak', 'overdue_plan', 'upcoming_block']);
+		expect(settings.enabled).toBe(true);
+
+		const dismissed = await (await call(`/api/notifications/${notifications[0].id}/dismiss`, {})).json();
+		expect(dismissed.notifications).toHaveLength(2);
+		expect((await call('/api/notifications/nope/dismiss', {})).status).toBe(404);
+
+		await trigger(NOW + 15 * 60 * 1000);
+		expect((await (await call('/api/notifications')).json()).notifications).toHaveLength(2);
+
+		expect((await call('/api/notifications/settings', { quietHours: { start: '7' } })).status).toBe(400);
+		expect(await (await call('/api/notifications/settings', { enabled: false })).json()).toMatchObject({ enabled: false });
+
+		const optedOut = await (await call('/api/notifications', undefined, 'opted-out')).json();
+		expect(optedOut.notifications).toEqual([]);
+	});
+});
@@ -0,0 +1,95 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import { attachSession } from '../src/goals.js';
+import { chooseAction, routeMessage, evaluateRouter, CONFIDENCE_THRESHOLD } from '../src/router.js';
+import corpus from './routing-corpus.js';
+
+const empty = { goals: [], activeGoalId: null, sessions: [], lastSession: null };
+const calculus = { id: 's1', goal: 'calculus midterm', plan: { title: 'Calculus week', topic: 'Calculus', days: [] } };
+const chemistry = { id: 's2', goal: 'chemistry', plan: { title: 'Chemistry sprint', topic: 'Chemistry', days: [] } };
+const withCalculus = attachSession(empty, calculus, 1);
+const STATES = {
+	empty,
+	plan: withCalculus,
+	goals: { ...attachSession(withCalculus, chemistry, 2), activeGoalId: 'goal-s1', lastSession: withCalculus.lastSession },
+};
+
+const classifierEnv = (reply) => ({ AI: { run: async () => ({ response: typeof reply === 'string' ? reply : JSON.stringify(reply) }) } });
+
+describe('routing corpus', () => {
+	it('never routes confidently to the wrong action', async () => {
+		const confident = corpus.filter((ex) => chooseAction(STATES[ex.state], ex.text).confident);
+		const report = await evaluateRouter(confident, (ex) => chooseAction(STATES[ex.state], ex.text).action);
+		expect(report.misses, `${confident.length}/${corpus.length} routed confidently`).toEqual([]);
+	});
+
+	it('reports offline accuracy (rules + fallback, no classifier)', async () => {
+		// A classifier that is down forces every unsure case onto the rule's safe fallback.
+		const offline = classifierEnv('not json');
+		const report = await evaluateRouter(corpus, async (ex) => (await routeMessage(offline, 'm', STATES[ex.state], ex.text)).action);
+		expect(report.accuracy, `offline accuracy ${report.correct}/${report.total}, misses: ${JSON.stringify(report.misses)}`).toBeGreaterThanOrEqual(0.9);
+	});
+
+	it('fixes the known misroutes', () => {
+		expect(chooseAction(STATES.plan, "What's the history of the French Revolution?").action).toBe('direct_answer');
+		expect(chooseAction(STATES.plan, "I'm done with small talk")).toMatchObject({ action: 'general_chat', confident: false, hint: 'log_outcome' });
+	});
+});
+
+describe('routeMessage', () => {
+	it('skips the classifier when the rules are confident', async () => {
+		const env = { AI: { run: async () => { throw new Error('should not be called'); } } };
+		expect(await routeMessage(env, 'm', empty, 'Make me a plan for calculus')).toEqual({ action: 'create_plan', confidence: 1, source: 'rule' });
+	});
+
+	it('uses the classifier label when it is confident', async () => {
+		const route = await routeMessage(classifierEnv({ label: 'log_outcome', confidence: 0.9, question: '' }), 'm', STATES.plan, 'Done!');
+		expect(route).toEqual({ action: 'log_outcome', confidence: 0.9, source: 'model' });
+	});
+
+	it('asks a clarifying question below the threshold', async () => {
+		const reply = { label: 'log_outcome', confidence: CONFIDENCE_THRESHOLD - 0.1, question: 'Do you mean you finished your plan?' };
+		const route = await routeMessage(classifierEnv(reply), 'm', STATES.plan, "I'm done with that");
+		expect(route).toMatchObject({ action: 'clarify', source: 'model', question: 'Do you mean you finished your plan?' });
+	});
+
+	it('maps plan-only labels when there is no plan, and ignores unknown labels', async () => {
+		const revise = await routeMessage(classifierEnv({ label: 'revise_plan', confidence: 0.8 }), 'm', empty, 'hmm, different please');
+		expect(revise.action).toBe('create_plan');
+		const unknown = await routeMessage(classifierEnv({ label: 'dance', confidence: 1 }), 'm', empty, 'hmm');
+		expect(unknown).toEqual({ action: 'general_chat', confidence: null, source: 'fallback' });
+	});
+});
+
+describe('clarify via the worker', () => {
+	it('asks instead of guessing and leaves the plan alone', async () => {
+		const token = await signJwt({ sub: 'router-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		await env.STUDY_STATE_KV.put('user:router-user', JSON.stringify(STATES.plan));
+		const fakeEnv = { ...env, ...classifierEnv({ label: 'log_outcome', confidence: 0.3, question: 'Did you finish your calculus session?' }) };
+
+		const ctx = createExecutionContext();
+		const res = await worker.fetch(
+			new Request('http://example.com/api/chat', {
+				method: 'POST',
+				headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+				body: JSON.stringify({ message: 'done' }),
+			}),
+			fakeEnv,
+			ctx,
+		);
+		await waitOnExecutionContext(ctx);
+
+		expect(await res.json()).toEqual({
+			reply: 'Did you finish your calculus session?',
+			action: 'clarify',
+			confidence: 0.3,
+			// Only the classifier ran.
+			usage: expect.objectContaining({ calls: 1 }),
+		});
+		const stored = await studyStateStub(env, 'router-user').load('router-user');
+		expect(stored.sessions[0].outcomeNote).toBeUndefined();
+	});
+});
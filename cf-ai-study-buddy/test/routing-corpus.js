@@ -0,0 +1,73 @@
+// Labeled utterances for the intent router. `state` names one of the fixtures in
+// router.spec.js: "empty" (new user), "plan" (one calculus goal with a plan),
+// "goals" (calculus active, chemistry also tracked).
+// `expected` is the action a human would pick. Keep adding real misroutes here.
+export default [
+	// Planning
+	{ text: 'I have 60 minutes to study binary search', state: 'empty', expected: 'create_plan' },
+	{ text: 'Make me a study plan for the calculus midterm', state: 'empty', expected: 'create_plan' },
+	{ text: 'Can you schedule my week?', state: 'empty', expected: 'create_plan' },
+	{ text: 'I want to learn Rust', state: 'empty', expected: 'create_plan' },
+	{ text: 'help me prepare for my chemistry exam', state: 'empty', expected: 'create_plan' },
+	{ text: 'I also need a plan for organic chemistry', state: 'plan', expected: 'create_plan' },
+	{ text: 'make another schedule for statistics', state: 'plan', expected: 'create_plan' },
+
+	// Revisions
+	{ text: 'Make the plan shorter', state: 'plan', expected: 'revise_plan' },
+	{ text: 'Can you move the schedule to the evening?', state: 'plan', expected: 'revise_plan' },
+	{ text: 'tweak it so there is more practice', state: 'plan', expected: 'revise_plan' },
+	{ text: 'change day 2, I am busy', state: 'plan', expected: 'revise_plan' },
+	{ text: 'adjust the plan for calculus', state: 'plan', expected: 'revise_plan' },
+
+	// Undo
+	{ text: 'undo that change', state: 'plan', expected: 'undo_change' },
+	{ text: 'go back to the previous version of the plan', state: 'plan', expected: 'undo_change' },
+	{ text: 'revert it, the old schedule was better', state: 'plan', expected: 'undo_change' },
+	{ text: 'undo the last change', state: 'plan', expected: 'undo_change' },
+	{ text: 'revert the plan', state: 'plan', expected: 'undo_change' },
+
+	// Outcomes
+	{ text: 'I finished the reading but not the exercises', state: 'plan', expected: 'log_outcome' },
+	{ text: 'I just completed all the tasks', state: 'plan', expected: 'log_outcome' },
+	{ text: 'I got stuck on integration by parts', state: 'plan', expected: 'log_outcome' },
+	{ text: 'I fell behind yesterday', state: 'plan', expected: 'log_outcome' },
+	{ text: 'done with the practice problems', state: 'plan', expected: 'log_outcome' },
+	{ text: 'I skipped the last block', state: 'plan', expected: 'log_outcome' },
+
+	// Analysis
+	{ text: 'Analyze my study patterns so far', state: 'plan', expected: 'analyze_pattern' },
+	{ text: 'What are my habits like?', state: 'plan', expected: 'analyze_pattern' },
+	{ text: 'show me my study history trends', state: 'plan', expected: 'analyze_pattern' },
+	{ text: 'How is my progress looking?', state: 'plan', expected: 'analyze_pattern' },
+
+	// Factual questions
+	{ text: "What's the history of the French Revolution?", state: 'empty', expected: 'direct_answer' },
+	{ text: "What's the history of the French Revolution?", state: 'plan', expected: 'direct_answer' },
+	{ text: 'What is a pointer?', state: 'empty', expected: 'direct_answer' },
+	{ text: 'How does binary search work?', state: 'plan', expected: 'direct_answer' },
+	{ text: 'Why is the sky blue?', state: 'plan', expected: 'direct_answer' },
+	// Undo words in questions, not requests to roll the plan back.
+	{ text: 'What does git revert do?', state: 'plan', expected: 'direct_answer' },
+	{ text: 'Explain how rollback works in SQL transactions?', state: 'plan', expected: 'direct_answer' },
+	{ text: 'What is the undo stack in an editor?', state: 'plan', expected: 'direct_answer' },
+	// Analysis and plan keywords used about a subject.
+	{ text: 'What patterns are used in OOP?', state: 'plan', expected: 'direct_answer' },
+	{ text: 'What are the habits of successful people?', state: 'plan', expected: 'direct_answer' },
+	{ text: 'What is a decision tree block?', state: 'plan', expected: 'direct_answer' },
+
+	// Chat
+	{ text: 'hello', state: 'empty', expected: 'general_chat' },
+	{ text: 'thanks!', state: 'plan', expected: 'general_chat' },
+	{ text: 'ok', state: 'plan', expected: 'general_chat' },
+	{ text: "I'm done with small talk", state: 'plan', expected: 'general_chat' },
+	{ text: "I'm tired today", state: 'plan', expected: 'general_chat' },
+	{ text: 'I know Python already', state: 'empty', expected: 'general_chat' },
+
+	// Flashcards, quizzes, goals
+	{ text: 'Make flashcards from this', state: 'plan', expected: 'flashcards' },
+	{ text: 'review my deck', state: 'plan', expected: 'flashcards' },
+	{ text: 'Quiz me on this', state: 'plan', expected: 'quiz' },
+	{ text: 'test my knowledge', state: 'plan', expected: 'quiz' },
+	{ text: 'switch to my chemistry plan', state: 'goals', expected: 'switch_goal' },
+	{ text: "let's go back to chemistry", state: 'goals', expected: 'switch_goal' },
+];
@@ -0,0 +1,70 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import { migrateState, validateState, defaultState, SchemaError, SCHEMA_VERSION, MIGRATIONS } from '../src/schema.js';
+
+describe('migrateState', () => {
+	it('gives new users the default state', () => {
+		expect(migrateState(null)).toEqual(defaultState());
+		expect(validateState(defaultState())).toEqual([]);
+	});
+
+	it('brings an unversioned record up to date without losing data', () => {
+		const session = { id: 's1', goal: 'calculus', plan: 'Study integrals', timestamp: 1 };
+		const state = migrateState({ recentHistory: [{ role: 'user', content: 'hi' }], lastSession: session, sessions: [session], profile: { weakAreas: ['limits'] } });
+
+		expect(state.schemaVersion).toBe(SCHEMA_VERSION);
+		expect(state.recentHistory).toHaveLength(1);
+		expect(state.goals).toHaveLength(1);
+		expect(state.activeGoalId).toBe('goal-s1');
+		expect(state.sessions[0].goalId).toBe('goal-s1');
+		expect(state.profile).toMatchObject({ weakAreas: ['limits'], level: null, manual: [] });
+		expect(state.memory.facts).toEqual([]);
+		expect(state.flashcards).toEqual([]);
+	});
+
+	it('repairs the object the old /debug/reset wrote', () => {
+		const state = migrateState({ recentHistory: [], sessions: [], lastSession: null });
+		expect(state).toEqual(defaultState());
+	});
+
+	it('only runs the migrations a record has not seen', () => {
+		const current = { ...defaultState(), goals: [{ id: 'g1' }], activeGoalId: 'g1' };
+		expect(migrateState(current)).toEqual(current);
+		expect(MIGRATIONS.map((m) => m.version)).toEqual(Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+	});
+
+	it('rejects records it cannot repair', () => {
+		expect(() => migrateState('oops')).toThrow(SchemaError);
+		expect(() => migrateState({ ...defaultState(), schemaVersion: SCHEMA_VERSION + 1 })).toThrow(/only understands up to/);
+		expect(() => migrateState({ sessions: 'not a list' })).toThrow(/"sessions" must be an array/);
+		expect(() => migrateState({ recentHistory: [{ role: 'user' }] })).toThrow(/recentHistory\[0\]/);
+		expect(() => migrateState({ ...defaultState(), activeGoalId: 'missing' })).toThrow(/activeGoalId/);
+	});
+});
+
+describe('schema via the worker', () => {
+	it('answers with a clear error for a broken record and resets to a valid state', async () => {
+		const token = await signJwt({ sub: 'schema-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const headers = { Authorization: `Bearer ${token}` };
+		await studyStateStub(env, 'schema-user').save({ schemaVersion: 1, sessions: 42 });
+		const call = async (path) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(new Request(`http://example.com${path}`, { headers }), env, ctx);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+
+		const broken = await call('/api/profile');
+		expect(broken.status).toBe(500);
+		expect(await broken.json()).toMatchObject({ error: 'invalid_state', message: expect.stringContaining('"sessions" must be an array') });
+
+		await call('/debug/reset');
+		const state = await (await call('/debug/state')).json();
+		expect(state.schemaVersion).toBe(SCHEMA_VERSION);
+		expect(validateState(state)).toEqual([]);
+		expect(state.profile).toEqual(defaultState().profile);
+	});
+});
@@ -0,0 +1,83 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+
+const tokenFor = (sub) => signJwt({ sub, exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+
+describe('StudyState durable object', () => {
+	it('adopts state saved in KV by the previous version', async () => {
+		await env.STUDY_STATE_KV.put('user:kv-user', JSON.stringify({ recentHistory: [{ role: 'user', content: 'hi' }] }));
+		const stub = studyStateStub(env, 'kv-user');
+		expect((await stub.load('kv-user')).recentHistory).toHaveLength(1);
+
+		// After the import, KV is no longer read.
+		await env.STUDY_STATE_KV.put('user:kv-user', JSON.stringify({ recentHistory: [] }));
+		expect((await stub.load('kv-user')).recentHistory).toHaveLength(1);
+	});
+
+	it('serializes turns and rejects saves from a turn that is not current', async () => {
+		const stub = studyStateStub(env, 'turn-user');
+		const first = await stub.begin('turn-user');
+		const order = [];
+		const second = stub.begin('turn-user').then((t) => {
+			order.push('second');
+			return t;
+		});
+
+		await stub.save({ n: 1 }, first.turn);
+		order.push('first saved');
+		await stub.end(first.turn);
+
+		const { turn, state } = await second;
+		expect(order).toEqual(['first saved', 'second']);
+		expect(state).toEqual({ n: 1 });
+		expect(await stub.save({ n: 2 }, first.turn)).toBe(false);
+		// Only the current turn can be kept alive.
+		expect(await stub.extend(first.turn)).toBe(false);
+		expect(await stub.extend(turn)).toBe(true);
+		await stub.end(turn);
+	});
+});
+
+describe('concurrent chat sends', () => {
+	it('keeps both turns and lets a read right after a send see it', async () => {
+		const token = await tokenFor('race-user');
+		const fakeEnv = {
+			...env,
+			AI: {
+				run: async (_model, params) => {
+					await new Promise((resolve) => setTimeout(resolve, 20));
+					return { response: `Reply ${params.messages.length}` };
+				},
+			},
+		};
+		const send = async (message) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(
+				new Request('http://example.com/api/chat', {
+					method: 'POST',
+					headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+					body: JSON.stringify({ message }),
+				}),
+				fakeEnv,
+				ctx,
+			);
+			return { res, ctx };
+		};
+
+		const [a, b] = await Promise.all([send('hello from tab one'), send('hello from tab two')]);
+		expect(a.res.status).toBe(200);
+		expect(b.res.status).toBe(200);
+
+		// Read before the background saves are awaited: the load waits for the turns instead of returning stale state.
+		const ctx = createExecutionContext();
+		const state = await (await worker.fetch(new Request('http://example.com/debug/state', { headers: { Authorization: `Bearer ${token}` } }), env, ctx)).json();
+		await Promise.all([waitOnExecutionContext(a.ctx), waitOnExecutionContext(b.ctx), waitOnExecutionContext(ctx)]);
+
+		const userMessages = state.recentHistory.filter((m) => m.role === 'user').map((m) => m.content);
+		expect(userMessages.sort()).toEqual(['hello from tab one', 'hello from tab two']);
+		expect(state.recentHistory).toHaveLength(4);
+	});
+});
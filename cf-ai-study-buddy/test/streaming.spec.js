@@ -0,0 +1,76 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { signJwt } from '../src/auth.js';
+import { studyStateStub } from '../src/state.js';
+import { readAiStream, runModel } from '../src/streaming.js';
+
+function aiStream(chunks) {
+	const encoder = new TextEncoder();
+	const frames = [...chunks.map((c) => `data: ${JSON.stringify({ response: c })}\n\n`), 'data: [DONE]\n\n'];
+	return new ReadableStream({
+		start(controller) {
+			// Split frames across reads to exercise buffering.
+			const joined = frames.join('');
+			for (let i = 0; i < joined.length; i += 7) controller.enqueue(encoder.encode(joined.slice(i, i + 7)));
+			controller.close();
+		},
+	});
+}
+
+function parseSse(text) {
+	return text
+		.trim()
+		.split('\n\n')
+		.map((frame) => {
+			const [eventLine, dataLine] = frame.split('\n');
+			return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+		});
+}
+
+describe('readAiStream', () => {
+	it('emits every chunk and returns the full text', async () => {
+		const seen = [];
+		const text = await readAiStream(aiStream(['Hel', 'lo ', 'there']), (t) => seen.push(t));
+		expect(seen).toEqual(['Hel', 'lo ', 'there']);
+		expect(text).toBe('Hello there');
+	});
+});
+
+describe('runModel', () => {
+	it('falls back to the plain result when the binding does not stream', async () => {
+		const seen = [];
+		const result = await runModel({ AI: { run: async () => ({ response: 'whole reply' }) } }, 'm', {}, (t) => seen.push(t));
+		expect(result.response).toBe('whole reply');
+		expect(seen).toEqual(['whole reply']);
+	});
+});
+
+describe('POST /api/chat (stream)', () => {
+	it('sends the action first, then tokens, then done, and saves state at the end', async () => {
+		const token = await signJwt({ sub: 'stream-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		const fakeEnv = { ...env, AI: { run: async (_model, params) => (params.stream ? aiStream(['Hi', ' there!']) : { response: 'Hi there!' }) } };
+
+		const request = new Request('http://example.com/api/chat', {
+			method: 'POST',
+			headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ message: 'hello', stream: true }),
+		});
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(request, fakeEnv, ctx);
+		expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+
+		const events = parseSse(await response.text());
+		await waitOnExecutionContext(ctx);
+
+		expect(events.map((e) => e.event)).toEqual(['action', 'token', 'token', 'done']);
+		expect(events[0].data).toEqual({ action: 'general_chat', confidence: 1 });
+		expect(events.at(-1).data).toEqual({ reply: 'Hi there!', action: 'general_chat', usage: expect.objectContaining({ calls: 1 }) });
+
+		const stored = await studyStateStub(env, 'stream-user').load('stream-user');
+		expect(stored.recentHistory).toEqual([
+			{ role: 'user', content: 'hello' },
+			{ role: 'assistant', content: 'Hi there!' },
+		]);
+	});
+});
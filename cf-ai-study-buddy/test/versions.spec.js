@@ -0,0 +1,160 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { signJwt } from '../src/auth.js';
+import { attachSession } from '../src/goals.js';
+import { planVersions, diffLines, diffVersions, rollbackPlan, undoLastChange } from '../src/versions.js';
+import { defaultState, migrateState } from '../src/schema.js';
+
+const planOf = (title, tasks) => ({
+	title,
+	topic: 'Calculus',
+	notes: [],
+	totalMinutes: tasks.reduce((sum, [, minutes]) => sum + minutes, 0),
+	days: [
+		{
+			day: 1,
+			focus: 'Limits',
+			blocks: [
+				{
+					id: 'd1-b1',
+					title: 'Work',
+					minutes: tasks.reduce((sum, [, minutes]) => sum + minutes, 0),
+					tasks: tasks.map(([description, minutes], i) => ({ id: `d1-b1-t${i + 1}`, description, minutes, topics: [] })),
+				},
+			],
+		},
+	],
+});
+
+const v1 = planOf('Limits week', [['Read 2.1', 30], ['Exercises 1-10', 30]]);
+const v2 = planOf('Limits week (short)', [['Read 2.1', 30]]);
+
+function twoVersions() {
+	let state = attachSession(defaultState(), { id: 'a', timestamp: 1, action: 'create_plan', plan: v1 }, 1);
+	state = attachSession(state, { ...state.lastSession, id: 'b', timestamp: 2, action: 'revise_plan', plan: v2 }, 2);
+	return state;
+}
+
+describe('version chain', () => {
+	it('numbers each goal plan and links it to the one it replaced', () => {
+		const state = twoVersions();
+		expect(planVersions(state, state.activeGoalId).map((s) => [s.id, s.version, s.parentId])).toEqual([
+			['a', 1, null],
+			['b', 2, 'a'],
+		]);
+		expect(state.lastSession).toMatchObject({ id: 'b', version: 2, parentId: 'a' });
+	});
+
+	it('backfills versions for sessions saved before versioning', () => {
+		const state = migrateState({
+			...defaultState(),
+			schemaVersion: 4,
+			goals: [{ id: 'g', title: 'Calculus', currentSessionId: 'y' }],
+			activeGoalId: 'g',
+			sessions: [
+				{ id: 'x', goalId: 'g', plan: v1 },
+				{ id: 'y', goalId: 'g', plan: v2 },
+			],
+			lastSession: { id: 'y', goalId: 'g', plan: v2 },
+		});
+		expect(state.sessions.map((s) => [s.version, s.parentId])).toEqual([
+			[1, null],
+			[2, 'x'],
+		]);
+		expect(state.lastSession).toMatchObject({ version: 2, parentId: 'x' });
+	});
+});
+
+describe('diff', () => {
+	it('diffs rendered plans line by line', () => {
+		expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+			{ op: 'same', text: 'a' },
+			{ op: 'removed', text: 'b' },
+			{ op: 'same', text: 'c' },
+			{ op: 'added', text: 'd' },
+		]);
+	});
+
+	it('summarizes what a revision changed', () => {
+		const [a, b] = planVersions(twoVersions(), 'goal-a');
+		const diff = diffVersions(a, b);
+		expect(diff.summary).toMatchObject({ minutes: { from: 60, to: 30 }, tasks: { from: 2, to: 1 } });
+		expect(diff.lines).toContainEqual({ op: 'removed', text: '  - Exercises 1-10 (30 min)' });
+		expect(diff.from.version).toBe(1);
+		expect(diff.to.version).toBe(2);
+	});
+});
+
+describe('rollback and undo', () => {
+	it('restores an old version as a new one, and undo of the undo brings the change back', () => {
+		const state = twoVersions();
+		const undone = undoLastChange(state, 3);
+		expect(undone.session).toMatchObject({ version: 3, parentId: 'b', action: 'rollback_plan', restoredFrom: 'a', plan: v1, outcomeNote: null });
+		expect(undone.state.goals[0].currentSessionId).toBe(undone.session.id);
+
+		const redone = undoLastChange(undone.state, 4);
+		expect(redone.session).toMatchObject({ version: 4, restoredFrom: 'b', plan: v2 });
+	});
+
+	it('starts the restored copy with no progress', () => {
+		const state = twoVersions();
+		const v1Session = state.sessions.find((s) => s.id === 'a');
+		const logged = {
+			...state,
+			sessions: state.sessions.map((s) =>
+				s === v1Session ? { ...s, taskStatus: { 'd1-b1-t1': { status: 'done' } }, completion: { percent: 100 }, focusTotals: { minutes: 30 } } : s
+			),
+		};
+		const { session } = rollbackPlan(logged, logged.activeGoalId, 1, 3);
+		expect(session).toMatchObject({ taskStatus: {}, completion: null, focusTotals: null, outcomeNote: null });
+		// The old version keeps what was logged against it.
+		expect(logged.sessions.find((s) => s.id === 'a').taskStatus).toEqual({ 'd1-b1-t1': { status: 'done' } });
+	});
+
+	it('explains why there is nothing to roll back', () => {
+		const first = attachSession(defaultState(), { id: 'a', timestamp: 1, plan: v1 }, 1);
+		expect(undoLastChange(first).error).toMatch(/first version/);
+		expect(rollbackPlan(first, first.activeGoalId, 1).error).toMatch(/already the current plan/);
+		expect(rollbackPlan(first, 'nope', 1).error).toMatch(/No such goal/);
+	});
+});
+
+describe('versions via the worker', () => {
+	it('lists, diffs, rolls back, and undoes from chat', async () => {
+		const token = await signJwt({ sub: 'versions-user', exp: Math.floor(Date.now() / 1000) + 3600 }, env.AUTH_JWT_SECRET);
+		await env.STUDY_STATE_KV.put('user:versions-user', JSON.stringify(twoVersions()));
+		const call = async (path, init = {}) => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(
+				new Request(`http://example.com${path}`, { ...init, headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }),
+				env,
+				ctx,
+			);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+
+		const { versions } = await (await call('/api/goals/goal-a/versions')).json();
+		expect(versions.map((v) => [v.version, v.current])).toEqual([
+			[1, false],
+			[2, true],
+		]);
+
+		const diff = await (await call('/api/goals/goal-a/diff')).json();
+		expect(diff.summary.tasks).toEqual({ from: 2, to: 1 });
+		expect((await call('/api/goals/goal-a/diff?from=1&to=9')).status).toBe(404);
+
+		expect((await call('/api/goals/goal-a/rollback', { method: 'POST', body: 'null' })).status).toBe(400);
+		expect((await call('/api/goals/goal-a/rollback', { method: 'POST', body: '{"version": 2}' })).status).toBe(409);
+		const rolled = await (await call('/api/goals/goal-a/rollback', { method: 'POST', body: '{"version": 1}' })).json();
+		expect(rolled.lastSession).toMatchObject({ version: 3, restoredFrom: 'a' });
+
+		const chat = await (await call('/api/chat', { method: 'POST', body: JSON.stringify({ message: 'undo that change' }) })).json();
+		expect(chat.action).toBe('undo_change');
+		expect(chat.reply).toMatch(/back to version 2/);
+		const state = await (await call('/debug/state')).json();
+		expect(state.lastSession).toMatchObject({ version: 4, restoredFrom: 'b' });
+		expect(state.lastSession.plan.title).toBe('Limits week (short)');
+	});
+});
@@ -0,0 +1,16 @@
+import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+
+export default defineWorkersConfig({
+	test: {
+		poolOptions: {
+			workers: {
+				wrangler: { configPath: './wrangler.jsonc' },
+				miniflare: {
+					bindings: {
+						AUTH_JWT_SECRET: 'test-secret',
+					},
+				},
+			},
+		},
+	},
+});